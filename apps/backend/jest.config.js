@@ -0,0 +1,8 @@
+// The backend is ES modules, run as they are; jest needs node --experimental-vm-modules for them
+export default {
+  testEnvironment: 'node',
+  transform: {},
+  testMatch: ['**/__tests__/**/*.test.js'],
+  // Starting the in-memory MongoDB can take a while the first time
+  testTimeout: 30000
+};
@@ -0,0 +1,104 @@
+import request from 'supertest';
+import UserFile from '../models/UserFile.js';
+import { clearDatabase, createApp, createUser, startDatabase, stopDatabase } from './testServer.js';
+
+const app = createApp();
+
+describe('/api/files', () => {
+  let owner;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    owner = await createUser();
+  });
+
+  it('needs an access token', async () => {
+    const response = await request(app).get('/api/files');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('TOKEN_REQUIRED');
+  });
+
+  it('creates a file, then overwrites it', async () => {
+    const created = await request(app)
+      .put('/api/files')
+      .set('Authorization', owner.auth)
+      .send({ path: '/home/guest/notes.txt', content: 'first' });
+    const overwritten = await request(app)
+      .put('/api/files')
+      .set('Authorization', owner.auth)
+      .send({ path: '/home/guest/notes.txt', content: 'second' });
+
+    expect(created.status).toBe(201);
+    expect(overwritten.status).toBe(200);
+    expect(overwritten.body.file.content).toBe('second');
+    expect(await UserFile.countDocuments({ owner: owner.user._id })).toBe(1);
+  });
+
+  it('lists only the signed-in user\'s files, by path', async () => {
+    const other = await createUser();
+    await UserFile.create([
+      { owner: owner.user._id, path: '/b.txt', content: 'b' },
+      { owner: owner.user._id, path: '/a.txt', content: 'a' },
+      { owner: other.user._id, path: '/c.txt', content: 'c' }
+    ]);
+
+    const response = await request(app).get('/api/files').set('Authorization', owner.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.files.map(file => file.path)).toEqual(['/a.txt', '/b.txt']);
+  });
+
+  it('rejects paths that are not absolute file paths', async () => {
+    const response = await request(app)
+      .put('/api/files')
+      .set('Authorization', owner.auth)
+      .send({ path: 'relative/', content: '' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+    expect(response.body.errors[0].field).toBe('path');
+  });
+
+  it('refuses a new file over the file limit but still overwrites existing ones', async () => {
+    await UserFile.insertMany(Array.from({ length: 100 }, (_, index) => ({
+      owner: owner.user._id,
+      path: `/file-${index}.txt`,
+      content: ''
+    })));
+
+    const added = await request(app)
+      .put('/api/files')
+      .set('Authorization', owner.auth)
+      .send({ path: '/one-too-many.txt', content: '' });
+    const overwritten = await request(app)
+      .put('/api/files')
+      .set('Authorization', owner.auth)
+      .send({ path: '/file-0.txt', content: 'changed' });
+
+    expect(added.status).toBe(400);
+    expect(added.body.code).toBe('FILE_LIMIT_REACHED');
+    expect(overwritten.status).toBe(200);
+    expect(await UserFile.countDocuments({ owner: owner.user._id })).toBe(100);
+  });
+
+  it('deletes a file, and reports one that is not there', async () => {
+    await UserFile.create({ owner: owner.user._id, path: '/notes.txt', content: '' });
+
+    const deleted = await request(app)
+      .delete('/api/files')
+      .query({ path: '/notes.txt' })
+      .set('Authorization', owner.auth);
+    const missing = await request(app)
+      .delete('/api/files')
+      .query({ path: '/notes.txt' })
+      .set('Authorization', owner.auth);
+
+    expect(deleted.status).toBe(200);
+    expect(missing.status).toBe(404);
+    expect(missing.body.code).toBe('FILE_NOT_FOUND');
+  });
+});
@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import CommandHistory from '../models/CommandHistory.js';
+import { clearDatabase, createApp, createUser, startDatabase, stopDatabase } from './testServer.js';
+
+const app = createApp();
+
+describe('/api/history', () => {
+  let owner;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    owner = await createUser();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const append = (entries) => request(app)
+    .post('/api/history')
+    .set('Authorization', owner.auth)
+    .send({ entries });
+
+  it('needs an access token', async () => {
+    const response = await request(app).get('/api/history');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('starts empty and tells the terminal how many entries it keeps', async () => {
+    const response = await request(app).get('/api/history').set('Authorization', owner.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.entries).toEqual([]);
+    expect(response.body.maxEntries).toBe(500);
+  });
+
+  it('merges appends oldest first, keeping each line once at its latest use', async () => {
+    await append([
+      { line: 'ls', timestamp: '2024-01-01T00:00:00.000Z' },
+      { line: 'pwd', timestamp: '2024-01-01T00:01:00.000Z' }
+    ]);
+    const response = await append([
+      { line: 'ls', timestamp: '2024-01-01T00:02:00.000Z' },
+      { line: 'whoami', timestamp: '2024-01-01T00:00:30.000Z' }
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.entries.map(entry => entry.line)).toEqual(['whoami', 'pwd', 'ls']);
+  });
+
+  it('rejects entries without a valid timestamp', async () => {
+    const response = await append([{ line: 'ls', timestamp: 'yesterday' }]);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('entries[0].timestamp');
+  });
+
+  it('tries again when another request changed the history first', async () => {
+    await append([{ line: 'ls', timestamp: '2024-01-01T00:00:00.000Z' }]);
+    const update = CommandHistory.findOneAndUpdate.bind(CommandHistory);
+    jest.spyOn(CommandHistory, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockImplementation(update);
+
+    const response = await append([{ line: 'pwd', timestamp: '2024-01-01T00:01:00.000Z' }]);
+
+    expect(response.status).toBe(200);
+    expect(response.body.entries.map(entry => entry.line)).toEqual(['ls', 'pwd']);
+    expect(CommandHistory.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up with 409 HISTORY_CONFLICT when the history keeps changing', async () => {
+    await append([{ line: 'ls', timestamp: '2024-01-01T00:00:00.000Z' }]);
+    jest.spyOn(CommandHistory, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const response = await append([{ line: 'pwd', timestamp: '2024-01-01T00:01:00.000Z' }]);
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('HISTORY_CONFLICT');
+    expect(CommandHistory.findOneAndUpdate).toHaveBeenCalledTimes(5);
+    jest.restoreAllMocks();
+    const history = await CommandHistory.findOne({ owner: owner.user._id });
+    expect(history.entries.map(entry => entry.line)).toEqual(['ls']);
+  });
+
+  it('clears the history', async () => {
+    await append([{ line: 'ls', timestamp: '2024-01-01T00:00:00.000Z' }]);
+
+    const response = await request(app).delete('/api/history').set('Authorization', owner.auth);
+
+    expect(response.status).toBe(200);
+    expect(await CommandHistory.countDocuments({ owner: owner.user._id })).toBe(0);
+  });
+});
@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import Message from '../models/Message.js';
+import { registerMailTransport } from '../utils/mailTransport.js';
+import { clearDatabase, createApp, createUser, startDatabase, stopDatabase } from './testServer.js';
+
+const app = createApp();
+
+// Keeps mail instead of sending it
+const send = jest.fn(async () => {});
+registerMailTransport({ name: 'test', send });
+
+const contactMessage = {
+  name: 'Ada Lovelace',
+  replyTo: 'Ada@Example.com',
+  subject: 'Hello',
+  body: 'Nice terminal!\nHow did you build it?'
+};
+
+describe('/api/messages', () => {
+  const mailTransport = process.env.MAIL_TRANSPORT;
+
+  beforeAll(async () => {
+    process.env.MAIL_TRANSPORT = 'test';
+    await startDatabase();
+  });
+
+  afterAll(async () => {
+    process.env.MAIL_TRANSPORT = mailTransport;
+    await stopDatabase();
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    send.mockClear();
+  });
+
+  describe('POST /', () => {
+    it('stores and mails a message from a guest, and only tells them it arrived', async () => {
+      const response = await request(app).post('/api/messages').send(contactMessage);
+
+      expect(response.status).toBe(201);
+      expect(Object.keys(response.body.receipt).sort())
+        .toEqual(['createdAt', 'delivered', 'id', 'subject']);
+      expect(response.body.receipt.delivered).toBe(true);
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        replyTo: { name: 'Ada Lovelace', address: 'ada@example.com' },
+        subject: 'Hello'
+      }));
+
+      const message = await Message.findById(response.body.receipt.id);
+      expect(message.sender).toBeNull();
+      expect(message.delivery.transport).toBe('test');
+    });
+
+    it('records the account of a signed-in sender', async () => {
+      const sender = await createUser();
+
+      const response = await request(app)
+        .post('/api/messages')
+        .set('Authorization', sender.auth)
+        .send(contactMessage);
+
+      const message = await Message.findById(response.body.receipt.id);
+      expect(message.sender.toString()).toBe(sender.user._id.toString());
+    });
+
+    it('keeps a message the transport could not take', async () => {
+      send.mockRejectedValueOnce(new Error('SMTP server unreachable'));
+
+      const response = await request(app).post('/api/messages').send(contactMessage);
+
+      expect(response.status).toBe(201);
+      expect(response.body.receipt.delivered).toBe(false);
+      const message = await Message.findById(response.body.receipt.id);
+      expect(message.delivery.error).toBe('SMTP server unreachable');
+    });
+
+    it.each([
+      ['a name that reads as more addresses', { name: 'Ada <evil@example.com>, Bob' }, 'name'],
+      ['a name with a quote', { name: 'Ada "the Countess"' }, 'name'],
+      ['a subject with a line break', { subject: 'Hello\nBcc: evil@example.com' }, 'subject'],
+      ['a body with escape sequences', { body: 'Hi \x1b[2J' }, 'body'],
+      ['an invalid address', { replyTo: 'ada' }, 'replyTo']
+    ])('rejects %s', async (description, change, field) => {
+      const response = await request(app).post('/api/messages').send({ ...contactMessage, ...change });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map(error => error.field)).toContain(field);
+      expect(send).not.toHaveBeenCalled();
+      expect(await Message.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('owner inbox', () => {
+    let admin;
+    let message;
+
+    beforeEach(async () => {
+      admin = await createUser({ role: 'admin' });
+      message = await Message.create({ ...contactMessage });
+    });
+
+    // Every route that reads or changes messages, with a body it would accept
+    const adminRoutes = [
+      ['get', '/'],
+      ['get', '/:id'],
+      ['put', '/:id', { read: true }],
+      ['post', '/:id/reply', { body: 'Thanks!' }],
+      ['delete', '/:id']
+    ];
+
+    const call = (method, route, body) => {
+      const pending = request(app)[method](`/api/messages${route.replace(':id', message._id)}`);
+      return body ? pending.send(body) : pending;
+    };
+
+    it.each(adminRoutes)('%s %s needs an access token', async (method, route, body) => {
+      const response = await call(method, route, body);
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('TOKEN_REQUIRED');
+    });
+
+    it.each(adminRoutes)('%s %s is only for admins', async (method, route, body) => {
+      const user = await createUser();
+
+      const response = await call(method, route, body).set('Authorization', user.auth);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('ADMIN_REQUIRED');
+      const unchanged = await Message.findById(message._id);
+      expect(unchanged.readAt).toBeNull();
+      expect(unchanged.replies).toHaveLength(0);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    it('stops letting an admin in as soon as the role is taken away', async () => {
+      await admin.user.updateOne({ role: 'user' });
+
+      const response = await call('get', '/:id').set('Authorization', admin.auth);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('lists messages with the number still unread', async () => {
+      const response = await call('get', '/').set('Authorization', admin.auth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.unread).toBe(1);
+      expect(response.body.messages[0]).toMatchObject({
+        id: message._id.toString(),
+        name: 'Ada Lovelace',
+        preview: 'Nice terminal! How did you build it?',
+        read: false
+      });
+    });
+
+    it('marks a message read when it is opened', async () => {
+      const response = await call('get', '/:id').set('Authorization', admin.auth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.message.body).toBe(contactMessage.body);
+      expect(response.body.message.read).toBe(true);
+    });
+
+    it('archives a message, taking it out of the inbox', async () => {
+      const archived = await call('put', '/:id', { archived: true }).set('Authorization', admin.auth);
+      const inbox = await call('get', '/').set('Authorization', admin.auth);
+
+      expect(archived.body.message.archived).toBe(true);
+      expect(inbox.body.messages).toHaveLength(0);
+    });
+
+    it('mails a reply to the sender by name and address, and keeps it', async () => {
+      const response = await call('post', '/:id/reply', { body: 'Thanks!' })
+        .set('Authorization', admin.auth);
+
+      expect(response.status).toBe(201);
+      expect(response.body.message.replies).toHaveLength(1);
+      expect(send).toHaveBeenCalledWith(expect.objectContaining({
+        to: { name: 'Ada Lovelace', address: 'ada@example.com' }
+      }));
+    });
+
+    it('does not keep a reply that could not be mailed', async () => {
+      send.mockRejectedValueOnce(new Error('SMTP server unreachable'));
+
+      const response = await call('post', '/:id/reply', { body: 'Thanks!' })
+        .set('Authorization', admin.auth);
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('MAIL_DELIVERY_FAILED');
+      expect((await Message.findById(message._id)).replies).toHaveLength(0);
+    });
+
+    it('deletes a message for good', async () => {
+      const deleted = await call('delete', '/:id').set('Authorization', admin.auth);
+      const missing = await call('get', '/:id').set('Authorization', admin.auth);
+
+      expect(deleted.status).toBe(200);
+      expect(missing.status).toBe(404);
+      expect(missing.body.code).toBe('MESSAGE_NOT_FOUND');
+    });
+
+    it('rejects ids that are not message ids', async () => {
+      const response = await request(app)
+        .get('/api/messages/not-an-id')
+        .set('Authorization', admin.auth);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('id');
+    });
+  });
+});
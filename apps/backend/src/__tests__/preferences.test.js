@@ -0,0 +1,79 @@
+import request from 'supertest';
+import { clearDatabase, createApp, createUser, startDatabase, stopDatabase } from './testServer.js';
+
+const app = createApp();
+
+describe('/api/preferences', () => {
+  let owner;
+
+  beforeAll(startDatabase);
+  afterAll(stopDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    owner = await createUser();
+  });
+
+  const update = (changes) => request(app)
+    .put('/api/preferences')
+    .set('Authorization', owner.auth)
+    .send(changes);
+
+  it('needs an access token', async () => {
+    const response = await request(app).put('/api/preferences').send({ theme: 'dracula' });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('has no preferences until some are saved', async () => {
+    const response = await request(app).get('/api/preferences').set('Authorization', owner.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.body.preferences).toEqual({});
+  });
+
+  it('changes only the preferences sent, and ignores unknown ones', async () => {
+    await update({ prompt: '\\u@\\h:\\w$ ', theme: 'dracula' });
+    const response = await update({ settings: { fontSize: 16 }, role: 'admin' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.preferences).toMatchObject({
+      prompt: '\\u@\\h:\\w$ ',
+      theme: 'dracula',
+      customThemes: null,
+      settings: { fontSize: 16 }
+    });
+    expect(response.body.preferences.role).toBeUndefined();
+  });
+
+  it('resets a preference sent as null', async () => {
+    await update({ theme: 'dracula' });
+    const response = await update({ theme: null });
+
+    expect(response.body.preferences.theme).toBeNull();
+  });
+
+  it('rejects theme names the terminal could not create', async () => {
+    const response = await update({ theme: 'Not A Theme' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].field).toBe('theme');
+  });
+
+  it('rejects custom themes that are not objects of colors', async () => {
+    const response = await update({ customThemes: { mine: ['#000000'] } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0]).toMatchObject({
+      field: 'customThemes',
+      message: "Theme 'mine' must be an object of colors"
+    });
+  });
+
+  it('rejects settings that are not numbers, switches or short strings', async () => {
+    const response = await update({ settings: { fontSize: { size: 16 } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].message).toBe("Invalid value for setting 'fontSize'");
+  });
+});
@@ -0,0 +1,34 @@
+import { readFileSync } from 'fs';
+import request from 'supertest';
+import { createApp, startDatabase, stopDatabase } from './testServer.js';
+
+const app = createApp();
+
+const { version } = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+describe('/api/status', () => {
+  it('answers without an access token, and reports degraded without a database', async () => {
+    const response = await request(app).get('/api/status');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      status: 'degraded',
+      version,
+      database: 'disconnected'
+    });
+    expect(Number.isInteger(response.body.uptime)).toBe(true);
+    expect(Number.isNaN(Date.parse(response.body.timestamp))).toBe(false);
+  });
+
+  describe('with the database up', () => {
+    beforeAll(startDatabase);
+    afterAll(stopDatabase);
+
+    it('reports ok', async () => {
+      const response = await request(app).get('/api/status');
+
+      expect(response.body).toMatchObject({ status: 'ok', database: 'connected' });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Test server for the route tests
+ * Mounts the API routes on an app of their own, without rate limits, and keeps the data in
+ * an in-memory MongoDB
+ */
+import express from 'express';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import fileRoutes from '../routes/files.js';
+import historyRoutes from '../routes/history.js';
+import preferencesRoutes from '../routes/preferences.js';
+import statusRoutes from '../routes/status.js';
+import messageRoutes from '../routes/messages.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import User from '../models/User.js';
+import { generateSecureToken } from '../utils/jwtUtils.js';
+
+// Tokens are signed with this unless the environment has a secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-tests-secret-0123456789abcdef';
+
+let database = null;
+
+/**
+ * Build an app with the API routes, as src/index.js mounts them
+ * @returns {Object} Express app
+ */
+export const createApp = () => {
+  const app = express();
+  app.use(express.json({ limit: '10mb', strict: true, type: 'application/json' }));
+
+  app.use('/api/files', fileRoutes);
+  app.use('/api/history', historyRoutes);
+  app.use('/api/preferences', preferencesRoutes);
+  app.use('/api/status', statusRoutes);
+  app.use('/api/messages', messageRoutes);
+
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ * @returns {Promise<void>}
+ */
+export const startDatabase = async () => {
+  database = await MongoMemoryServer.create();
+  await mongoose.connect(database.getUri());
+};
+
+/**
+ * Disconnect mongoose and stop the in-memory MongoDB
+ * @returns {Promise<void>}
+ */
+export const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (database) {
+    await database.stop();
+    database = null;
+  }
+};
+
+/**
+ * Remove every document, so each test starts from an empty database
+ * @returns {Promise<void>}
+ */
+export const clearDatabase = async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+  );
+};
+
+let userCount = 0;
+
+/**
+ * Create an account and an access token for it, as signing in would
+ * @param {Object} [options]
+ * @param {string} [options.role] - 'user' or 'admin'
+ * @returns {Promise<{user: Object, auth: string}>} The user and its Authorization header
+ */
+export const createUser = async ({ role = 'user' } = {}) => {
+  userCount++;
+  const user = await User.create({
+    username: `user_${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'not-a-password-hash',
+    role
+  });
+  const token = generateSecureToken({
+    userId: user._id,
+    username: user.username,
+    email: user.email
+  });
+
+  return { user, auth: `Bearer ${token}` };
+};
@@ -0,0 +1,119 @@
+import { validationResult } from 'express-validator';
+import UserFile from '../models/UserFile.js';
+import { validationFailed } from '../utils/validation.js';
+
+// Maximum number of files a single account may store
+const MAX_FILES_PER_USER = parseInt(process.env.MAX_FILES_PER_USER) || 100;
+
+// List the current user's files
+export const listFiles = async (req, res) => {
+  try {
+    const files = await UserFile.find({ owner: req.user.userId }).sort({ path: 1 });
+
+    res.json({
+      success: true,
+      files
+    });
+
+  } catch (error) {
+    console.error('List files error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Create or overwrite a file
+export const saveFile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { path, content } = req.body;
+    const owner = req.user.userId;
+
+    const result = await UserFile.findOneAndUpdate(
+      { owner, path },
+      { content },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+    const file = result.value;
+    const exists = result.lastErrorObject.updatedExisting;
+
+    // Counted once the new file is in, so saves made side by side cannot both slip under the
+    // limit; a file that takes the account over it is taken out again
+    if (!exists && await UserFile.countDocuments({ owner }) > MAX_FILES_PER_USER) {
+      await UserFile.deleteOne({ _id: file._id });
+      return res.status(400).json({
+        success: false,
+        message: `File limit reached (${MAX_FILES_PER_USER} files). Remove some files first.`,
+        code: 'FILE_LIMIT_REACHED'
+      });
+    }
+
+    res.status(exists ? 200 : 201).json({
+      success: true,
+      file
+    });
+
+  } catch (error) {
+    console.error('Save file error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => ({
+        field: e.path,
+        message: e.message,
+        value: e.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Delete a file
+export const deleteFile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const result = await UserFile.deleteOne({ owner: req.user.userId, path: req.query.path });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'File deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -0,0 +1,139 @@
+import { validationResult } from 'express-validator';
+import CommandHistory from '../models/CommandHistory.js';
+import { validationFailed } from '../utils/validation.js';
+
+// Maximum number of history entries kept for a single account; sent with the history so
+// the terminal keeps as many
+const MAX_HISTORY_ENTRIES = parseInt(process.env.MAX_HISTORY_ENTRIES) || 500;
+
+// Merge entries from several devices: oldest first, each line kept once at its latest use
+const mergeEntries = (existing, incoming) => {
+  const latest = new Map();
+  [...existing, ...incoming]
+    .map(entry => ({ line: entry.line, timestamp: new Date(entry.timestamp) }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(entry => {
+      latest.delete(entry.line);
+      latest.set(entry.line, entry);
+    });
+
+  return [...latest.values()].slice(-MAX_HISTORY_ENTRIES);
+};
+
+// Times an append reads the history again after another request changed it first
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Merge entries into a user's history, unless another request changes it in between;
+// resolves to the saved history, or null if it changed (or appeared) under us
+const mergeIntoHistory = async (owner, incoming) => {
+  const history = await CommandHistory.findOne({ owner });
+  if (!history) {
+    try {
+      return await CommandHistory.create({ owner, entries: mergeEntries([], incoming) });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  return CommandHistory.findOneAndUpdate(
+    { _id: history._id, __v: history.__v },
+    { $set: { entries: mergeEntries(history.entries, incoming) }, $inc: { __v: 1 } },
+    { new: true, runValidators: true }
+  );
+};
+
+// Get the current user's history
+export const getHistory = async (req, res) => {
+  try {
+    const history = await CommandHistory.findOne({ owner: req.user.userId });
+
+    res.json({
+      success: true,
+      entries: history ? history.toJSON().entries : [],
+      maxEntries: MAX_HISTORY_ENTRIES
+    });
+
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Merge new entries into the user's history
+export const appendHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    // Every command line is appended as it runs, from every pane and device, so appends
+    // overlap; each one merges into the history it read and tries again if that changed
+    let history = null;
+    for (let attempt = 0; !history && attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      history = await mergeIntoHistory(req.user.userId, req.body.entries);
+    }
+    if (!history) {
+      return res.status(409).json({
+        success: false,
+        message: 'History changed too often to append to; try again',
+        code: 'HISTORY_CONFLICT'
+      });
+    }
+
+    res.json({
+      success: true,
+      entries: history.toJSON().entries,
+      maxEntries: MAX_HISTORY_ENTRIES
+    });
+
+  } catch (error) {
+    console.error('Append history error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => ({
+        field: e.path,
+        message: e.message,
+        value: e.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Delete the user's history
+export const clearHistory = async (req, res) => {
+  try {
+    await CommandHistory.deleteOne({ owner: req.user.userId });
+
+    res.json({
+      success: true,
+      message: 'History cleared'
+    });
+
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -0,0 +1,284 @@
+import { validationResult } from 'express-validator';
+import Message from '../models/Message.js';
+import { deliverMessage, deliverReply } from '../utils/mailTransport.js';
+import { validationFailed } from '../utils/validation.js';
+
+// Messages per inbox page, unless the request asks for another size
+const DEFAULT_PAGE_SIZE = 10;
+
+// Which messages each inbox folder holds; messages from before the inbox have no flags
+const FOLDERS = {
+  inbox: { archived: { $ne: true } },
+  unread: { archived: { $ne: true }, readAt: null },
+  archived: { archived: true },
+  all: {}
+};
+
+// Fields the inbox search looks through
+const SEARCH_FIELDS = ['name', 'replyTo', 'subject', 'body'];
+
+// Longest start of the body shown in inbox listings
+const PREVIEW_LENGTH = 100;
+
+// Reply for internal errors, after logging them
+const serverError = (res, label, error) => {
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    code: 'SERVER_ERROR'
+  });
+};
+
+// Reply for ids that match no message
+const messageNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Message not found',
+    code: 'MESSAGE_NOT_FOUND'
+  });
+};
+
+// Make text match itself in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// What inbox listings show of a message
+const toSummary = (message) => ({
+  id: message._id,
+  name: message.name,
+  replyTo: message.replyTo,
+  subject: message.subject,
+  preview: message.body.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH),
+  read: Boolean(message.readAt),
+  archived: Boolean(message.archived),
+  replied: message.replies.length > 0,
+  createdAt: message.createdAt
+});
+
+// Everything about a message, for reading it
+const toDetails = (message) => ({
+  ...toSummary(message),
+  body: message.body,
+  readAt: message.readAt,
+  delivered: Boolean(message.delivery && message.delivery.deliveredAt),
+  replies: message.replies.map(reply => ({ body: reply.body, sentAt: reply.sentAt }))
+});
+
+// Store a message for the site owner and pass it on to the mail transport
+export const createMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const { name, replyTo, subject, body } = req.body;
+    const message = await Message.create({
+      name,
+      replyTo,
+      subject,
+      body,
+      sender: req.user ? req.user.userId : null
+    });
+
+    // The message is kept even if it cannot be mailed, so it is never lost
+    try {
+      message.delivery.transport = await deliverMessage(message);
+      message.delivery.deliveredAt = new Date();
+    } catch (error) {
+      console.error('Message delivery error:', error);
+      message.delivery.error = error.message;
+    }
+    await message.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      receipt: message
+    });
+
+  } catch (error) {
+    console.error('Create message error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => ({
+        field: e.path,
+        message: e.message,
+        value: e.value
+      }));
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// List a page of messages, newest first, with the number of unread ones
+export const listMessages = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+    const filter = { ...FOLDERS[req.query.folder || 'inbox'] };
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegExp(req.query.q), 'i');
+      filter.$or = SEARCH_FIELDS.map(field => ({ [field]: pattern }));
+    }
+
+    const [messages, total, unread] = await Promise.all([
+      Message.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Message.countDocuments(filter),
+      Message.countDocuments(FOLDERS.unread)
+    ]);
+
+    res.json({
+      success: true,
+      messages: messages.map(toSummary),
+      unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.max(1, Math.ceil(total / limit))
+      }
+    });
+
+  } catch (error) {
+    serverError(res, 'List messages', error);
+  }
+};
+
+// Get a message; reading it marks it read
+export const getMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message) {
+      return messageNotFound(res);
+    }
+    if (!message.readAt) {
+      message.readAt = new Date();
+      await message.save();
+    }
+
+    res.json({
+      success: true,
+      message: toDetails(message)
+    });
+
+  } catch (error) {
+    serverError(res, 'Get message', error);
+  }
+};
+
+// Mark a message read or unread, or move it in or out of the archive
+export const updateMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message) {
+      return messageNotFound(res);
+    }
+
+    const { read, archived } = req.body;
+    if (read !== undefined) {
+      message.readAt = read ? message.readAt || new Date() : null;
+    }
+    if (archived !== undefined) {
+      message.archived = archived;
+    }
+    await message.save();
+
+    res.json({
+      success: true,
+      message: toDetails(message)
+    });
+
+  } catch (error) {
+    serverError(res, 'Update message', error);
+  }
+};
+
+// Mail a reply to whoever wrote a message, and keep it with the message
+export const replyToMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const message = await Message.findById(req.params.id);
+    if (!message) {
+      return messageNotFound(res);
+    }
+
+    // Unlike incoming messages, a reply that cannot be mailed is not kept: it never left
+    try {
+      await deliverReply(message, req.body.body);
+    } catch (error) {
+      console.error('Reply delivery error:', error);
+      return res.status(503).json({
+        success: false,
+        message: 'The reply could not be mailed',
+        code: 'MAIL_DELIVERY_FAILED'
+      });
+    }
+
+    message.replies.push({ body: req.body.body });
+    if (!message.readAt) {
+      message.readAt = new Date();
+    }
+    await message.save();
+
+    res.status(201).json({
+      success: true,
+      message: toDetails(message)
+    });
+
+  } catch (error) {
+    serverError(res, 'Reply to message', error);
+  }
+};
+
+// Delete a message for good
+export const deleteMessage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const message = await Message.findByIdAndDelete(req.params.id);
+    if (!message) {
+      return messageNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Message deleted'
+    });
+
+  } catch (error) {
+    serverError(res, 'Delete message', error);
+  }
+};
@@ -0,0 +1,78 @@
+import { validationResult } from 'express-validator';
+import UserPreferences from '../models/UserPreferences.js';
+import { validationFailed } from '../utils/validation.js';
+
+// Preferences a client may change; anything else in the body is ignored
+const PREFERENCE_FIELDS = ['prompt', 'theme', 'customThemes', 'settings'];
+
+// Get the current user's preferences
+export const getPreferences = async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findOne({ owner: req.user.userId });
+
+    res.json({
+      success: true,
+      preferences: preferences ? preferences.toJSON() : {}
+    });
+
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
+
+// Change some of the user's preferences; null resets a preference to its default
+export const updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationFailed(res, errors);
+    }
+
+    const changes = {};
+    PREFERENCE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => {
+        changes[field] = req.body[field];
+      });
+
+    // One atomic upsert, so two first saves at once don't both try to create the document
+    const preferences = await UserPreferences.findOneAndUpdate(
+      { owner: req.user.userId },
+      { $set: changes },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      preferences: preferences.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => ({
+        field: e.path,
+        message: e.message,
+        value: e.value
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -0,0 +1,24 @@
+import { readFileSync } from 'fs';
+import mongoose from 'mongoose';
+
+// Version of the API, as published in package.json
+const { version: API_VERSION } = JSON.parse(
+  readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+);
+
+// Mongoose connection states, by readyState
+const DATABASE_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Report whether the API and its database are up, for monitoring and the terminal's `neofetch`
+export const getStatus = (req, res) => {
+  const database = DATABASE_STATES[mongoose.connection.readyState] || 'unknown';
+
+  res.json({
+    success: true,
+    status: database === 'connected' ? 'ok' : 'degraded',
+    version: API_VERSION,
+    uptime: Math.floor(process.uptime()),
+    database,
+    timestamp: new Date().toISOString()
+  });
+};
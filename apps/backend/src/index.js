@@ -5,6 +5,11 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import { connectDB } from './config/database.js';
 import authRoutes from './routes/auth.js';
+import fileRoutes from './routes/files.js';
+import historyRoutes from './routes/history.js';
+import preferencesRoutes from './routes/preferences.js';
+import statusRoutes from './routes/status.js';
+import messageRoutes from './routes/messages.js';
 import { errorHandler } from './middleware/errorHandler.js';
 
 // Load environment variables
@@ -82,8 +87,24 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true, // Don't count successful requests
 });
 
+// Contact messages end up in the owner's mailbox, so each IP may only send a few
+const messageLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX) || 5, // limit each IP to 5 messages per hour
+  message: {
+    success: false,
+    message: 'Too many messages sent, please try again later.',
+    code: 'MESSAGE_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipFailedRequests: true, // Don't count messages that were rejected
+  skip: (req) => req.method !== 'POST' || req.path !== '/', // Only sending is limited, not the inbox
+});
+
 app.use('/api/', generalLimiter);
 app.use('/api/auth/', authLimiter);
+app.use('/api/messages', messageLimiter);
 
 // Body parsing middleware with security limits
 app.use(express.json({ 
@@ -111,6 +132,11 @@ connectDB();
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/preferences', preferencesRoutes);
+app.use('/api/status', statusRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
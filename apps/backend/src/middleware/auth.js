@@ -4,6 +4,7 @@ import {
   extractTokenFromHeader, 
   isTokenBlacklisted 
 } from '../utils/jwtUtils.js';
+import User from '../models/User.js';
 
 export const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -55,4 +56,47 @@ export const authenticateToken = (req, res, next) => {
       });
     }
   }
-};
\ No newline at end of file
+};
+
+// Attach the user when a valid access token is sent, but let guests through too
+export const optionalAuthentication = (req, res, next) => {
+  const token = extractTokenFromHeader(req.headers['authorization']);
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = verifySecureToken(token, {
+      requireTokenType: 'access'
+    });
+    if (!isTokenBlacklisted(decoded.jti)) {
+      req.user = decoded;
+    }
+  } catch (error) {
+    // An expired or invalid token is treated like no token
+  }
+  next();
+};
+
+// Only let admins through; use after authenticateToken. The role is read from the
+// database so taking it away works at once, without waiting for tokens to expire
+export const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required',
+        code: 'ADMIN_REQUIRED'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      code: 'SERVER_ERROR'
+    });
+  }
+};
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const historyEntrySchema = new mongoose.Schema({
+  line: {
+    type: String,
+    required: [true, 'Command line is required'],
+    maxlength: [4096, 'Command line must be less than 4096 characters']
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required']
+  }
+}, { _id: false });
+
+const commandHistorySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'History owner is required'],
+    unique: true
+  },
+  entries: {
+    type: [historyEntrySchema],
+    default: []
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: {
+    transform: function(doc, ret) {
+      // Only expose what the terminal needs
+      return {
+        entries: ret.entries,
+        updatedAt: ret.updatedAt
+      };
+    }
+  }
+});
+
+const CommandHistory = mongoose.model('CommandHistory', commandHistorySchema);
+
+export default CommandHistory;
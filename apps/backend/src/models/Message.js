@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  replyTo: {
+    type: String,
+    required: [true, 'Reply-to address is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Reply-to address must be less than 254 characters'],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [150, 'Subject must be less than 150 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message must be less than 5000 characters']
+  },
+  // Account the message was sent from, if the sender was signed in
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  delivery: {
+    transport: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+    error: { type: String, default: null }
+  },
+  // Inbox state, for the owner
+  readAt: {
+    type: Date,
+    default: null
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  replies: [{
+    body: {
+      type: String,
+      required: [true, 'Reply is required'],
+      maxlength: [5000, 'Reply must be less than 5000 characters']
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: {
+    transform: function(doc, ret) {
+      // Senders only learn that the message arrived
+      return {
+        id: ret._id,
+        subject: ret.subject,
+        delivered: Boolean(ret.delivery && ret.delivery.deliveredAt),
+        createdAt: ret.createdAt
+      };
+    }
+  }
+});
+
+messageSchema.index({ createdAt: -1 });
+messageSchema.index({ archived: 1, readAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -25,6 +25,12 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Admins read the contact messages; set with `npm run set-role`
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const userFileSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'File owner is required']
+  },
+  path: {
+    type: String,
+    required: [true, 'File path is required'],
+    maxlength: [512, 'File path must be less than 512 characters'],
+    match: [/^\/[^\0]*[^/]$/, 'File path must be absolute and must not end with a slash'],
+    trim: true
+  },
+  content: {
+    type: String,
+    default: '',
+    maxlength: [65536, 'File content must be less than 64KB']
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: {
+    transform: function(doc, ret) {
+      // Only expose what the terminal needs
+      return {
+        path: ret.path,
+        content: ret.content,
+        updatedAt: ret.updatedAt
+      };
+    }
+  }
+});
+
+// One file per path for each user
+userFileSchema.index({ owner: 1, path: 1 }, { unique: true });
+
+const UserFile = mongoose.model('UserFile', userFileSchema);
+
+export default UserFile;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const userPreferencesSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Preferences owner is required'],
+    unique: true
+  },
+  // PS1-style prompt template; null uses the terminal's default prompt
+  prompt: {
+    type: String,
+    default: null,
+    maxlength: [1024, 'Prompt template must be less than 1024 characters']
+  },
+  // Name of the terminal theme; null uses the default theme
+  theme: {
+    type: String,
+    default: null,
+    maxlength: [32, 'Theme name must be less than 32 characters']
+  },
+  // The user's own themes: { name: { background, foreground, ... } }
+  customThemes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Terminal settings changed from their defaults: { fontSize: 16, cursorStyle: 'bar', ... }
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: {
+    transform: function(doc, ret) {
+      // Only expose the preferences themselves
+      return {
+        prompt: ret.prompt,
+        theme: ret.theme,
+        customThemes: ret.customThemes,
+        settings: ret.settings,
+        updatedAt: ret.updatedAt
+      };
+    }
+  }
+});
+
+const UserPreferences = mongoose.model('UserPreferences', userPreferencesSchema);
+
+export default UserPreferences;
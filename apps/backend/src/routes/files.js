@@ -0,0 +1,40 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { listFiles, saveFile, deleteFile } from '../controllers/fileController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Absolute path, no trailing slash, no NUL bytes
+const FILE_PATH_PATTERN = /^\/[^\0]*[^/]$/;
+
+// Validation rules
+const saveFileValidation = [
+  body('path')
+    .isString()
+    .isLength({ min: 2, max: 512 })
+    .matches(FILE_PATH_PATTERN)
+    .withMessage('Path must be an absolute file path of at most 512 characters'),
+  body('content')
+    .isString()
+    .withMessage('Content must be a string')
+    .isLength({ max: 65536 })
+    .withMessage('Content must be less than 64KB')
+];
+
+const deleteFileValidation = [
+  query('path')
+    .isString()
+    .matches(FILE_PATH_PATTERN)
+    .withMessage('Path must be an absolute file path')
+];
+
+// All file routes belong to the signed-in user
+router.use(authenticateToken);
+
+// Routes
+router.get('/', listFiles);
+router.put('/', saveFileValidation, saveFile);
+router.delete('/', deleteFileValidation, deleteFile);
+
+export default router;
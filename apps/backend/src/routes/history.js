@@ -0,0 +1,30 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { getHistory, appendHistory, clearHistory } from '../controllers/historyController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation rules
+const appendHistoryValidation = [
+  body('entries')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Entries must be an array of 1 to 100 history entries'),
+  body('entries.*.line')
+    .isString()
+    .isLength({ min: 1, max: 4096 })
+    .withMessage('Each line must be a non-empty string of at most 4096 characters'),
+  body('entries.*.timestamp')
+    .isISO8601()
+    .withMessage('Each timestamp must be an ISO 8601 date')
+];
+
+// History belongs to the signed-in user
+router.use(authenticateToken);
+
+// Routes
+router.get('/', getHistory);
+router.post('/', appendHistoryValidation, appendHistory);
+router.delete('/', clearHistory);
+
+export default router;
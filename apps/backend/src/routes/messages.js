@@ -0,0 +1,117 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createMessage,
+  listMessages,
+  getMessage,
+  updateMessage,
+  replyToMessage,
+  deleteMessage
+} from '../controllers/messageController.js';
+import { authenticateToken, optionalAuthentication, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Control characters would end up in mail headers and in the owner's terminal; message
+// bodies may still hold line breaks and tabs
+const CONTROL_CHARACTERS = /[\x00-\x1f\x7f-\x9f]/;
+const BODY_CONTROL_CHARACTERS = /[\x00-\x08\x0b-\x1f\x7f-\x9f]/;
+// Characters that would make a name read as more than one address
+const ADDRESS_CHARACTERS = /[,<>"]/;
+
+// Validation rules
+const createMessageValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be 1-100 characters')
+    .not().matches(CONTROL_CHARACTERS)
+    .withMessage('Name must not contain control characters')
+    .not().matches(ADDRESS_CHARACTERS)
+    .withMessage('Name must not contain , < > or "'),
+  body('replyTo')
+    .isString()
+    .trim()
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .isLength({ max: 254 })
+    .withMessage('Email address must be at most 254 characters'),
+  body('subject')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Subject must be 1-150 characters')
+    .not().matches(CONTROL_CHARACTERS)
+    .withMessage('Subject must not contain control characters'),
+  body('body')
+    .isString()
+    .custom(value => value.trim().length > 0)
+    .withMessage('Message is required')
+    .isLength({ max: 5000 })
+    .withMessage('Message must be at most 5000 characters')
+    .not().matches(BODY_CONTROL_CHARACTERS)
+    .withMessage('Message must not contain control characters other than line breaks and tabs')
+];
+
+const listMessagesValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive whole number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('folder')
+    .optional()
+    .isIn(['inbox', 'unread', 'archived', 'all'])
+    .withMessage('Folder must be inbox, unread, archived or all'),
+  query('q')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters')
+];
+
+const messageIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid message id')
+];
+
+const updateMessageValidation = [
+  ...messageIdValidation,
+  body('read')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Read must be true or false'),
+  body('archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Archived must be true or false')
+];
+
+const replyValidation = [
+  ...messageIdValidation,
+  body('body')
+    .isString()
+    .custom(value => value.trim().length > 0)
+    .withMessage('Reply is required')
+    .isLength({ max: 5000 })
+    .withMessage('Reply must be at most 5000 characters')
+    .not().matches(BODY_CONTROL_CHARACTERS)
+    .withMessage('Reply must not contain control characters other than line breaks and tabs')
+];
+
+// Anyone may write; signed-in senders are recorded with their message
+router.post('/', optionalAuthentication, createMessageValidation, createMessage);
+
+// Only admins read, answer and tidy up the messages
+router.get('/', authenticateToken, requireAdmin, listMessagesValidation, listMessages);
+router.get('/:id', authenticateToken, requireAdmin, messageIdValidation, getMessage);
+router.put('/:id', authenticateToken, requireAdmin, updateMessageValidation, updateMessage);
+router.post('/:id/reply', authenticateToken, requireAdmin, replyValidation, replyToMessage);
+router.delete('/:id', authenticateToken, requireAdmin, messageIdValidation, deleteMessage);
+
+export default router;
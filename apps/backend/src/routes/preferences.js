@@ -0,0 +1,95 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { getPreferences, updatePreferences } from '../controllers/preferencesController.js';
+import { authenticateToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Theme names: lowercase letters, digits, '-' and '_', as the terminal creates them
+const THEME_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_CUSTOM_THEMES = 20;
+// A palette has about 20 colors; each is a CSS color such as #rrggbb or rgba(...)
+const MAX_THEME_COLORS = 32;
+const MAX_COLOR_LENGTH = 64;
+
+// Check the shape of the custom themes object; the terminal checks the colors themselves
+const validateCustomThemes = (customThemes) => {
+  if (!customThemes || typeof customThemes !== 'object' || Array.isArray(customThemes)) {
+    throw new Error('Custom themes must be an object');
+  }
+
+  const entries = Object.entries(customThemes);
+  if (entries.length > MAX_CUSTOM_THEMES) {
+    throw new Error(`At most ${MAX_CUSTOM_THEMES} custom themes are allowed`);
+  }
+  for (const [name, colors] of entries) {
+    if (!THEME_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid theme name '${name}'`);
+    }
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+      throw new Error(`Theme '${name}' must be an object of colors`);
+    }
+    const values = Object.values(colors);
+    if (values.length > MAX_THEME_COLORS ||
+        values.some(value => typeof value !== 'string' || value.length > MAX_COLOR_LENGTH)) {
+      throw new Error(`Theme '${name}' has invalid colors`);
+    }
+  }
+  return true;
+};
+
+// Settings are a handful of numbers, switches and short strings (the font list)
+const MAX_SETTINGS = 16;
+const MAX_SETTING_LENGTH = 200;
+
+// Check the shape of the settings object; the terminal checks each value's range
+const validateSettings = (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Settings must be an object');
+  }
+
+  const entries = Object.entries(settings);
+  if (entries.length > MAX_SETTINGS) {
+    throw new Error(`At most ${MAX_SETTINGS} settings are allowed`);
+  }
+  for (const [name, value] of entries) {
+    const valid = typeof value === 'boolean' ||
+      (typeof value === 'number' && Number.isFinite(value)) ||
+      (typeof value === 'string' && value.length <= MAX_SETTING_LENGTH);
+    if (!valid) {
+      throw new Error(`Invalid value for setting '${name}'`);
+    }
+  }
+  return true;
+};
+
+// Validation rules
+const updatePreferencesValidation = [
+  body('prompt')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Prompt must be a string')
+    .isLength({ max: 1024 })
+    .withMessage('Prompt must be at most 1024 characters long'),
+  body('theme')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Theme must be a string')
+    .matches(THEME_NAME_PATTERN)
+    .withMessage('Theme name must be up to 32 lowercase letters, digits, dashes or underscores'),
+  body('customThemes')
+    .optional({ values: 'null' })
+    .custom(validateCustomThemes),
+  body('settings')
+    .optional({ values: 'null' })
+    .custom(validateSettings)
+];
+
+// Preferences belong to the signed-in user
+router.use(authenticateToken);
+
+// Routes
+router.get('/', getPreferences);
+router.put('/', updatePreferencesValidation, updatePreferences);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getStatus } from '../controllers/statusController.js';
+
+const router = express.Router();
+
+// Routes
+router.get('/', getStatus);
+
+export default router;
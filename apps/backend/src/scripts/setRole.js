@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+// Give an account a role: npm run set-role -- <username|email> <admin|user>
+dotenv.config();
+
+const ROLES = User.schema.path('role').enumValues;
+
+const [account, role] = process.argv.slice(2);
+if (!account || !ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <username|email> <${ROLES.join('|')}>`);
+  process.exit(2);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/antec-terminal', {
+    serverSelectionTimeoutMS: 10000
+  });
+  const user = await User.findOneAndUpdate(
+    { $or: [{ username: account }, { email: account.toLowerCase() }] },
+    { role },
+    { new: true }
+  );
+  if (!user) {
+    console.error(`❌ No account named ${account}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✔ ${user.username} is now ${role === 'admin' ? 'an admin' : 'a user'}`);
+  }
+} catch (error) {
+  console.error('❌ Could not set the role:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
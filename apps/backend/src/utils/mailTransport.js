@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Mail transports hand contact messages to the site owner, and the owner's replies to
+ * the people who wrote.
+ * MAIL_TRANSPORT picks one:
+ * - smtp: send through the SMTP server in SMTP_URL
+ * - file: write each message as an .eml file to MAIL_FILE_DIR, for development
+ * - console: print each message to the server log, for development
+ */
+
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+
+/**
+ * Write an address for a mail header
+ * Visitors choose their names, so a name is always quoted: unquoted, a name such as
+ * `x <evil@example.com>, y` would read as more addresses.
+ * @param {string|{name: string, address: string}|undefined} address - Address as nodemailer
+ *   takes it
+ * @returns {string} e.g. '"Ada Lovelace" <ada@example.com>'
+ */
+const formatAddress = (address) => {
+  if (!address || typeof address === 'string') return address || '';
+  return `"${address.name.replace(/["\\]/g, '\\$&')}" <${address.address}>`;
+};
+
+/**
+ * Build the email for a stored message
+ * @param {Object} message - Message document
+ * @returns {Object} Mail with from, to, replyTo, subject and text; replyTo is the sender as
+ *   { name, address }
+ */
+export const buildMail = (message) => ({
+  from: process.env.MAIL_FROM || 'ANTEC Terminal <no-reply@localhost>',
+  to: process.env.MAIL_TO,
+  replyTo: { name: message.name, address: message.replyTo },
+  subject: `[antec] ${message.subject}`,
+  text: [
+    `From: ${message.name} <${message.replyTo}>`,
+    `Sent: ${message.createdAt.toISOString()}`,
+    '',
+    message.body
+  ].join('\n')
+});
+
+/**
+ * Build the email answering a stored message
+ * @param {Object} message - Message document
+ * @param {string} body - Text of the reply
+ * @returns {Object} Mail with from, to, replyTo, subject and text; to is the sender as
+ *   { name, address }
+ */
+export const buildReplyMail = (message, body) => ({
+  from: process.env.MAIL_FROM || 'ANTEC Terminal <no-reply@localhost>',
+  to: { name: message.name, address: message.replyTo },
+  replyTo: process.env.MAIL_TO,
+  subject: /^re:/i.test(message.subject) ? message.subject : `Re: ${message.subject}`,
+  text: [
+    body,
+    '',
+    `On ${message.createdAt.toISOString()}, ${message.name} wrote:`,
+    ...message.body.split('\n').map(line => `> ${line}`)
+  ].join('\n')
+});
+
+// Print mail to the server log
+const consoleTransport = {
+  name: 'console',
+  send: async (mail) => {
+    console.log(`📧 Mail to ${formatAddress(mail.to) || '(MAIL_TO not set)'}\nReply-To: ${formatAddress(mail.replyTo)}\nSubject: ${mail.subject}\n\n${mail.text}\n`);
+  }
+};
+
+// Write mail to a directory as .eml files
+const fileTransport = {
+  name: 'file',
+  send: async (mail) => {
+    const directory = process.env.MAIL_FILE_DIR || 'mail';
+    await fs.mkdir(directory, { recursive: true });
+    // Named by time so the files sort in order; the random part keeps mail written in the
+    // same millisecond apart
+    const time = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(directory, `${time}-${crypto.randomUUID()}.eml`);
+    const headers = [
+      `From: ${formatAddress(mail.from)}`,
+      `To: ${formatAddress(mail.to)}`,
+      `Reply-To: ${formatAddress(mail.replyTo)}`,
+      `Subject: ${mail.subject}`,
+      'Content-Type: text/plain; charset=utf-8'
+    ];
+    const text = `${headers.join('\r\n')}\r\n\r\n${mail.text.replace(/\r?\n/g, '\r\n')}\r\n`;
+    // Never write over mail that is already there
+    await fs.writeFile(file, text, { flag: 'wx' });
+  }
+};
+
+// Send mail through an SMTP server; nodemailer is only loaded when it is used
+let smtpClient = null;
+const smtpTransport = {
+  name: 'smtp',
+  send: async (mail) => {
+    if (!process.env.SMTP_URL || !mail.to) {
+      throw new Error('SMTP_URL and MAIL_TO must be set to send mail');
+    }
+    if (!smtpClient) {
+      const { default: nodemailer } = await import('nodemailer');
+      smtpClient = nodemailer.createTransport(process.env.SMTP_URL);
+    }
+    await smtpClient.sendMail(mail);
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+/**
+ * Add a transport, or replace one, under its name
+ * @param {{name: string, send: Function}} transport - Transport whose send(mail) resolves
+ *   once the mail is handed over
+ */
+export const registerMailTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+/**
+ * Get the transport chosen with MAIL_TRANSPORT
+ * @returns {{name: string, send: Function}} Transport
+ * @throws {Error} If MAIL_TRANSPORT names no transport
+ */
+export const getMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Send a stored message to the site owner
+ * @param {Object} message - Message document
+ * @returns {Promise<string>} Name of the transport that took it
+ */
+export const deliverMessage = async (message) => {
+  const transport = getMailTransport();
+  await transport.send(buildMail(message));
+  return transport.name;
+};
+
+/**
+ * Send the owner's reply to whoever wrote a message
+ * @param {Object} message - Message document
+ * @param {string} body - Text of the reply
+ * @returns {Promise<string>} Name of the transport that took it
+ */
+export const deliverReply = async (message, body) => {
+  const transport = getMailTransport();
+  await transport.send(buildReplyMail(message, body));
+  return transport.name;
+};
@@ -0,0 +1,23 @@
+/**
+ * Request validation helpers
+ * Shared by the controllers that check their input with express-validator
+ */
+
+/**
+ * Reply to a request express-validator rejected, listing what was wrong with it the way the
+ * auth controllers do
+ * @param {Object} res - Express response
+ * @param {Object} errors - Result of validationResult(req)
+ * @returns {Object} The response, sent with status 400
+ */
+export const validationFailed = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array().map(error => ({
+      field: error.path || error.param,
+      message: error.msg,
+      value: error.value
+    }))
+  });
+};
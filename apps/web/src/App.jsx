@@ -1,6 +1,6 @@
 import { useState } from 'react'
 import BootSequence from './components/BootSequence'
-import TerminalPortfolio from './components/TerminalPortfolio'
+import TerminalWorkspace from './components/TerminalWorkspace'
 import { AuthProvider } from './contexts/AuthContext'
 import './App.css'
 
@@ -29,7 +29,7 @@ function App() {
           <BootSequence onComplete={handleBootComplete} />
         )}
         {bootState === BootState.PORTFOLIO && (
-          <TerminalPortfolio />
+          <TerminalWorkspace />
         )}
       </div>
     </AuthProvider>
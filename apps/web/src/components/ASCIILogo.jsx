@@ -1,12 +1,8 @@
 import { useState, useEffect } from 'react'
+import { ANTEC_LOGO } from '../utils/logo'
 
 const ASCII_LOGO = `
- █████╗ ███╗   ██╗████████╗███████╗ ██████╗
-██╔══██╗████╗  ██║╚══██╔══╝██╔════╝██╔════╝
-███████║██╔██╗ ██║   ██║   █████╗  ██║     
-██╔══██║██║╚██╗██║   ██║   ██╔══╝  ██║     
-██║  ██║██║ ╚████║   ██║   ███████╗╚██████╗
-╚═╝  ╚═╝╚═╝  ╚═══╝   ╚═╝   ╚══════╝ ╚═════╝`
+${ANTEC_LOGO}`
 
 function ASCIILogo({ visible, animationDelay = 0 }) {
   const [show, setShow] = useState(false)
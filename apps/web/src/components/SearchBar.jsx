@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react'
+
+/**
+ * Describe where the active match is, e.g. "3 of 12"
+ * @param {Object} state - TerminalSearch state
+ * @returns {string} Match count text
+ */
+const formatMatchCount = ({ query, resultIndex, resultCount, limitReached, error }) => {
+  if (error) return error
+  if (!query) return ''
+  if (resultCount === 0) return 'No results'
+  if (limitReached) return `${resultCount}+ matches`
+  return resultIndex === -1 ? `${resultCount} matches` : `${resultIndex + 1} of ${resultCount}`
+}
+
+/**
+ * Search bar over the terminal (Ctrl+Shift+F)
+ * Typing searches as you go. Enter goes to the match above, Shift+Enter to the one below,
+ * Alt+C and Alt+R toggle case sensitivity and regular expressions, Escape closes the bar.
+ * @param {Object} props
+ * @param {Object} props.search - TerminalSearch instance
+ * @param {number} props.focusRequest - Changes whenever the bar should take the focus
+ * @param {Function} props.onClose - Called when the bar is closed
+ */
+function SearchBar({ search, focusRequest, onClose }) {
+  const inputRef = useRef(null)
+  const [state, setState] = useState(() => search.getState())
+
+  useEffect(() => {
+    search.addChangeListener(setState)
+    setState(search.getState())
+    return () => search.removeChangeListener(setState)
+  }, [search])
+
+  useEffect(() => {
+    inputRef.current.focus()
+    inputRef.current.select()
+  }, [focusRequest])
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault()
+      onClose()
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      if (event.shiftKey) {
+        search.findNext()
+      } else {
+        search.findPrevious()
+      }
+    } else if (event.altKey && event.code === 'KeyC') {
+      event.preventDefault()
+      search.setOptions({ caseSensitive: !state.caseSensitive })
+    } else if (event.altKey && event.code === 'KeyR') {
+      event.preventDefault()
+      search.setOptions({ regex: !state.regex })
+    }
+  }
+
+  const count = formatMatchCount(state)
+  // Buttons leave the focus in the input, so typing and Enter keep working after a click
+  const keepFocus = (event) => event.preventDefault()
+
+  return (
+    <div className="search-bar" role="search">
+      <input
+        ref={inputRef}
+        className={`search-input${state.error || (state.query && state.resultCount === 0) ? ' search-input-failed' : ''}`}
+        type="text"
+        value={state.query}
+        placeholder="Find"
+        aria-label="Find in terminal"
+        spellCheck={false}
+        onChange={(event) => search.setQuery(event.target.value)}
+        onKeyDown={handleKeyDown}
+      />
+      <span className="search-count" aria-live="polite">{count}</span>
+      <button
+        type="button"
+        onMouseDown={keepFocus}
+        className={`search-toggle${state.caseSensitive ? ' search-toggle-on' : ''}`}
+        title="Match case (Alt+C)"
+        aria-pressed={state.caseSensitive}
+        onClick={() => search.setOptions({ caseSensitive: !state.caseSensitive })}
+      >Aa</button>
+      <button
+        type="button"
+        onMouseDown={keepFocus}
+        className={`search-toggle${state.regex ? ' search-toggle-on' : ''}`}
+        title="Use regular expression (Alt+R)"
+        aria-pressed={state.regex}
+        onClick={() => search.setOptions({ regex: !state.regex })}
+      >.*</button>
+      <button type="button" onMouseDown={keepFocus} className="search-button" title="Previous match (Enter)" onClick={() => search.findPrevious()}>↑</button>
+      <button type="button" onMouseDown={keepFocus} className="search-button" title="Next match (Shift+Enter)" onClick={() => search.findNext()}>↓</button>
+      <button type="button" onMouseDown={keepFocus} className="search-button" title="Close (Escape)" onClick={onClose}>×</button>
+    </div>
+  )
+}
+
+export default SearchBar
@@ -1,375 +1,186 @@
-import { useEffect, useRef, useState, useMemo } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { Terminal } from '@xterm/xterm'
 import { FitAddon } from '@xterm/addon-fit'
 import { WebLinksAddon } from '@xterm/addon-web-links'
 import '@xterm/xterm/css/xterm.css'
 import { useAuth } from '../contexts/AuthContext'
-import { createAuthCommandHandler, getAuthCommandsHelp } from '../utils/authCommands'
-import { createPromptManager } from '../utils/promptManager'
-import { TERMINAL_CONSTANTS } from '@antec/shared'
+import SearchBar from './SearchBar'
+import { createAuthCommandHandler, createAuthCommand } from '../utils/authCommands'
+import { SequentialFormHandler } from '../utils/passwordInput'
+import { DEFAULT_PROMPT_TEMPLATE, createPromptManager } from '../utils/promptManager'
+import { parseCommandLine } from '../utils/commandParser'
+import { createShellEnvironment } from '../utils/shellEnvironment'
+import {
+  CommandError,
+  EXIT_STATUS,
+  createOutputStream,
+  openRedirects,
+  runCommandList,
+  runPipeline,
+  writeRedirects
+} from '../utils/shell'
+import { createLineEditor } from '../utils/lineEditor'
+import { createHistorySearch } from '../utils/historySearch'
+import { createTabCompleter, formatColumns } from '../utils/tabCompletion'
+import { createPager } from '../utils/pager'
+import { createCommandRegistry } from '../utils/commandRegistry'
+import { systemCommands } from '../utils/systemCommands'
+import { portfolioCommands } from '../utils/portfolioCommands'
+import { fileCommands } from '../utils/fileCommands'
+import { environmentCommands } from '../utils/environmentCommands'
+import { themeCommands } from '../utils/themeCommands'
+import { settingsCommands } from '../utils/settingsCommands'
+import { searchCommands } from '../utils/searchCommands'
+import { resumeCommands } from '../utils/resumeCommands'
+import { imageCommands } from '../utils/imageCommands'
+import { createTerminalSearch } from '../utils/terminalSearch'
+import { workspaceCommands } from '../utils/workspaceCommands'
+import { LayoutError } from '../utils/workspaceLayout'
+import { ANTEC_LOGO, ANTEC_VERSION, LOGO_STYLE } from '../utils/logo'
+import { systemInfoCommands } from '../utils/systemInfoCommands'
+import { contactCommands } from '../utils/contactCommands'
+import { inboxCommands } from '../utils/inboxCommands'
+import { FILE_CONSTANTS, TERMINAL_CONSTANTS } from '@antec/shared'
+
+// Run at startup and whenever the user changes, like ~/.bashrc
+const STARTUP_SCRIPT_PATH = `~/${FILE_CONSTANTS.STARTUP_SCRIPT_NAME}`
+
+// Options the terminal is always created with; fonts, cursor and scrollback come from the
+// user's settings and change on the live terminal
+const TERMINAL_OPTIONS = {
+  convertEol: true,
+  // Search highlights are decorations, which are still a proposed API
+  allowProposedApi: true
+}
+
+// Keys that zoom the terminal with Ctrl (or Cmd), instead of the page
+const ZOOM_KEYS = { '+': 1, '=': 1, '-': -1, '_': -1, 0: 0 }
+
+// Ctrl+Shift+F (or Cmd+Shift+F) opens the search bar
+const isSearchKey = (event) => (event.ctrlKey || event.metaKey) && event.shiftKey && !event.altKey && event.code === 'KeyF'
+
+// Alt+Shift shortcuts for tabs and panes, by key code; browsers keep Ctrl+T and Ctrl+W
+const WORKSPACE_KEYS = {
+  KeyT: 'newTab',
+  KeyW: 'closePane',
+  Equal: 'splitVertical',
+  Minus: 'splitHorizontal',
+  BracketLeft: 'previousTab',
+  BracketRight: 'nextTab',
+  ArrowLeft: 'focusLeft',
+  ArrowRight: 'focusRight',
+  ArrowUp: 'focusUp',
+  ArrowDown: 'focusDown'
+}
 
-function TerminalPortfolio() {
+// Smallest pane a split may leave, in columns side by side and in rows stacked
+const MIN_PANE_COLUMNS = 20
+const MIN_PANE_ROWS = 5
+
+// Options that change the size of a cell, so the terminal has to be refitted
+const CELL_SIZE_OPTIONS = ['fontFamily', 'fontSize', 'lineHeight', 'letterSpacing']
+
+/**
+ * One terminal pane: an xterm.js terminal running its own shell, with its own working
+ * directory, variables, history position and running command. Files, history, themes,
+ * settings and the signed-in user are shared with the other panes through the workspace.
+ * @param {Object} props
+ * @param {string} props.paneId - Id of the pane in the workspace layout
+ * @param {Object} props.workspace - Shared state from TerminalWorkspace
+ * @param {Object|null} props.loadedFileStorage - File storage whose files are mounted
+ * @param {number} props.userStateVersion - Changes whenever the history or preferences of
+ *   the signed-in user (or the guest) finish loading
+ * @param {Object} props.rect - Where the pane goes, as fractions of the workspace
+ * @param {boolean} props.visible - Whether the pane's tab is shown
+ * @param {boolean} props.active - Whether the pane has the keyboard in its tab
+ * @param {boolean} props.split - Whether the tab has more than one pane
+ * @param {boolean} props.welcome - Whether to start with the welcome banner
+ */
+function TerminalPortfolio({ paneId, workspace, loadedFileStorage, userStateVersion, rect, visible, active, split, welcome }) {
   const terminalRef = useRef(null)
   const terminal = useRef(null)
   const fitAddon = useRef(null)
   const [terminalReady, setTerminalReady] = useState(false)
-  const currentLine = useRef('')
-  const commandHistory = useRef([])
-  const historyIndex = useRef(-1)
-  const [currentTheme, setCurrentTheme] = useState('dark')
+  const lineEditor = useRef(null)
+  // History, themes and settings are shared by every pane; the workspace loads and saves them
+  const { history: commandHistory, themes: themeManager, settings: terminalSettings, layout } = workspace
+  // Each pane browses the shared history from its own position
+  const historyIndex = useRef(commandHistory.size)
+  // Loaded while ligatures are on
+  const ligaturesAddon = useRef(null)
+  // Loaded the first time a picture is drawn at full resolution
+  const imageAddon = useRef(null)
+  const historySearch = useRef(null)
+  // Search through the scrollback; the search bar shows while searchRequest is not null and
+  // takes the focus again whenever it changes
+  const terminalSearch = useRef(null)
+  const [searchRequest, setSearchRequest] = useState(null)
+  const pager = useRef(null)
+  const lastExitStatus = useRef(0)
+  // Set while a command line runs, so keystrokes don't start another one
+  const commandRunning = useRef(false)
   const [terminalState, setTerminalState] = useState('idle') // 'idle', 'authenticating', 'processing'
   
   // Authentication integration
   const authContext = useAuth()
   const authRef = useRef(authContext)
   const authHandler = useRef(null)
+  // Forms commands such as contact ask through the shell, filled in like the auth forms
+  const commandForm = useRef(null)
   const promptManager = useRef(null)
+  // Message ids from this pane's last inbox listing, by their number in it
+  const inboxListing = useRef(new Map())
 
-  const themes = {
-    dark: {
-      background: '#050508',
-      foreground: '#e4e4e7',
-      cursor: '#9B7CFF',
-      cursorAccent: '#050508',
-      selection: 'rgba(155, 124, 255, 0.3)',
-      black: '#050508',
-      red: '#ef4444',
-      green: '#22c55e',
-      yellow: '#eab308',
-      blue: '#3b82f6',
-      magenta: '#9B7CFF',
-      cyan: '#06b6d4',
-      white: '#e4e4e7',
-      brightBlack: '#71717a',
-      brightRed: '#ef4444',
-      brightGreen: '#22c55e',
-      brightYellow: '#eab308',
-      brightBlue: '#3b82f6',
-      brightMagenta: '#B18CFF',
-      brightCyan: '#06b6d4',
-      brightWhite: '#ffffff'
-    },
-    light: {
-      background: '#ffffff',
-      foreground: '#1f2937',
-      cursor: '#6366f1',
-      cursorAccent: '#ffffff',
-      selection: 'rgba(99, 102, 241, 0.3)',
-      black: '#1f2937',
-      red: '#dc2626',
-      green: '#16a34a',
-      yellow: '#ca8a04',
-      blue: '#2563eb',
-      magenta: '#6366f1',
-      cyan: '#0891b2',
-      white: '#f9fafb',
-      brightBlack: '#6b7280',
-      brightRed: '#dc2626',
-      brightGreen: '#16a34a',
-      brightYellow: '#ca8a04',
-      brightBlue: '#2563eb',
-      brightMagenta: '#7c3aed',
-      brightCyan: '#0891b2',
-      brightWhite: '#ffffff'
-    },
-    'blue-matrix': {
-      background: '#0d1117',
-      foreground: '#58a6ff',
-      cursor: '#58a6ff',
-      cursorAccent: '#0d1117',
-      selection: 'rgba(88, 166, 255, 0.3)',
-      black: '#0d1117',
-      red: '#f85149',
-      green: '#7ee787',
-      yellow: '#f2cc60',
-      blue: '#58a6ff',
-      magenta: '#bc8cff',
-      cyan: '#39c5cf',
-      white: '#b1bac4',
-      brightBlack: '#6e7681',
-      brightRed: '#f85149',
-      brightGreen: '#7ee787',
-      brightYellow: '#f2cc60',
-      brightBlue: '#58a6ff',
-      brightMagenta: '#bc8cff',
-      brightCyan: '#39c5cf',
-      brightWhite: '#ffffff'
-    },
-    espresso: {
-      background: '#2d2006',
-      foreground: '#f4f1ed',
-      cursor: '#f4f1ed',
-      cursorAccent: '#2d2006',
-      selection: 'rgba(244, 241, 237, 0.3)',
-      black: '#2d2006',
-      red: '#d25252',
-      green: '#a5c261',
-      yellow: '#ffc66d',
-      blue: '#6c98eb',
-      magenta: '#d197d9',
-      cyan: '#bed6ff',
-      white: '#f4f1ed',
-      brightBlack: '#4c4635',
-      brightRed: '#d25252',
-      brightGreen: '#a5c261',
-      brightYellow: '#ffc66d',
-      brightBlue: '#6c98eb',
-      brightMagenta: '#d197d9',
-      brightCyan: '#bed6ff',
-      brightWhite: '#f4f1ed'
-    },
-    'green-goblin': {
-      background: '#0d1b0d',
-      foreground: '#33ff33',
-      cursor: '#33ff33',
-      cursorAccent: '#0d1b0d',
-      selection: 'rgba(51, 255, 51, 0.3)',
-      black: '#0d1b0d',
-      red: '#ff3333',
-      green: '#33ff33',
-      yellow: '#ffff33',
-      blue: '#3333ff',
-      magenta: '#ff33ff',
-      cyan: '#33ffff',
-      white: '#ffffff',
-      brightBlack: '#1a331a',
-      brightRed: '#ff3333',
-      brightGreen: '#33ff33',
-      brightYellow: '#ffff33',
-      brightBlue: '#3333ff',
-      brightMagenta: '#ff33ff',
-      brightCyan: '#33ffff',
-      brightWhite: '#ffffff'
-    },
-    ubuntu: {
-      background: '#300a24',
-      foreground: '#ffffff',
-      cursor: '#ffffff',
-      cursorAccent: '#300a24',
-      selection: 'rgba(255, 255, 255, 0.3)',
-      black: '#2e3436',
-      red: '#cc0000',
-      green: '#4e9a06',
-      yellow: '#c4a000',
-      blue: '#3465a4',
-      magenta: '#75507b',
-      cyan: '#06989a',
-      white: '#d3d7cf',
-      brightBlack: '#555753',
-      brightRed: '#ef2929',
-      brightGreen: '#8ae234',
-      brightYellow: '#fce94f',
-      brightBlue: '#729fcf',
-      brightMagenta: '#ad7fa8',
-      brightCyan: '#34e2e2',
-      brightWhite: '#eeeeec'
-    }
+  // The workspace's files, seen from this pane's own working directory
+  const fileSystem = useRef(null)
+  if (!fileSystem.current) {
+    fileSystem.current = workspace.fileSystem.createView()
+  }
+  // The file storage whose startup script has run in this pane
+  const startupScriptStorage = useRef(null)
+  // Set when the user changes while a command runs; the script runs once it finishes
+  const startupScriptPending = useRef(false)
+
+  // Aliases and variables, with read-only variables computed from the live shell state
+  const shellEnvironment = useRef(null)
+  if (!shellEnvironment.current) {
+    shellEnvironment.current = createShellEnvironment({
+      USER: () => {
+        const auth = authRef.current
+        return auth && auth.isAuthenticated && auth.user ? auth.user.username : 'guest'
+      },
+      HOSTNAME: () => 'antec',
+      HOME: () => fileSystem.current.home,
+      PWD: () => fileSystem.current.getWorkingDirectory(),
+      OLDPWD: () => fileSystem.current.previousCwd,
+      '?': () => lastExitStatus.current
+    })
   }
 
-  // Create commands object that updates with auth context
-  const commands = useMemo(() => ({
-    welcome: () => 'WELCOME',
-    
-    help: () => {
-      let helpText = `about        - about Antik Mondal
-clear        - clear the terminal
-echo         - print out anything
-education    - my education background
-email        - send an email to me
-github       - view my GitHub profile
-help         - check available commands
-history      - view command history
-projects     - view projects that I've coded
-pwd          - print current working directory
-socials      - check out my social accounts
-themes       - check available themes
-whoami       - about current user
-
-Authentication Commands:
-${getAuthCommandsHelp()}
-
-Tab or Ctrl + i => autocompletes the command
-Up Arrow => go back to previous command
-Ctrl + l => clear the terminal`
-
-      // Add authentication status indicator
-      if (authHandler.current && authHandler.current.isAuthProcessing()) {
-        helpText += `\n\n\x1b[33m⚠ Authentication in progress - some commands are disabled\x1b[0m`
-        helpText += `\nCtrl + C => cancel current authentication operation`
-      }
-
-      return helpText
-    },
-//gui          - go to my portfolio in GUI (add this latter)
-    about: () => `Hi, I’m Antik Mondal.
-
-I’m an CS engineer and a problem solver.
-I like building systems and working close to the core.
-
-I’m building my own startups, mainly focused on healthcare,
-where I try to solve real problems using technology.
-
-I enjoy writing code, designing systems,
-and turning ideas into working products.
-`,
-
-    clear: () => 'CLEAR',
-
-    echo: (args) => args.join(' '),
-
-    education: () => `Here is my education background!
-
-B.Tech (Computer Science)
-Newton School of Technology, Rishihood University | 2024 - 2028
-
-Higher Secondary Education
-Bankura Banga Vidyalaya | 2022 - 2024`,
-
-// IELTS 7.0
-// British Council India | 2019`,
-
-    email: () => `antik.mondal2024@nst.rishihood.edu.in`,
-
-    gui: () => {
-      window.open('https://antik.dev', '_blank')
-      return 'Opening GUI version...'
-    },
-
-    history: () => {
-      if (commandHistory.current.length === 0) {
-        return 'No commands in history.'
-      }
-      return commandHistory.current.map((cmd, i) => `${i + 1}  ${cmd}`).join('\n')
-    },
-
-    projects: () => `"Talk is cheap. Show me the code"? I got you.
-Here are some of my projects you shouldn't miss
-
-1. ANTEC Terminal Portfolio
-   My personal terminal-style portfolio where I showcase
-   my projects and skills.
-
-2. SnehoAyu (mHealth Platform)
-   A mobile-first health application designed to support mothers
-   of preterm infants through post-NICU care and home-based newborn monitoring.
-
-3. Authra (Parcel Management System)
-   A smart, paperless parcel management system for universities 
-   and workplaces with secure logging, notifications, and pickup tracking.
-
-Usage: projects go <project-no>
-eg: projects go 1
-
-These are selected projects.
-More work and experiments live on GitHub.
-Type: github`,
-
-    pwd: () => `/home/antik`,
-
-    socials: () => `Here are my social links
-
-1. GitHub    - https://github.com/antik1108
-2. LinkedIn  - https://www.linkedin.com/in/antik-t30a04m/
-3. Twitter   - https://x.com/Antik_30
-4. Instagram - https://www.instagram.com/__.vi0letshadow._/
-
-Usage: socials go <social-no>
-eg: socials go 1`,
-
-    themes: () => `dark light blue-matrix espresso green-goblin ubuntu
-
-Usage: themes set <theme-name>
-eg: themes set ubuntu`,
-
-    whoami: () => {
-      // Read freshest auth info from the ref (avoids stale closures / timing races)
-      try {
-        const auth = authRef.current || authContext
-        const user = auth && (auth.getCurrentUser ? auth.getCurrentUser() : auth.user)
-        if (user && user.username) return user.username
-      } catch (e) {
-        // ignore and fallback
-      }
-      return 'guest'
-    },
-
-    github: () => `GitHub: https://github.com/antik1108`,
-
-    // Handle compound commands
-    'projects go': (args) => {
-      const projectNum = parseInt(args[0])
-      const projects = [
-        { name: "ANTEC Terminal Portfolio", url: "https://github.com/antik1108/Terminal-Portfolio-ANTEC" },
-        { name: "SnehoAyu (baby-health platform)", url: "https://github.com/antik1108/SnehoAyu" },
-        { name: "Authra (Parcel Management System)", url: "https://github.com/antik1108/Authra" }
-      ]
-      
-      if (projectNum >= 1 && projectNum <= projects.length) {
-        window.open(projects[projectNum - 1].url, '_blank')
-        return `Opening ${projects[projectNum - 1].name}...`
-      }
-      return `Project ${projectNum} not found. Use 'projects' to see available projects.`
-    },
-
-    'socials go': (args) => {
-      const socialNum = parseInt(args[0])
-      const socials = [
-        { name: "GitHub", url: "https://github.com/antik1108" },
-        { name: "LinkedIn", url: "https://www.linkedin.com/in/antik-t30a04m/" },
-        { name: "Twitter", url: "https://x.com/Antik_30" },
-        { name: "Instagram", url: "https://www.instagram.com/__.vi0letshadow._/" }
-      ]
-      
-      if (socialNum >= 1 && socialNum <= socials.length) {
-        window.open(socials[socialNum - 1].url, '_blank')
-        return `Opening ${socials[socialNum - 1].name}...`
-      }
-      return `Social ${socialNum} not found. Use 'socials' to see available socials.`
-    },
-
-    'themes set': (args) => {
-      const themeName = args[0]
-      if (themes[themeName]) {
-        setCurrentTheme(themeName)
-        if (terminal.current) {
-          terminal.current.options.theme = themes[themeName]
-        }
-        return `Theme set to ${themeName}`
-      }
-      return `Theme '${themeName}' not found. Use 'themes' to see available themes.`
-    },
-
-    // Authentication commands
-    'antec signup': () => {
-      if (authHandler.current) {
-        authHandler.current.handleSignupCommand()
-        return 'AUTH_COMMAND'
-      }
-      return 'Authentication system not available'
-    },
-
-    'antec login': () => {
-      if (authHandler.current) {
-        authHandler.current.handleLoginCommand()
-        return 'AUTH_COMMAND'
-      }
-      return 'Authentication system not available'
-    },
-
-    'antec logout': () => {
-      // Check current auth state using getter to avoid race conditions
-      const currentUser = authContext.getCurrentUser ? authContext.getCurrentUser() : authContext.user
-      if (!currentUser) {
-        return 'You are not logged in.'
-      }
-
-      if (authHandler.current) {
-        authHandler.current.handleLogoutCommand()
-        return 'AUTH_COMMAND'
-      }
-      return 'Authentication system not available'
-    }
-  }), [authContext.isAuthenticated, authContext.user, authContext.loading]) // Dependencies for useMemo
+  // Every built-in command is registered once; handlers get live state through their context
+  const registry = useRef(null)
+  if (!registry.current) {
+    registry.current = createCommandRegistry([
+      ...systemCommands,
+      ...portfolioCommands,
+      ...resumeCommands,
+      ...imageCommands,
+      ...systemInfoCommands,
+      ...contactCommands,
+      ...inboxCommands,
+      ...fileCommands,
+      ...environmentCommands,
+      ...themeCommands,
+      ...settingsCommands,
+      ...searchCommands,
+      ...workspaceCommands,
+      createAuthCommand()
+    ])
+  }
+  const tabCompleter = useRef(null)
+  if (!tabCompleter.current) {
+    tabCompleter.current = createTabCompleter(registry.current)
+  }
 
   const writeToTerminal = (text, newLine = true) => {
     if (terminal.current) {
@@ -388,9 +199,23 @@ eg: themes set ubuntu`,
       
       writeToTerminal(promptText, false)
     }
+
+    // Start editing a fresh line after the prompt
+    if (lineEditor.current) {
+      lineEditor.current.reset()
+    }
+  }
+
+  /**
+   * Show the prompt on a fresh row and print the line being edited after it
+   * Used when the line has to survive something written above it (completions, Ctrl+L)
+   */
+  const redrawLine = () => {
+    promptManager.current.showPrompt()
+    lineEditor.current.reprint(promptManager.current.measurePrompt().column)
   }
 
-  const processCommand = (cmd) => {
+  const processCommand = async (cmd) => {
     const trimmedCmd = cmd.trim()
     
     if (trimmedCmd === '') {
@@ -414,71 +239,412 @@ eg: themes set ubuntu`,
       }
     }
 
-    commandHistory.current.push(cmd)
-    historyIndex.current = commandHistory.current.length
+    // Expand !!, !n, !prefix and ^old^new, echoing the result like bash does
+    let line = trimmedCmd
+    try {
+      const expansion = commandHistory.expand(trimmedCmd)
+      if (expansion.expanded) {
+        line = expansion.line
+        writeToTerminal(line)
+      }
+    } catch (error) {
+      writeToTerminal(`antec: ${error.message}`)
+      lastExitStatus.current = EXIT_STATUS.FAILURE
+      showPrompt()
+      return
+    }
+
+    // Like bash's HISTCONTROL=ignorespace, a leading space keeps a line out of the history
+    if (!/^\s/.test(cmd)) {
+      commandHistory.add(line)
+    }
+    historyIndex.current = commandHistory.size
+
+    let commandList
+    try {
+      commandList = parseCommandLine(line, { environment: shellEnvironment.current })
+    } catch (error) {
+      writeToTerminal(`antec: ${error.message}`)
+      lastExitStatus.current = EXIT_STATUS.USAGE
+      showPrompt()
+      return
+    }
 
-    // Handle compound commands
-    const parts = trimmedCmd.split(' ')
-    const baseCmd = parts[0]
-    const args = parts.slice(1)
+    workspace.session.commandsRun++
+    commandRunning.current = true
+    try {
+      const status = await runCommandList(commandList, executePipeline, shellEnvironment.current)
+      // Logging in or out during the command started a new user's shell
+      if (startupScriptPending.current) {
+        startupScriptPending.current = false
+        await runStartupScript()
+      }
+      lastExitStatus.current = status
+    } finally {
+      commandRunning.current = false
+    }
+    // `history -c` may have emptied the history
+    historyIndex.current = commandHistory.size
+    showPrompt()
+  }
 
-    // Check for compound commands first
-    if (parts.length >= 2) {
-      const compoundCmd = `${parts[0]} ${parts[1]}`
-      if (commands[compoundCmd]) {
-        const output = commands[compoundCmd](parts.slice(2))
-        if (output === 'CLEAR') {
-          terminal.current.clear()
-          showPrompt()
-        } else if (output === 'AUTH_COMMAND') {
-          // Auth command is being handled by authHandler, don't show prompt yet
-          return
-        } else {
-          writeToTerminal(output)
-          showPrompt()
-        }
-        return
+  /**
+   * Run a script line by line in the current shell, as `source` does
+   * @param {string} script - Script text
+   * @param {string} name - Script name used in error messages
+   * @returns {Promise<number>} Exit status of the last command
+   */
+  const runScript = async (script, name) => {
+    const lines = script.split('\n')
+    let status = EXIT_STATUS.SUCCESS
+
+    for (let index = 0; index < lines.length; index++) {
+      let commandList
+      try {
+        commandList = parseCommandLine(lines[index], { environment: shellEnvironment.current })
+      } catch (error) {
+        writeToTerminal(`antec: ${name}: line ${index + 1}: ${error.message}`)
+        status = EXIT_STATUS.USAGE
+        continue
       }
+      if (commandList.length === 0) continue
+
+      status = await runCommandList(commandList, executePipeline, shellEnvironment.current)
     }
+    return status
+  }
 
-    // Handle single commands
-    if (commands[baseCmd]) {
-      const output = commands[baseCmd](args)
-      if (output === 'CLEAR') {
-        terminal.current.clear()
-        showPrompt()
-      } else if (output === 'WELCOME') {
-        showWelcome()
-      } else if (output === 'AUTH_COMMAND') {
-        // Auth command is being handled by authHandler, don't show prompt yet
-        return
+  /**
+   * Start a fresh shell for the user whose files are mounted: forget the previous user's
+   * aliases and variables, then run their ~/.antecrc
+   */
+  const runStartupScript = async () => {
+    shellEnvironment.current.reset()
+    if (!fileSystem.current.exists(STARTUP_SCRIPT_PATH)) return
+    await runScript(fileSystem.current.readFile(STARTUP_SCRIPT_PATH), FILE_CONSTANTS.STARTUP_SCRIPT_NAME)
+  }
+
+  /**
+   * Run the startup script between commands, keeping the line being typed
+   */
+  const runStartupScriptWhenIdle = async () => {
+    if (!fileSystem.current.exists(STARTUP_SCRIPT_PATH)) {
+      shellEnvironment.current.reset()
+      return
+    }
+
+    // Its output goes where the prompt was; the prompt and the line come back below it
+    const editor = lineEditor.current
+    const line = editor.getLine()
+    editor.erase()
+    commandRunning.current = true
+    try {
+      await runStartupScript()
+    } finally {
+      commandRunning.current = false
+    }
+    showPrompt()
+    if (line) {
+      editor.setLine(line)
+    }
+  }
+
+  /**
+   * Run a pipeline and write the output of its last command to the terminal
+   * @param {Array<{argv: string[]}>} pipeline - Commands joined by '|'
+   * @returns {Promise<number>} Exit status
+   */
+  const executePipeline = async (pipeline) => {
+    const result = await runPipeline(pipeline, runCommand)
+    // The next pipeline, on this line or a later one, may check $?
+    lastExitStatus.current = result.status
+
+    if (result.stdout) {
+      // Output taller than the screen opens in the pager instead of scrolling past
+      if (pager.current.fits(result.stdout)) {
+        writeToTerminal(result.stdout, false)
       } else {
-        writeToTerminal(output)
-        showPrompt()
+        await pager.current.open(result.stdout)
       }
-    } else {
-      writeToTerminal(`Command not found: ${trimmedCmd}`)
-      showPrompt()
     }
+    return result.status
+  }
+
+  /**
+   * Run a single parsed command, applying its output redirects
+   * @param {{argv: string[], redirects: Array}} command - Parsed command
+   * @param {string|null} stdin - Output of the previous command in the pipeline
+   * @param {boolean} isLast - Whether this is the last command of its pipeline
+   * @returns {Promise<{status: number, stdout: string}>} Exit status and buffered output
+   */
+  const runCommand = async ({ argv, redirects }, stdin, isLast = true) => {
+    const stdout = createOutputStream(null, isLast && redirects.length === 0)
+    // Errors are not piped; they go straight to the terminal like stderr in a real shell
+    const stderr = createOutputStream((text) => writeToTerminal(text, false))
+
+    try {
+      openRedirects(redirects, fileSystem.current)
+    } catch (error) {
+      stderr.write(`antec: ${error.path}: ${error.message}\n`)
+      return { status: EXIT_STATUS.FAILURE, stdout: '' }
+    }
+
+    // A bare redirect ('> notes.txt') just creates or truncates the file
+    const status = argv.length > 0
+      ? await invokeCommand(argv, { stdin, stdout, stderr })
+      : EXIT_STATUS.SUCCESS
+
+    if (redirects.length === 0) {
+      return { status, stdout: stdout.read() }
+    }
+
+    try {
+      await writeRedirects(redirects, stdout.read(), fileSystem.current)
+    } catch (error) {
+      stderr.write(`antec: ${error.path}: ${error.message}\n`)
+      return { status: EXIT_STATUS.FAILURE, stdout: '' }
+    }
+    return { status, stdout: '' }
+  }
+
+  /**
+   * Invoke a command through the registry
+   * @param {string[]} argv - Command name followed by its arguments
+   * @param {Object} io - Command I/O ({ stdin, stdout, stderr })
+   * @returns {Promise<number>} Exit status
+   */
+  const invokeCommand = async (argv, io) => {
+    const context = {
+      terminal: terminal.current,
+      auth: authRef.current,
+      authHandler: authHandler.current,
+      fs: fileSystem.current,
+      env: shellEnvironment.current,
+      history: commandHistory,
+      themes: themeManager,
+      settings: terminalSettings,
+      layout,
+      shell: shellActions,
+      ...io
+    }
+
+    try {
+      const output = await registry.current.execute(argv, context)
+      if (output !== null && output !== undefined) {
+        io.stdout.write(`${output}\n`)
+      }
+      return EXIT_STATUS.SUCCESS
+    } catch (error) {
+      if (error.message) {
+        io.stderr.write(`${error.message}\n`)
+      }
+      return error instanceof CommandError ? error.status : EXIT_STATUS.FAILURE
+    }
+  }
+
+  // Terminal actions commands can trigger through their context
+  const shellActions = {
+    showWelcome: () => showWelcome(),
+    page: (text, options) => pager.current.open(text, options),
+    runScript: (script, name) => runScript(script, name),
+    // PS1 from the session wins over the saved template, which wins over the default
+    getPrompt: () => {
+      const variable = shellEnvironment.current.getVariable('PS1')
+      if (variable !== null) return { template: variable, source: 'variable' }
+      const { prompt } = workspace.getPreferences()
+      if (prompt) return { template: prompt, source: 'saved' }
+      return { template: DEFAULT_PROMPT_TEMPLATE, source: 'default' }
+    },
+    renderPrompt: (template, options) => promptManager.current.renderTemplate(template, options),
+    savePreferences: (changes) => workspace.savePreferences(changes),
+    // Jump to the last match above the command line and show it in the search bar
+    search: async (query, options) => {
+      const found = await terminalSearch.current.findAboveCommandLine(query, options)
+      if (found) {
+        openSearch()
+      } else {
+        terminalSearch.current.clear()
+      }
+      return found
+    },
+    // The pane commands run in, for the tab and split commands
+    paneId,
+    // Split this pane, if both halves stay big enough to use; returns the new pane's id
+    splitPane: (direction) => {
+      const size = direction === 'vertical' ? terminal.current.cols : terminal.current.rows
+      const minimum = direction === 'vertical' ? MIN_PANE_COLUMNS : MIN_PANE_ROWS
+      if (Math.floor(size / 2) < minimum) {
+        throw new LayoutError('this pane is too small to split')
+      }
+      return layout.split(paneId, direction)
+    },
+    // Let the user pick a file on their device; resolves to null if they cancel
+    openFile: (accept) => new Promise(resolve => {
+      const input = document.createElement('input')
+      input.type = 'file'
+      input.accept = accept
+      input.addEventListener('change', async () => {
+        const [file] = input.files
+        resolve(file ? { name: file.name, text: await file.text() } : null)
+      })
+      input.addEventListener('cancel', () => resolve(null))
+      input.click()
+    }),
+    // Command lines entered in every pane since the page loaded
+    getCommandsRun: () => workspace.session.commandsRun,
+    // Ask for a form's fields one by one; resolves to the answers, or null if cancelled
+    runForm: (fields) => new Promise(resolve => {
+      commandForm.current.start(fields, resolve, () => {
+        lineEditor.current.reset()
+        resolve(null)
+      })
+    }),
+    // Numbers of this pane's last inbox listing, kept until the user changes
+    getInboxListing: () => inboxListing.current,
+    // Make sure the terminal can draw inline images; resolves to false if it cannot
+    enableImages: () => loadImageAddon()
+      .then(() => true)
+      .catch(error => {
+        console.warn('Failed to load the image addon:', error)
+        return false
+      })
+  }
+
+  /**
+   * Show the search bar, or give it the focus again if it is open
+   */
+  const openSearch = () => {
+    setSearchRequest(request => (request || 0) + 1)
+  }
+
+  /**
+   * Hide the search bar and its highlights, and go back to typing in the terminal
+   */
+  const closeSearch = () => {
+    terminalSearch.current.clear()
+    setSearchRequest(null)
+    terminal.current.focus()
+  }
+
+  // What the WORKSPACE_KEYS shortcuts do, from this pane
+  const workspaceActions = {
+    newTab: () => layout.openTab(),
+    closePane: () => layout.closePane(paneId),
+    splitVertical: () => shellActions.splitPane('vertical'),
+    splitHorizontal: () => shellActions.splitPane('horizontal'),
+    previousTab: () => layout.cycleTab(-1),
+    nextTab: () => layout.cycleTab(1),
+    focusLeft: () => layout.focusNeighbour(paneId, 'left'),
+    focusRight: () => layout.focusNeighbour(paneId, 'right'),
+    focusUp: () => layout.focusNeighbour(paneId, 'up'),
+    focusDown: () => layout.focusNeighbour(paneId, 'down')
+  }
+
+  /**
+   * Handle the tab and pane shortcuts: Alt+Shift with a WORKSPACE_KEYS key, or Alt+1 to
+   * Alt+9 to show a tab
+   * @param {KeyboardEvent} event - Key pressed in the terminal
+   * @returns {boolean} True if the key was a shortcut
+   */
+  const handleWorkspaceKey = (event) => {
+    if (!event.altKey || event.ctrlKey || event.metaKey) return false
+
+    const digit = /^Digit([1-9])$/.exec(event.code)
+    if (digit && !event.shiftKey) {
+      const tab = layout.getState().tabs[Number(digit[1]) - 1]
+      if (tab) {
+        layout.selectTab(tab.id)
+      }
+      return true
+    }
+
+    const action = event.shiftKey ? WORKSPACE_KEYS[event.code] : undefined
+    if (!action) return false
+    try {
+      workspaceActions[action]()
+    } catch (error) {
+      // Like a key with nothing to do, e.g. a split in a pane that is too small
+      if (!(error instanceof LayoutError)) throw error
+    }
+    return true
+  }
+
+  /**
+   * Change options of the live terminal, refitting it when the size of a cell changes
+   * @param {Object} changes - xterm.js options to change
+   */
+  const applyTerminalOptions = (changes) => {
+    if (!terminal.current) return
+    const changed = Object.keys(changes).filter(key => terminal.current.options[key] !== changes[key])
+    changed.forEach(key => {
+      terminal.current.options[key] = changes[key]
+    })
+
+    if (CELL_SIZE_OPTIONS.some(key => changed.includes(key))) {
+      fitAddon.current.fit()
+      pager.current.render()
+    }
+  }
+
+  /**
+   * Show the terminal in the colors of the theme in use
+   */
+  const applyCurrentTheme = () => {
+    const theme = themeManager.getCurrentTheme()
+    applyTerminalOptions({ theme })
+    if (terminalSearch.current) {
+      terminalSearch.current.setTheme(theme)
+    }
+  }
+
+  /**
+   * Apply the font, cursor, scrollback and ligature settings to the terminal
+   */
+  const applySettings = () => {
+    if (!terminal.current) return
+    applyTerminalOptions(terminalSettings.getTerminalOptions())
+    applyLigatures().catch(error => console.warn('Failed to load ligatures:', error))
+  }
+
+  /**
+   * Turn ligatures on or off; the addon is downloaded the first time they are turned on
+   */
+  const applyLigatures = async () => {
+    const enabled = terminalSettings.get('ligatures')
+    if (enabled && !ligaturesAddon.current) {
+      const term = terminal.current
+      const { LigaturesAddon } = await import('@xterm/addon-ligatures')
+      // The setting or the terminal may have changed while the addon downloaded
+      if (term !== terminal.current || ligaturesAddon.current || !terminalSettings.get('ligatures')) return
+      ligaturesAddon.current = new LigaturesAddon()
+      term.loadAddon(ligaturesAddon.current)
+    } else if (!enabled && ligaturesAddon.current) {
+      ligaturesAddon.current.dispose()
+      ligaturesAddon.current = null
+    }
+  }
+
+  /**
+   * Load the image addon, which draws SIXEL and iTerm inline images, if it isn't loaded yet
+   */
+  const loadImageAddon = async () => {
+    if (imageAddon.current) return
+    const term = terminal.current
+    const { ImageAddon } = await import('@xterm/addon-image')
+    if (term !== terminal.current || imageAddon.current) return
+    // Size reports would be answered as if the user had typed them
+    imageAddon.current = new ImageAddon({ enableSizeReports: false })
+    term.loadAddon(imageAddon.current)
   }
 
   const showWelcome = () => {
     // Clear terminal first
     terminal.current.clear()
     
-    // ASCII Logo for ANTEC - clean and simple with your purple color
-    const asciiLogo = `
- █████╗ ███╗   ██╗████████╗███████╗ ██████╗
-██╔══██╗████╗  ██║╚══██╔══╝██╔════╝██╔════╝
-███████║██╔██╗ ██║   ██║   █████╗  ██║     
-██╔══██║██║╚██╗██║   ██║   ██╔══╝  ██║     
-██║  ██║██║ ╚████║   ██║   ███████╗╚██████╗
-╚═╝  ╚═╝╚═╝  ╚═══╝   ╚═╝   ╚══════╝ ╚═════╝`
-
-    // Write ANTEC logo in your signature purple color
-    writeToTerminal('\x1b[38;2;155;124;255m' + asciiLogo + '\x1b[0m')
+    // ANTEC logo in the signature purple
+    writeToTerminal(`\n${LOGO_STYLE}${ANTEC_LOGO}\x1b[0m`)
     writeToTerminal('')
-    writeToTerminal('Welcome to my terminal portfolio. (Version 2.0.0)')
+    writeToTerminal(`Welcome to my terminal portfolio. (Version ${ANTEC_VERSION})`)
     writeToTerminal('----')
     writeToTerminal('')
     writeToTerminal("This project's source code can be found in this project's \x1b[38;2;6;182;212m\x1b]8;;https://github.com/antik1108/Terminal-Portfolio-ANTEC\x1b\\GitHub repo\x1b]8;;\x1b\\\x1b[0m.")
@@ -486,14 +652,16 @@ eg: themes set ubuntu`,
     writeToTerminal('')
     writeToTerminal("For a list of available commands, type 'help'.")
     writeToTerminal('')
-    showPrompt()
   }
 
   const startPortfolio = async () => {
     if (!terminal.current) return
 
-    // Automatically show welcome on startup
-    showWelcome()
+    // The first pane greets the user; panes opened later start at the prompt
+    if (welcome) {
+      showWelcome()
+    }
+    showPrompt()
     setTerminalReady(true)
     
     // Initialize session persistence check
@@ -501,19 +669,16 @@ eg: themes set ubuntu`,
     // after the terminal is ready and auth context has initialized
   }
 
+  // The terminal is created once: themes and options change on the live instance, and
+  // handlers read the latest state through refs
   useEffect(() => {
     if (!terminalRef.current) return
 
     // Initialize terminal
     terminal.current = new Terminal({
-      theme: themes[currentTheme],
-      fontFamily: '"JetBrains Mono", "Fira Code", monospace',
-      fontSize: 14,
-      lineHeight: 1.4,
-      cursorBlink: true,
-      cursorStyle: 'block',
-      scrollback: 1000,
-      convertEol: true
+      ...TERMINAL_OPTIONS,
+      ...terminalSettings.getTerminalOptions(),
+      theme: themeManager.getCurrentTheme()
     })
 
     fitAddon.current = new FitAddon()
@@ -523,10 +688,67 @@ eg: themes set ubuntu`,
     terminal.current.open(terminalRef.current)
     fitAddon.current.fit()
 
+    terminalSearch.current = createTerminalSearch(terminal.current)
+    terminalSearch.current.setTheme(themeManager.getCurrentTheme())
+
+    // Themes and settings changed in any pane apply to every pane
+    themeManager.addChangeListener(applyCurrentTheme)
+    terminalSettings.addChangeListener(applySettings)
+
+    // Ctrl + and Ctrl - zoom the terminal rather than the page; Ctrl 0 resets the size.
+    // Ctrl+Shift+F searches, starting from the selected text if there is any. Alt+Shift
+    // keys and Alt+1 to Alt+9 work the tabs and panes.
+    terminal.current.attachCustomKeyEventHandler((event) => {
+      if (event.type === 'keydown' && handleWorkspaceKey(event)) {
+        event.preventDefault()
+        return false
+      }
+
+      if (event.type === 'keydown' && isSearchKey(event)) {
+        event.preventDefault()
+        // While matches are highlighted, the selection is just the active match
+        const selection = terminal.current.getSelection()
+        if (selection && !selection.includes('\n') && terminalSearch.current.getState().resultCount === 0) {
+          terminalSearch.current.setQuery(selection)
+        }
+        openSearch()
+        return false
+      }
+
+      const zoom = ZOOM_KEYS[event.key]
+      if (event.type !== 'keydown' || !(event.ctrlKey || event.metaKey) || event.altKey || zoom === undefined) {
+        return true
+      }
+      event.preventDefault()
+      if (zoom === 0) {
+        terminalSettings.reset('fontSize')
+      } else {
+        terminalSettings.zoom(zoom)
+      }
+      return false
+    })
+
+    lineEditor.current = createLineEditor(terminal.current)
+    pager.current = createPager(terminal.current)
+    commandForm.current = new SequentialFormHandler(terminal.current)
+    // Ligatures can only be set up once the terminal is open
+    applySettings()
+    // The search replaces the last line of the prompt only, so only that line comes back
+    historySearch.current = createHistorySearch(terminal.current, commandHistory, lineEditor.current, () => {
+      promptManager.current.showInputLine()
+      lineEditor.current.reprint(promptManager.current.measurePrompt().column)
+    })
+
   // Initialize auth handler and prompt manager using an auth getter that reads from authRef
   // This avoids stale closures and ensures both helpers always read latest auth state
   const getAuth = () => authRef.current
-  promptManager.current = createPromptManager(terminal.current, getAuth)
+  const getWorkingDirectory = () => fileSystem.current.getDisplayPath()
+  promptManager.current = createPromptManager(terminal.current, getAuth, getWorkingDirectory, {
+    getTemplate: () => shellActions.getPrompt().template,
+    getExitStatus: () => lastExitStatus.current,
+    lineEditor: lineEditor.current,
+    isBusy: () => commandRunning.current || historySearch.current.isActive()
+  })
   authHandler.current = createAuthCommandHandler(terminal.current, getAuth, showPrompt, promptManager.current)
     
     // Add terminal state listener
@@ -549,34 +771,58 @@ eg: themes set ubuntu`,
 
     // Handle input
     terminal.current.onData((data) => {
-      if (!terminalReady) return
-
       // Check if auth handler should handle this input first
       if (authHandler.current && authHandler.current.handleInput(data)) {
         return
       }
 
+      // Password fields and Ctrl+C of a command's form
+      if (commandForm.current.handleInput(data)) {
+        return
+      }
+
+      const isFormActive = commandForm.current.isFormActive()
+
+      // Ignore typing while a command runs, unless it is a form waiting for input
+      if (commandRunning.current && !isFormActive && !(authHandler.current && authHandler.current.isAuthProcessing())) {
+        return
+      }
+
+      // The pager owns the keyboard until it is closed
+      if (pager.current.handleInput(data)) {
+        return
+      }
+
+      // Reverse search consumes keys until one of them ends it
+      if (historySearch.current.handleInput(data)) {
+        return
+      }
+
+      const isAuthProcessing = authHandler.current && authHandler.current.isAuthProcessing()
+      const editor = lineEditor.current
       const code = data.charCodeAt(0)
+      if (code !== 9) {
+        tabCompleter.current.reset()
+      }
       
       if (code === 13) { // Enter
+        // Leave the cursor below the whole line, even if it wraps and was edited mid-line
+        editor.moveToEnd()
         writeToTerminal('')
+        const line = editor.getLine()
+        editor.reset()
         
         // If auth handler is processing, handle regular field completion
-        if (authHandler.current && authHandler.current.isAuthProcessing()) {
-          authHandler.current.handleRegularFieldComplete(currentLine.current)
-          currentLine.current = ''
+        if (isAuthProcessing) {
+          authHandler.current.handleRegularFieldComplete(line)
+        } else if (isFormActive) {
+          commandForm.current.handleRegularFieldComplete(line)
         } else {
-          processCommand(currentLine.current)
-          currentLine.current = ''
-        }
-      } else if (code === 127) { // Backspace
-        if (currentLine.current.length > 0) {
-          currentLine.current = currentLine.current.slice(0, -1)
-          terminal.current.write('\b \b')
+          processCommand(line)
         }
       } else if (code === 9) { // Tab - autocomplete
         // Don't autocomplete during auth processing
-        if (authHandler.current && authHandler.current.isAuthProcessing()) {
+        if (isAuthProcessing) {
           // Provide feedback that autocomplete is disabled during auth
           authHandler.current.displayStateMessage(
             'Autocomplete disabled during authentication',
@@ -584,83 +830,90 @@ eg: themes set ubuntu`,
           )
           return
         }
+        if (isFormActive) {
+          return
+        }
         
-        const availableCommands = Object.keys(commands).filter(cmd => !cmd.includes(' '))
-        const matches = availableCommands.filter(cmd => cmd.startsWith(currentLine.current.toLowerCase()))
-        
-        if (matches.length === 1) {
-          const completion = matches[0].slice(currentLine.current.length)
-          currentLine.current += completion
-          terminal.current.write(completion)
-        } else if (matches.length > 1) {
-          // Show available completions
+        const completion = tabCompleter.current.complete(editor.getTextBeforeCursor(), {
+          fs: fileSystem.current,
+          env: shellEnvironment.current,
+          themes: themeManager,
+          settings: terminalSettings,
+          layout,
+          shell: shellActions,
+          auth: authRef.current
+        })
+
+        if (completion.insert) {
+          editor.insert(completion.insert)
+        } else if (completion.listing) {
+          // Second Tab without progress: list the candidates below the line
+          editor.moveToEnd()
           writeToTerminal('')
-          writeToTerminal(matches.join('  '))
-          showPrompt()
-          terminal.current.write(currentLine.current)
+          writeToTerminal(formatColumns(completion.listing, terminal.current.cols))
+          redrawLine()
         }
       } else if (code === 12) { // Ctrl+L - clear
         // Allow clear even during auth processing
         terminal.current.clear()
-        showPrompt()
-        currentLine.current = ''
+        terminal.current.write('\r\x1b[J')
+        redrawLine()
       } else if (code === 3) { // Ctrl+C - cancel operation
-        if (authHandler.current && authHandler.current.isAuthProcessing()) {
+        if (isAuthProcessing) {
           // Cancel authentication operation
           authHandler.current.cancelAuthCommand()
-          currentLine.current = ''
+          editor.reset()
         } else {
-          // Regular Ctrl+C behavior - clear current line
+          // Regular Ctrl+C behavior - abandon the current line
+          editor.moveToEnd()
           writeToTerminal('^C')
-          currentLine.current = ''
           showPrompt()
         }
-      } else if (code === 27) { // Escape sequences (arrow keys)
-        // Don't handle arrow keys during auth processing
-        if (authHandler.current && authHandler.current.isAuthProcessing()) {
+      } else if (data === '\x1b[A' || data === '\x1b[B') { // Up / Down arrow
+        // History is not available while filling in forms
+        if (isAuthProcessing || isFormActive) {
           return
         }
         
-        const seq = data.slice(1)
-        if (seq === '[A') { // Up arrow
+        const history = commandHistory
+        if (data === '\x1b[A') {
           if (historyIndex.current > 0) {
-            terminal.current.write('\r\x1b[K')
-            showPrompt()
             historyIndex.current--
-            currentLine.current = commandHistory.current[historyIndex.current]
-            terminal.current.write(currentLine.current)
-          }
-        } else if (seq === '[B') { // Down arrow
-          if (historyIndex.current < commandHistory.current.length - 1) {
-            terminal.current.write('\r\x1b[K')
-            showPrompt()
-            historyIndex.current++
-            currentLine.current = commandHistory.current[historyIndex.current]
-            terminal.current.write(currentLine.current)
-          } else if (historyIndex.current === commandHistory.current.length - 1) {
-            terminal.current.write('\r\x1b[K')
-            showPrompt()
-            historyIndex.current = commandHistory.current.length
-            currentLine.current = ''
+            editor.setLine(history.get(historyIndex.current))
           }
+        } else if (historyIndex.current < history.size - 1) {
+          historyIndex.current++
+          editor.setLine(history.get(historyIndex.current))
+        } else if (historyIndex.current === history.size - 1) {
+          historyIndex.current = history.size
+          editor.setLine('')
         }
-      } else if (code >= 32 && code <= 126) { // Printable characters
-        currentLine.current += data
-        terminal.current.write(data)
+      } else if (code === 18) { // Ctrl+R - reverse history search
+        if (!isAuthProcessing && !isFormActive) {
+          historySearch.current.start()
+        }
+      } else {
+        // Cursor movement, deletion, kill/yank and printable text
+        editor.handleInput(data)
       }
     })
 
-    // Handle resize
+    // Refit whenever the pane changes size: the window resizes, or a split opens or closes
     const handleResize = () => {
       if (fitAddon.current) {
         fitAddon.current.fit()
       }
+      // Re-wrap paged text for the new size
+      pager.current.render()
     }
 
-    window.addEventListener('resize', handleResize)
+    const resizeObserver = new ResizeObserver(handleResize)
+    resizeObserver.observe(terminalRef.current)
 
     return () => {
-      window.removeEventListener('resize', handleResize)
+      resizeObserver.disconnect()
+      themeManager.removeChangeListener(applyCurrentTheme)
+      terminalSettings.removeChangeListener(applySettings)
       
       // Cleanup auth handler listeners
       if (authHandler.current) {
@@ -670,13 +923,18 @@ eg: themes set ubuntu`,
       if (terminal.current) {
         terminal.current.dispose()
       }
+      ligaturesAddon.current = null
+      imageAddon.current = null
+      terminalSearch.current = null
     }
-  }, [terminalReady, currentTheme])
+  }, [])
 
   // Effect to handle authentication state changes and session restoration
   useEffect(() => {
     // Update authRef so getters read latest context
     authRef.current = authContext
+    // The numbers of the last inbox listing meant messages of whoever was signed in
+    inboxListing.current.clear()
 
     if (promptManager.current) {
       // Always update prompt when auth state changes, regardless of processing state
@@ -685,14 +943,14 @@ eg: themes set ubuntu`,
         authContext.user
       )
     }
+  }, [authContext.isAuthenticated, authContext.user])
 
-    // Listen for global auth change events (e.g., cross-tab or immediate updates)
+  // Listen for global auth change events (e.g., cross-tab or immediate updates)
+  useEffect(() => {
     const onAuthChange = (e) => {
       try {
-        authRef.current = authContext
         if (promptManager.current) {
           promptManager.current.handleAuthStateChange(e?.detail?.user ? 'login' : 'logout', e?.detail?.user)
-          promptManager.current.refreshPrompt()
         }
       } catch (err) {
         // ignore
@@ -704,7 +962,7 @@ eg: themes set ubuntu`,
     return () => {
       window.removeEventListener('antec:authChange', onAuthChange)
     }
-  }, [authContext.isAuthenticated, authContext.user])
+  }, [])
 
   // Effect to handle session persistence on page load
   useEffect(() => {
@@ -725,9 +983,56 @@ eg: themes set ubuntu`,
     handleSessionRestore()
   }, [terminalReady, authContext.loading, authContext.isAuthenticated, authContext.user])
 
+  // Run ~/.antecrc once the terminal is up and the session's files are mounted, then again
+  // for every user that logs in or out
+  useEffect(() => {
+    if (!terminalReady || authContext.loading || !loadedFileStorage) return
+    // Files of the previous user may have finished loading after the user changed
+    if (loadedFileStorage !== workspace.getFileStorage() || startupScriptStorage.current === loadedFileStorage) return
+    startupScriptStorage.current = loadedFileStorage
+
+    if (commandRunning.current) {
+      startupScriptPending.current = true
+    } else {
+      runStartupScriptWhenIdle()
+    }
+  }, [terminalReady, authContext.loading, loadedFileStorage])
+
+  // The history or preferences of a new user (or the guest) were loaded
+  useEffect(() => {
+    if (!terminal.current) return
+    historyIndex.current = commandHistory.size
+    applyCurrentTheme()
+    applySettings()
+    promptManager.current.updatePrompt(true)
+  }, [userStateVersion])
+
+  // The pane that gets the keyboard takes the focus, e.g. after a split or a tab switch
+  useEffect(() => {
+    if (visible && active && terminal.current && !terminalRef.current.parentElement.contains(document.activeElement)) {
+      terminal.current.focus()
+    }
+  }, [visible, active])
+
+  const classNames = ['terminal-portfolio', 'terminal-pane']
+  if (!visible) classNames.push('terminal-pane-hidden')
+  if (split && active) classNames.push('terminal-pane-active')
+
   return (
-    <div className="terminal-portfolio">
+    <div
+      className={classNames.join(' ')}
+      style={{
+        left: `${rect.left * 100}%`,
+        top: `${rect.top * 100}%`,
+        width: `${rect.width * 100}%`,
+        height: `${rect.height * 100}%`
+      }}
+      onFocus={() => layout.focusPane(paneId)}
+    >
       <div ref={terminalRef} className="terminal" />
+      {searchRequest !== null && (
+        <SearchBar search={terminalSearch.current} focusRequest={searchRequest} onClose={closeSearch} />
+      )}
     </div>
   )
 }
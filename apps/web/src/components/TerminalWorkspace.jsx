@@ -0,0 +1,293 @@
+import { useEffect, useRef, useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import TerminalPortfolio from './TerminalPortfolio'
+import { createPortfolioFileSystem } from '../utils/fileSystem'
+import { createFileStorage } from '../utils/fileStorage'
+import { createCommandHistory } from '../utils/commandHistory'
+import { createHistoryStorage } from '../utils/historyStorage'
+import { createPreferencesStorage } from '../utils/preferencesStorage'
+import { createThemeManager } from '../utils/themes'
+import { createTerminalSettings } from '../utils/terminalSettings'
+import { LayoutError, MAX_TABS, createWorkspaceLayout, getPaneIds, getPaneRects } from '../utils/workspaceLayout'
+
+/**
+ * Tabs of terminal panes sharing one session
+ * Every pane runs its own shell. The files, command history, themes, settings and saved
+ * preferences of the signed-in user (or the guest) live here, are loaded whenever the user
+ * changes and are shared by all panes.
+ */
+function TerminalWorkspace() {
+  const authContext = useAuth()
+
+  // Tabs and the panes they are split into
+  const layout = useRef(null)
+  if (!layout.current) {
+    layout.current = createWorkspaceLayout()
+  }
+  const [layoutState, setLayoutState] = useState(() => layout.current.getState())
+  // Only the first pane shows the welcome banner
+  const firstPaneId = useRef(layoutState.tabs[0].activePaneId)
+
+  // Where history is saved: localStorage for guests, the backend for users
+  const historyStorage = useRef(null)
+  const commandHistory = useRef(null)
+  if (!commandHistory.current) {
+    commandHistory.current = createCommandHistory()
+    commandHistory.current.addChangeListener((entry) => {
+      const storage = historyStorage.current
+      if (!storage) return
+      const operation = entry === null ? storage.clear() : storage.append([entry])
+      operation.catch(error => console.warn('Failed to save command history:', error))
+    })
+  }
+  // Saved preferences (prompt, theme, settings): localStorage for guests, the backend for users
+  const preferencesStorage = useRef(null)
+  const userPreferences = useRef({})
+  // Saves go out one at a time, so they land in the order they were made; changes made
+  // while one is out wait in `queued`, merged, and go together once it is done
+  const preferencesSaves = useRef({ last: Promise.resolve(), queued: null })
+  // Font, cursor and scrollback settings; each pane applies them, they are saved here
+  const terminalSettings = useRef(null)
+  if (!terminalSettings.current) {
+    terminalSettings.current = createTerminalSettings()
+    terminalSettings.current.addChangeListener((changes) => {
+      saveUserPreferences(changes).catch(error => console.warn('Failed to save preferences:', error))
+    })
+  }
+  // Built-in and custom themes; choosing or changing one from any pane saves it
+  const themeManager = useRef(null)
+  if (!themeManager.current) {
+    themeManager.current = createThemeManager()
+    themeManager.current.addChangeListener((changes) => {
+      saveUserPreferences(changes).catch(error => console.warn('Failed to save preferences:', error))
+    })
+  }
+  // Bumped once history or preferences are loaded, so every pane picks them up
+  const [userStateVersion, setUserStateVersion] = useState(0)
+
+  // Virtual filesystem shared by the panes, each with its own working directory
+  const fileSystem = useRef(null)
+  // Where redirected output is saved: sessionStorage for guests, the backend for users
+  const fileStorage = useRef(null)
+  if (!fileSystem.current) {
+    fileSystem.current = createPortfolioFileSystem()
+    // The command that changed the file waits for the save, and reports it if it fails
+    fileSystem.current.addChangeListener((path, content) => {
+      const storage = fileStorage.current
+      if (!storage) return
+      return content === null ? storage.remove(path) : storage.save(path, content)
+    })
+  }
+  // The file storage whose files are mounted; panes run ~/.antecrc once it changes
+  const [loadedFileStorage, setLoadedFileStorage] = useState(null)
+
+  /**
+   * Change some preferences and save them for the current user (or the guest)
+   * Zooming or dragging through settings changes them many times a second; only the
+   * saves still waiting are merged, so the latest change is always the last one saved.
+   * @param {Object} changes - Preferences to change; null restores a default
+   * @returns {Promise<void>} Resolves once the changes are saved
+   */
+  const saveUserPreferences = (changes) => {
+    const storage = preferencesStorage.current
+    const preferences = { ...userPreferences.current, ...changes }
+    Object.keys(changes).filter(key => changes[key] === null).forEach(key => delete preferences[key])
+    userPreferences.current = preferences
+
+    const saves = preferencesSaves.current
+    if (saves.queued && saves.queued.storage === storage) {
+      Object.assign(saves.queued.changes, changes)
+      return saves.queued.done
+    }
+    const save = { storage, changes: { ...changes } }
+    // A failed save is reported to whoever made it and doesn't hold up the next one
+    save.done = saves.last.catch(() => {}).then(async () => {
+      if (saves.queued === save) saves.queued = null
+      await storage.save(save.changes)
+    })
+    saves.queued = save
+    saves.last = save.done
+    return save.done
+  }
+
+  // What the panes share
+  const workspace = useRef(null)
+  if (!workspace.current) {
+    workspace.current = {
+      fileSystem: fileSystem.current,
+      history: commandHistory.current,
+      themes: themeManager.current,
+      settings: terminalSettings.current,
+      layout: layout.current,
+      // Counted by the panes for `neofetch`
+      session: { commandsRun: 0 },
+      getPreferences: () => userPreferences.current,
+      savePreferences: (changes) => saveUserPreferences(changes),
+      getFileStorage: () => fileStorage.current
+    }
+  }
+
+  /**
+   * Load the files saved by the current user (or the guest session) into the filesystem
+   * @param {boolean} isAuthenticated - Whether a user is signed in
+   */
+  const loadUserFiles = async (isAuthenticated) => {
+    const storage = createFileStorage(isAuthenticated)
+    fileStorage.current = storage
+    fileSystem.current.unmountUserFiles()
+
+    try {
+      const files = await storage.list()
+      // Auth state may have changed while the files were loading
+      if (fileStorage.current === storage) {
+        fileSystem.current.mountUserFiles(files)
+      }
+    } catch (error) {
+      console.warn('Failed to load user files:', error)
+    }
+    if (fileStorage.current === storage) {
+      setLoadedFileStorage(storage)
+    }
+  }
+
+  /**
+   * Swap in the command history of the current user (or the guest's local history)
+   * @param {boolean} isAuthenticated - Whether a user is signed in
+   */
+  const loadUserHistory = async (isAuthenticated) => {
+    const storage = createHistoryStorage(isAuthenticated)
+    historyStorage.current = storage
+    commandHistory.current.setMaxSize(storage.maxSize)
+    commandHistory.current.replace([])
+
+    try {
+      const entries = await storage.load()
+      // Auth state may have changed while the history was loading
+      if (historyStorage.current === storage) {
+        // The backend keeps as many entries as it is configured to, and the history follows
+        commandHistory.current.setMaxSize(storage.maxSize)
+        commandHistory.current.restore(entries)
+      }
+    } catch (error) {
+      console.warn('Failed to load command history:', error)
+    }
+    setUserStateVersion(version => version + 1)
+  }
+
+  /**
+   * Load the preferences of the current user (or the guest's local ones)
+   * @param {boolean} isAuthenticated - Whether a user is signed in
+   */
+  const loadUserPreferences = async (isAuthenticated) => {
+    const storage = createPreferencesStorage(isAuthenticated)
+    preferencesStorage.current = storage
+    // Back to the defaults, so nothing of the last user's stays on screen if loading fails
+    userPreferences.current = {}
+    themeManager.current.restore({})
+    terminalSettings.current.restore(null)
+
+    try {
+      const preferences = await storage.load()
+      // Auth state may have changed while the preferences were loading
+      if (preferencesStorage.current === storage) {
+        userPreferences.current = preferences
+        themeManager.current.restore(preferences)
+        terminalSettings.current.restore(preferences.settings)
+      }
+    } catch (error) {
+      console.warn('Failed to load preferences:', error)
+    }
+    setUserStateVersion(version => version + 1)
+  }
+
+  useEffect(() => {
+    layout.current.addChangeListener(setLayoutState)
+    return () => layout.current.removeChangeListener(setLayoutState)
+  }, [])
+
+  // Swap in the signed-in user's files, history and preferences (or the guest's)
+  useEffect(() => {
+    const isAuthenticated = authContext.isAuthenticated && !!authContext.user
+    loadUserFiles(isAuthenticated)
+    loadUserHistory(isAuthenticated)
+    loadUserPreferences(isAuthenticated)
+  }, [authContext.isAuthenticated, authContext.user])
+
+  /**
+   * Open a tab from the tab bar
+   */
+  const openTab = () => {
+    try {
+      layout.current.openTab()
+    } catch (error) {
+      if (!(error instanceof LayoutError)) throw error
+    }
+  }
+
+  const { tabs, activeTabId, paneIds } = layoutState
+  // Where each pane goes, and in which tab
+  const panes = new Map(tabs.flatMap(tab => getPaneRects(tab.root).map(rect => [rect.id, { tab, rect }])))
+
+  return (
+    <div className="terminal-workspace">
+      {tabs.length > 1 && (
+        <div className="workspace-tabs" role="tablist">
+          {tabs.map((tab, index) => (
+            <div
+              key={tab.id}
+              role="tab"
+              aria-selected={tab.id === activeTabId}
+              className={`workspace-tab${tab.id === activeTabId ? ' workspace-tab-active' : ''}`}
+              title={`Alt+${index + 1}`}
+              onClick={() => layout.current.selectTab(tab.id)}
+            >
+              <span className="workspace-tab-title">{layout.current.getTabTitle(tab)}</span>
+              {getPaneIds(tab.root).length > 1 && (
+                <span className="workspace-tab-panes">{getPaneIds(tab.root).length}</span>
+              )}
+              <button
+                type="button"
+                className="workspace-tab-close"
+                title="Close tab"
+                onClick={(event) => {
+                  event.stopPropagation()
+                  layout.current.closeTab(tab.id)
+                }}
+              >×</button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="workspace-tab-new"
+            title="New tab (Alt+Shift+T)"
+            disabled={tabs.length >= MAX_TABS}
+            onClick={openTab}
+          >+</button>
+        </div>
+      )}
+      <div className="workspace-panes">
+        {/* Panes are siblings in a fixed order however the tabs are split, so a split or a
+            closed tab never remounts or moves the others */}
+        {paneIds.map(paneId => {
+          const { tab, rect } = panes.get(paneId)
+          return (
+            <TerminalPortfolio
+              key={paneId}
+              paneId={paneId}
+              workspace={workspace.current}
+              loadedFileStorage={loadedFileStorage}
+              userStateVersion={userStateVersion}
+              rect={rect}
+              visible={tab.id === activeTabId}
+              active={tab.activePaneId === paneId}
+              split={tab.root.type === 'split'}
+              welcome={paneId === firstPaneId.current}
+            />
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default TerminalWorkspace
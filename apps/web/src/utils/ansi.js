@@ -0,0 +1,276 @@
+/**
+ * ANSI escape sequence helpers
+ * Lets text filters work on what the user sees while keeping the original colors
+ */
+
+// CSI sequences (colors, cursor movement) and OSC sequences (hyperlinks, titles)
+const ANSI_SOURCE = '\\x1b\\[[0-9;?]*[ -/]*[@-~]|\\x1b\\][^\\x07\\x1b]*(?:\\x07|\\x1b\\\\)'
+
+export const ANSI_PATTERN = new RegExp(ANSI_SOURCE, 'g')
+
+export const ANSI_RESET = '\x1b[0m'
+
+export const HIGHLIGHT_STYLE = '\x1b[1;31m'
+
+/**
+ * Remove all ANSI escape sequences from text
+ * @param {string} text - Text that may contain escape sequences
+ * @returns {string} Plain text
+ */
+export const stripAnsi = (text) => text.replace(ANSI_PATTERN, '')
+
+// C0 controls, DEL and C1 controls: none of them prints, and the terminal acts on many
+const CONTROL_PATTERN = /[\x00-\x1f\x7f-\x9f]/g
+
+/**
+ * Make control characters in untrusted text visible, the way `cat -v` does, so the text
+ * cannot move the cursor, change colors or make the terminal answer as if typed
+ * ESC shows as ^[, DEL as ^? and C1 controls as M-^[ and the like.
+ * @param {string} text - Text from somewhere else, e.g. a message a visitor sent
+ * @param {string} [keep] - Control characters to leave alone, e.g. '\n\t'
+ * @returns {string} Text without control characters, other than the kept ones
+ */
+export const showControlCharacters = (text, keep = '') => text.replace(CONTROL_PATTERN, char => {
+  if (keep.includes(char)) return char
+  const code = char.charCodeAt(0)
+  if (code === 0x7f) return '^?'
+  if (code > 0x7f) return `M-^${String.fromCharCode(code - 0x80 + 0x40)}`
+  return `^${String.fromCharCode(code + 0x40)}`
+})
+
+/**
+ * Split text into escape-sequence and plain-character tokens
+ * @param {string} text - Text that may contain escape sequences
+ * @returns {Array<{value: string, escape: boolean}>} Tokens in order
+ */
+export const tokenizeAnsi = (text) => {
+  const tokens = []
+  const pattern = new RegExp(ANSI_SOURCE, 'g')
+  let lastIndex = 0
+  let match
+
+  while ((match = pattern.exec(text)) !== null) {
+    for (const char of text.slice(lastIndex, match.index)) {
+      tokens.push({ value: char, escape: false })
+    }
+    tokens.push({ value: match[0], escape: true })
+    lastIndex = pattern.lastIndex
+  }
+  for (const char of text.slice(lastIndex)) {
+    tokens.push({ value: char, escape: false })
+  }
+
+  return tokens
+}
+
+// The eight basic colors in SGR order; 'bright' versions add 60 to the code
+const COLOR_NAMES = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white']
+
+const STYLE_CODES = { reset: 0, bold: 1, dim: 2, italic: 3, underline: 4, blink: 5, reverse: 7 }
+
+/**
+ * Translate a color spec into an SGR sequence
+ * A spec is a comma-separated list of styles (bold, dim, italic, underline, blink, reverse,
+ * reset), color names (red, brightred, ...), 256-color indexes (0-255) and truecolor hex
+ * codes (#9b7cff or #abc). A color prefixed with 'bg:' sets the background.
+ * @param {string} spec - Color spec, e.g. 'bold,#9b7cff' or 'bg:236'
+ * @returns {string|null} SGR sequence, or null if any part is not a known color or style
+ */
+export const colorSpecToSgr = (spec) => {
+  const codes = []
+  for (const part of spec.split(',').map(item => item.trim().toLowerCase()).filter(Boolean)) {
+    if (Object.prototype.hasOwnProperty.call(STYLE_CODES, part)) {
+      codes.push(STYLE_CODES[part])
+      continue
+    }
+
+    const background = part.startsWith('bg:')
+    const color = background ? part.slice(3) : part
+    const base = background ? 40 : 30
+    const bright = color.startsWith('bright') && COLOR_NAMES.includes(color.slice(6))
+    const hex = color.match(/^#([0-9a-f]{6}|[0-9a-f]{3})$/)
+
+    if (COLOR_NAMES.includes(color)) {
+      codes.push(base + COLOR_NAMES.indexOf(color))
+    } else if (bright) {
+      codes.push(base + 60 + COLOR_NAMES.indexOf(color.slice(6)))
+    } else if (/^\d{1,3}$/.test(color) && Number(color) <= 255) {
+      codes.push(base + 8, 5, Number(color))
+    } else if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1]
+      codes.push(base + 8, 2, ...[0, 2, 4].map(index => parseInt(digits.slice(index, index + 2), 16)))
+    } else {
+      return null
+    }
+  }
+  return codes.length > 0 ? `\x1b[${codes.join(';')}m` : ''
+}
+
+const isSgr = (sequence) => sequence.startsWith('\x1b[') && sequence.endsWith('m')
+
+const isSgrReset = (sequence) => sequence === '\x1b[m' || sequence === '\x1b[0m'
+
+/**
+ * Highlight every match of a pattern in a line, matching against the visible text
+ * Colors already present in the line are restored after each highlighted match
+ * @param {string} line - Line that may contain escape sequences
+ * @param {RegExp} pattern - Pattern to highlight (the global flag is added if missing)
+ * @param {string} style - SGR sequence used for the highlight
+ * @returns {string} Line with matches highlighted
+ */
+export const highlightMatches = (line, pattern, style = HIGHLIGHT_STYLE) => {
+  const tokens = tokenizeAnsi(line)
+  const plain = tokens.filter(token => !token.escape).map(token => token.value)
+  const text = plain.join('')
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'
+  const matcher = new RegExp(pattern.source, flags)
+
+  // Mark which visible characters fall inside a match
+  const inMatch = new Array(plain.length).fill(false)
+  const charOffsets = []
+  let offset = 0
+  plain.forEach(char => {
+    charOffsets.push(offset)
+    offset += char.length
+  })
+
+  let match
+  while ((match = matcher.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      matcher.lastIndex++
+      continue
+    }
+    const start = match.index
+    const end = start + match[0].length
+    charOffsets.forEach((charOffset, i) => {
+      if (charOffset >= start && charOffset < end) inMatch[i] = true
+    })
+  }
+
+  let result = ''
+  let activeSgr = ''
+  let highlighted = false
+  let plainIndex = 0
+
+  tokens.forEach(token => {
+    if (token.escape) {
+      result += token.value
+      if (isSgr(token.value)) {
+        activeSgr = isSgrReset(token.value) ? '' : activeSgr + token.value
+        if (highlighted) result += style
+      }
+      return
+    }
+
+    if (inMatch[plainIndex] && !highlighted) {
+      result += style
+      highlighted = true
+    } else if (!inMatch[plainIndex] && highlighted) {
+      result += ANSI_RESET + activeSgr
+      highlighted = false
+    }
+    result += token.value
+    plainIndex++
+  })
+
+  if (highlighted) {
+    result += ANSI_RESET + activeSgr
+  }
+
+  return result
+}
+
+// Double-width ranges, matching the Unicode 6 width table xterm.js uses by default
+const WIDE_RANGES = [
+  [0x1100, 0x115f], [0x2329, 0x232a], [0x2e80, 0x303e], [0x3040, 0xa4cf],
+  [0xac00, 0xd7a3], [0xf900, 0xfaff], [0xfe10, 0xfe19], [0xfe30, 0xfe6f],
+  [0xff00, 0xff60], [0xffe0, 0xffe6], [0x20000, 0x2fffd], [0x30000, 0x3fffd]
+]
+
+const ZERO_WIDTH_PATTERN = /[\p{Mn}\p{Me}\p{Cf}]/u
+
+/**
+ * Get the number of terminal cells a single code point occupies
+ * @param {string} char - One code point
+ * @returns {number} 0 for combining and control characters, 2 for wide characters, else 1
+ */
+export const getCharWidth = (char) => {
+  const code = char.codePointAt(0)
+  if (code < 32 || (code >= 0x7f && code < 0xa0)) return 0
+  if (code < 0x300) return 1
+  if (ZERO_WIDTH_PATTERN.test(char)) return 0
+  return WIDE_RANGES.some(([start, end]) => code >= start && code <= end) ? 2 : 1
+}
+
+/**
+ * Get the number of terminal cells text occupies, ignoring escape sequences
+ * @param {string} text - Text that may contain escape sequences
+ * @returns {number} Display width
+ */
+export const getDisplayWidth = (text) => {
+  let width = 0
+  for (const char of stripAnsi(text)) {
+    width += getCharWidth(char)
+  }
+  return width
+}
+
+/**
+ * Split text into user-perceived characters, so a base letter and its combining marks
+ * (or an emoji sequence) are edited as one unit
+ * @param {string} text - Plain text
+ * @returns {string[]} Grapheme clusters
+ */
+export const splitGraphemes = (text) => {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    return Array.from(segmenter.segment(text), ({ segment }) => segment)
+  }
+
+  const graphemes = []
+  for (const char of text) {
+    if (graphemes.length > 0 && getCharWidth(char) === 0) {
+      graphemes[graphemes.length - 1] += char
+    } else {
+      graphemes.push(char)
+    }
+  }
+  return graphemes
+}
+
+/**
+ * Break a line into rows that fit the terminal width, the way the terminal would wrap it
+ * Colors active at a break are closed at the end of the row and reopened on the next one,
+ * so each row can be drawn on its own.
+ * @param {string} line - Line that may contain escape sequences (no newlines)
+ * @param {number} width - Row width in columns
+ * @returns {string[]} Rows, at least one
+ */
+export const wrapAnsi = (line, width) => {
+  const rows = []
+  let row = ''
+  let rowWidth = 0
+  let activeSgr = ''
+
+  tokenizeAnsi(line).forEach(token => {
+    if (token.escape) {
+      row += token.value
+      if (isSgr(token.value)) {
+        activeSgr = isSgrReset(token.value) ? '' : activeSgr + token.value
+      }
+      return
+    }
+
+    const charWidth = getCharWidth(token.value)
+    if (rowWidth + charWidth > width && rowWidth > 0) {
+      rows.push(activeSgr ? row + ANSI_RESET : row)
+      row = activeSgr
+      rowWidth = 0
+    }
+    row += token.value
+    rowWidth += charWidth
+  })
+
+  rows.push(row)
+  return rows
+}
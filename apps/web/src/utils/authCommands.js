@@ -1,5 +1,6 @@
 import { SequentialFormHandler, passwordUtils } from './passwordInput'
 import { TERMINAL_CONSTANTS, validateSignupRequest, validateLoginRequest } from '@antec/shared'
+import { CommandError } from './shell'
 
 /**
  * Authentication command handler for terminal interface
@@ -15,6 +16,8 @@ export class AuthCommandHandler {
     this.currentCommand = null
     this.showPromptCallback = showPromptCallback
     this.promptManager = promptManager
+    // Resolves the promise of the command waiting on the current auth flow
+    this.completion = null
     
     // Terminal state management
     this.terminalStateListeners = new Set()
@@ -222,14 +225,14 @@ export class AuthCommandHandler {
   async handleSignupCommand() {
     if (this.isProcessing) {
       this.displayStateMessage('Authentication in progress. Please wait...', 'warning')
-      return
+      return false
     }
 
     // Check if user is already authenticated
     const auth = this.getAuth()
     if (auth && auth.isAuthenticated) {
       this.displayStateMessage('You are already logged in. Please logout first.', 'warning')
-      return
+      return false
     }
 
     this.setTerminalProcessing('signup')
@@ -238,12 +241,14 @@ export class AuthCommandHandler {
     this.writeToTerminal('')
 
     const fields = passwordUtils.createSignupFields()
+    const completion = this.waitForCompletion()
     
     this.formHandler.start(
       fields,
       (formData) => this.processSignup(formData),
       () => this.cancelAuthCommand()
     )
+    return completion
   }
 
   /**
@@ -287,7 +292,7 @@ export class AuthCommandHandler {
         
         // Add extra delay for successful signup to ensure state updates
         setTimeout(() => {
-          this.finishAuthCommand()
+          this.finishAuthCommand(true)
         }, 800)
         return
       } else {
@@ -308,14 +313,14 @@ export class AuthCommandHandler {
   async handleLoginCommand() {
     if (this.isProcessing) {
       this.displayStateMessage('Authentication in progress. Please wait...', 'warning')
-      return
+      return false
     }
 
     // Check if user is already authenticated
     const auth = this.getAuth()
     if (auth && auth.isAuthenticated) {
       this.displayStateMessage('You are already logged in.', 'warning')
-      return
+      return false
     }
 
     this.setTerminalProcessing('login')
@@ -324,12 +329,14 @@ export class AuthCommandHandler {
     this.writeToTerminal('')
 
     const fields = passwordUtils.createLoginFields()
+    const completion = this.waitForCompletion()
     
     this.formHandler.start(
       fields,
       (formData) => this.processLogin(formData),
       () => this.cancelAuthCommand()
     )
+    return completion
   }
 
   /**
@@ -360,7 +367,7 @@ export class AuthCommandHandler {
         
         // Add extra delay for successful login to ensure state updates
         setTimeout(() => {
-          this.finishAuthCommand()
+          this.finishAuthCommand(true)
         }, 800)
         return
       } else {
@@ -389,10 +396,12 @@ export class AuthCommandHandler {
     const isCurrentlyAuthenticated = auth && auth.isAuthenticated && auth.user
     if (!isCurrentlyAuthenticated) {
       this.displayStateMessage('You are not logged in.', 'warning')
-      return
+      return false
     }
 
     this.setTerminalProcessing('logout')
+    const completion = this.waitForCompletion()
+    let succeeded = false
 
     try {
       // Start loading indicator for API call
@@ -406,6 +415,7 @@ export class AuthCommandHandler {
 
       if (response.success) {
         this.writeSuccessMessage(TERMINAL_CONSTANTS.SUCCESS_MESSAGES.LOGOUT)
+        succeeded = true
       } else {
         this.displayStateMessage('Logout failed, but local session cleared.', 'warning')
       }
@@ -414,7 +424,8 @@ export class AuthCommandHandler {
       this.displayStateMessage('Logout failed, but local session cleared.', 'warning')
     }
 
-    this.finishAuthCommand()
+    this.finishAuthCommand(succeeded)
+    return completion
   }
 
   /**
@@ -426,16 +437,35 @@ export class AuthCommandHandler {
     this.finishAuthCommand()
   }
 
+  /**
+   * Create the promise a command handler waits on until the current auth flow finishes
+   * @returns {Promise<boolean>} Resolves with whether the flow succeeded
+   */
+  waitForCompletion() {
+    return new Promise(resolve => {
+      this.completion = resolve
+    })
+  }
+
   /**
    * Finish current authentication command and reset state
+   * @param {boolean} succeeded - Whether the command succeeded
    */
-  finishAuthCommand() {
+  finishAuthCommand(succeeded = false) {
     this.stopLoadingIndicator()
     this.formHandler.stop()
     this.setTerminalIdle()
     
     // Add a longer delay to ensure React state has been updated
     setTimeout(() => {
+      if (this.completion) {
+        const resolve = this.completion
+        this.completion = null
+        // The shell redraws the prompt once the command returns
+        resolve(succeeded)
+        return
+      }
+
       // Force prompt update by directly calling updatePrompt
         if (this.promptManager) {
           // Force a fresh prompt update
@@ -548,11 +578,30 @@ export const authCommands = {
 }
 
 /**
- * Get help text for authentication commands
- * @returns {string} Help text
+ * Build the 'antec' command for the command registry from the auth command definitions
+ * Each subcommand waits until its interactive flow has finished, so it can be chained
+ * @returns {Object} Command definition
  */
-export const getAuthCommandsHelp = () => {
-  return Object.entries(authCommands)
-    .map(([command, info]) => `${command.padEnd(15)} - ${info.description}`)
-    .join('\n')
-}
\ No newline at end of file
+export const createAuthCommand = () => ({
+  name: 'antec',
+  description: 'manage your account',
+  details: 'Create an account or log in to keep your files and command history across\ndevices. Passwords are typed into a masked prompt and never enter the history.',
+  examples: [{ command: 'antec login && whoami', description: 'log in, then show who you are logged in as' }],
+  category: 'auth',
+  subcommands: Object.fromEntries(Object.entries(authCommands).map(([command, info]) => [
+    command.split(' ')[1],
+    {
+      description: info.description,
+      usage: info.usage,
+      handler: async (args, { authHandler }) => {
+        if (!authHandler) {
+          throw new CommandError('Authentication system not available')
+        }
+        const succeeded = await authHandler[info.handler]()
+        if (!succeeded) {
+          throw new CommandError(null)
+        }
+      }
+    }
+  ]))
+})
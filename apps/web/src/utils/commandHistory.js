@@ -0,0 +1,262 @@
+import { HISTORY_CONSTANTS } from '@antec/shared'
+
+/**
+ * Error raised when a history expansion cannot be resolved
+ * Messages follow bash, e.g. "!foo: event not found"
+ */
+export class HistoryExpansionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'HistoryExpansionError'
+  }
+}
+
+// A '!' followed by one of these (or by nothing) is left alone, as in bash
+const NON_DESIGNATOR_PATTERN = /^[\s=(]?$/
+
+/**
+ * Merge history entries from several sources (tabs, devices, a fresh load)
+ * Entries are ordered by timestamp and each line is kept once, at its most recent use.
+ * @param {Array<{line: string, timestamp: string}>} existing - Entries already known
+ * @param {Array<{line: string, timestamp: string}>} incoming - Entries to merge in
+ * @param {number} maxSize - Keep at most this many of the newest entries
+ * @returns {Array<{line: string, timestamp: string}>} Merged entries, oldest first
+ */
+export const mergeHistoryEntries = (existing, incoming, maxSize = HISTORY_CONSTANTS.MAX_ENTRIES) => {
+  const latest = new Map()
+  const sorted = [...existing, ...incoming]
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+
+  for (const { line, timestamp } of sorted) {
+    latest.delete(line)
+    latest.set(line, { line, timestamp })
+  }
+  return [...latest.values()].slice(-maxSize)
+}
+
+/**
+ * CommandHistory - The list of entered command lines, with bash-style history expansion
+ * Entries are numbered from 1, as shown by the `history` command. Repeated lines only keep
+ * their latest position, and only the newest `maxSize` entries are kept.
+ */
+export class CommandHistory {
+  constructor(entries = [], maxSize = HISTORY_CONSTANTS.MAX_ENTRIES) {
+    this.maxSize = maxSize
+    this.entries = mergeHistoryEntries([], entries, maxSize)
+    this.changeListeners = new Set()
+  }
+
+  /**
+   * Add a listener for changes made from the terminal
+   * @param {Function} listener - Called as listener(entry) when a line is added, and with
+   *   null when the history is cleared
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify all listeners that the history changed
+   * @param {{line: string, timestamp: string}|null} entry - Added entry, or null if cleared
+   */
+  notifyChange(entry) {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(entry)
+      } catch (error) {
+        console.warn('Command history listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Number of entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.length
+  }
+
+  /**
+   * Add a command line to the end of the history
+   * @param {string} line - Command line
+   * @returns {boolean} True if the line was recorded
+   */
+  add(line) {
+    if (!line || line.length > HISTORY_CONSTANTS.MAX_LINE_LENGTH) {
+      return false
+    }
+
+    const entry = { line, timestamp: new Date().toISOString() }
+    this.entries = [...this.entries.filter(existing => existing.line !== line), entry]
+      .slice(-this.maxSize)
+    this.notifyChange(entry)
+    return true
+  }
+
+  /**
+   * Change how many entries are kept, dropping the oldest ones if there are too many
+   * @param {number} maxSize - Maximum number of entries to keep
+   */
+  setMaxSize(maxSize) {
+    this.maxSize = maxSize
+    this.entries = this.entries.slice(-maxSize)
+  }
+
+  /**
+   * Merge saved entries into the history without notifying listeners
+   * @param {Array<{line: string, timestamp: string}>} entries - Saved entries
+   */
+  restore(entries) {
+    this.entries = mergeHistoryEntries(this.entries, entries, this.maxSize)
+  }
+
+  /**
+   * Replace every entry without notifying listeners, e.g. when another user signs in
+   * @param {Array<{line: string, timestamp: string}>} entries - New entries
+   */
+  replace(entries) {
+    this.entries = mergeHistoryEntries([], entries, this.maxSize)
+  }
+
+  /**
+   * Get an entry by its zero-based index
+   * @param {number} index - Entry index
+   * @returns {string|undefined} Command line
+   */
+  get(index) {
+    const entry = this.entries[index]
+    return entry && entry.line
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries = []
+    this.notifyChange(null)
+  }
+
+  /**
+   * List entries with their history numbers
+   * @param {number|null} count - Only list the last `count` entries
+   * @returns {Array<{number: number, line: string}>} Numbered entries
+   */
+  list(count = null) {
+    const numbered = this.entries.map(({ line }, i) => ({ number: i + 1, line }))
+    return count === null ? numbered : numbered.slice(Math.max(numbered.length - count, 0))
+  }
+
+  /**
+   * Find the most recent entry containing a string, searching backwards
+   * @param {string} query - Text to look for
+   * @param {number} before - Only consider entries with an index lower than this
+   * @returns {number} Index of the matching entry, or -1 if none matches
+   */
+  search(query, before = this.entries.length) {
+    for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+      if (this.entries[i].line.includes(query)) return i
+    }
+    return -1
+  }
+
+  /**
+   * Resolve a single event designator (the text after '!')
+   * @param {string} designator - '!', 'n', '-n' or a prefix
+   * @returns {string} Matching command line
+   */
+  resolveEvent(designator) {
+    let index = -1
+    if (designator === '!') {
+      index = this.entries.length - 1
+    } else if (/^-?\d+$/.test(designator)) {
+      const number = parseInt(designator, 10)
+      index = number < 0 ? this.entries.length + number : number - 1
+    } else {
+      for (let i = this.entries.length - 1; i >= 0; i--) {
+        if (this.entries[i].line.startsWith(designator)) {
+          index = i
+          break
+        }
+      }
+    }
+
+    if (index < 0 || index >= this.entries.length) {
+      throw new HistoryExpansionError(`!${designator}: event not found`)
+    }
+    return this.entries[index].line
+  }
+
+  /**
+   * Expand history references in a command line
+   * Supports !!, !n, !-n, !prefix and a leading ^old^new quick substitution.
+   * References inside single quotes or after a backslash are left as typed.
+   * @param {string} line - Command line as typed
+   * @returns {{line: string, expanded: boolean}} Expanded line and whether anything changed
+   */
+  expand(line) {
+    const substitution = line.match(/^\^([^^]*)\^([^^]*)\^?$/)
+    if (substitution) {
+      const [, search, replacement] = substitution
+      const previous = this.resolveEvent('!')
+      if (!search || !previous.includes(search)) {
+        throw new HistoryExpansionError(`:s^${search}^${replacement}: substitution failed`)
+      }
+      return { line: previous.replace(search, replacement), expanded: true }
+    }
+
+    let result = ''
+    let expanded = false
+    let inSingleQuotes = false
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i]
+
+      if (char === '\\' && !inSingleQuotes) {
+        result += line.slice(i, i + 2)
+        i++
+        continue
+      }
+      if (char === "'") {
+        inSingleQuotes = !inSingleQuotes
+      }
+      if (char !== '!' || inSingleQuotes || NON_DESIGNATOR_PATTERN.test(line.slice(i + 1, i + 2))) {
+        result += char
+        continue
+      }
+
+      const match = line[i + 1] === '!' ? ['!'] : line.slice(i + 1).match(/^(-?\d+|[^\s;&|<>()'"]+)/)
+      if (!match) {
+        result += char
+        continue
+      }
+
+      const designator = match[0]
+      result += this.resolveEvent(designator)
+      expanded = true
+      i += designator.length
+    }
+
+    return { line: result, expanded }
+  }
+}
+
+/**
+ * Create a command history
+ * @param {Array<{line: string, timestamp: string}>} entries - Initial entries
+ * @param {number} maxSize - Maximum number of entries to keep
+ * @returns {CommandHistory} New history
+ */
+export const createCommandHistory = (entries = [], maxSize = HISTORY_CONSTANTS.MAX_ENTRIES) => {
+  return new CommandHistory(entries, maxSize)
+}
+
+export default CommandHistory
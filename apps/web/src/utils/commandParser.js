@@ -0,0 +1,415 @@
+/**
+ * Command line parser for the terminal shell
+ * Tokenizes input with bash quoting rules, expands aliases and splits it into a command list.
+ * Variables are expanded later, one pipeline at a time, so each sees what earlier ones did.
+ */
+
+/**
+ * Error raised for malformed command lines (unterminated quotes, stray operators)
+ */
+export class ParseError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ParseError'
+  }
+}
+
+// Longest operators first so '||' wins over '|' and '>>' over '>'
+const OPERATORS = ['&&', '||', '>>', ';', '|', '>']
+
+// Operators that separate commands in a list; '|' joins commands into a pipeline
+const LIST_OPERATORS = ['&&', '||', ';']
+
+// Operators that redirect a command's output into a file
+const REDIRECT_OPERATORS = ['>', '>>']
+
+// Characters a backslash may escape inside double quotes
+const DOUBLE_QUOTE_ESCAPES = ['"', '\\', '$', '`', '\n']
+
+const isWhitespace = (char) => char === ' ' || char === '\t' || char === '\n'
+
+const matchOperator = (input, index) => OPERATORS.find(op => input.startsWith(op, index)) || null
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*/
+
+/**
+ * Check whether a string is a valid variable name
+ * @param {string} name - Name to check
+ * @returns {boolean} True for names made of letters, digits and '_' not starting with a digit
+ */
+export const isVariableName = (name) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name)
+
+/**
+ * Read a variable reference ($NAME, ${NAME} or $?) starting at a '$'
+ * @param {string} input - Raw command line
+ * @param {number} index - Index of the '$'
+ * @returns {{name: string, length: number}|null} Variable name and the length of the
+ *   reference, or null when the '$' is a literal character
+ */
+const matchVariable = (input, index) => {
+  const next = input[index + 1]
+  if (next === '?') {
+    return { name: '?', length: 2 }
+  }
+  if (next === '{') {
+    const end = input.indexOf('}', index + 2)
+    if (end === -1) throw new ParseError("unexpected EOF while looking for matching `}'")
+    const name = input.slice(index + 2, end)
+    if (name !== '?' && !isVariableName(name)) {
+      throw new ParseError(`${input.slice(index, end + 1)}: bad substitution`)
+    }
+    return { name, length: end - index + 1 }
+  }
+  const match = input.slice(index + 1).match(VARIABLE_NAME)
+  return match ? { name: match[0], length: match[0].length + 1 } : null
+}
+
+/**
+ * Split a command line into word and operator tokens
+ * Handles single quotes, double quotes, backslash escapes, comments and repeated whitespace
+ * @param {string} input - Raw command line
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.partial - Accept a line that is still being typed: an unterminated
+ *   quote ends the input instead of throwing, the word it opens gets a `quote` property, and a
+ *   word running to the end of the input gets `atEnd: true`
+ * @param {boolean} options.variables - Keep $NAME, ${NAME} and $? outside single quotes as
+ *   references for expandWord() to fill in when the command runs; otherwise a '$' is an
+ *   ordinary character
+ * @returns {Array<{type: 'word'|'operator', value: string, plain: boolean}>} Tokens; `plain`
+ *   marks words with no quoting, escapes or variables, the only ones aliases apply to. Words
+ *   with variables have their text and variable references in order in `parts`, and are
+ *   typed out in `value`.
+ */
+export const tokenize = (input, { partial = false, variables = false } = {}) => {
+  const tokens = []
+  let parts = []
+  let inWord = false
+  let plain = true
+  let openQuote = null
+  let wordStart = 0
+  let i = 0
+
+  const addText = (text) => {
+    const last = parts[parts.length - 1]
+    if (last && last.variable === undefined) {
+      last.text += text
+    } else {
+      parts.push({ text })
+    }
+    inWord = true
+  }
+
+  const endWord = (atEnd = false) => {
+    if (inWord) {
+      const hasVariables = parts.some(part => part.variable !== undefined)
+      const token = hasVariables
+        ? { type: 'word', value: input.slice(wordStart, i), plain, parts }
+        : { type: 'word', value: parts.map(part => part.text).join(''), plain }
+      if (partial && atEnd) {
+        token.atEnd = true
+        token.quote = openQuote
+      }
+      tokens.push(token)
+    }
+    parts = []
+    inWord = false
+    plain = true
+  }
+
+  const addVariable = (quoted) => {
+    const variable = variables && input[i] === '$' ? matchVariable(input, i) : null
+    if (!variable) return false
+
+    parts.push({ variable: variable.name, quoted })
+    i += variable.length
+    inWord = true
+    plain = false
+    return true
+  }
+
+  while (i < input.length) {
+    const char = input[i]
+
+    if (isWhitespace(char)) {
+      endWord()
+      i++
+      continue
+    }
+    if (!inWord) {
+      wordStart = i
+    }
+
+    // A '#' starting a word comments out the rest of the line
+    if (char === '#' && !inWord) {
+      break
+    }
+
+    const operator = matchOperator(input, i)
+    if (operator) {
+      endWord()
+      tokens.push({ type: 'operator', value: operator })
+      i += operator.length
+      continue
+    }
+
+    if (char === '\\') {
+      // Backslash-newline is a line continuation; any other escaped char is literal
+      if (i + 1 < input.length && input[i + 1] !== '\n') {
+        addText(input[i + 1])
+        plain = false
+      }
+      i += 2
+      continue
+    }
+
+    if (addVariable(false)) {
+      continue
+    }
+
+    if (char === "'") {
+      let end = input.indexOf("'", i + 1)
+      if (end === -1) {
+        if (!partial) throw new ParseError("unexpected EOF while looking for matching `''")
+        openQuote = "'"
+        end = input.length
+      }
+      addText(input.slice(i + 1, end))
+      plain = false
+      i = end + 1
+      continue
+    }
+
+    if (char === '"') {
+      i++
+      // Even "" makes a word
+      addText('')
+      plain = false
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && DOUBLE_QUOTE_ESCAPES.includes(input[i + 1])) {
+          if (input[i + 1] !== '\n') addText(input[i + 1])
+          i += 2
+        } else if (addVariable(true)) {
+          continue
+        } else {
+          addText(input[i])
+          i++
+        }
+      }
+      if (i >= input.length) {
+        if (!partial) throw new ParseError('unexpected EOF while looking for matching `"\'')
+        openQuote = '"'
+      }
+      i++
+      continue
+    }
+
+    addText(char)
+    i++
+  }
+
+  endWord(i >= input.length)
+  return tokens
+}
+
+/**
+ * Expand the variables in a word, as the shell does just before running a command
+ * Values of unquoted references are split into words at whitespace, so a word may expand
+ * to several words, or to none when an unquoted variable is empty or unset.
+ * @param {Object} word - Word token from tokenize()
+ * @param {Object} environment - Shell environment with getVariable(name)
+ * @returns {string[]} Words
+ */
+export const expandWord = (word, environment) => {
+  if (!word.parts) return [word.value]
+
+  const words = []
+  let current = ''
+  let inWord = false
+  for (const part of word.parts) {
+    if (part.variable === undefined) {
+      current += part.text
+      inWord = true
+      continue
+    }
+
+    const value = environment.getVariable(part.variable) ?? ''
+    if (part.quoted) {
+      current += value
+      inWord = true
+      continue
+    }
+    for (const char of value) {
+      if (!isWhitespace(char)) {
+        current += char
+        inWord = true
+      } else if (inWord) {
+        words.push(current)
+        current = ''
+        inWord = false
+      }
+    }
+  }
+  if (inWord) words.push(current)
+  return words
+}
+
+/**
+ * Expand the variables in a parsed command, giving the arguments it runs with
+ * A redirect target that does not expand to exactly one word is ambiguous; its target is
+ * null and `word` holds it as typed.
+ * @param {{words: Array<Object>, redirects: Array<{type: string, target: Object}>}} command -
+ *   Command from parseCommandLine()
+ * @param {Object} environment - Shell environment with getVariable(name)
+ * @returns {{argv: string[], redirects: Array<{type: string, target: string|null, word: string}>}}
+ *   Command name followed by its arguments, and where its output goes
+ */
+export const expandCommand = ({ words, redirects }, environment) => ({
+  argv: words.flatMap(word => expandWord(word, environment)),
+  redirects: redirects.map(({ type, target }) => {
+    const targets = expandWord(target, environment)
+    return { type, target: targets.length === 1 ? targets[0] : null, word: target.value }
+  })
+})
+
+/**
+ * Work out what is being completed in a partially typed command line
+ * Only the last simple command matters: earlier commands in a pipeline or list are skipped.
+ * @param {string} input - Command line up to the cursor
+ * @returns {{words: string[], current: string, quote: string|null, redirect: boolean}}
+ *   Words of the command before the one being typed, the unquoted partial word, the quote
+ *   left open in it (if any) and whether the word is the target of a redirect
+ */
+export const getCompletionContext = (input) => {
+  const tokens = tokenize(input, { partial: true })
+  const last = tokens[tokens.length - 1]
+  const current = last && last.type === 'word' && last.atEnd ? tokens.pop() : null
+
+  const words = []
+  let redirect = false
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+    redirect = false
+    if (token.type === 'word') {
+      words.push(token.value)
+    } else if (REDIRECT_OPERATORS.includes(token.value)) {
+      // Skip the redirect target, or note that it is the word being typed
+      if (i + 1 < tokens.length) i++
+      else redirect = true
+    } else {
+      words.length = 0
+    }
+  }
+
+  return {
+    words,
+    current: current ? current.value : '',
+    quote: current ? current.quote : null,
+    redirect
+  }
+}
+
+/**
+ * Replace aliases at the start of each simple command with the tokens of their value
+ * Values are expanded again, except for aliases already being expanded, so `alias ls='ls -F'`
+ * does not loop. Quoted or escaped words (e.g. \ls) are never aliases.
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Object} environment - Shell environment with getAlias(name)
+ * @param {Set<string>} expanding - Aliases being expanded
+ * @returns {Array<Object>} Tokens with aliases expanded
+ */
+const expandAliases = (tokens, environment, expanding = new Set()) => {
+  const result = []
+  let commandStart = true
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+
+    if (token.type === 'operator') {
+      result.push(token)
+      if (REDIRECT_OPERATORS.includes(token.value)) {
+        // A redirect may come before the command name: `> out.txt ls`
+        if (i + 1 < tokens.length) result.push(tokens[++i])
+      } else {
+        commandStart = true
+      }
+      continue
+    }
+
+    const alias = commandStart && token.plain && !expanding.has(token.value)
+      ? environment.getAlias(token.value)
+      : null
+    commandStart = false
+    if (alias === null || alias === undefined) {
+      result.push(token)
+      continue
+    }
+
+    const aliasTokens = tokenize(alias, { variables: true })
+    result.push(...expandAliases(aliasTokens, environment, new Set([...expanding, token.value])))
+    // Like bash, a value ending in a blank makes the next word an alias candidate too
+    commandStart = /\s$/.test(alias)
+  }
+
+  return result
+}
+
+/**
+ * Parse a command line into a list of pipelines joined by ';', '&&' or '||'
+ * @param {string} input - Raw command line
+ * @param {Object} options - Parser options
+ * @param {Object} options.environment - Shell environment with getAlias(name); without one,
+ *   aliases are left as typed and '$' is an ordinary character
+ * @returns {Array<{pipeline: Array<{words: Array<Object>, redirects: Array<{type: string, target: Object}>}>, operator: string|null}>}
+ *   Pipelines in order, their words still to be expanded with expandCommand(); operator is the
+ *   connector that precedes the pipeline (null for the first one)
+ */
+export const parseCommandLine = (input, { environment = null } = {}) => {
+  const words = tokenize(input, { variables: environment !== null })
+  const tokens = environment ? expandAliases(words, environment) : words
+  const commands = []
+  let pipeline = []
+  let command = { words: [], redirects: [] }
+  let operator = null
+
+  const unexpected = (token) => new ParseError(`syntax error near unexpected token \`${token}'`)
+  const isEmpty = () => command.words.length === 0 && command.redirects.length === 0
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+
+    if (token.type === 'word') {
+      command.words.push(token)
+      continue
+    }
+
+    if (REDIRECT_OPERATORS.includes(token.value)) {
+      const target = tokens[i + 1]
+      if (!target) throw unexpected('newline')
+      if (target.type !== 'word') throw unexpected(target.value)
+      command.redirects.push({ type: token.value, target })
+      i++
+      continue
+    }
+
+    if (isEmpty()) {
+      throw unexpected(token.value)
+    }
+    pipeline.push(command)
+    command = { words: [], redirects: [] }
+
+    if (LIST_OPERATORS.includes(token.value)) {
+      commands.push({ pipeline, operator })
+      pipeline = []
+      operator = token.value
+    }
+  }
+
+  if (!isEmpty()) {
+    pipeline.push(command)
+    commands.push({ pipeline, operator })
+  } else if (pipeline.length > 0 || operator === '&&' || operator === '||') {
+    throw new ParseError('syntax error: unexpected end of file')
+  }
+
+  return commands
+}
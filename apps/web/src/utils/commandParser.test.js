@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest'
+import { expandCommand, parseCommandLine, tokenize } from './commandParser'
+import { createShellEnvironment } from './shellEnvironment'
+
+const environment = createShellEnvironment({ '?': () => 2 })
+environment.setVariable('WORDS', '  one  two ')
+environment.setVariable('EMPTY', '')
+
+/**
+ * Parse a single command and expand it
+ * @param {string} line - Command line
+ * @returns {{argv: string[], redirects: Array}} Expanded command
+ */
+const expand = (line) => expandCommand(parseCommandLine(line, { environment })[0].pipeline[0], environment)
+
+describe('parseCommandLine', () => {
+  it('leaves variables to be expanded when the command runs', () => {
+    const [{ pipeline: [command] }] = parseCommandLine('echo $WORDS', { environment })
+    expect(command.words[1]).toMatchObject({ value: '$WORDS', plain: false })
+  })
+
+  it('keeps every pipeline of a list', () => {
+    const list = parseCommandLine('a; b && c || d | e', { environment })
+    expect(list.map(({ operator, pipeline }) => [operator, pipeline.length])).toEqual([
+      [null, 1], [';', 1], ['&&', 1], ['||', 2]
+    ])
+  })
+
+  it("treats '$' as an ordinary character without an environment", () => {
+    expect(parseCommandLine('echo $HOME')[0].pipeline[0].words[1].value).toBe('$HOME')
+  })
+})
+
+describe('expandCommand', () => {
+  it('splits unquoted values into words', () => {
+    expect(expand('echo a$WORDS"b"').argv).toEqual(['echo', 'a', 'one', 'two', 'b'])
+  })
+
+  it('keeps quoted values in one word', () => {
+    expect(expand('echo "$WORDS" \'$WORDS\'').argv).toEqual(['echo', '  one  two ', '$WORDS'])
+  })
+
+  it('drops unquoted empty values but keeps quoted ones', () => {
+    expect(expand('echo $EMPTY $UNSET "" "$EMPTY"').argv).toEqual(['echo', '', ''])
+  })
+
+  it('expands $? and ${NAME}', () => {
+    expect(expand('echo $? ${EMPTY}x').argv).toEqual(['echo', '2', 'x'])
+  })
+
+  it('expands redirect targets, marking ambiguous ones', () => {
+    expect(expand('echo > "$WORDS" >> $WORDS').redirects).toEqual([
+      { type: '>', target: '  one  two ', word: '"$WORDS"' },
+      { type: '>>', target: null, word: '$WORDS' }
+    ])
+  })
+})
+
+describe('tokenize', () => {
+  it('reports an unterminated quote only for complete lines', () => {
+    expect(() => tokenize('echo "abc')).toThrow('unexpected EOF')
+    expect(tokenize('echo "ab', { partial: true })[1]).toMatchObject({ value: 'ab', quote: '"', atEnd: true })
+  })
+})
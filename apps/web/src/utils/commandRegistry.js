@@ -0,0 +1,371 @@
+import { CommandError, EXIT_STATUS } from './shell'
+
+/**
+ * @typedef {Object} ArgumentSpec
+ * @property {string} name - Argument name shown in usage lines
+ * @property {string} [description] - What the argument is for
+ * @property {boolean} [required] - Whether the argument must be given
+ * @property {boolean} [variadic] - Whether the argument may be repeated
+ * @property {string} [type] - 'string' (default) or 'integer'
+ * @property {Function} [complete] - (prefix, context) => string[] values offered by tab
+ *   completion; the registry keeps the ones starting with the prefix. The context also
+ *   carries `args`, the arguments typed before the one being completed
+ */
+
+/**
+ * @typedef {Object} OptionSpec
+ * @property {string} flag - Option as typed, e.g. '-a'
+ * @property {string} description - What the option does
+ */
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} name - Command name
+ * @property {string[]} [aliases] - Alternative names
+ * @property {string} description - One-line description used by help and man
+ * @property {string} [details] - Longer explanation for the DESCRIPTION section of the manual
+ * @property {Array<{command: string, description: string}>} [examples] - Example command
+ *   lines for the EXAMPLES section of the manual
+ * @property {string} [usage] - Usage line; generated from options and args when omitted
+ * @property {ArgumentSpec[]} [args] - Positional arguments
+ * @property {OptionSpec[]} [options] - Supported options
+ * @property {Object<string, CommandDefinition>} [subcommands] - Subcommands keyed by name
+ * @property {string} [category] - Help section the command is listed under
+ * @property {boolean} [hidden] - Leave the command out of help and completion
+ * @property {Function} [handler] - async (args, context) => string|null|void
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {Object} terminal - xterm.js terminal instance
+ * @property {Object} auth - Latest authentication context
+ * @property {Object} authHandler - AuthCommandHandler instance
+ * @property {Object} fs - VirtualFileSystem instance
+ * @property {Object} env - ShellEnvironment instance
+ * @property {Object} history - CommandHistory instance
+ * @property {Object} themes - ThemeManager instance
+ * @property {Object} settings - TerminalSettings instance
+ * @property {Object} layout - WorkspaceLayout instance with the tabs and panes
+ * @property {CommandRegistry} registry - Registry the command was found in
+ * @property {Object} shell - Terminal actions (showWelcome, page, runScript, getPrompt,
+ *   savePreferences, openFile, search, paneId, splitPane, ...)
+ * @property {string|null} stdin - Output of the previous command in the pipeline
+ * @property {{write: Function, isTTY: boolean}} stdout - Standard output stream; isTTY is
+ *   true when it goes straight to the terminal rather than into a pipe or file
+ * @property {{write: Function}} stderr - Standard error stream
+ */
+
+/**
+ * Build a usage line from a command's options and arguments
+ * @param {string} path - Command path, e.g. 'projects go'
+ * @param {CommandDefinition} definition - Command definition
+ * @returns {string} Usage line
+ */
+export const formatUsage = (path, definition) => {
+  if (definition.usage) return definition.usage
+
+  const parts = [path]
+  const flags = (definition.options || []).map(option => option.flag.replace(/^-/, '')).join('')
+  if (flags) parts.push(`[-${flags}]`)
+  if (definition.subcommands) parts.push(definition.handler ? '[command]' : '<command>')
+  for (const arg of definition.args || []) {
+    const name = arg.variadic ? `${arg.name}...` : arg.name
+    parts.push(arg.required ? `<${name}>` : `[${name}]`)
+  }
+  return parts.join(' ')
+}
+
+/**
+ * Check arguments against a command's argument schema
+ * @param {string} path - Command path used in error messages
+ * @param {CommandDefinition} definition - Command definition
+ * @param {string[]} args - Arguments to check
+ */
+export const validateArgs = (path, definition, args) => {
+  const specs = definition.args
+  if (!specs) return
+
+  const end = args.includes('--') ? args.indexOf('--') : args.length
+  const operands = [
+    ...args.slice(0, end).filter(arg => !/^-[^\d]/.test(arg)),
+    ...args.slice(end + 1)
+  ]
+  const required = specs.filter(spec => spec.required).length
+  if (operands.length < required) {
+    throw new CommandError(`Usage: ${formatUsage(path, definition)}`, EXIT_STATUS.USAGE)
+  }
+
+  specs.forEach((spec, index) => {
+    const values = spec.variadic ? operands.slice(index) : [operands[index]]
+    values.forEach(value => {
+      if (value !== undefined && spec.type === 'integer' && !/^-?\d+$/.test(value)) {
+        throw new CommandError(`${path}: ${spec.name} must be a number: '${value}'`, EXIT_STATUS.USAGE)
+      }
+    })
+  })
+}
+
+/**
+ * Render a man page for a command from its metadata
+ * @param {CommandDefinition} definition - Command definition
+ * @param {string} path - Command path, e.g. 'themes set' for a subcommand
+ * @returns {string} Formatted manual page
+ */
+export const formatManual = (definition, path = definition.name) => {
+  const indent = (text) => `       ${text}`
+  const bold = (text) => `\x1b[1m${text}\x1b[0m`
+  const subcommands = Object.entries(definition.subcommands || {})
+
+  const synopsis = [
+    ...(definition.handler || subcommands.length === 0 ? [formatUsage(path, definition)] : []),
+    ...subcommands.map(([name, subcommand]) => formatUsage(`${path} ${name}`, subcommand))
+  ]
+  const description = definition.details
+    || `${definition.description.charAt(0).toUpperCase()}${definition.description.slice(1)}.`
+
+  const sections = [
+    [bold('NAME'), indent(`${path} - ${definition.description}`)],
+    [bold('SYNOPSIS'), ...synopsis.map(indent)],
+    [bold('DESCRIPTION'), ...description.split('\n').map(line => (line ? indent(line) : ''))]
+  ]
+
+  if (definition.args && definition.args.some(arg => arg.description)) {
+    sections.push([
+      bold('ARGUMENTS'),
+      ...definition.args.map(arg => indent(`${arg.name.padEnd(12)} ${arg.description || ''}`))
+    ])
+  }
+
+  if (definition.options && definition.options.length > 0) {
+    sections.push([
+      bold('OPTIONS'),
+      ...definition.options.map(option => indent(`${option.flag.padEnd(12)} ${option.description}`))
+    ])
+  }
+
+  if (subcommands.length > 0) {
+    sections.push([
+      bold('COMMANDS'),
+      ...subcommands.flatMap(([name, subcommand]) => [
+        indent(formatUsage(`${path} ${name}`, subcommand)),
+        indent(`       ${subcommand.description}`)
+      ])
+    ])
+  }
+
+  if (definition.aliases && definition.aliases.length > 0) {
+    sections.push([bold('ALIASES'), indent(definition.aliases.join(', '))])
+  }
+
+  const examples = [
+    ...(definition.examples || []),
+    ...subcommands.flatMap(([, subcommand]) => subcommand.examples || [])
+  ]
+  if (examples.length > 0) {
+    sections.push([
+      bold('EXAMPLES'),
+      ...examples.flatMap(example => [indent(example.command), indent(`       ${example.description}`)])
+    ])
+  }
+
+  return sections.map(lines => lines.join('\n')).join('\n\n')
+}
+
+/**
+ * Show a command's manual: in the pager when the output goes to the terminal, otherwise as
+ * regular output so it can be piped or redirected
+ * @param {string} path - Command path
+ * @param {CommandDefinition} definition - Command definition
+ * @param {CommandContext} context - Context of the command showing the manual
+ * @returns {Promise<string|null>} Manual text, or null if it was paged
+ */
+export const showManual = async (path, definition, { stdout, shell }) => {
+  const manual = formatManual(definition, path)
+  if (stdout && stdout.isTTY && shell && shell.page) {
+    await shell.page(manual, { title: `Manual page ${path}` })
+    return null
+  }
+  return manual
+}
+
+// '--help' before any '--' asks for the manual instead of running the command
+const wantsHelp = (args) => {
+  const end = args.includes('--') ? args.indexOf('--') : args.length
+  return args.slice(0, end).includes('--help')
+}
+
+/**
+ * CommandRegistry - Holds terminal command definitions and dispatches command lines to them
+ * Help, completion and manual pages are all generated from the registered metadata
+ */
+export class CommandRegistry {
+  constructor() {
+    this.commands = new Map()
+    this.aliases = new Map()
+  }
+
+  /**
+   * Register a command
+   * @param {CommandDefinition} definition - Command definition
+   * @returns {CommandRegistry} This registry, for chaining
+   */
+  register(definition) {
+    const { name, aliases = [] } = definition
+    if (!name || /\s/.test(name)) {
+      throw new Error(`Invalid command name: '${name}'`)
+    }
+    if (!definition.handler && !definition.subcommands) {
+      throw new Error(`Command '${name}' needs a handler or subcommands`)
+    }
+    for (const key of [name, ...aliases]) {
+      if (this.has(key)) throw new Error(`Command '${key}' is already registered`)
+    }
+
+    this.commands.set(name, { category: 'general', hidden: false, ...definition, aliases })
+    aliases.forEach(alias => this.aliases.set(alias, name))
+    return this
+  }
+
+  /**
+   * Register several commands
+   * @param {CommandDefinition[]} definitions - Command definitions
+   * @returns {CommandRegistry} This registry, for chaining
+   */
+  registerAll(definitions) {
+    definitions.forEach(definition => this.register(definition))
+    return this
+  }
+
+  /**
+   * Check whether a command name or alias is registered
+   * @param {string} name - Command name or alias
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.commands.has(name) || this.aliases.has(name)
+  }
+
+  /**
+   * Look up a command by name or alias
+   * @param {string} name - Command name or alias
+   * @returns {CommandDefinition|null} Command definition
+   */
+  get(name) {
+    return this.commands.get(this.aliases.get(name) || name) || null
+  }
+
+  /**
+   * List registered commands sorted by name
+   * @param {Object} options - Filter options
+   * @param {boolean} options.includeHidden - Include hidden commands
+   * @param {string} options.category - Only list commands in this category
+   * @returns {CommandDefinition[]} Command definitions
+   */
+  list({ includeHidden = false, category = null } = {}) {
+    return [...this.commands.values()]
+      .filter(command => includeHidden || !command.hidden)
+      .filter(command => !category || command.category === category)
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  /**
+   * Resolve an argv to the command or subcommand that should handle it
+   * @param {string[]} argv - Command name followed by its arguments
+   * @returns {{path: string, definition: CommandDefinition, args: string[]}|null} Resolved
+   *   command, or null if the name is not registered
+   */
+  resolve(argv) {
+    const command = this.get(argv[0])
+    if (!command) return null
+
+    const subcommands = command.subcommands || {}
+    const subcommandName = argv[1]
+    if (subcommandName && Object.prototype.hasOwnProperty.call(subcommands, subcommandName)) {
+      return {
+        path: `${command.name} ${subcommandName}`,
+        definition: subcommands[subcommandName],
+        args: argv.slice(2)
+      }
+    }
+
+    return { path: command.name, definition: command, args: argv.slice(1) }
+  }
+
+  /**
+   * Run a command line's argv against the registry
+   * @param {string[]} argv - Command name followed by its arguments
+   * @param {CommandContext} context - Context passed to the handler
+   * @returns {Promise<string|null|void>} Handler output
+   */
+  async execute(argv, context) {
+    const resolved = this.resolve(argv)
+    if (!resolved) {
+      throw new CommandError(`Command not found: ${argv[0]}`, EXIT_STATUS.NOT_FOUND)
+    }
+
+    const { path, definition, args } = resolved
+    if (wantsHelp(args)) {
+      return showManual(path, definition, context)
+    }
+    if (!definition.handler) {
+      throw new CommandError(`Usage: ${formatUsage(path, definition)}`, EXIT_STATUS.USAGE)
+    }
+
+    validateArgs(path, definition, args)
+    return definition.handler(args, { ...context, registry: this })
+  }
+
+  /**
+   * Complete the word being typed: a command name, subcommand, option or argument value
+   * Argument values come from the `complete` function of the matching argument spec.
+   * @param {string[]} words - Words typed so far; the last one is being completed
+   * @param {Object} context - Context passed to argument completers (fs, shell, ...)
+   * @returns {string[]} Matching candidates, sorted
+   */
+  complete(words, context = {}) {
+    const prefix = words[words.length - 1] || ''
+
+    if (words.length <= 1) {
+      const names = this.list().flatMap(command => [command.name, ...command.aliases])
+      return names.filter(name => name.startsWith(prefix)).sort()
+    }
+
+    const resolved = this.resolve(words.slice(0, -1))
+    if (!resolved) return []
+
+    const { definition, args } = resolved
+    const candidates = []
+    if (prefix.startsWith('-')) {
+      // Flags documented with a value ('-n N') complete to the flag alone
+      candidates.push(...(definition.options || []).map(option => option.flag.split(' ')[0]))
+    } else {
+      if (definition.subcommands && args.length === 0) {
+        candidates.push(...Object.keys(definition.subcommands))
+      }
+
+      // Options don't take up argument positions; a variadic last argument takes the rest
+      const specs = definition.args || []
+      const position = args.filter(arg => !/^-[^\d]/.test(arg)).length
+      const lastSpec = specs[specs.length - 1]
+      const spec = specs[position] || (lastSpec && lastSpec.variadic ? lastSpec : null)
+      if (spec && spec.complete) {
+        candidates.push(...spec.complete(prefix, { ...context, registry: this, args }))
+      }
+    }
+
+    return [...new Set(candidates)]
+      .filter(candidate => candidate.startsWith(prefix))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+  }
+}
+
+/**
+ * Create a command registry, optionally pre-populated
+ * @param {CommandDefinition[]} definitions - Commands to register
+ * @returns {CommandRegistry} New registry
+ */
+export const createCommandRegistry = (definitions = []) => {
+  return new CommandRegistry().registerAll(definitions)
+}
+
+export default CommandRegistry
@@ -0,0 +1,143 @@
+import { APIError, messagesClient } from '@antec/api-client'
+import { validateContactMessage } from '@antec/shared'
+import { CommandError, EXIT_STATUS } from './shell'
+import { EMAIL_ADDRESS, OWNER_NAME } from './portfolioContent'
+
+/**
+ * Contact form: write me a message from the terminal; the backend stores it and mails it on
+ */
+
+const KEY_STYLE = '\x1b[1m'
+const RESET = '\x1b[0m'
+
+/**
+ * Make a form check for one field from the shared message rules
+ * @param {string} field - Field name, e.g. 'replyTo'
+ * @returns {Function} validate(value, answers) returning an error message or null
+ */
+const checkField = (field) => (value, answers) => {
+  const { errors } = validateContactMessage({ ...answers, [field]: value })
+  const error = errors.find(candidate => candidate.field === field)
+  return error ? error.message : null
+}
+
+/**
+ * Show a message the way it will be sent, before asking to send it
+ * @param {import('@antec/shared').ContactMessage} message - Message
+ * @returns {string} Headers and body, ending with a blank line
+ */
+export const formatMessagePreview = ({ name, replyTo, subject, body }) => [
+  '',
+  `${KEY_STYLE}From:${RESET}    ${name.trim()} <${replyTo.trim()}>`,
+  `${KEY_STYLE}To:${RESET}      ${OWNER_NAME}`,
+  `${KEY_STYLE}Subject:${RESET} ${subject.trim()}`,
+  '',
+  body,
+  '',
+  ''
+].join('\n')
+
+/**
+ * Fields of the contact form; signed-in users get their name and address as defaults
+ * @param {Object|null} user - Signed-in user
+ * @param {string|null} body - Message text piped in, which leaves out the message field
+ * @returns {Array} Field definitions for SequentialFormHandler
+ */
+const createContactFields = (user, body) => [
+  {
+    name: 'name',
+    prompt: 'Name',
+    type: 'text',
+    intro: `Write to ${OWNER_NAME}. Press Ctrl+C to give up at any time.\n`,
+    defaultValue: user ? user.username : undefined,
+    validate: checkField('name')
+  },
+  {
+    name: 'replyTo',
+    prompt: 'Reply to (email)',
+    type: 'text',
+    defaultValue: user && user.email ? user.email : undefined,
+    validate: checkField('replyTo')
+  },
+  { name: 'subject', prompt: 'Subject', type: 'text', validate: checkField('subject') },
+  body === null && { name: 'body', prompt: 'Message', type: 'multiline', validate: checkField('body') },
+  {
+    name: 'confirm',
+    prompt: 'Send this message?',
+    type: 'confirm',
+    intro: (answers) => formatMessagePreview({ ...answers, body: body === null ? answers.body : body })
+  }
+].filter(Boolean)
+
+/**
+ * Fill in the contact form and send the message
+ * Text piped into the command becomes the message, so only the headers are asked for.
+ * @param {string} command - Command name used in error messages
+ * @param {Object} context - Command context
+ * @returns {Promise<string>} What happened to the message
+ * @throws {CommandError} If the form cannot be shown, is cancelled, or the message is refused
+ */
+export const composeMessage = async (command, { auth, shell, stdin }) => {
+  if (!shell || !shell.runForm) {
+    throw new CommandError(`${command}: the contact form needs an interactive terminal; write to ${EMAIL_ADDRESS}`)
+  }
+
+  const body = stdin === null ? null : stdin.replace(/\n+$/, '')
+  if (body !== null) {
+    const error = checkField('body')(body, {})
+    if (error) throw new CommandError(`${command}: ${error}`)
+  }
+
+  const user = auth && auth.isAuthenticated && auth.user ? auth.user : null
+  const answers = await shell.runForm(createContactFields(user, body))
+  if (!answers) {
+    // The form already showed ^C
+    throw new CommandError('', EXIT_STATUS.INTERRUPTED)
+  }
+  if (!answers.confirm) {
+    return 'Message not sent.'
+  }
+
+  const message = {
+    name: answers.name.trim(),
+    replyTo: answers.replyTo.trim(),
+    subject: answers.subject.trim(),
+    body: body === null ? answers.body : body
+  }
+  try {
+    await messagesClient.sendMessage(message)
+  } catch (error) {
+    if (!(error instanceof APIError)) throw error
+    throw new CommandError(`${command}: message not sent: ${error.message}\nYou can still write to ${EMAIL_ADDRESS}`)
+  }
+  return `Message sent. I'll reply to ${message.replyTo}.`
+}
+
+const contact = {
+  name: 'contact',
+  description: 'send me a message',
+  usage: 'contact',
+  details: [
+    'Fill in your name, an address I can reply to, a subject and your message, one after',
+    "the other. The message may take several lines; end it with a line holding only '.'.",
+    'You see the whole message before it is sent, and Ctrl+C gives up at any time.',
+    '',
+    'Signed in, your username and email are filled in when you leave those empty.',
+    'Text piped into contact becomes the message, so only the other fields are asked for.',
+    '`email compose` does the same.'
+  ].join('\n'),
+  examples: [
+    { command: 'contact', description: 'write me a message' },
+    { command: 'cat ~/notes.txt | contact', description: 'send a file as the message' }
+  ],
+  handler: (args, context) => {
+    if (args.length > 0) {
+      throw new CommandError('Usage: contact', EXIT_STATUS.USAGE)
+    }
+    return composeMessage('contact', context)
+  }
+}
+
+export const contactCommands = [contact]
+
+export default contactCommands
@@ -0,0 +1,94 @@
+import { CORE_SCHEMA, load as loadYaml } from 'js-yaml'
+import { validatePortfolioContent } from '@antec/shared'
+
+/**
+ * Reading portfolio content packs
+ * A pack is one file describing the portfolio's owner and sections (see PortfolioContent in
+ * @antec/shared): JSON, YAML, or Markdown whose YAML front matter holds the fields and whose
+ * text is the `about` page.
+ */
+
+// Formats by file extension
+const CONTENT_FORMATS = {
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  md: 'markdown'
+}
+
+/**
+ * Error raised for content packs that cannot be read or do not match the schema
+ */
+export class ContentError extends Error {
+  constructor(message, errors = []) {
+    super(message)
+    this.name = 'ContentError'
+    this.errors = errors
+  }
+}
+
+/**
+ * Read YAML, keeping dates and other timestamps as the strings they were written as
+ * @param {string} text - YAML text
+ * @param {string} fileName - File name used in error messages
+ * @returns {any} Parsed value
+ */
+const parseYaml = (text, fileName) => {
+  try {
+    return loadYaml(text, { schema: CORE_SCHEMA })
+  } catch (error) {
+    throw new ContentError(`${fileName}: ${error.message}`)
+  }
+}
+
+/**
+ * Split Markdown into its YAML front matter and its text
+ * @param {string} text - Markdown starting with a '---' line
+ * @param {string} fileName - File name used in error messages
+ * @returns {{data: Object, body: string}} Front matter fields and the text after them
+ */
+export const parseFrontMatter = (text, fileName) => {
+  const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text)
+  if (!match) {
+    throw new ContentError(`${fileName}: missing front matter; start the file with a '---' line`)
+  }
+  return { data: parseYaml(match[1], fileName) || {}, body: text.slice(match[0].length) }
+}
+
+/**
+ * Read and validate a content pack
+ * @param {string} text - File contents
+ * @param {string} fileName - File name; its extension picks the format
+ * @returns {PortfolioContent} Content pack
+ * @throws {ContentError} If the file cannot be read or does not match the schema
+ */
+export const parseContentPack = (text, fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase()
+  const format = CONTENT_FORMATS[extension]
+  if (!format) {
+    throw new ContentError(`${fileName}: unknown content format '.${extension}'; use .json, .yaml or .md`)
+  }
+
+  let content
+  if (format === 'json') {
+    try {
+      content = JSON.parse(text)
+    } catch (error) {
+      throw new ContentError(`${fileName}: ${error.message}`)
+    }
+  } else if (format === 'yaml') {
+    content = parseYaml(text, fileName)
+  } else {
+    const { data, body } = parseFrontMatter(text, fileName)
+    content = body.trim() ? { ...data, about: body.replace(/^\s*\n/, '') } : data
+  }
+
+  const { isValid, errors } = validatePortfolioContent(content)
+  if (!isValid) {
+    const problems = errors.map(error => `  ${error.field}: ${error.message}`).join('\n')
+    throw new ContentError(`${fileName} does not match the content schema:\n${problems}`, errors)
+  }
+  return content
+}
+
+export default parseContentPack
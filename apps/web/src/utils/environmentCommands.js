@@ -0,0 +1,218 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { isVariableName } from './commandParser'
+
+/**
+ * Shell environment commands: aliases, variables and running scripts
+ */
+
+// Characters an alias name cannot contain, as in bash
+const INVALID_ALIAS_CHARACTERS = /[\s/$`='"\\|&;<>()]/
+
+/**
+ * Quote a value so the parser reads it back unchanged
+ * @param {string} value - Value to quote
+ * @returns {string} Value in single quotes
+ */
+const quoteValue = (value) => `'${value.replace(/'/g, "'\\''")}'`
+
+/**
+ * Split a NAME=value argument
+ * @param {string} arg - Argument as typed
+ * @returns {{name: string, value: string|null}} Name, and the value (null without '=')
+ */
+const splitAssignment = (arg) => {
+  const separator = arg.indexOf('=')
+  if (separator === -1) return { name: arg, value: null }
+  return { name: arg.slice(0, separator), value: arg.slice(separator + 1) }
+}
+
+// Tab completion for alias and variable names
+const completeAlias = (prefix, { env }) => env.getAliases().map(alias => alias.name)
+const completeVariable = (prefix, { env }) => env.getVariables().map(variable => variable.name)
+const completeWritableVariable = (prefix, { env }) => completeVariable(prefix, { env })
+  .filter(name => !env.isReadOnly(name))
+
+const alias = {
+  name: 'alias',
+  description: 'define or show command aliases',
+  usage: "alias [name[='value'] ...]",
+  args: [{ name: "name[='value']", description: 'alias to define or show', variadic: true, complete: completeAlias }],
+  details: "Without arguments, list every alias. name='value' makes name run value, followed by\nany arguments given; name alone shows that alias. Aliases apply to the first word of\na command and last until the page is reloaded, so define lasting ones in ~/.antecrc.\nQuote or escape a word (\\ls) to run the command instead of the alias.",
+  examples: [
+    { command: "alias ll='ls -la'", description: 'make ll list every file in long format' },
+    { command: "alias p='projects | less'", description: 'aliases can hold pipelines' },
+    { command: 'alias', description: 'list the defined aliases' }
+  ],
+  handler: (args, { env, stdout, stderr }) => {
+    if (args.length === 0) {
+      return env.getAliases().map(({ name, value }) => `alias ${name}=${quoteValue(value)}`).join('\n') || null
+    }
+
+    let failed = false
+    args.forEach(arg => {
+      const { name, value } = splitAssignment(arg)
+      if (value === null) {
+        const existing = env.getAlias(name)
+        if (existing === null) {
+          failed = true
+          stderr.write(`alias: ${name}: not found\n`)
+        } else {
+          stdout.write(`alias ${name}=${quoteValue(existing)}\n`)
+        }
+        return
+      }
+      if (name === '' || INVALID_ALIAS_CHARACTERS.test(name)) {
+        failed = true
+        stderr.write(`alias: \`${name}': invalid alias name\n`)
+        return
+      }
+      env.setAlias(name, value)
+    })
+    if (failed) {
+      throw new CommandError(null)
+    }
+    return null
+  }
+}
+
+const unalias = {
+  name: 'unalias',
+  description: 'remove command aliases',
+  usage: 'unalias [-a] <name>...',
+  options: [{ flag: '-a', description: 'remove every alias' }],
+  args: [{ name: 'name', description: 'aliases to remove', variadic: true, complete: completeAlias }],
+  examples: [{ command: 'unalias ll', description: 'remove the ll alias' }],
+  handler: (args, { env }) => {
+    if (args.includes('-a')) {
+      env.clearAliases()
+      return null
+    }
+    if (args.length === 0) {
+      throw new CommandError('unalias: usage: unalias [-a] name [name ...]', EXIT_STATUS.USAGE)
+    }
+    const missing = args.filter(name => !env.removeAlias(name))
+    if (missing.length > 0) {
+      throw new CommandError(missing.map(name => `unalias: ${name}: not found`).join('\n'))
+    }
+    return null
+  }
+}
+
+const exportCommand = {
+  name: 'export',
+  description: 'set shell variables',
+  usage: 'export [NAME=value ...]',
+  options: [{ flag: '-p', description: 'list every variable (the default without arguments)' }],
+  args: [{ name: 'NAME=value', description: 'variables to set', variadic: true, complete: completeWritableVariable }],
+  details: 'Set variables that commands can use as $NAME or ${NAME}. Without arguments, list\nevery variable. Built-in variables such as USER, HOME and PWD are read-only.\nVariables last until the page is reloaded; set lasting ones in ~/.antecrc.',
+  examples: [
+    { command: 'export GREETING="hello there"', description: 'set a variable' },
+    { command: 'echo "$GREETING, $USER"', description: 'use it in a command' }
+  ],
+  handler: (args, { env }) => {
+    const assignments = args.filter(arg => arg !== '-p')
+    if (assignments.length === 0) {
+      return env.getVariables()
+        .map(({ name, value }) => `declare -x ${name}="${value.replace(/["\\$`]/g, '\\$&')}"`)
+        .join('\n')
+    }
+
+    const errors = []
+    assignments.forEach(arg => {
+      const { name, value } = splitAssignment(arg)
+      if (!isVariableName(name)) {
+        errors.push(`export: \`${arg}': not a valid identifier`)
+      } else if (env.isReadOnly(name)) {
+        errors.push(`export: ${name}: readonly variable`)
+      } else if (value !== null) {
+        // Every variable is exported, so `export NAME` alone has nothing to do
+        env.setVariable(name, value)
+      }
+    })
+    if (errors.length > 0) {
+      throw new CommandError(errors.join('\n'))
+    }
+    return null
+  }
+}
+
+const envCommand = {
+  name: 'env',
+  aliases: ['printenv'],
+  description: 'print the shell variables',
+  args: [{ name: 'name', description: 'variables to print (default: all of them)', variadic: true, complete: completeVariable }],
+  examples: [
+    { command: 'env', description: 'list every variable as NAME=value' },
+    { command: 'env | grep PWD', description: 'find a variable' }
+  ],
+  handler: (args, { env, stdout }) => {
+    if (args.length === 0) {
+      return env.getVariables().map(({ name, value }) => `${name}=${value}`).join('\n')
+    }
+    // Like printenv, print the values of the named variables, failing if any is unset
+    const values = args.map(name => env.getVariable(name)).filter(value => value !== null)
+    if (values.length < args.length) {
+      if (values.length > 0) stdout.write(`${values.join('\n')}\n`)
+      throw new CommandError(null)
+    }
+    return values.join('\n')
+  }
+}
+
+const unset = {
+  name: 'unset',
+  description: 'remove shell variables',
+  usage: 'unset <name>...',
+  args: [{ name: 'name', description: 'variables to remove', required: true, variadic: true, complete: completeWritableVariable }],
+  examples: [{ command: 'unset GREETING', description: 'remove a variable' }],
+  handler: (args, { env }) => {
+    const errors = []
+    args.forEach(name => {
+      if (!isVariableName(name)) {
+        errors.push(`unset: \`${name}': not a valid identifier`)
+      } else if (!env.unsetVariable(name)) {
+        errors.push(`unset: ${name}: cannot unset: readonly variable`)
+      }
+    })
+    if (errors.length > 0) {
+      throw new CommandError(errors.join('\n'))
+    }
+    return null
+  }
+}
+
+const source = {
+  name: 'source',
+  aliases: ['.'],
+  description: 'run the commands in a file',
+  usage: 'source <file>',
+  args: [{ name: 'file', description: 'script to run', required: true, complete: (prefix, { fs }) => fs.completePath(prefix) }],
+  details: 'Run each line of a file as a command in the current shell, so aliases and variables\nit sets stay defined. ~/.antecrc is run this way when the terminal starts and\nwhenever you log in or out; after editing it, source it to apply the changes.',
+  examples: [
+    { command: "echo \"alias ll='ls -la'\" >> ~/.antecrc", description: 'add an alias to the startup script' },
+    { command: 'source ~/.antecrc', description: 'apply the startup script now' }
+  ],
+  handler: async (args, { fs, shell }) => {
+    const [path] = args
+    let script
+    try {
+      if (fs.stat(path).binary) {
+        throw new CommandError(`source: ${path}: cannot execute binary file`)
+      }
+      script = fs.readFile(path)
+    } catch (error) {
+      if (error instanceof CommandError) throw error
+      throw new CommandError(`source: ${path}: ${error.message}`)
+    }
+
+    const status = await shell.runScript(script, path)
+    if (status !== EXIT_STATUS.SUCCESS) {
+      throw new CommandError(null, status)
+    }
+    return null
+  }
+}
+
+export const environmentCommands = [alias, unalias, exportCommand, envCommand, unset, source]
+
+export default environmentCommands
@@ -0,0 +1,326 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { TEXT_FILTERS } from './textFilters'
+import { formatPdfText, loadPdfText } from './pdfText'
+
+/**
+ * Filesystem and text-processing commands
+ */
+
+/**
+ * Colorize a file or directory name the way `ls --color` does
+ * @param {string} name - Entry name
+ * @param {Object} node - Filesystem node
+ * @returns {string} Colored name
+ */
+export const formatFileName = (name, node) => {
+  if (node.type === 'directory') return `\x1b[1;34m${name}\x1b[0m`
+  if (node.binary) return `\x1b[1;35m${name}\x1b[0m`
+  return name
+}
+
+/**
+ * Read a file as text; PDFs give the text on their pages
+ * @param {Object} fs - Virtual filesystem
+ * @param {string} path - File path
+ * @param {Object} options
+ * @param {boolean} options.highlight - Color PDF headings and mark where pages start
+ * @returns {Promise<string>} File contents
+ * @throws {Error} If the file is missing, a directory, or binary and not a PDF
+ */
+const readText = async (fs, path, { highlight = false } = {}) => {
+  const node = fs.stat(path)
+  if (node.binary && node.format === 'pdf') {
+    return formatPdfText(await loadPdfText(node.url), { highlight })
+  }
+  if (node.binary) {
+    throw new Error(`binary file, open it in the browser at ${node.url}`)
+  }
+  return fs.readFile(path)
+}
+
+// Tab completion for path arguments
+const completePath = (prefix, { fs }) => fs.completePath(prefix)
+const completeDirectory = (prefix, { fs }) => fs.completePath(prefix, { directoriesOnly: true })
+
+const ls = {
+  name: 'ls',
+  description: 'list directory contents',
+  options: [
+    { flag: '-a', description: "include entries starting with '.'" },
+    { flag: '-l', description: 'use a long listing format' }
+  ],
+  args: [{ name: 'path', description: 'files or directories to list', variadic: true, complete: completePath }],
+  examples: [
+    { command: 'ls -la', description: 'list everything in the working directory, with sizes' },
+    { command: 'ls ~/projects', description: 'list the project write-ups' }
+  ],
+  handler: (args, { fs, stdout, stderr }) => {
+    const flags = args.filter(arg => arg.startsWith('-') && arg.length > 1).join('')
+    const paths = args.filter(arg => !arg.startsWith('-') || arg === '-')
+    const showAll = flags.includes('a')
+    const longFormat = flags.includes('l')
+    const targets = paths.length > 0 ? paths : ['.']
+    const errors = []
+    const sections = []
+
+    const formatEntry = ({ name, node }) => {
+      if (!longFormat) return formatFileName(name, node)
+      const isDirectory = node.type === 'directory'
+      const mode = isDirectory ? 'drwxr-xr-x' : '-rw-r--r--'
+      const size = isDirectory ? 4096 : node.content.length
+      return `${mode}  ${String(size).padStart(5)}  ${formatFileName(name, node)}`
+    }
+
+    targets.forEach(target => {
+      try {
+        const node = fs.stat(target)
+        if (node.type !== 'directory') {
+          sections.push(formatEntry({ name: target, node }))
+          return
+        }
+        const entries = fs.readDirectory(target)
+          .filter(({ name }) => showAll || !name.startsWith('.'))
+        if (showAll) {
+          entries.unshift(
+            { name: '.', node },
+            { name: '..', node: fs.stat(`${target}/..`) }
+          )
+        }
+        const listing = entries.map(formatEntry).join(longFormat ? '\n' : '  ')
+        sections.push(targets.length > 1 ? `${target}:\n${listing}` : listing)
+      } catch (error) {
+        errors.push(`ls: cannot access '${target}': ${error.message}`)
+      }
+    })
+
+    errors.forEach(error => stderr.write(`${error}\n`))
+    const output = sections.join(targets.length > 1 ? '\n\n' : '\n')
+    if (errors.length > 0) {
+      if (output) stdout.write(`${output}\n`)
+      throw new CommandError(null, EXIT_STATUS.USAGE)
+    }
+    return output
+  }
+}
+
+const cd = {
+  name: 'cd',
+  description: 'change the working directory',
+  args: [{ name: 'path', description: "directory to enter; '-' returns to the previous one", complete: completeDirectory }],
+  examples: [
+    { command: 'cd projects', description: 'enter the projects directory' },
+    { command: 'cd -', description: 'go back to the previous directory' }
+  ],
+  handler: (args, { fs }) => {
+    try {
+      fs.changeDirectory(args[0] || '~')
+      return null
+    } catch (error) {
+      throw new CommandError(`cd: ${args[0]}: ${error.message}`)
+    }
+  }
+}
+
+const cat = {
+  name: 'cat',
+  description: 'print the contents of a file',
+  args: [{ name: 'file', description: "files to print; '-' reads standard input", variadic: true, complete: completePath }],
+  details: 'PDF files print the text on their pages.',
+  examples: [{ command: 'cat ~/projects/authra.md', description: 'read a project write-up' }],
+  handler: async (args, { fs, stdin, stdout, stderr }) => {
+    if (args.length === 0) {
+      if (stdin === null) {
+        throw new CommandError('Usage: cat <file>...', EXIT_STATUS.USAGE)
+      }
+      stdout.write(stdin)
+      return null
+    }
+    let failed = false
+    for (const path of args) {
+      try {
+        stdout.write(path === '-' ? stdin || '' : await readText(fs, path))
+      } catch (error) {
+        failed = true
+        stderr.write(`cat: ${path}: ${error.message}\n`)
+      }
+    }
+    if (failed) {
+      throw new CommandError(null)
+    }
+    return null
+  }
+}
+
+const less = {
+  name: 'less',
+  aliases: ['more'],
+  description: 'page through text',
+  details: 'Show files or piped output one screen at a time. Scroll with j/k or the arrow keys,\npage with space and b, search with /pattern or ?pattern, repeat with n and N,\nand quit with q. Output taller than the screen opens in the pager by itself.',
+  args: [{ name: 'file', description: 'files to show (default: standard input)', variadic: true, complete: completePath }],
+  examples: [
+    { command: 'history | less', description: 'page through the command history' },
+    { command: 'less ~/projects/authra.md', description: 'read a file in the pager' }
+  ],
+  handler: async (args, { fs, stdin, stdout, shell }) => {
+    let text = stdin
+    if (args.length > 0) {
+      const texts = []
+      for (const path of args) {
+        try {
+          texts.push(await readText(fs, path, { highlight: stdout.isTTY }))
+        } catch (error) {
+          throw new CommandError(`less: ${path}: ${error.message}`)
+        }
+      }
+      text = texts.join('')
+    } else if (stdin === null) {
+      throw new CommandError('Usage: less <file>...', EXIT_STATUS.USAGE)
+    }
+
+    // Like less, act as cat when the output is not the terminal
+    if (!stdout.isTTY) {
+      stdout.write(text)
+    } else if (text) {
+      await shell.page(text, { title: args.length === 1 ? args[0] : '' })
+    }
+    return null
+  }
+}
+
+const rm = {
+  name: 'rm',
+  description: 'remove files you created',
+  options: [{ flag: '-f', description: 'ignore missing files' }],
+  args: [{ name: 'file', description: 'files to remove', variadic: true, complete: completePath }],
+  details: 'Remove files created with output redirection. Portfolio files are read-only.',
+  examples: [{ command: 'rm notes.txt', description: 'delete a saved file' }],
+  handler: async (args, { fs }) => {
+    const force = args.includes('-f')
+    const paths = args.filter(arg => arg !== '-f')
+    if (paths.length === 0) {
+      if (force) return null
+      throw new CommandError('Usage: rm [-f] <file>...', EXIT_STATUS.USAGE)
+    }
+    const errors = []
+    for (const path of paths) {
+      try {
+        await fs.removeFile(path)
+      } catch (error) {
+        if (!(force && error.code === 'ENOENT')) {
+          errors.push(`rm: cannot remove '${path}': ${error.message}`)
+        }
+      }
+    }
+    if (errors.length > 0) {
+      throw new CommandError(errors.join('\n'))
+    }
+    return null
+  }
+}
+
+const tree = {
+  name: 'tree',
+  description: 'show a directory as a tree',
+  args: [{ name: 'path', description: 'directory to show (default: working directory)', complete: completeDirectory }],
+  handler: (args, { fs }) => {
+    const target = args[0] || '.'
+    try {
+      if (!fs.isDirectory(target)) {
+        throw new CommandError(`${target} [error opening dir]`, EXIT_STATUS.USAGE)
+      }
+      const { lines, directories, files } = fs.renderTree(target, formatFileName)
+      const heading = args[0] ? target : '.'
+      return [
+        `\x1b[1;34m${heading}\x1b[0m`,
+        ...lines,
+        '',
+        `${directories} ${directories === 1 ? 'directory' : 'directories'}, ${files} ${files === 1 ? 'file' : 'files'}`
+      ].join('\n')
+    } catch (error) {
+      if (error instanceof CommandError) throw error
+      throw new CommandError(`${target} [error opening dir]`, EXIT_STATUS.USAGE)
+    }
+  }
+}
+
+const pwd = {
+  name: 'pwd',
+  description: 'print current working directory',
+  handler: (args, { fs }) => fs.getWorkingDirectory()
+}
+
+const FILTER_METADATA = {
+  grep: {
+    description: 'print lines matching a pattern',
+    options: [
+      { flag: '-i', description: 'ignore case' },
+      { flag: '-v', description: 'print lines that do not match' },
+      { flag: '-n', description: 'prefix lines with their line number' },
+      { flag: '-c', description: 'print only a count of matching lines' },
+      { flag: '-w', description: 'match whole words only' },
+      { flag: '-F', description: 'treat the pattern as a fixed string' }
+    ],
+    args: [
+      { name: 'pattern', description: 'regular expression to search for', required: true },
+      { name: 'file', description: 'files to search (default: standard input)', variadic: true, complete: completePath }
+    ],
+    examples: [
+      { command: 'projects | grep -i health', description: 'find a project by keyword' },
+      { command: 'grep -n parcel ~/projects/authra.md', description: 'search a file, with line numbers' }
+    ]
+  },
+  head: {
+    description: 'print the first lines of the input',
+    usage: 'head [-n N] [file...]',
+    options: [{ flag: '-n N', description: 'print the first N lines; -N prints all but the last N' }],
+    examples: [{ command: 'history | head -n 5', description: 'show the five oldest commands' }]
+  },
+  tail: {
+    description: 'print the last lines of the input',
+    usage: 'tail [-n N] [file...]',
+    options: [{ flag: '-n N', description: 'print the last N lines; +N starts at line N' }],
+    examples: [{ command: 'history | tail -5', description: 'show the five latest commands' }]
+  },
+  wc: {
+    description: 'count lines, words and characters',
+    options: [
+      { flag: '-l', description: 'count lines' },
+      { flag: '-w', description: 'count words' },
+      { flag: '-c', description: 'count bytes' },
+      { flag: '-m', description: 'count characters' }
+    ],
+    examples: [{ command: 'projects | wc -l', description: 'count the lines of the project list' }]
+  },
+  sort: {
+    description: 'sort lines of the input',
+    options: [
+      { flag: '-r', description: 'reverse the result' },
+      { flag: '-n', description: 'compare numerically' },
+      { flag: '-u', description: 'drop repeated lines' },
+      { flag: '-f', description: 'ignore case' }
+    ],
+    examples: [{ command: 'history | sort -u', description: 'list each command once, alphabetically' }]
+  },
+  uniq: {
+    description: 'collapse repeated lines',
+    options: [
+      { flag: '-c', description: 'prefix lines with their number of occurrences' },
+      { flag: '-d', description: 'only print repeated lines' },
+      { flag: '-u', description: 'only print unique lines' },
+      { flag: '-i', description: 'ignore case' }
+    ],
+    examples: [{ command: 'history | sort | uniq -c', description: 'count how often each command was used' }]
+  }
+}
+
+// Text filters read from stdin in a pipeline, or from files given as arguments
+const filterCommands = Object.entries(TEXT_FILTERS).map(([name, filter]) => ({
+  name,
+  args: [{ name: 'file', description: 'files to read (default: standard input)', variadic: true, complete: completePath }],
+  ...FILTER_METADATA[name],
+  handler: (args, context) => filter(args, { ...context, readFile: (path) => context.fs.readFile(path) })
+}))
+
+export const fileCommands = [ls, cd, cat, less, rm, tree, pwd, ...filterCommands]
+
+export default fileCommands
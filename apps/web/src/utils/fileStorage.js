@@ -0,0 +1,173 @@
+import { APIError, filesClient } from '@antec/api-client'
+import { FILE_CONSTANTS } from '@antec/shared'
+import { HOME_DIRECTORY } from './portfolioContent'
+
+// Guest files kept in localStorage rather than for the session only
+const PERSISTENT_GUEST_FILES = [`${HOME_DIRECTORY}/${FILE_CONSTANTS.STARTUP_SCRIPT_NAME}`]
+
+/**
+ * Session-only storage for guest files
+ * Files live in sessionStorage, so they survive reloads but not closing the tab. Passing
+ * localStorage instead keeps them until the browser data is cleared.
+ */
+export class SessionFileStorage {
+  constructor(storageKey = FILE_CONSTANTS.SESSION_STORAGE_KEY, storage = sessionStorage) {
+    this.storageKey = storageKey
+    this.storage = storage
+  }
+
+  /**
+   * Read the stored path → content map
+   * @returns {Object} Stored files keyed by path
+   */
+  readAll() {
+    try {
+      const data = this.storage.getItem(this.storageKey)
+      return data ? JSON.parse(data) : {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  /**
+   * Write the path → content map
+   * @param {Object} files - Files keyed by path
+   */
+  writeAll(files) {
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(files))
+    } catch (error) {
+      console.warn('Failed to store scratch files:', error)
+    }
+  }
+
+  /**
+   * List stored files
+   * @returns {Promise<Array<{path: string, content: string}>>} Stored files
+   */
+  async list() {
+    return Object.entries(this.readAll()).map(([path, content]) => ({ path, content }))
+  }
+
+  /**
+   * Save a file
+   * @param {string} path - Absolute file path
+   * @param {string} content - File contents
+   */
+  async save(path, content) {
+    this.writeAll({ ...this.readAll(), [path]: content })
+  }
+
+  /**
+   * Remove a file
+   * @param {string} path - Absolute file path
+   */
+  async remove(path) {
+    const files = this.readAll()
+    delete files[path]
+    this.writeAll(files)
+  }
+}
+
+/**
+ * Storage for guest files
+ * Scratch files last for the session, but the startup script is kept in localStorage so a
+ * guest's aliases and settings come back on their next visit.
+ */
+export class GuestFileStorage {
+  constructor(
+    session = new SessionFileStorage(),
+    persistent = new SessionFileStorage(FILE_CONSTANTS.LOCAL_STORAGE_KEY, localStorage)
+  ) {
+    this.session = session
+    this.persistent = persistent
+  }
+
+  /**
+   * Pick the storage a file belongs in
+   * @param {string} path - Absolute file path
+   * @returns {SessionFileStorage} Storage for the file
+   */
+  storageFor(path) {
+    return PERSISTENT_GUEST_FILES.includes(path) ? this.persistent : this.session
+  }
+
+  /**
+   * List stored files
+   * @returns {Promise<Array<{path: string, content: string}>>} Stored files
+   */
+  async list() {
+    const [persistent, session] = await Promise.all([this.persistent.list(), this.session.list()])
+    return [
+      ...persistent.filter(file => PERSISTENT_GUEST_FILES.includes(file.path)),
+      ...session.filter(file => !PERSISTENT_GUEST_FILES.includes(file.path))
+    ]
+  }
+
+  /**
+   * Save a file
+   * @param {string} path - Absolute file path
+   * @param {string} content - File contents
+   */
+  async save(path, content) {
+    await this.storageFor(path).save(path, content)
+  }
+
+  /**
+   * Remove a file
+   * @param {string} path - Absolute file path
+   */
+  async remove(path) {
+    await this.storageFor(path).remove(path)
+  }
+}
+
+/**
+ * Account storage for signed-in users, backed by the /api/files endpoints
+ */
+export class AccountFileStorage {
+  constructor(client = filesClient) {
+    this.client = client
+  }
+
+  /**
+   * List the user's files
+   * @returns {Promise<Array<{path: string, content: string}>>} Stored files
+   */
+  async list() {
+    const response = await this.client.listFiles()
+    return response.files || []
+  }
+
+  /**
+   * Save a file
+   * @param {string} path - Absolute file path
+   * @param {string} content - File contents
+   */
+  async save(path, content) {
+    await this.client.saveFile(path, content)
+  }
+
+  /**
+   * Remove a file; one the backend never got is already gone
+   * @param {string} path - Absolute file path
+   */
+  async remove(path) {
+    try {
+      await this.client.deleteFile(path)
+    } catch (error) {
+      if (!(error instanceof APIError && error.status === 404)) throw error
+    }
+  }
+}
+
+/**
+ * Create the file storage for the current authentication state
+ * @param {boolean} isAuthenticated - Whether a user is signed in
+ * @returns {GuestFileStorage|AccountFileStorage} Storage instance
+ */
+export const createFileStorage = (isAuthenticated) => {
+  return isAuthenticated ? new AccountFileStorage() : new GuestFileStorage()
+}
+
+export default createFileStorage
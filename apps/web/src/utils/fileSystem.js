@@ -0,0 +1,508 @@
+import { FILE_CONSTANTS } from '@antec/shared'
+import {
+  HOME_DIRECTORY,
+  ABOUT_TEXT,
+  EDUCATION,
+  PROJECTS,
+  SOCIALS,
+  EMAIL_ADDRESS,
+  RESUME_URL,
+  PHOTO_URL,
+  formatEducationEntry,
+  formatProjectFile
+} from './portfolioContent'
+import { getImageFormat } from './imageArt'
+
+// The ANTEC logo, served from public/
+const LOGO_URL = '/antec.png'
+
+/**
+ * Error raised by virtual filesystem operations
+ * Messages follow the wording of coreutils so commands can prefix them directly
+ */
+export class FileSystemError extends Error {
+  constructor(message, code, path) {
+    super(message)
+    this.name = 'FileSystemError'
+    this.code = code
+    this.path = path
+  }
+}
+
+const ERROR_MESSAGES = {
+  ENOENT: 'No such file or directory',
+  ENOTDIR: 'Not a directory',
+  EISDIR: 'Is a directory',
+  EACCES: 'Permission denied',
+  ENAMETOOLONG: 'File name too long',
+  EFBIG: 'File too large',
+  EDQUOT: 'Disk quota exceeded'
+}
+
+const fsError = (code, path) => new FileSystemError(ERROR_MESSAGES[code], code, path)
+
+const hasEntry = (directory, name) => Object.prototype.hasOwnProperty.call(directory.children, name)
+
+/**
+ * Create a directory node
+ * @param {Object} children - Map of entry name to node
+ * @returns {Object} Directory node
+ */
+export const createDirectory = (children = {}) => ({
+  type: 'directory',
+  children
+})
+
+/**
+ * Create a file node
+ * @param {string} content - File contents
+ * @param {Object} options - Extra node properties (e.g. binary, format, url)
+ * @returns {Object} File node
+ */
+export const createFile = (content = '', options = {}) => ({
+  type: 'file',
+  content,
+  ...options
+})
+
+/**
+ * VirtualFileSystem - In-memory directory tree with a working directory
+ * Resolves absolute, relative and ~ paths the way a POSIX shell does
+ */
+export class VirtualFileSystem {
+  constructor(root, home = HOME_DIRECTORY) {
+    this.root = root
+    this.home = home
+    this.cwd = home
+    this.previousCwd = home
+    this.changeListeners = new Set()
+  }
+
+  /**
+   * Create a filesystem over the same tree with its own working directory, for another
+   * shell; files written through either one are seen by both and reported to the same
+   * change listeners
+   * @returns {VirtualFileSystem} Filesystem sharing this tree, starting at ~
+   */
+  createView() {
+    const view = new VirtualFileSystem(this.root, this.home)
+    view.changeListeners = this.changeListeners
+    return view
+  }
+
+  /**
+   * Add a listener for changes to user files
+   * @param {Function} listener - Called as listener(path, content); content is null on removal.
+   *   It may return a promise for saving the change; if that rejects, the command that made
+   *   the change fails.
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify all listeners that a user file changed
+   * Listeners may save the change somewhere and return a promise for it.
+   * @param {string} path - Absolute path of the file
+   * @param {string|null} content - New content, or null if the file was removed
+   * @returns {Promise<void>} Resolves once every listener is done
+   */
+  async notifyChange(path, content) {
+    await Promise.all([...this.changeListeners].map(async listener => listener(path, content)))
+  }
+
+  /**
+   * Tell the listeners about a change made from a command, so it can report a failed save
+   * @param {string} path - Path as the command was given it
+   * @param {string} absolute - Absolute path of the file
+   * @param {string|null} content - New content, or null if the file was removed
+   * @returns {Promise<void>} Resolves once the change is saved
+   * @throws {FileSystemError} If a listener could not save it
+   */
+  async saveChange(path, absolute, content) {
+    try {
+      await this.notifyChange(absolute, content)
+    } catch (error) {
+      throw new FileSystemError(`not saved: ${error.message}`, 'EIO', path)
+    }
+  }
+
+  /**
+   * Count the files the user created
+   * @returns {number} Number of user files
+   */
+  countUserFiles() {
+    const walk = (node) => Object.values(node.children).reduce((count, child) => {
+      if (child.type === 'directory') return count + walk(child)
+      return count + (child.userFile ? 1 : 0)
+    }, 0)
+    return walk(this.root)
+  }
+
+  /**
+   * Check that a user file stays within what can be saved for it
+   * @param {string} path - Path as the command was given it
+   * @param {string} absolute - Absolute path of the file
+   * @param {string} content - New contents
+   * @param {boolean} exists - Whether the file is already there
+   * @throws {FileSystemError} If the path or content is too long, or there are too many files
+   */
+  assertStorable(path, absolute, content, exists) {
+    if (absolute.length > FILE_CONSTANTS.MAX_PATH_LENGTH) throw fsError('ENAMETOOLONG', path)
+    if (content.length > FILE_CONSTANTS.MAX_CONTENT_LENGTH) throw fsError('EFBIG', path)
+    if (!exists && this.countUserFiles() >= FILE_CONSTANTS.MAX_FILES_PER_USER) throw fsError('EDQUOT', path)
+  }
+
+  /**
+   * Resolve a path against the working directory into a normalized absolute path
+   * @param {string} path - Absolute, relative or ~ path
+   * @returns {string} Normalized absolute path
+   */
+  resolvePath(path = '.') {
+    let target = path
+    if (target === '~' || target.startsWith('~/')) {
+      target = this.home + target.slice(1)
+    }
+    if (!target.startsWith('/')) {
+      target = `${this.cwd}/${target}`
+    }
+
+    const segments = []
+    target.split('/').forEach(segment => {
+      if (segment === '' || segment === '.') return
+      if (segment === '..') {
+        segments.pop()
+      } else {
+        segments.push(segment)
+      }
+    })
+
+    return '/' + segments.join('/')
+  }
+
+  /**
+   * Shorten a path for display by replacing the home directory with ~
+   * @param {string} path - Absolute path (defaults to the working directory)
+   * @returns {string} Display path
+   */
+  getDisplayPath(path = this.cwd) {
+    if (path === this.home) return '~'
+    if (path.startsWith(this.home + '/')) return '~' + path.slice(this.home.length)
+    return path
+  }
+
+  /**
+   * Get the current working directory
+   * @returns {string} Absolute path of the working directory
+   */
+  getWorkingDirectory() {
+    return this.cwd
+  }
+
+  /**
+   * Look up the node at a path
+   * @param {string} path - Path to look up
+   * @returns {Object|null} Node, or null if the path does not exist
+   */
+  getNode(path) {
+    const absolute = this.resolvePath(path)
+    let node = this.root
+
+    for (const segment of absolute.split('/').filter(Boolean)) {
+      if (node.type !== 'directory' || !hasEntry(node, segment)) {
+        return null
+      }
+      node = node.children[segment]
+    }
+
+    return node
+  }
+
+  /**
+   * Get the node at a path or throw if it does not exist
+   * @param {string} path - Path to look up
+   * @returns {Object} Node
+   */
+  stat(path) {
+    const node = this.getNode(path)
+    if (!node) throw fsError('ENOENT', path)
+    return node
+  }
+
+  /**
+   * Check whether a path exists
+   * @param {string} path - Path to check
+   * @returns {boolean} True if the path exists
+   */
+  exists(path) {
+    return this.getNode(path) !== null
+  }
+
+  /**
+   * Check whether a path is a directory
+   * @param {string} path - Path to check
+   * @returns {boolean} True if the path is a directory
+   */
+  isDirectory(path) {
+    const node = this.getNode(path)
+    return !!node && node.type === 'directory'
+  }
+
+  /**
+   * List the entries of a directory, sorted by name
+   * @param {string} path - Directory path
+   * @returns {Array<{name: string, node: Object}>} Directory entries
+   */
+  readDirectory(path = '.') {
+    const node = this.stat(path)
+    if (node.type !== 'directory') throw fsError('ENOTDIR', path)
+
+    return Object.keys(node.children)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, node: node.children[name] }))
+  }
+
+  /**
+   * Read the contents of a file
+   * @param {string} path - File path
+   * @returns {string} File contents
+   */
+  readFile(path) {
+    const node = this.stat(path)
+    if (node.type === 'directory') throw fsError('EISDIR', path)
+    return node.content
+  }
+
+  /**
+   * Check that a file can be created or overwritten at a path
+   * Portfolio files are read-only; only files created by the user may be changed
+   * @param {string} path - File path
+   * @returns {{parent: Object, name: string, absolute: string}} Resolved write target
+   */
+  assertWritable(path) {
+    const absolute = this.resolvePath(path)
+    const separator = absolute.lastIndexOf('/')
+    const name = absolute.slice(separator + 1)
+    const parent = this.getNode(absolute.slice(0, separator) || '/')
+
+    if (!parent || name === '') throw fsError(name === '' ? 'EISDIR' : 'ENOENT', path)
+    if (parent.type !== 'directory') throw fsError('ENOTDIR', path)
+    // Entry names are object keys, so keep them from reaching the prototype
+    if (name === '__proto__') throw fsError('EACCES', path)
+
+    const existing = hasEntry(parent, name) ? parent.children[name] : null
+    if (existing && existing.type === 'directory') throw fsError('EISDIR', path)
+    if (existing && !existing.userFile) throw fsError('EACCES', path)
+
+    return { parent, name, absolute }
+  }
+
+  /**
+   * Create or overwrite a user file
+   * @param {string} path - File path
+   * @param {string} content - New contents
+   * @returns {Promise<void>} Resolves once the file is saved
+   * @throws {FileSystemError} If the file cannot be written; the promise rejects if it
+   *   cannot be saved
+   */
+  writeFile(path, content) {
+    const { parent, name, absolute } = this.assertWritable(path)
+    this.assertStorable(path, absolute, content, hasEntry(parent, name))
+    parent.children[name] = createFile(content, { userFile: true })
+    return this.saveChange(path, absolute, content)
+  }
+
+  /**
+   * Append to a user file, creating it if needed
+   * @param {string} path - File path
+   * @param {string} content - Text to append
+   * @returns {Promise<void>} Resolves once the file is saved
+   * @throws {FileSystemError} If the file cannot be written; the promise rejects if it
+   *   cannot be saved
+   */
+  appendFile(path, content) {
+    const { parent, name, absolute } = this.assertWritable(path)
+    const existing = hasEntry(parent, name) ? parent.children[name] : null
+    if (existing && content === '') return Promise.resolve()
+
+    const updated = (existing ? existing.content : '') + content
+    this.assertStorable(path, absolute, updated, existing !== null)
+    parent.children[name] = createFile(updated, { userFile: true })
+    return this.saveChange(path, absolute, updated)
+  }
+
+  /**
+   * Remove a user file
+   * @param {string} path - File path
+   * @returns {Promise<void>} Resolves once the removal is saved
+   * @throws {FileSystemError} If the file cannot be removed; the promise rejects if the
+   *   removal cannot be saved
+   */
+  removeFile(path) {
+    const node = this.stat(path)
+    if (node.type === 'directory') throw fsError('EISDIR', path)
+
+    const { parent, name, absolute } = this.assertWritable(path)
+    delete parent.children[name]
+    return this.saveChange(path, absolute, null)
+  }
+
+  /**
+   * Add previously saved user files to the tree without notifying listeners
+   * Files whose parent directory no longer exists are skipped
+   * @param {Array<{path: string, content: string}>} files - Saved files
+   */
+  mountUserFiles(files = []) {
+    files.forEach(({ path, content }) => {
+      try {
+        const { parent, name } = this.assertWritable(path)
+        parent.children[name] = createFile(content, { userFile: true })
+      } catch (error) {
+        // Stale entry for a path that is no longer writable; leave it in storage untouched
+      }
+    })
+  }
+
+  /**
+   * Remove every user file from the tree without notifying listeners
+   * Used when the signed-in user changes
+   */
+  unmountUserFiles() {
+    const walk = (node) => {
+      Object.entries(node.children).forEach(([name, child]) => {
+        if (child.type === 'directory') {
+          walk(child)
+        } else if (child.userFile) {
+          delete node.children[name]
+        }
+      })
+    }
+    walk(this.root)
+  }
+
+  /**
+   * Change the working directory
+   * @param {string} path - Target directory; '-' returns to the previous directory
+   * @returns {string} New working directory
+   */
+  changeDirectory(path = '~') {
+    const target = path === '-' ? this.previousCwd : path
+    const node = this.stat(target)
+    if (node.type !== 'directory') throw fsError('ENOTDIR', target)
+
+    this.previousCwd = this.cwd
+    this.cwd = this.resolvePath(target)
+    return this.cwd
+  }
+
+  /**
+   * List the paths a partially typed path could complete to
+   * Directories end with '/'; entries starting with '.' are only offered for a '.' prefix.
+   * @param {string} prefix - Path typed so far, e.g. 'projects/au' or '~/'
+   * @param {Object} options - Completion options
+   * @param {boolean} options.directoriesOnly - Only offer directories
+   * @returns {string[]} Candidate paths, each starting with the prefix
+   */
+  completePath(prefix, { directoriesOnly = false } = {}) {
+    if (prefix === '~') return ['~/']
+
+    const slash = prefix.lastIndexOf('/')
+    const directory = prefix.slice(0, slash + 1)
+    const partial = prefix.slice(slash + 1)
+    if (!this.isDirectory(directory || '.')) return []
+
+    return this.readDirectory(directory || '.')
+      .filter(({ name }) => name.startsWith(partial) && (partial.startsWith('.') || !name.startsWith('.')))
+      .filter(({ node }) => !directoriesOnly || node.type === 'directory')
+      .map(({ name, node }) => `${directory}${name}${node.type === 'directory' ? '/' : ''}`)
+  }
+
+  /**
+   * Render a directory as an indented tree
+   * @param {string} path - Directory to render
+   * @param {Function} formatName - Optional formatter for entry names
+   * @returns {{lines: string[], directories: number, files: number}} Rendered tree
+   */
+  renderTree(path = '.', formatName = (name) => name) {
+    const lines = []
+    let directories = 0
+    let files = 0
+
+    const walk = (directoryPath, prefix) => {
+      const entries = this.readDirectory(directoryPath)
+      entries.forEach(({ name, node }, index) => {
+        const isLast = index === entries.length - 1
+        lines.push(`${prefix}${isLast ? '└── ' : '├── '}${formatName(name, node)}`)
+        if (node.type === 'directory') {
+          directories++
+          walk(`${directoryPath}/${name}`, prefix + (isLast ? '    ' : '│   '))
+        } else {
+          files++
+        }
+      })
+    }
+
+    walk(this.resolvePath(path), '')
+    return { lines, directories, files }
+  }
+}
+
+/**
+ * Build the portfolio directory tree, with each portfolio section exposed as files
+ * @returns {Object} Root directory node
+ */
+export const createPortfolioTree = () => {
+  const toEntries = (items, toFile) => Object.fromEntries(items.map(item => toFile(item)))
+  const createPicture = (url) => createFile('', { binary: true, format: getImageFormat(url), url })
+  const photoExtension = PHOTO_URL && PHOTO_URL.split(/[?#]/)[0].split('/').pop().split('.').slice(1).pop()
+
+  const home = createDirectory({
+    'about.txt': createFile(ABOUT_TEXT),
+    'email.txt': createFile(`${EMAIL_ADDRESS}\n`),
+    ...(RESUME_URL && { 'resume.pdf': createFile('', { binary: true, format: 'pdf', url: RESUME_URL }) }),
+    education: createDirectory(toEntries(EDUCATION, entry => [
+      `${entry.slug}.txt`,
+      createFile(`${formatEducationEntry(entry)}\n`)
+    ])),
+    projects: createDirectory(toEntries(PROJECTS, project => [
+      `${project.slug}.md`,
+      createFile(formatProjectFile(project), { url: project.url })
+    ])),
+    pictures: createDirectory({
+      'antec.png': createPicture(LOGO_URL),
+      ...(PHOTO_URL && { [photoExtension ? `photo.${photoExtension}` : 'photo']: createPicture(PHOTO_URL) })
+    }),
+    socials: createDirectory(toEntries(SOCIALS, social => [
+      `${social.slug}.txt`,
+      createFile(`${social.name}: ${social.url}\n`, { url: social.url })
+    ]))
+  })
+
+  const [, ...homeSegments] = HOME_DIRECTORY.split('/')
+  const root = createDirectory()
+  let parent = root
+  homeSegments.forEach((segment, i) => {
+    parent.children[segment] = i === homeSegments.length - 1 ? home : createDirectory()
+    parent = parent.children[segment]
+  })
+
+  return root
+}
+
+/**
+ * Create a virtual filesystem pre-populated with the portfolio content
+ * @returns {VirtualFileSystem} Filesystem rooted at / with the working directory at ~
+ */
+export const createPortfolioFileSystem = () => {
+  return new VirtualFileSystem(createPortfolioTree())
+}
+
+export default VirtualFileSystem
@@ -0,0 +1,132 @@
+import { getDisplayWidth, splitGraphemes } from './ansi'
+
+/**
+ * HistorySearch - bash-style reverse incremental search (Ctrl+R)
+ * While active, the prompt is replaced by "(reverse-i-search)`query': " followed by the
+ * matching history entry. Typing refines the query, Ctrl+R steps to older matches,
+ * Ctrl+G restores the original line and any other key accepts the match and is then
+ * handled as usual (so Enter runs it and arrow keys start editing it).
+ */
+export class HistorySearch {
+  constructor(terminal, history, lineEditor, redrawPrompt) {
+    this.terminal = terminal
+    this.history = history
+    this.lineEditor = lineEditor
+    // Writes the shell prompt and reprints the line editor's content after it
+    this.redrawPrompt = redrawPrompt
+    this.active = false
+    this.query = ''
+    this.matchIndex = -1
+    this.failed = false
+    this.originalLine = ''
+  }
+
+  /**
+   * Check whether a search is in progress
+   * @returns {boolean} True while searching
+   */
+  isActive() {
+    return this.active
+  }
+
+  /**
+   * Start a search from the newest history entry
+   */
+  start() {
+    this.active = true
+    this.query = ''
+    this.matchIndex = -1
+    this.failed = false
+    this.originalLine = this.lineEditor.getLine()
+    this.render()
+  }
+
+  /**
+   * Handle input while searching
+   * @param {string} data - Input data from the terminal
+   * @returns {boolean} True if the input was consumed by the search; false when the search
+   *   ended and the key should be handled as normal input
+   */
+  handleInput(data) {
+    if (!this.active) return false
+
+    if (data === '\x12') { // Ctrl+R - next older match
+      this.find(this.matchIndex === -1 ? this.history.size : this.matchIndex)
+      return true
+    }
+    if (data === '\x07') { // Ctrl+G - give up and restore the original line
+      this.finish(this.originalLine)
+      return true
+    }
+    if (data === '\x7f' || data === '\b') { // Backspace - shorten the query
+      this.query = Array.from(this.query).slice(0, -1).join('')
+      this.find(this.history.size)
+      return true
+    }
+    if (!data.startsWith('\x1b') && /^[^\x00-\x1f\x7f]+$/.test(data)) { // Printable
+      this.query += data
+      // The current match stays if it still contains the longer query
+      this.find(this.matchIndex === -1 ? this.history.size : this.matchIndex + 1)
+      return true
+    }
+
+    // Any other key accepts the match and is processed normally
+    this.finish(this.matchIndex === -1 ? this.originalLine : this.history.get(this.matchIndex))
+    return false
+  }
+
+  /**
+   * Search backwards for the query and redraw
+   * @param {number} before - Only consider entries with an index lower than this
+   */
+  find(before) {
+    if (this.query === '') {
+      this.matchIndex = -1
+      this.failed = false
+    } else {
+      const index = this.history.search(this.query, before)
+      this.failed = index === -1
+      if (!this.failed) this.matchIndex = index
+    }
+    this.render()
+  }
+
+  /**
+   * Draw the search prompt and the current match, with the cursor at the match
+   */
+  render() {
+    const line = this.matchIndex === -1 ? this.originalLine : this.history.get(this.matchIndex)
+    const matchStart = this.query && !this.failed ? line.lastIndexOf(this.query) : line.length
+    const prompt = `${this.failed ? '(failed reverse-i-search)' : '(reverse-i-search)'}\`${this.query}': `
+
+    this.lineEditor.erase()
+    this.terminal.write(prompt)
+    this.lineEditor.load(line, splitGraphemes(line.slice(0, matchStart)).length)
+    this.lineEditor.reprint(getDisplayWidth(prompt) % this.terminal.cols)
+  }
+
+  /**
+   * Leave search mode, putting the shell prompt back with the given line
+   * @param {string} line - Line to continue editing
+   */
+  finish(line) {
+    this.active = false
+    this.lineEditor.erase()
+    this.lineEditor.load(line)
+    this.redrawPrompt()
+  }
+}
+
+/**
+ * Create a reverse history search
+ * @param {Object} terminal - xterm.js terminal instance
+ * @param {Object} history - CommandHistory instance
+ * @param {Object} lineEditor - LineEditor instance
+ * @param {Function} redrawPrompt - Writes the shell prompt and reprints the edited line
+ * @returns {HistorySearch} History search instance
+ */
+export const createHistorySearch = (terminal, history, lineEditor, redrawPrompt) => {
+  return new HistorySearch(terminal, history, lineEditor, redrawPrompt)
+}
+
+export default HistorySearch
@@ -0,0 +1,118 @@
+import { historyClient } from '@antec/api-client'
+import { HISTORY_CONSTANTS } from '@antec/shared'
+import { mergeHistoryEntries } from './commandHistory'
+
+/**
+ * Local storage for guest command history
+ * History lives in localStorage, so it survives reloads and is shared by every tab
+ */
+export class LocalHistoryStorage {
+  constructor(storageKey = HISTORY_CONSTANTS.LOCAL_STORAGE_KEY, maxSize = HISTORY_CONSTANTS.MAX_ENTRIES) {
+    this.storageKey = storageKey
+    this.maxSize = maxSize
+  }
+
+  /**
+   * Read the stored entries
+   * @returns {Array<{line: string, timestamp: string}>} Stored entries, oldest first
+   */
+  readAll() {
+    try {
+      const data = localStorage.getItem(this.storageKey)
+      const entries = data ? JSON.parse(data) : []
+      return Array.isArray(entries) ? entries : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  /**
+   * Write the entries
+   * @param {Array<{line: string, timestamp: string}>} entries - Entries, oldest first
+   */
+  writeAll(entries) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entries))
+    } catch (error) {
+      console.warn('Failed to store command history:', error)
+    }
+  }
+
+  /**
+   * Load the stored history
+   * @returns {Promise<Array<{line: string, timestamp: string}>>} Stored entries
+   */
+  async load() {
+    return this.readAll()
+  }
+
+  /**
+   * Merge new entries into the stored history
+   * Other tabs may have written since this one loaded, so the stored list is re-read first.
+   * @param {Array<{line: string, timestamp: string}>} entries - Entries to add
+   */
+  async append(entries) {
+    this.writeAll(mergeHistoryEntries(this.readAll(), entries, this.maxSize))
+  }
+
+  /**
+   * Delete the stored history
+   */
+  async clear() {
+    try {
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      console.warn('Failed to clear command history:', error)
+    }
+  }
+}
+
+/**
+ * Account storage for signed-in users, backed by the /api/history endpoints
+ * The backend merges entries from every device the user signs in on, and decides how many
+ * it keeps; maxSize follows it once the history is loaded.
+ */
+export class AccountHistoryStorage {
+  constructor(client = historyClient) {
+    this.client = client
+    this.maxSize = HISTORY_CONSTANTS.MAX_ENTRIES
+  }
+
+  /**
+   * Load the user's history
+   * @returns {Promise<Array<{line: string, timestamp: string}>>} Stored entries
+   */
+  async load() {
+    const response = await this.client.getHistory()
+    if (response.maxEntries > 0) {
+      this.maxSize = response.maxEntries
+    }
+    return response.entries || []
+  }
+
+  /**
+   * Merge new entries into the user's history
+   * @param {Array<{line: string, timestamp: string}>} entries - Entries to add
+   */
+  async append(entries) {
+    await this.client.appendHistory(entries)
+  }
+
+  /**
+   * Delete the user's history
+   */
+  async clear() {
+    await this.client.clearHistory()
+  }
+}
+
+/**
+ * Create the history storage for the current authentication state
+ * @param {boolean} isAuthenticated - Whether a user is signed in
+ * @returns {LocalHistoryStorage|AccountHistoryStorage} Storage instance
+ */
+export const createHistoryStorage = (isAuthenticated) => {
+  return isAuthenticated ? new AccountHistoryStorage() : new LocalHistoryStorage()
+}
+
+export default createHistoryStorage
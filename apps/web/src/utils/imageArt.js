@@ -0,0 +1,199 @@
+/**
+ * Drawing pictures in the terminal
+ * Pictures are drawn at full resolution with the iTerm inline image protocol where the
+ * terminal has the image addon, and otherwise as colored half blocks: each character cell
+ * shows two pixels, the top one in the text color of '▀' and the bottom one in its
+ * background.
+ */
+
+// Picture formats browsers can decode, by file extension
+const IMAGE_EXTENSIONS = { png: 'png', jpg: 'jpeg', jpeg: 'jpeg', gif: 'gif', webp: 'webp' }
+
+export const IMAGE_FORMATS = [...new Set(Object.values(IMAGE_EXTENSIONS))]
+
+// Pixels more transparent than this show the terminal background
+const ALPHA_THRESHOLD = 128
+
+// Cell size assumed when the terminal's cannot be measured, in CSS pixels
+const DEFAULT_CELL_SIZE = { width: 8, height: 16 }
+
+const RESET = '\x1b[0m'
+
+/**
+ * Error raised when a picture cannot be downloaded or decoded
+ */
+export class ImageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ImageError'
+  }
+}
+
+/**
+ * Tell a picture's format from its file name or URL
+ * @param {string} path - File name or URL, e.g. '/pic.png'
+ * @returns {string|null} Format, e.g. 'jpeg', or null if it is not a picture
+ */
+export const getImageFormat = (path) => {
+  const name = path.split(/[?#]/)[0].split('/').pop()
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+  return IMAGE_EXTENSIONS[extension] || null
+}
+
+/**
+ * Download and decode a picture
+ * @param {string} url - URL of the picture
+ * @returns {Promise<HTMLImageElement>} Decoded picture
+ * @throws {ImageError} If it cannot be downloaded or is not a picture the browser reads
+ */
+export const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image()
+  image.decoding = 'async'
+  image.onload = () => resolve(image)
+  image.onerror = () => reject(new ImageError(`cannot load ${url}`))
+  image.src = url
+})
+
+/**
+ * Measure a character cell of the terminal
+ * @param {Object} terminal - xterm.js terminal
+ * @returns {{width: number, height: number}} Cell size in CSS pixels
+ */
+export const getCellSize = (terminal) => {
+  const screen = terminal && terminal.element && terminal.element.querySelector('.xterm-screen')
+  if (!screen || !screen.clientWidth || !screen.clientHeight) return DEFAULT_CELL_SIZE
+  return { width: screen.clientWidth / terminal.cols, height: screen.clientHeight / terminal.rows }
+}
+
+/**
+ * Work out how many cells a picture takes, keeping its proportions
+ * @param {{width: number, height: number}} size - Picture size in pixels
+ * @param {Object} bounds
+ * @param {number} bounds.columns - Widest the picture may be, in columns
+ * @param {number} bounds.rows - Tallest the picture may be, in rows
+ * @param {{width: number, height: number}} bounds.cell - Cell size in pixels
+ * @returns {{columns: number, rows: number}} Picture size in cells, at least one by one
+ */
+export const fitImage = (size, { columns, rows, cell = DEFAULT_CELL_SIZE }) => {
+  const ratio = (size.height / size.width) * (cell.width / cell.height)
+  let width = columns
+  let height = Math.round(width * ratio)
+  if (height > rows) {
+    height = rows
+    width = Math.round(height / ratio)
+  }
+  return { columns: Math.max(1, Math.min(width, columns)), rows: Math.max(1, height) }
+}
+
+/**
+ * Draw a picture onto a canvas of a given size
+ * @param {HTMLImageElement} image - Decoded picture
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {HTMLCanvasElement} Canvas holding the scaled picture
+ */
+const drawScaled = (image, width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(image, 0, 0, width, height)
+  return canvas
+}
+
+/**
+ * Get the color of a pixel, or null where it is transparent
+ * @param {{data: Uint8ClampedArray, width: number}} pixels - RGBA pixels
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {string|null} 'r;g;b', or null
+ */
+const getColor = (pixels, x, y) => {
+  const offset = (y * pixels.width + x) * 4
+  if (pixels.data[offset + 3] < ALPHA_THRESHOLD) return null
+  return `${pixels.data[offset]};${pixels.data[offset + 1]};${pixels.data[offset + 2]}`
+}
+
+/**
+ * Turn pixels into lines of colored half blocks, two pixel rows per line
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} pixels - RGBA pixels,
+ *   e.g. ImageData
+ * @returns {string} Lines of art, each ending with a newline
+ */
+export const formatBlockArt = (pixels) => {
+  const lines = []
+  for (let y = 0; y < pixels.height; y += 2) {
+    let line = ''
+    let style = ''
+    for (let x = 0; x < pixels.width; x++) {
+      const top = getColor(pixels, x, y)
+      const bottom = y + 1 < pixels.height ? getColor(pixels, x, y + 1) : null
+      let cellStyle = RESET
+      let character = ' '
+      if (top && top === bottom) {
+        cellStyle = `\x1b[0;38;2;${top}m`
+        character = '█'
+      } else if (top && bottom) {
+        cellStyle = `\x1b[0;38;2;${top};48;2;${bottom}m`
+        character = '▀'
+      } else if (top || bottom) {
+        cellStyle = `\x1b[0;38;2;${top || bottom}m`
+        character = top ? '▀' : '▄'
+      }
+      // Runs of cells in the same colors share one escape sequence
+      if (cellStyle !== style) {
+        line += cellStyle
+        style = cellStyle
+      }
+      line += character
+    }
+    lines.push(style === RESET ? line.trimEnd() : `${line}${RESET}`)
+  }
+  return lines.map(line => `${line}\n`).join('')
+}
+
+/**
+ * Encode a canvas as an iTerm inline image that fills a number of cells
+ * @param {HTMLCanvasElement} canvas - Picture to show
+ * @param {{columns: number, rows: number}} size - Cells it covers
+ * @param {string} name - File name sent along with the picture
+ * @returns {string} Escape sequence followed by a newline
+ */
+const formatInlineImage = (canvas, size, name) => {
+  const data = canvas.toDataURL('image/png').split(',')[1]
+  const bytes = Math.floor((data.length * 3) / 4) - (data.match(/=*$/)[0].length)
+  const fileName = btoa(String.fromCharCode(...new TextEncoder().encode(name)))
+  return `\x1b]1337;File=inline=1;name=${fileName};size=${bytes};width=${size.columns};height=${size.rows};preserveAspectRatio=0:${data}\x07\n`
+}
+
+/**
+ * Draw a picture for the terminal
+ * @param {string} url - URL of the picture
+ * @param {Object} options
+ * @param {number} options.columns - Widest the picture may be, in columns
+ * @param {number} options.rows - Tallest the picture may be, in rows
+ * @param {{width: number, height: number}} options.cell - Cell size in pixels
+ * @param {boolean} options.inline - Draw at full resolution with an inline image sequence
+ *   rather than with half blocks
+ * @param {string} options.name - File name of the picture
+ * @returns {Promise<string>} Picture as terminal output, ending with a newline
+ * @throws {ImageError} If the picture cannot be loaded
+ */
+export const renderImage = async (url, { columns, rows, cell = DEFAULT_CELL_SIZE, inline = false, name = '' }) => {
+  const image = await loadImage(url)
+  const size = fitImage({ width: image.naturalWidth, height: image.naturalHeight }, { columns, rows, cell })
+  if (inline) {
+    const scale = Math.min(window.devicePixelRatio || 1, 2)
+    const canvas = drawScaled(
+      image,
+      Math.round(size.columns * cell.width * scale),
+      Math.round(size.rows * cell.height * scale)
+    )
+    return formatInlineImage(canvas, size, name)
+  }
+  const canvas = drawScaled(image, size.columns, size.rows * 2)
+  return formatBlockArt(canvas.getContext('2d').getImageData(0, 0, size.columns, size.rows * 2))
+}
+
+export default renderImage
@@ -0,0 +1,131 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+import { IMAGE_FORMATS, ImageError, getCellSize, renderImage } from './imageArt'
+import { PHOTO_URL } from './portfolioContent'
+
+/**
+ * Picture commands: draw pictures from the filesystem, or my photo, in the terminal
+ */
+
+// Rows left free under a picture so it fits on the screen with the prompt
+const PROMPT_ROWS = 2
+
+const IMAGE_OPTIONS = [
+  { flag: '--width columns', description: 'draw the picture at most this many columns wide (-w)' },
+  { flag: '--blocks', description: 'draw with colored blocks even where full resolution is possible (-b)' }
+]
+
+/**
+ * Read the options of the picture commands
+ * @param {string} command - Command name used in error messages
+ * @param {string[]} args - Arguments
+ * @returns {{width: number|null, blocks: boolean, operands: string[]}} Options and operands
+ * @throws {CommandError} If the width is not a positive whole number
+ */
+const parseImageOptions = (command, args) => {
+  const { flags, values, operands } = parseOptions(command, args, {
+    flags: 'b',
+    values: 'w',
+    long: { width: 'w', blocks: 'b' }
+  })
+  if (values.w !== undefined && !/^[1-9]\d*$/.test(values.w)) {
+    throw new CommandError(`${command}: width must be a whole number of columns: ${values.w}`, EXIT_STATUS.USAGE)
+  }
+  return { width: values.w ? Number(values.w) : null, blocks: flags.has('b'), operands }
+}
+
+/**
+ * Draw a picture sized to the terminal
+ * Pictures shown on the terminal are drawn at full resolution when the inline-images
+ * setting is on and the image addon loads; piped, redirected or with `blocks`, they are
+ * drawn with colored blocks.
+ * @param {string} command - Command name used in error messages
+ * @param {string} url - URL of the picture
+ * @param {Object} options
+ * @param {string} options.name - File name of the picture
+ * @param {number|null} options.width - Widest the picture may be, in columns
+ * @param {number|null} options.height - Tallest the picture may be, in rows
+ * @param {boolean} options.blocks - Always draw with colored blocks
+ * @param {Object} context - Command context
+ * @returns {Promise<string>} Picture as terminal output, ending with a newline
+ * @throws {CommandError} If the picture cannot be loaded
+ */
+export const drawPicture = async (command, url, { name, width = null, height = null, blocks = false }, { terminal, settings, shell, stdout }) => {
+  const inline = !blocks && stdout.isTTY && Boolean(shell && shell.enableImages) &&
+    settings.get('inlineImages') && await shell.enableImages()
+  try {
+    return await renderImage(url, {
+      columns: Math.min(width || terminal.cols, terminal.cols),
+      rows: Math.max(1, Math.min(height || terminal.rows, terminal.rows - PROMPT_ROWS)),
+      cell: getCellSize(terminal),
+      inline,
+      name
+    })
+  } catch (error) {
+    if (!(error instanceof ImageError)) throw error
+    throw new CommandError(`${command}: ${name}: ${error.message}`)
+  }
+}
+
+const img = {
+  name: 'img',
+  description: 'draw a picture in the terminal',
+  usage: 'img [--width columns] [--blocks] <file>',
+  options: IMAGE_OPTIONS,
+  args: [{ name: 'file', description: 'picture to draw (PNG, JPEG, GIF or WebP)', required: true, complete: (prefix, { fs }) => fs.completePath(prefix) }],
+  details: [
+    'Draw a picture as wide as the terminal, or as tall as the screen for tall pictures.',
+    'Where the terminal can show images, it is drawn at full resolution; otherwise, and',
+    'when the output is piped or redirected, it is drawn with colored half blocks, two',
+    'pixels to a character.',
+    '',
+    '`settings inline-images off` always draws with blocks.'
+  ].join('\n'),
+  examples: [
+    { command: 'img ~/pictures/antec.png', description: 'draw the ANTEC logo' },
+    { command: 'img -b -w 40 ~/pictures/antec.png', description: 'draw it with blocks, 40 columns wide' }
+  ],
+  handler: async (args, context) => {
+    const { width, blocks, operands } = parseImageOptions('img', args)
+    if (operands.length !== 1) {
+      throw new CommandError('Usage: img [--width columns] [--blocks] <file>', EXIT_STATUS.USAGE)
+    }
+
+    const [path] = operands
+    let node
+    try {
+      node = context.fs.stat(path)
+    } catch (error) {
+      throw new CommandError(`img: ${path}: ${error.message}`)
+    }
+    if (node.type === 'directory') {
+      throw new CommandError(`img: ${path}: Is a directory`)
+    }
+    if (!IMAGE_FORMATS.includes(node.format)) {
+      throw new CommandError(`img: ${path}: not a picture`)
+    }
+
+    context.stdout.write(await drawPicture('img', node.url, { name: path.split('/').pop(), width, blocks }, context))
+    return null
+  }
+}
+
+const photo = {
+  name: 'photo',
+  description: 'see my photo',
+  usage: 'photo [--width columns] [--blocks]',
+  options: IMAGE_OPTIONS,
+  details: 'Draw my photo the way `img` draws pictures; it is in ~/pictures too.',
+  handler: async (args, context) => {
+    const { width, blocks, operands } = parseImageOptions('photo', args)
+    if (operands.length > 0) {
+      throw new CommandError('Usage: photo [--width columns] [--blocks]', EXIT_STATUS.USAGE)
+    }
+    context.stdout.write(await drawPicture('photo', PHOTO_URL, { name: 'photo', width, blocks }, context))
+    return null
+  }
+}
+
+export const imageCommands = PHOTO_URL ? [img, photo] : [img]
+
+export default imageCommands
@@ -0,0 +1,393 @@
+import { APIError, messagesClient } from '@antec/api-client'
+import { MESSAGE_CONSTANTS } from '@antec/shared'
+import { showControlCharacters } from './ansi'
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+import { formatTable } from './textTable'
+
+/**
+ * Inbox commands: the site owner reads, answers and tidies up the messages sent with
+ * `contact`. The backend only lets admins at them.
+ * Messages are numbered as in the pane's last listing, the way mail numbers them; ids work too.
+ */
+
+const KEY_STYLE = '\x1b[1m'
+const DIM_STYLE = '\x1b[90m'
+const RESET = '\x1b[0m'
+
+// How listings describe each folder
+const FOLDER_LABELS = {
+  inbox: 'in the inbox',
+  unread: 'unread in the inbox',
+  archived: 'in the archive',
+  all: 'in the inbox and the archive'
+}
+
+const MESSAGE_ID_PATTERN = /^[0-9a-f]{24}$/i
+
+const MESSAGE_ARGUMENT = { name: 'message', description: 'number from the last `inbox` listing, or message id', required: true }
+
+/**
+ * Format a time for listings and headers
+ * @param {string} timestamp - ISO 8601 time
+ * @returns {string} Local time, e.g. '2026-01-11 12:00'
+ */
+const formatDate = (timestamp) => {
+  const date = new Date(timestamp)
+  const pad = (number) => String(number).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+/**
+ * Say how many of something there are
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. '1 message' or '3 messages'
+ */
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`
+
+/**
+ * Show who sent a message on one line; visitors choose both parts, so neither is trusted
+ * @param {Object} message - Message or summary
+ * @returns {string} e.g. 'Ada <ada@example.com>'
+ */
+const formatSender = (message) => showControlCharacters(`${message.name} <${message.replyTo}>`)
+
+/**
+ * Make message text safe to print: only line breaks and tabs reach the terminal
+ * @param {string} text - Body of a message or reply
+ * @returns {string} Text
+ */
+const formatBody = (text) => showControlCharacters(text, '\n\t')
+
+/**
+ * Get the numbers of the pane's last listing
+ * @param {Object} shell - Shell actions from the command context
+ * @returns {Map<string, string>} Message ids by their number; empty if nothing was listed
+ */
+const getListing = (shell) => (shell && shell.getInboxListing ? shell.getInboxListing() : new Map())
+
+/**
+ * Find the message a number from the last listing, or an id, stands for
+ * @param {string} command - Command name used in error messages
+ * @param {string} reference - Number or id
+ * @param {Object} shell - Shell actions from the command context
+ * @returns {string} Message id
+ * @throws {CommandError} If the number is not in the last listing
+ */
+const resolveMessage = (command, reference, shell) => {
+  const listing = getListing(shell)
+  if (MESSAGE_ID_PATTERN.test(reference)) return reference
+  if (listing.has(reference)) return listing.get(reference)
+  if (listing.size === 0) {
+    throw new CommandError(`${command}: ${reference}: no such message; run inbox to number them`)
+  }
+  throw new CommandError(`${command}: ${reference}: no such message in the last listing`)
+}
+
+/**
+ * Call the messages API, turning its errors into command errors
+ * @param {string} command - Command name used in error messages
+ * @param {Function} request - Makes the call
+ * @param {string} [reference] - Number or id of the message the call is about
+ * @returns {Promise<Object>} Response
+ * @throws {CommandError} If the call fails
+ */
+const callInbox = async (command, request, reference = null) => {
+  try {
+    return await request()
+  } catch (error) {
+    if (!(error instanceof APIError)) throw error
+    if (error.status === 401) throw new CommandError(`${command}: sign in as the site owner first (login)`)
+    if (error.status === 403) throw new CommandError(`${command}: only the site owner can read messages`)
+    if (error.status === 404) throw new CommandError(`${command}: ${reference}: no such message`)
+    throw new CommandError(`${command}: ${error.message}`)
+  }
+}
+
+/**
+ * Check the user is signed in before asking the backend anything
+ * @param {string} command - Command name used in error messages
+ * @param {Object} auth - Auth state from the command context
+ * @throws {CommandError} If nobody is signed in
+ */
+const requireSignIn = (command, auth) => {
+  if (!auth || !auth.isAuthenticated) {
+    throw new CommandError(`${command}: sign in as the site owner first (login)`)
+  }
+}
+
+/**
+ * Format a page of messages as a table, with the unread count and where the page is
+ * @param {import('@antec/shared').InboxPage} page - Messages and pagination
+ * @param {Object} options
+ * @param {string} options.folder - Folder listed
+ * @param {string|null} options.search - Text searched for
+ * @param {number} options.width - Width available
+ * @returns {string} Listing
+ */
+const formatListing = ({ messages, unread, pagination }, { folder, search, width }) => {
+  const { page, limit, total, pages } = pagination
+  const where = search ? `${FOLDER_LABELS[folder]} matching '${showControlCharacters(search)}'` : FOLDER_LABELS[folder]
+  const summary = `${KEY_STYLE}${plural(unread, 'unread message')}${RESET}; ${plural(total, 'message')} ${where}`
+  if (messages.length === 0) {
+    return `${summary}\n${total > 0 ? `No page ${page}; the last is ${pages}.` : 'Nothing here.'}`
+  }
+
+  const first = (page - 1) * limit + 1
+  const rows = messages.map((message, index) => [
+    String(first + index),
+    `${message.read ? '' : 'N'}${message.replied ? 'R' : ''}${message.archived && folder === 'all' ? 'A' : ''}`,
+    formatSender(message),
+    showControlCharacters(message.subject),
+    formatDate(message.createdAt)
+  ])
+  const table = formatTable([
+    { header: '#', align: 'right' },
+    { header: '' },
+    { header: 'From', wrap: true, minWidth: 12 },
+    { header: 'Subject', wrap: true, minWidth: 16, style: KEY_STYLE },
+    { header: 'Received', drop: 1 }
+  ], rows, { width })
+
+  const lines = [summary, '', table]
+  if (pages > 1) {
+    lines.push('', `${DIM_STYLE}Page ${page} of ${pages}${page < pages ? `; next: inbox --page ${page + 1}` : ''}${RESET}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Format a message with its headers and the replies sent to it
+ * @param {import('@antec/shared').InboxMessage} message - Message, read in full
+ * @returns {string} Message
+ */
+const formatMessage = (message) => {
+  const status = [
+    message.archived ? 'archived' : null,
+    message.replies.length > 0 ? `replied ${message.replies.length === 1 ? 'once' : `${message.replies.length} times`}` : null
+  ].filter(Boolean)
+  const lines = [
+    `${KEY_STYLE}From:${RESET}     ${formatSender(message)}`,
+    `${KEY_STYLE}Subject:${RESET}  ${showControlCharacters(message.subject)}`,
+    `${KEY_STYLE}Received:${RESET} ${formatDate(message.createdAt)}`,
+    ...(status.length > 0 ? [`${KEY_STYLE}Status:${RESET}   ${status.join(', ')}`] : []),
+    '',
+    formatBody(message.body)
+  ]
+  message.replies.forEach(reply => {
+    lines.push('', `${DIM_STYLE}--- Your reply, ${formatDate(reply.sentAt)} ---${RESET}`, formatBody(reply.body))
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Archive, restore or delete messages one after the other, then say how many were changed
+ * @param {string} command - Command name used in error messages
+ * @param {string[]} references - Numbers or ids
+ * @param {Function} change - Makes the change for one message id
+ * @param {Function} describe - Says what was done, given how many messages it was done to
+ * @param {Object} context - Command context
+ * @returns {Promise<string>} What was done
+ * @throws {CommandError} If any could not be changed, after trying all of them
+ */
+const changeMessages = async (command, references, change, describe, { shell, stdout, stderr }) => {
+  let changed = 0
+  let failed = false
+  for (const reference of references) {
+    try {
+      const id = resolveMessage(command, reference, shell)
+      await callInbox(command, () => change(id), reference)
+      changed++
+    } catch (error) {
+      if (!(error instanceof CommandError)) throw error
+      stderr.write(`${error.message}\n`)
+      failed = true
+    }
+  }
+  if (failed) {
+    // Report what did work, and fail without repeating the errors
+    if (changed > 0) stdout.write(`${describe(changed)}\n`)
+    throw new CommandError('')
+  }
+  return describe(changed)
+}
+
+const inbox = {
+  name: 'inbox',
+  description: 'read the messages visitors sent me (owner only)',
+  usage: 'inbox [--unread | --archived | --all] [--search text] [--page n]',
+  // Only the site owner can use it, so it stays out of everybody's help
+  hidden: true,
+  options: [
+    { flag: '--unread', description: 'only messages not read yet (-u)' },
+    { flag: '--archived', description: 'only archived messages (-a)' },
+    { flag: '--all', description: 'the inbox and the archive together (-A)' },
+    { flag: '--search text', description: 'only messages whose sender, subject or text contains this (-s)' },
+    { flag: '--page n', description: `show this page of ${MESSAGE_CONSTANTS.PAGE_SIZE} messages (-p)` }
+  ],
+  details: [
+    'List the messages sent with `contact`, newest first, with how many are unread. In the',
+    "second column, N marks new messages, R the ones you've replied to and A, with --all,",
+    'archived ones.',
+    '',
+    'The other inbox commands take the numbers of the last listing, or message ids.',
+    '',
+    'Only accounts with the admin role can read messages. On the backend,',
+    '`npm run set-role -- <username> admin` gives an account that role.'
+  ].join('\n'),
+  subcommands: {
+    read: {
+      description: 'show a message and mark it read',
+      args: [MESSAGE_ARGUMENT],
+      handler: async (args, { auth, shell }) => {
+        if (args.length !== 1) {
+          throw new CommandError('Usage: inbox read <message>', EXIT_STATUS.USAGE)
+        }
+        requireSignIn('inbox read', auth)
+        const id = resolveMessage('inbox read', args[0], shell)
+        const { message } = await callInbox('inbox read', () => messagesClient.getMessage(id), args[0])
+        return formatMessage(message)
+      }
+    },
+    reply: {
+      description: 'answer a message by email',
+      args: [MESSAGE_ARGUMENT],
+      details: [
+        "Write your reply, ending it with a line holding only '.', then confirm it. It is",
+        'mailed to the address the sender gave, quoting their message. Text piped into',
+        'inbox reply becomes the reply.'
+      ].join('\n'),
+      handler: async (args, { auth, shell, stdin }) => {
+        if (args.length !== 1) {
+          throw new CommandError('Usage: inbox reply <message>', EXIT_STATUS.USAGE)
+        }
+        requireSignIn('inbox reply', auth)
+        if (!shell || !shell.runForm) {
+          throw new CommandError('inbox reply: needs an interactive terminal')
+        }
+        const id = resolveMessage('inbox reply', args[0], shell)
+        const { message } = await callInbox('inbox reply', () => messagesClient.getMessage(id), args[0])
+
+        const validate = (value) => {
+          if (value.trim().length === 0) return 'Reply is required'
+          if (value.length > MESSAGE_CONSTANTS.MAX_BODY_LENGTH) {
+            return `Reply must be at most ${MESSAGE_CONSTANTS.MAX_BODY_LENGTH} characters`
+          }
+          if (/[\x00-\x08\x0b-\x1f\x7f-\x9f]/.test(value)) {
+            return 'Reply must not contain control characters other than line breaks and tabs'
+          }
+          return null
+        }
+        const piped = stdin === null ? null : stdin.replace(/\n+$/, '')
+        if (piped !== null && validate(piped)) {
+          throw new CommandError(`inbox reply: ${validate(piped)}`)
+        }
+
+        const answers = await shell.runForm([
+          piped === null && {
+            name: 'body',
+            prompt: 'Reply',
+            type: 'multiline',
+            intro: `Replying to ${formatSender(message)} about '${showControlCharacters(message.subject)}'.\n`,
+            validate
+          },
+          {
+            name: 'confirm',
+            prompt: `Send it to ${showControlCharacters(message.replyTo)}?`,
+            type: 'confirm',
+            intro: piped === null ? '' : `${piped}\n\n`
+          }
+        ].filter(Boolean))
+        if (!answers) {
+          // The form already showed ^C
+          throw new CommandError('', EXIT_STATUS.INTERRUPTED)
+        }
+        if (!answers.confirm) {
+          return 'Reply not sent.'
+        }
+
+        await callInbox('inbox reply', () => messagesClient.replyToMessage(id, piped === null ? answers.body : piped), args[0])
+        return `Reply sent to ${showControlCharacters(message.replyTo)}.`
+      }
+    },
+    archive: {
+      description: 'move messages out of the inbox, or back with --undo',
+      usage: 'inbox archive [--undo] <message>...',
+      options: [{ flag: '--undo', description: 'move the messages back to the inbox (-u)' }],
+      args: [{ ...MESSAGE_ARGUMENT, variadic: true }],
+      handler: async (args, context) => {
+        const { flags, operands } = parseOptions('inbox archive', args, { flags: 'u', long: { undo: 'u' } })
+        if (operands.length === 0) {
+          throw new CommandError('Usage: inbox archive [--undo] <message>...', EXIT_STATUS.USAGE)
+        }
+        requireSignIn('inbox archive', context.auth)
+        const archived = !flags.has('u')
+        return changeMessages(
+          'inbox archive',
+          operands,
+          id => messagesClient.updateMessage(id, { archived }),
+          count => `${archived ? 'Archived' : 'Moved back to the inbox:'} ${plural(count, 'message')}.`,
+          context
+        )
+      }
+    },
+    delete: {
+      description: 'delete messages for good',
+      args: [{ ...MESSAGE_ARGUMENT, variadic: true }],
+      handler: async (args, context) => {
+        if (args.length === 0) {
+          throw new CommandError('Usage: inbox delete <message>...', EXIT_STATUS.USAGE)
+        }
+        requireSignIn('inbox delete', context.auth)
+        return changeMessages(
+          'inbox delete',
+          args,
+          id => messagesClient.deleteMessage(id),
+          count => `Deleted ${plural(count, 'message')}.`,
+          context
+        )
+      }
+    }
+  },
+  examples: [
+    { command: 'inbox --unread', description: 'messages you have not read yet' },
+    { command: 'inbox read 1', description: 'read the newest message' },
+    { command: 'inbox --search react --page 2', description: 'the second page of messages mentioning React' },
+    { command: 'inbox archive 2 3', description: 'archive the second and third messages' }
+  ],
+  handler: async (args, { auth, terminal, shell }) => {
+    const { flags, values, operands } = parseOptions('inbox', args, {
+      flags: 'uaA',
+      values: 'sp',
+      long: { unread: 'u', archived: 'a', all: 'A', search: 's', page: 'p' }
+    })
+    const folders = ['u', 'a', 'A'].filter(flag => flags.has(flag))
+    if (operands.length > 0 || folders.length > 1) {
+      throw new CommandError('Usage: inbox [--unread | --archived | --all] [--search text] [--page n]', EXIT_STATUS.USAGE)
+    }
+    if (values.p !== undefined && !/^[1-9]\d*$/.test(values.p)) {
+      throw new CommandError(`inbox: page must be a positive whole number: ${values.p}`, EXIT_STATUS.USAGE)
+    }
+    requireSignIn('inbox', auth)
+
+    const folder = { u: 'unread', a: 'archived', A: 'all' }[folders[0]] || 'inbox'
+    const search = values.s || null
+    const page = await callInbox('inbox', () => messagesClient.listMessages({
+      page: values.p ? Number(values.p) : 1,
+      limit: MESSAGE_CONSTANTS.PAGE_SIZE,
+      folder,
+      search
+    }))
+
+    const listing = getListing(shell)
+    const first = (page.pagination.page - 1) * page.pagination.limit + 1
+    listing.clear()
+    page.messages.forEach((message, index) => listing.set(String(first + index), message.id))
+    return formatListing(page, { folder, search, width: (terminal && terminal.cols) || 80 })
+  }
+}
+
+export const inboxCommands = [inbox]
+
+export default inboxCommands
@@ -0,0 +1,417 @@
+import { getDisplayWidth, splitGraphemes } from './ansi'
+
+/**
+ * Key sequences understood by the line editor, mapped to editor actions
+ * Covers the usual readline (emacs mode) bindings and the xterm cursor keys
+ */
+const KEY_BINDINGS = {
+  '\x7f': 'deleteBackward', // Backspace
+  '\b': 'deleteBackward', // Ctrl+H
+  '\x1b[3~': 'deleteForward', // Delete
+  '\x04': 'deleteForward', // Ctrl+D
+  '\x1b[D': 'moveLeft', // Left arrow
+  '\x02': 'moveLeft', // Ctrl+B
+  '\x1b[C': 'moveRight', // Right arrow
+  '\x06': 'moveRight', // Ctrl+F
+  '\x1b[H': 'moveToStart', // Home
+  '\x1bOH': 'moveToStart',
+  '\x1b[1~': 'moveToStart',
+  '\x01': 'moveToStart', // Ctrl+A
+  '\x1b[F': 'moveToEnd', // End
+  '\x1bOF': 'moveToEnd',
+  '\x1b[4~': 'moveToEnd',
+  '\x05': 'moveToEnd', // Ctrl+E
+  '\x1bb': 'moveWordLeft', // Alt+B
+  '\x1b[1;5D': 'moveWordLeft', // Ctrl+Left
+  '\x1b[1;3D': 'moveWordLeft', // Alt+Left
+  '\x1bf': 'moveWordRight', // Alt+F
+  '\x1b[1;5C': 'moveWordRight', // Ctrl+Right
+  '\x1b[1;3C': 'moveWordRight', // Alt+Right
+  '\x15': 'killToStart', // Ctrl+U
+  '\x0b': 'killToEnd', // Ctrl+K
+  '\x17': 'killWordBackward', // Ctrl+W
+  '\x1b\x7f': 'killWordBackward', // Alt+Backspace
+  '\x1bd': 'killWordForward', // Alt+D
+  '\x19': 'yank' // Ctrl+Y
+}
+
+const WORD_CHAR_PATTERN = /[\p{L}\p{N}_]/u
+
+/**
+ * LineEditor - Readline-style editing of the line after a prompt
+ * Keeps the line as grapheme clusters so wide and combining characters move as one unit,
+ * and tracks where each one lands on screen so lines wrapping across rows redraw correctly.
+ * Cursor positions are relative to the row the line starts on.
+ */
+export class LineEditor {
+  constructor(terminal) {
+    this.terminal = terminal
+    this.chars = []
+    this.cursor = 0
+    this.startColumn = null
+    this.screenPosition = null
+    this.killBuffer = ''
+  }
+
+  /**
+   * Start editing a new, empty line at the cursor
+   * @param {number|null} startColumn - Column the line starts at; read from the terminal when
+   *   null (the prompt must have been rendered by the time the first key arrives)
+   */
+  reset(startColumn = null) {
+    this.chars = []
+    this.cursor = 0
+    this.startColumn = startColumn
+    this.screenPosition = startColumn === null ? null : { row: 0, col: startColumn }
+  }
+
+  /**
+   * Print the current line again after a freshly written prompt
+   * @param {number} startColumn - Column the prompt ends at
+   */
+  reprint(startColumn) {
+    this.startColumn = startColumn
+    this.screenPosition = { row: 0, col: startColumn }
+    this.render(0)
+  }
+
+  /**
+   * Replace the line without drawing it, e.g. before erasing and reprinting
+   * @param {string} text - New line text
+   * @param {number|null} cursor - Cursor index in characters (default: end of line)
+   */
+  load(text, cursor = null) {
+    this.chars = splitGraphemes(text)
+    this.cursor = cursor === null ? this.chars.length : Math.min(cursor, this.chars.length)
+  }
+
+  /**
+   * Remove the prompt and the line from the screen, leaving the cursor where the prompt began
+   * Assumes the prompt starts at column 0 of the line's first row
+   */
+  erase() {
+    this.ensureStart()
+    this.terminal.write(this.cursorMovement(this.screenPosition, { row: 0, col: 0 }) + '\x1b[J')
+    this.screenPosition = { row: 0, col: 0 }
+  }
+
+  /**
+   * Get the text of the line
+   * @returns {string} Line text
+   */
+  getLine() {
+    return this.chars.join('')
+  }
+
+  /**
+   * Get the text between the start of the line and the cursor
+   * @returns {string} Text before the cursor
+   */
+  getTextBeforeCursor() {
+    return this.chars.slice(0, this.cursor).join('')
+  }
+
+  /**
+   * Replace the whole line, leaving the cursor at the end (e.g. when browsing history)
+   * @param {string} text - New line text
+   */
+  setLine(text) {
+    this.chars = splitGraphemes(text)
+    this.cursor = this.chars.length
+    this.render(0)
+  }
+
+  /**
+   * Handle an editing key
+   * @param {string} data - Input data from the terminal
+   * @returns {boolean} True if the input was handled
+   */
+  handleInput(data) {
+    const action = KEY_BINDINGS[data]
+    if (action) {
+      this[action]()
+      return true
+    }
+
+    // Printable text, typed or pasted; ignore unknown escape sequences and control keys
+    if (data.startsWith('\x1b') || !/[^\x00-\x1f\x7f]/.test(data)) {
+      return false
+    }
+    this.insert(data)
+    return true
+  }
+
+  /**
+   * Insert text at the cursor
+   * Line breaks and tabs in pasted text become spaces; other control characters are dropped
+   * @param {string} text - Text to insert
+   */
+  insert(text) {
+    const clean = text.replace(/[\r\n\t]/g, ' ').replace(/[\x00-\x1f\x7f]/g, '')
+    if (!clean) return
+
+    const inserted = splitGraphemes(clean)
+    const from = this.cursor
+    this.chars.splice(from, 0, ...inserted)
+    this.cursor += inserted.length
+    this.render(from)
+  }
+
+  /**
+   * Delete the character before the cursor
+   */
+  deleteBackward() {
+    if (this.cursor === 0) return
+    this.cursor--
+    this.chars.splice(this.cursor, 1)
+    this.render(this.cursor)
+  }
+
+  /**
+   * Delete the character under the cursor
+   */
+  deleteForward() {
+    if (this.cursor >= this.chars.length) return
+    this.chars.splice(this.cursor, 1)
+    this.render(this.cursor)
+  }
+
+  /**
+   * Move the cursor one character left
+   */
+  moveLeft() {
+    this.moveTo(this.cursor - 1)
+  }
+
+  /**
+   * Move the cursor one character right
+   */
+  moveRight() {
+    this.moveTo(this.cursor + 1)
+  }
+
+  /**
+   * Move the cursor to the start of the line (Home, Ctrl+A)
+   */
+  moveToStart() {
+    this.moveTo(0)
+  }
+
+  /**
+   * Move the cursor to the end of the line (End, Ctrl+E)
+   */
+  moveToEnd() {
+    this.moveTo(this.chars.length)
+  }
+
+  /**
+   * Move the cursor to the start of the previous word (Alt+B)
+   */
+  moveWordLeft() {
+    this.moveTo(this.findWordStart(this.cursor, WORD_CHAR_PATTERN))
+  }
+
+  /**
+   * Move the cursor past the end of the next word (Alt+F)
+   */
+  moveWordRight() {
+    this.moveTo(this.findWordEnd(this.cursor, WORD_CHAR_PATTERN))
+  }
+
+  /**
+   * Cut from the start of the line to the cursor (Ctrl+U)
+   */
+  killToStart() {
+    this.kill(0, this.cursor)
+  }
+
+  /**
+   * Cut from the cursor to the end of the line (Ctrl+K)
+   */
+  killToEnd() {
+    this.kill(this.cursor, this.chars.length)
+  }
+
+  /**
+   * Cut the whitespace-delimited word before the cursor (Ctrl+W)
+   */
+  killWordBackward() {
+    this.kill(this.findWordStart(this.cursor, /\S/), this.cursor)
+  }
+
+  /**
+   * Cut the word after the cursor (Alt+D)
+   */
+  killWordForward() {
+    this.kill(this.cursor, this.findWordEnd(this.cursor, WORD_CHAR_PATTERN))
+  }
+
+  /**
+   * Paste the most recently cut text (Ctrl+Y)
+   */
+  yank() {
+    if (this.killBuffer) {
+      this.insert(this.killBuffer)
+    }
+  }
+
+  /**
+   * Remove a range of the line, keeping it for yank
+   * @param {number} start - First index to remove
+   * @param {number} end - Index after the last one to remove
+   */
+  kill(start, end) {
+    if (start >= end) return
+    this.killBuffer = this.chars.slice(start, end).join('')
+    this.chars.splice(start, end - start)
+    this.cursor = start
+    this.render(start)
+  }
+
+  /**
+   * Find the start of the word before an index
+   * @param {number} index - Index to search back from
+   * @param {RegExp} wordPattern - Matches characters that belong to words
+   * @returns {number} Index of the word start
+   */
+  findWordStart(index, wordPattern) {
+    let i = index
+    while (i > 0 && !wordPattern.test(this.chars[i - 1])) i--
+    while (i > 0 && wordPattern.test(this.chars[i - 1])) i--
+    return i
+  }
+
+  /**
+   * Find the end of the word after an index
+   * @param {number} index - Index to search forward from
+   * @param {RegExp} wordPattern - Matches characters that belong to words
+   * @returns {number} Index after the word end
+   */
+  findWordEnd(index, wordPattern) {
+    let i = index
+    while (i < this.chars.length && !wordPattern.test(this.chars[i])) i++
+    while (i < this.chars.length && wordPattern.test(this.chars[i])) i++
+    return i
+  }
+
+  /**
+   * Read the start column from the terminal the first time it is needed
+   */
+  ensureStart() {
+    if (this.startColumn !== null) return
+
+    const cols = this.terminal.cols
+    const cursorX = this.terminal.buffer ? this.terminal.buffer.active.cursorX : 0
+    if (cursorX >= cols) {
+      // The prompt filled the row exactly; force the pending wrap so positions stay in sync
+      this.terminal.write(' \r')
+      this.startColumn = 0
+    } else {
+      this.startColumn = cursorX
+    }
+    this.screenPosition = { row: 0, col: this.startColumn }
+  }
+
+  /**
+   * Work out where every character of the line lands on screen
+   * A wide character that does not fit at the end of a row moves to the next row,
+   * leaving the last cell blank, as xterm.js does.
+   * @returns {{positions: Array<{row: number, col: number}>, endsAtEdge: boolean}} Screen
+   *   position of each character plus one for the end of the line, and whether the line
+   *   ends exactly at the right edge (where the terminal has not wrapped the cursor yet)
+   */
+  layout() {
+    const cols = this.terminal.cols
+    const positions = []
+    let row = 0
+    let col = this.startColumn
+
+    this.chars.forEach(char => {
+      const width = getDisplayWidth(char)
+      if (col + width > cols) {
+        row++
+        col = 0
+      }
+      positions.push({ row, col })
+      col += width
+    })
+
+    const endsAtEdge = col >= cols
+    positions.push(endsAtEdge ? { row: row + 1, col: 0 } : { row, col })
+    return { positions, endsAtEdge }
+  }
+
+  /**
+   * Build the escape sequence moving the cursor between two screen positions
+   * @param {{row: number, col: number}} from - Current position
+   * @param {{row: number, col: number}} to - Target position
+   * @returns {string} Cursor movement sequence
+   */
+  cursorMovement(from, to) {
+    if (from.row === to.row && from.col === to.col) return ''
+
+    let sequence = ''
+    if (to.row < from.row) sequence += `\x1b[${from.row - to.row}A`
+    if (to.row > from.row) sequence += `\x1b[${to.row - from.row}B`
+    sequence += '\r'
+    if (to.col > 0) sequence += `\x1b[${to.col}C`
+    return sequence
+  }
+
+  /**
+   * Move the cursor to an index in the line
+   * @param {number} index - Target index (clamped to the line)
+   */
+  moveTo(index) {
+    const target = Math.max(0, Math.min(index, this.chars.length))
+    if (target === this.cursor) return
+
+    this.ensureStart()
+    this.cursor = target
+    const { positions } = this.layout()
+    this.terminal.write(this.cursorMovement(this.screenPosition, positions[target]))
+    this.screenPosition = positions[target]
+  }
+
+  /**
+   * Redraw the line from an index onwards and put the cursor back in place
+   * @param {number} from - First index whose screen content changed
+   */
+  render(from) {
+    this.ensureStart()
+    const cols = this.terminal.cols
+    const { positions, endsAtEdge } = this.layout()
+
+    // Clear from just after the previous character, so cells left over from a wide
+    // character that now wraps to the next row are erased too
+    let clearFrom = positions[from]
+    if (from > 0) {
+      const previous = positions[from - 1]
+      const previousEnd = previous.col + getDisplayWidth(this.chars[from - 1])
+      if (previousEnd < cols) clearFrom = { row: previous.row, col: previousEnd }
+    }
+
+    let output = this.cursorMovement(this.screenPosition, clearFrom)
+    output += '\x1b[J' + this.chars.slice(from).join('')
+    if (endsAtEdge) {
+      // Move past the right edge now, rather than when the next character arrives
+      output += ' \r'
+    }
+
+    const end = positions[positions.length - 1]
+    output += this.cursorMovement(end, positions[this.cursor])
+    this.screenPosition = positions[this.cursor]
+    this.terminal.write(output)
+  }
+}
+
+/**
+ * Create a line editor for a terminal
+ * @param {Object} terminal - xterm.js terminal instance
+ * @returns {LineEditor} Line editor instance
+ */
+export const createLineEditor = (terminal) => {
+  return new LineEditor(terminal)
+}
+
+export default LineEditor
@@ -0,0 +1,17 @@
+/**
+ * The ANTEC logo and version, shared by the boot screen, the welcome message and `neofetch`
+ */
+
+export const ANTEC_VERSION = '2.0.0'
+
+export const ANTEC_LOGO = [
+  ' █████╗ ███╗   ██╗████████╗███████╗ ██████╗',
+  '██╔══██╗████╗  ██║╚══██╔══╝██╔════╝██╔════╝',
+  '███████║██╔██╗ ██║   ██║   █████╗  ██║     ',
+  '██╔══██║██║╚██╗██║   ██║   ██╔══╝  ██║     ',
+  '██║  ██║██║ ╚████║   ██║   ███████╗╚██████╗',
+  '╚═╝  ╚═╝╚═╝  ╚═══╝   ╚═╝   ╚══════╝ ╚═════╝'
+].join('\n')
+
+// The signature purple the logo is drawn in
+export const LOGO_STYLE = '\x1b[38;2;155;124;255m'
@@ -0,0 +1,340 @@
+import { ANSI_RESET, highlightMatches, stripAnsi, wrapAnsi } from './ansi'
+
+// Alternate screen on/off, with the cursor hidden while paging
+const ENTER_PAGER = '\x1b[?1049h\x1b[?25l'
+const LEAVE_PAGER = '\x1b[?25h\x1b[?1049l'
+
+// Search matches are shown in reverse video, like less does
+const MATCH_STYLE = '\x1b[7m'
+
+/**
+ * Pager - A `less`-style viewer that takes over the terminal until the user quits
+ * Text is shown on the alternate screen, so the shell's screen and scrollback come back
+ * untouched afterwards. `/` and `?` search forwards and backwards with a regular
+ * expression, `n` and `N` repeat the search.
+ */
+export class Pager {
+  constructor(terminal) {
+    this.terminal = terminal
+    this.active = false
+    this.lines = []
+    this.title = ''
+    this.top = 0
+    this.onClose = null
+    // Search state: the pattern being typed (null when not typing), the last pattern used,
+    // its direction, and a one-off message for the status line
+    this.searchInput = null
+    this.searchDirection = 1
+    this.pattern = null
+    this.matchLine = null
+    this.message = ''
+  }
+
+  /**
+   * Check whether the pager is showing text
+   * @returns {boolean} True while paging
+   */
+  isActive() {
+    return this.active
+  }
+
+  /**
+   * Show text in the pager
+   * @param {string} text - Text to show; may contain ANSI colors
+   * @param {Object} options - Pager options
+   * @param {string} options.title - Shown in the status line, e.g. 'Manual page ls'
+   * @returns {Promise<void>} Resolves when the user quits
+   */
+  open(text, { title = '' } = {}) {
+    this.lines = text.replace(/\n$/, '').split('\n')
+    this.title = title
+    this.top = 0
+    this.searchInput = null
+    this.pattern = null
+    this.matchLine = null
+    this.message = ''
+    this.active = true
+    this.terminal.write(ENTER_PAGER)
+    this.render()
+
+    return new Promise(resolve => {
+      this.onClose = resolve
+    })
+  }
+
+  /**
+   * Leave the pager and restore the shell's screen
+   */
+  close() {
+    if (!this.active) return
+    this.active = false
+    this.lines = []
+    this.terminal.write(LEAVE_PAGER)
+
+    const onClose = this.onClose
+    this.onClose = null
+    if (onClose) onClose()
+  }
+
+  /**
+   * Number of text rows on screen; the last terminal row is the status line
+   * @returns {number} Page height
+   */
+  getPageHeight() {
+    return Math.max(this.terminal.rows - 1, 1)
+  }
+
+  /**
+   * Check whether text fits on the screen without paging (leaving a row for the prompt)
+   * @param {string} text - Text to show
+   * @returns {boolean} True if it fits
+   */
+  fits(text) {
+    const lines = text.replace(/\n$/, '').split('\n')
+    let rows = 0
+    for (const line of lines) {
+      rows += wrapAnsi(line, this.terminal.cols).length
+      if (rows >= this.terminal.rows) return false
+    }
+    return true
+  }
+
+  /**
+   * Wrap the text to the current terminal width, highlighting search matches
+   * @returns {{rows: string[], lineStarts: number[]}} Screen rows, and the index of the
+   *   first row of each line
+   */
+  layout() {
+    const rows = []
+    const lineStarts = []
+    for (const line of this.lines) {
+      lineStarts.push(rows.length)
+      const shown = this.pattern ? highlightMatches(line, this.pattern, MATCH_STYLE) : line
+      rows.push(...wrapAnsi(shown, this.terminal.cols))
+    }
+    return { rows, lineStarts }
+  }
+
+  /**
+   * Wrap the text to the current terminal width
+   * @returns {string[]} Screen rows
+   */
+  getRows() {
+    return this.layout().rows
+  }
+
+  /**
+   * Search for the current pattern and scroll the matching line to the top
+   * @param {number} direction - 1 to search forwards, -1 backwards
+   */
+  findNext(direction) {
+    if (!this.pattern) {
+      this.message = 'No previous regular expression'
+      this.render()
+      return
+    }
+
+    const { lineStarts } = this.layout()
+    // Continue from the previous match while it is on screen (near the end it may not be at
+    // the top), otherwise from the line at the top of the screen
+    let current = 0
+    while (current + 1 < lineStarts.length && lineStarts[current + 1] <= this.top) current++
+    const matchVisible = this.matchLine !== null &&
+      lineStarts[this.matchLine] >= this.top &&
+      lineStarts[this.matchLine] < this.top + this.getPageHeight()
+    const start = matchVisible ? this.matchLine : current
+
+    for (let line = start + direction; line >= 0 && line < this.lines.length; line += direction) {
+      this.pattern.lastIndex = 0
+      if (this.pattern.test(stripAnsi(this.lines[line]))) {
+        this.matchLine = line
+        this.scrollTo(lineStarts[line])
+        return
+      }
+    }
+    this.message = 'Pattern not found'
+    this.render()
+  }
+
+  /**
+   * Handle a key while the search pattern is being typed
+   * @param {string} data - Input data from the terminal
+   */
+  handleSearchInput(data) {
+    if (data === '\r') {
+      const input = this.searchInput
+      this.searchInput = null
+      if (input) {
+        try {
+          this.pattern = new RegExp(input)
+          this.matchLine = null
+        } catch (error) {
+          this.message = 'Invalid pattern'
+          this.render()
+          return
+        }
+      }
+      this.findNext(this.searchDirection)
+    } else if (data === '\x7f' || data === '\b') {
+      // Deleting past the start gives up, as in less
+      this.searchInput = this.searchInput ? Array.from(this.searchInput).slice(0, -1).join('') : null
+      this.render()
+    } else if (data === '\x1b' || data === '\x03') {
+      this.searchInput = null
+      this.render()
+    } else if (!data.startsWith('\x1b') && !/[\x00-\x1f\x7f]/.test(data)) {
+      this.searchInput += data
+      this.render()
+    }
+  }
+
+  /**
+   * Scroll so that a row is at the top of the screen, within bounds
+   * @param {number} top - Index of the first row to show
+   */
+  scrollTo(top) {
+    const maxTop = Math.max(this.getRows().length - this.getPageHeight(), 0)
+    this.top = Math.min(Math.max(top, 0), maxTop)
+    this.render()
+  }
+
+  /**
+   * Handle a key while paging
+   * @param {string} data - Input data from the terminal
+   * @returns {boolean} True if the pager consumed the input
+   */
+  handleInput(data) {
+    if (!this.active) return false
+
+    if (this.searchInput !== null) {
+      this.handleSearchInput(data)
+      return true
+    }
+
+    this.message = ''
+    const page = this.getPageHeight()
+    const half = Math.max(Math.floor(page / 2), 1)
+
+    switch (data) {
+      case 'q':
+      case 'Q':
+      case '\x03': // Ctrl+C
+        this.close()
+        break
+      case 'j':
+      case 'e':
+      case '\r':
+      case '\x0e': // Ctrl+N
+      case '\x1b[B':
+        this.scrollTo(this.top + 1)
+        break
+      case 'k':
+      case 'y':
+      case '\x10': // Ctrl+P
+      case '\x1b[A':
+        this.scrollTo(this.top - 1)
+        break
+      case ' ':
+      case 'f':
+      case '\x06': // Ctrl+F
+      case '\x1b[6~':
+        this.scrollTo(this.top + page)
+        break
+      case 'b':
+      case '\x02': // Ctrl+B
+      case '\x1b[5~':
+        this.scrollTo(this.top - page)
+        break
+      case 'd':
+      case '\x04': // Ctrl+D
+        this.scrollTo(this.top + half)
+        break
+      case 'u':
+      case '\x15': // Ctrl+U
+        this.scrollTo(this.top - half)
+        break
+      case 'g':
+      case '<':
+      case '\x1b[H':
+      case '\x1b[1~':
+        this.scrollTo(0)
+        break
+      case 'G':
+      case '>':
+      case '\x1b[F':
+      case '\x1b[4~':
+        this.scrollTo(Infinity)
+        break
+      case '/':
+      case '?':
+        this.searchDirection = data === '/' ? 1 : -1
+        this.searchInput = ''
+        this.render()
+        break
+      case 'n':
+        this.findNext(this.searchDirection)
+        break
+      case 'N':
+        this.findNext(-this.searchDirection)
+        break
+      default:
+        // Other keys do nothing, but never reach the shell underneath
+        this.render()
+        break
+    }
+    return true
+  }
+
+  /**
+   * Build the status line shown below the text
+   * @param {number} total - Total number of rows
+   * @returns {string} Status text
+   */
+  getStatus(total) {
+    if (this.searchInput !== null) {
+      return `${this.searchDirection === 1 ? '/' : '?'}${this.searchInput}`
+    }
+    if (this.message) {
+      return this.message
+    }
+
+    const last = Math.min(this.top + this.getPageHeight(), total)
+    if (last >= total) {
+      return `${this.title ? `${this.title} ` : ''}(END) (press q to quit)`
+    }
+    const position = `lines ${this.top + 1}-${last}/${total} ${Math.round((last / total) * 100)}%`
+    return `${this.title ? `${this.title} ` : ''}${position} (press q to quit)`
+  }
+
+  /**
+   * Draw the visible part of the text and the status line
+   */
+  render() {
+    if (!this.active) return
+
+    const rows = this.getRows()
+    const page = this.getPageHeight()
+    // The terminal may have grown since the last scroll
+    this.top = Math.min(this.top, Math.max(rows.length - page, 0))
+
+    let output = ''
+    for (let i = 0; i < page; i++) {
+      const row = this.top + i < rows.length ? rows[this.top + i] : '\x1b[1;34m~'
+      output += `\x1b[${i + 1};1H\x1b[2K${row}${ANSI_RESET}`
+    }
+    const status = this.getStatus(rows.length).slice(0, this.terminal.cols)
+    output += `\x1b[${page + 1};1H\x1b[2K\x1b[7m${status}${ANSI_RESET}`
+    this.terminal.write(output)
+  }
+}
+
+/**
+ * Create a pager
+ * @param {Object} terminal - xterm.js terminal instance
+ * @returns {Pager} Pager instance
+ */
+export const createPager = (terminal) => {
+  return new Pager(terminal)
+}
+
+export default Pager
@@ -47,6 +47,15 @@ export class PasswordInput {
 
     const code = data.charCodeAt(0)
 
+    // Pasted text can hold several keys, e.g. the password followed by Enter
+    if (data.length > 1 && code !== 27 && /[\x00-\x1f\x7f]/.test(data)) {
+      for (const char of data) {
+        if (!this.isActive) break
+        this.handleInput(char)
+      }
+      return true
+    }
+
     if (code === 13) { // Enter - complete password input
       this.isActive = false
       const password = this.password
@@ -58,7 +67,7 @@ export class PasswordInput {
       return true
     } else if (code === 127) { // Backspace
       if (this.password.length > 0) {
-        this.password = this.password.slice(0, -1)
+        this.password = Array.from(this.password).slice(0, -1).join('')
         this.terminal.write('\b \b')
       }
       return true
@@ -72,9 +81,10 @@ export class PasswordInput {
       return true
     } else if (code === 27) { // Escape sequences (ignore arrow keys during password input)
       return true
-    } else if (code >= 32 && code <= 126) { // Printable characters
+    } else if (!/[\x00-\x1f\x7f]/.test(data)) { // Printable characters, including non-ASCII and pastes
+      // Anything not consumed here would reach the visible command line (and its history)
       this.password += data
-      this.terminal.write(TERMINAL_CONSTANTS.PASSWORD_MASK)
+      this.terminal.write(TERMINAL_CONSTANTS.PASSWORD_MASK.repeat(Array.from(data).length))
       return true
     }
 
@@ -105,9 +115,23 @@ export class PasswordInput {
   }
 }
 
+// Shown for each line of a multi-line field after the first
+const MULTILINE_PROMPT = '> '
+
+// A line holding only this ends a multi-line field
+const MULTILINE_END = '.'
+
 /**
- * Sequential form handler for terminal authentication
+ * Sequential form handler for terminal forms such as signup and the contact form
  * Manages multi-step forms with password masking
+ *
+ * Fields are { name, prompt, type } where type is 'text', 'password', 'multiline' or
+ * 'confirm'. Fields may also have:
+ * - intro: text shown before the prompt, or a function of the answers so far returning it
+ * - defaultValue: answer used when the field is left empty, shown in the prompt
+ * - validate(value, answers): an error message to show before asking again, or null
+ * Multi-line fields take lines until one holding only '.'; confirm fields answer true for
+ * 'y' or 'yes' and false for anything else.
  */
 export class SequentialFormHandler {
   constructor(terminal) {
@@ -116,6 +140,8 @@ export class SequentialFormHandler {
     this.fields = []
     this.currentFieldIndex = 0
     this.formData = {}
+    // Lines entered so far in a multi-line field
+    this.lines = []
     this.isActive = false
     this.onComplete = null
     this.onCancel = null
@@ -131,6 +157,7 @@ export class SequentialFormHandler {
     this.fields = fields
     this.currentFieldIndex = 0
     this.formData = {}
+    this.lines = []
     this.isActive = true
     this.onComplete = onComplete
     this.onCancel = onCancel
@@ -147,6 +174,7 @@ export class SequentialFormHandler {
     this.fields = []
     this.currentFieldIndex = 0
     this.formData = {}
+    this.lines = []
     this.onComplete = null
     this.onCancel = null
   }
@@ -161,7 +189,31 @@ export class SequentialFormHandler {
     }
 
     const field = this.fields[this.currentFieldIndex]
-    this.terminal.write(`${field.prompt}: `)
+    if (field.intro) {
+      const intro = typeof field.intro === 'function' ? field.intro(this.getFormData()) : field.intro
+      this.terminal.write(intro.replace(/\r?\n/g, '\r\n'))
+    }
+    this.askCurrentField()
+  }
+
+  /**
+   * Write the current field's prompt and wait for its answer
+   */
+  askCurrentField() {
+    const field = this.fields[this.currentFieldIndex]
+    if (field.type === 'multiline') {
+      this.lines = []
+      this.terminal.write(`${field.prompt} (end with a line holding only '${MULTILINE_END}'):\r\n${MULTILINE_PROMPT}`)
+      return
+    }
+
+    let hint = ''
+    if (field.type === 'confirm') {
+      hint = ' [y/N]'
+    } else if (field.defaultValue) {
+      hint = ` [${field.defaultValue}]`
+    }
+    this.terminal.write(`${field.prompt}${hint}: `)
 
     if (field.type === 'password') {
       this.passwordInput.start(
@@ -210,9 +262,20 @@ export class SequentialFormHandler {
     }
 
     const field = this.fields[this.currentFieldIndex]
-    if (field.type !== 'password') {
-      this.handleFieldComplete(field.name, value)
+    if (field.type === 'password') {
+      return
+    }
+
+    if (field.type === 'multiline') {
+      if (value !== MULTILINE_END) {
+        this.lines.push(value)
+        this.terminal.write(MULTILINE_PROMPT)
+        return
+      }
+      value = this.lines.join('\n')
+      this.lines = []
     }
+    this.handleFieldComplete(field.name, value)
   }
 
   /**
@@ -221,10 +284,26 @@ export class SequentialFormHandler {
    * @param {string} value - Field value
    */
   handleFieldComplete(fieldName, value) {
-    this.formData[fieldName] = value
+    const field = this.fields[this.currentFieldIndex]
+    // Password input leaves the cursor after the mask; Enter on other fields has moved it down
+    if (field.type === 'password') {
+      this.terminal.write('\r\n')
+    }
+
+    let answer = value === '' && field.defaultValue !== undefined ? field.defaultValue : value
+    if (field.type === 'confirm') {
+      answer = /^y(es)?$/i.test(answer.trim())
+    }
+
+    const error = field.validate ? field.validate(answer, this.getFormData()) : null
+    if (error) {
+      this.terminal.write(`\x1b[31m${error}\x1b[0m\r\n`)
+      this.askCurrentField()
+      return
+    }
+
+    this.formData[fieldName] = answer
     this.currentFieldIndex++
-    
-    this.terminal.write('\r\n')
     this.promptCurrentField()
   }
 
@@ -0,0 +1,203 @@
+/**
+ * Reading the text of PDF files, for `resume` and `cat` on a PDF
+ * pdf.js is downloaded the first time a PDF is read. The text pieces it finds are put back
+ * together into lines by their position on the page, and lines set larger than the body
+ * text, or short lines in capitals, are marked as headings.
+ */
+
+const HEADING_STYLE = '\x1b[1;38;2;155;124;255m'
+const RULE_STYLE = '\x1b[90m'
+const RESET = '\x1b[0m'
+
+// Lines at least this much larger than the body text are headings
+const HEADING_SIZE_RATIO = 1.15
+
+// Capitalised lines up to this long are headings ("EXPERIENCE", "SKILLS & TOOLS")
+const MAX_CAPS_HEADING_LENGTH = 40
+
+/**
+ * @typedef {Object} PdfLine
+ * @property {string} text - Text of the line; empty for the gap between paragraphs
+ * @property {boolean} heading - Whether the line looks like a section heading
+ */
+
+/**
+ * @typedef {Object} PdfText
+ * @property {PdfLine[][]} pages - Lines of each page
+ */
+
+/**
+ * Error raised when a PDF cannot be downloaded or read
+ */
+export class PdfError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PdfError'
+  }
+}
+
+// Documents read so far, by URL; each is read once per page load
+const documents = new Map()
+
+let pdfjsLoading = null
+
+/**
+ * Download pdf.js and point it at its worker
+ * @returns {Promise<Object>} pdf.js module
+ */
+const loadPdfJs = () => {
+  if (!pdfjsLoading) {
+    pdfjsLoading = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default
+      return pdfjs
+    }).catch(error => {
+      pdfjsLoading = null
+      throw error
+    })
+  }
+  return pdfjsLoading
+}
+
+/**
+ * Get the font size of a text piece from its transform matrix
+ * @param {Object} item - pdf.js text item
+ * @returns {number} Font size in points
+ */
+const getFontSize = (item) => Math.hypot(item.transform[2], item.transform[3]) || item.height || 0
+
+/**
+ * Put a page's text pieces back together into lines, top to bottom
+ * @param {Object[]} items - pdf.js text items of one page
+ * @returns {Array<{text: string, size: number, y: number}>} Lines with their largest font
+ *   size and baseline
+ */
+const assembleLines = (items) => {
+  const rows = []
+  items.filter(item => item.str !== undefined && item.str.trim()).forEach(item => {
+    const size = getFontSize(item)
+    const [x, y] = [item.transform[4], item.transform[5]]
+    // Pieces whose baselines are within half a line of each other are on the same line
+    let row = rows.find(candidate => Math.abs(candidate.y - y) < Math.max(size, candidate.size) / 2)
+    if (!row) {
+      row = { y, size, pieces: [] }
+      rows.push(row)
+    }
+    row.size = Math.max(row.size, size)
+    row.pieces.push({ x, end: x + item.width, text: item.str, size })
+  })
+
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(row => {
+      const pieces = row.pieces.sort((a, b) => a.x - b.x)
+      let text = ''
+      pieces.forEach((piece, index) => {
+        const previous = pieces[index - 1]
+        // Pieces set apart by more than a narrow space are separate words
+        if (previous && piece.x - previous.end > piece.size * 0.2 && !/\s$/.test(text) && !/^\s/.test(piece.text)) {
+          text += ' '
+        }
+        text += piece.text
+      })
+      return { text: text.replace(/\s+/g, ' ').trim(), size: row.size, y: row.y }
+    })
+}
+
+/**
+ * Find the font size most of the text is set in
+ * @param {Array<Array<{text: string, size: number}>>} pages - Lines of each page
+ * @returns {number} Body font size
+ */
+const getBodySize = (pages) => {
+  const characters = new Map()
+  pages.flat().forEach(line => {
+    const size = Math.round(line.size * 2) / 2
+    characters.set(size, (characters.get(size) || 0) + line.text.length)
+  })
+  let bodySize = 0
+  let most = -1
+  characters.forEach((count, size) => {
+    if (count > most) {
+      most = count
+      bodySize = size
+    }
+  })
+  return bodySize
+}
+
+/**
+ * Decide whether a line looks like a section heading
+ * @param {{text: string, size: number}} line - Assembled line
+ * @param {number} bodySize - Font size of the body text
+ * @returns {boolean} True for headings
+ */
+const isHeading = (line, bodySize) => {
+  if (line.size >= bodySize * HEADING_SIZE_RATIO) return true
+  return line.text.length <= MAX_CAPS_HEADING_LENGTH &&
+    /\p{Lu}{2}/u.test(line.text) &&
+    line.text === line.text.toUpperCase()
+}
+
+/**
+ * Download a PDF and read its text
+ * @param {string} url - URL of the PDF
+ * @returns {Promise<PdfText>} Lines of each page
+ * @throws {PdfError} If the file cannot be downloaded or is not a readable PDF
+ */
+export const loadPdfText = (url) => {
+  if (!documents.has(url)) {
+    const reading = (async () => {
+      const pdfjs = await loadPdfJs()
+      const document = await pdfjs.getDocument({ url, isEvalSupported: false }).promise
+      try {
+        const pages = []
+        for (let number = 1; number <= document.numPages; number++) {
+          const page = await document.getPage(number)
+          const content = await page.getTextContent()
+          pages.push(assembleLines(content.items))
+        }
+        const bodySize = getBodySize(pages)
+        return {
+          pages: pages.map(lines => lines.flatMap((line, index) => {
+            const previous = lines[index - 1]
+            // A gap of more than a line and a half starts a new paragraph
+            const gap = previous && previous.y - line.y > Math.max(previous.size, line.size) * 1.8
+            const entry = { text: line.text, heading: isHeading(line, bodySize) }
+            return gap ? [{ text: '', heading: false }, entry] : [entry]
+          }))
+        }
+      } finally {
+        document.destroy()
+      }
+    })().catch(error => {
+      documents.delete(url)
+      throw new PdfError(error.message || String(error))
+    })
+    documents.set(url, reading)
+  }
+  return documents.get(url)
+}
+
+/**
+ * Format a PDF's text for the terminal
+ * @param {PdfText} pdf - Text read by loadPdfText
+ * @param {Object} options
+ * @param {boolean} options.highlight - Color the headings and mark where pages start;
+ *   without it, pages are separated by a blank line only, like plain text
+ * @returns {string} Text, ending with a newline
+ */
+export const formatPdfText = (pdf, { highlight = true } = {}) => {
+  const pages = pdf.pages.map((lines, index) => {
+    const text = lines.map(line => (highlight && line.heading ? `${HEADING_STYLE}${line.text}${RESET}` : line.text))
+    if (highlight && pdf.pages.length > 1) {
+      text.unshift(`${RULE_STYLE}── page ${index + 1} of ${pdf.pages.length} ──${RESET}`)
+    }
+    return text.join('\n')
+  })
+  return `${pages.join('\n\n')}\n`
+}
+
+export default loadPdfText
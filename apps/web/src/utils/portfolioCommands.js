@@ -0,0 +1,337 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { highlightMatches } from './ansi'
+import { parseOptions } from './textFilters'
+import { formatTable, wrapText } from './textTable'
+import { drawPicture } from './imageCommands'
+import { composeMessage } from './contactCommands'
+import {
+  ABOUT_TEXT,
+  CONTENT,
+  EDUCATION_TEXT,
+  EMAIL_ADDRESS,
+  GITHUB_URL,
+  OWNER_NAME,
+  PHOTO_URL,
+  PROJECTS,
+  SOCIALS,
+  SOCIALS_TEXT,
+  WEBSITE_URL,
+  formatProjectDates,
+  formatSection,
+  getProjectLinks
+} from './portfolioContent'
+
+/**
+ * Portfolio commands: the sections of the portfolio and links out of it
+ * The text and links come from the content pack; `github` and `gui` are left out when the
+ * pack has no GitHub profile or website.
+ */
+
+// Ways `projects list --sort` can order projects
+const PROJECT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  // Newest first; projects without a start date go last
+  date: (a, b) => (b.started || '').localeCompare(a.started || '')
+}
+
+// Largest and smallest the photo above `about` is drawn, in columns and rows
+const ABOUT_PHOTO_COLUMNS = 24
+const ABOUT_PHOTO_MIN_ROWS = 4
+
+// Widest the text of `projects show` gets, however wide the terminal is
+const PAGE_WIDTH = 100
+
+const LABEL_STYLE = '\x1b[90m'
+const TITLE_STYLE = '\x1b[1;38;2;155;124;255m'
+const RESET = '\x1b[0m'
+
+/**
+ * Find an entry of a list by its number in the list or by its slug
+ * @param {string} kind - Entry kind used in messages ('Project', 'Social')
+ * @param {string} listCommand - Command that lists the entries
+ * @param {Array<{slug: string}>} entries - Entries to pick from
+ * @param {string} reference - Number (from 1) or slug
+ * @returns {Object} Entry
+ */
+const requireEntry = (kind, listCommand, entries, reference) => {
+  const entry = /^\d+$/.test(reference)
+    ? entries[parseInt(reference, 10) - 1]
+    : entries.find(({ slug }) => slug === reference.toLowerCase())
+  if (!entry) {
+    throw new CommandError(`${kind} ${reference} not found. Use '${listCommand}' to see available ${listCommand}.`)
+  }
+  return entry
+}
+
+/**
+ * Describe the argument that picks an entry by number or name
+ * @param {string} kind - Entry kind used in messages ('Project', 'Social')
+ * @param {string} listCommand - Command that lists the entries
+ * @param {Array<{slug: string}>} entries - Entries to pick from
+ * @returns {Object} Argument spec
+ */
+const entryArgument = (kind, listCommand, entries) => ({
+  name: 'number|name',
+  description: `${kind} number or name from '${listCommand}'`,
+  required: true,
+  complete: () => entries.flatMap((entry, index) => [String(index + 1), entry.slug])
+})
+
+/**
+ * Build a 'go' subcommand that opens an entry of a list in a new tab
+ * Entries are picked by their number in the list or by their slug.
+ * @param {string} kind - Entry kind used in messages ('Project', 'Social')
+ * @param {string} listCommand - Command that lists the entries
+ * @param {Array<{slug: string, name: string, url: string}>} entries - Entries to open
+ * @returns {Object} Subcommand definition
+ */
+const createGoSubcommand = (kind, listCommand, entries) => ({
+  description: `open a ${kind.toLowerCase()} in a new tab`,
+  args: [entryArgument(kind, listCommand, entries)],
+  handler: (args) => {
+    const entry = requireEntry(kind, listCommand, entries, args[0])
+    window.open(entry.url, '_blank')
+    return `Opening ${entry.name}...`
+  }
+})
+
+/**
+ * Get the width to lay output out for
+ * @param {Object} terminal - xterm.js terminal, if there is one
+ * @returns {number} Width in columns
+ */
+const getOutputWidth = (terminal) => (terminal && terminal.cols) || 80
+
+/**
+ * Format projects as a table, numbered as in the full list so the numbers work with
+ * `projects show` and `projects go` whatever the filter
+ * @param {Object[]} projects - Entries from PROJECTS
+ * @param {number} width - Width available
+ * @param {Function} decorate - Adds colors to a cell line, see formatTable
+ * @returns {string} Table
+ */
+const formatProjectTable = (projects, width, decorate) => {
+  const columns = [
+    { header: '#', align: 'right' },
+    { header: 'Project', wrap: true, minWidth: 16, style: '\x1b[1m' },
+    { header: 'Description', wrap: true, minWidth: 20 },
+    { header: 'Tags', wrap: true, minWidth: 10, drop: 1 },
+    { header: 'Dates', drop: 2 }
+  ]
+  const rows = projects.map(project => [
+    String(PROJECTS.indexOf(project) + 1),
+    project.name,
+    project.description.map(line => line.trim()).join(' '),
+    (project.tags || []).join(', '),
+    formatProjectDates(project)
+  ])
+  // Tags and dates are optional in the content pack; leave out columns nobody filled in
+  const shown = columns.map((column, index) => column.drop === undefined || rows.some(row => row[index]))
+  return formatTable(
+    columns.filter((column, index) => shown[index]),
+    rows.map(row => row.filter((cell, index) => shown[index])),
+    { width, decorate }
+  )
+}
+
+/**
+ * Format the page of one project: what it is, facts, links, screenshots and details
+ * @param {Object} project - Entry from PROJECTS
+ * @param {number} width - Width available
+ * @returns {string} Project page
+ */
+const formatProjectPage = (project, width) => {
+  const pageWidth = Math.min(width, PAGE_WIDTH)
+  const facts = [
+    ['Role', project.role],
+    ['Dates', formatProjectDates(project)],
+    ['Stack', project.stack && project.stack.join(', ')],
+    ['Tags', project.tags && project.tags.join(', ')],
+    ...getProjectLinks(project).map(link => [link.label, link.url]),
+    ...(project.screenshots || []).map((url, index) => [index === 0 ? 'Screenshots' : '', url])
+  ].filter(([, value]) => value)
+
+  const number = PROJECTS.indexOf(project) + 1
+  return [
+    `${TITLE_STYLE}${project.name}${RESET}`,
+    wrapText(project.description.map(line => line.trim()).join(' '), pageWidth).join('\n'),
+    formatTable([{ style: LABEL_STYLE }, { wrap: true }], facts, { width: pageWidth, header: false }),
+    project.details && project.details.trimEnd().split(/\n\s*\n/)
+      .map(paragraph => wrapText(paragraph.replace(/\s*\n\s*/g, ' ').trim(), pageWidth).join('\n'))
+      .join('\n\n'),
+    `${LABEL_STYLE}Open it with: projects go ${number}${RESET}`
+  ].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Make a case-insensitive pattern matching text literally
+ * @param {string} text - Text to find
+ * @returns {RegExp} Pattern
+ */
+const literalPattern = (text) => new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+
+/**
+ * Check whether any of a project's text matches a pattern
+ * @param {Object} project - Entry from PROJECTS
+ * @param {RegExp} pattern - Pattern to find
+ * @returns {boolean} True if the name, descriptions, stack, tags or role match
+ */
+const projectMatches = (project, pattern) => [
+  project.name,
+  project.slug,
+  ...project.description,
+  project.details,
+  project.role,
+  ...(project.stack || []),
+  ...(project.tags || [])
+].some(text => text && pattern.test(text))
+
+const projectsCommand = {
+  name: 'projects',
+  description: "view projects that I've coded",
+  details: [
+    'Without a subcommand, list every project in a table that fits the terminal. Narrow',
+    'terminals wrap the text and leave out the tags and dates columns.',
+    '',
+    "Projects are picked by their number in the list or by their name (the file name in",
+    '~/projects, without .md).'
+  ].join('\n'),
+  subcommands: {
+    show: {
+      description: 'show everything about a project: details, stack, role, dates and links',
+      args: [entryArgument('Project', 'projects', PROJECTS)],
+      handler: (args, { terminal }) => (
+        formatProjectPage(requireEntry('Project', 'projects', PROJECTS, args[0]), getOutputWidth(terminal))
+      )
+    },
+    list: {
+      description: 'list projects, optionally only some tags and in another order',
+      usage: 'projects list [--tag tag[,tag...]] [--sort name|date] [--reverse]',
+      options: [
+        { flag: '--tag tag[,tag...]', description: 'only projects with all of these tags (-t)' },
+        { flag: '--sort name|date', description: 'order by name, or newest first (-s; default: as listed)' },
+        { flag: '--reverse', description: 'reverse the order (-r)' }
+      ],
+      examples: [
+        { command: 'projects list --tag react --sort date', description: 'React projects, newest first' },
+        { command: 'projects list -s name -r', description: 'projects from Z to A' }
+      ],
+      handler: (args, { terminal }) => {
+        const { flags, values, operands } = parseOptions('projects list', args, {
+          flags: 'r',
+          values: 'ts',
+          long: { tag: 't', sort: 's', reverse: 'r' }
+        })
+        if (operands.length > 0) {
+          throw new CommandError('Usage: projects list [--tag tag[,tag...]] [--sort name|date] [--reverse]', EXIT_STATUS.USAGE)
+        }
+        if (values.s !== undefined && !PROJECT_SORTS[values.s]) {
+          throw new CommandError(`projects list: cannot sort by '${values.s}'; use ${Object.keys(PROJECT_SORTS).join(' or ')}`, EXIT_STATUS.USAGE)
+        }
+
+        const tags = (values.t || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+        let projects = PROJECTS.filter(project => tags.every(tag => (project.tags || []).includes(tag)))
+        if (values.s) projects = [...projects].sort(PROJECT_SORTS[values.s])
+        if (flags.has('r')) projects = [...projects].reverse()
+
+        if (projects.length === 0) {
+          throw new CommandError(`projects list: no projects tagged ${tags.join(', ')}`)
+        }
+        return formatProjectTable(projects, getOutputWidth(terminal))
+      }
+    },
+    search: {
+      description: 'find projects mentioning some text',
+      args: [{ name: 'text', description: 'text to find in names, descriptions, stacks and tags', required: true, variadic: true }],
+      examples: [{ command: 'projects search health', description: 'projects about health' }],
+      handler: (args, { terminal }) => {
+        const text = args.join(' ')
+        const pattern = literalPattern(text)
+        const projects = PROJECTS.filter(project => projectMatches(project, pattern))
+        if (projects.length === 0) {
+          throw new CommandError(`projects search: nothing matches '${text}'`)
+        }
+        // The number column is left alone so digits in the text don't light it up
+        return formatProjectTable(projects, getOutputWidth(terminal), (line, column) => (
+          column === 0 ? line : highlightMatches(line, pattern)
+        ))
+      }
+    },
+    go: createGoSubcommand('Project', 'projects', PROJECTS)
+  },
+  examples: [
+    { command: 'projects show 1', description: 'everything about the first project' },
+    { command: 'projects go 1', description: 'open the first project' },
+    { command: `projects go ${PROJECTS[PROJECTS.length - 1].slug}`, description: 'open a project by name' }
+  ],
+  handler: (args, { terminal }) => formatSection(CONTENT.projects, [
+    formatProjectTable(PROJECTS, getOutputWidth(terminal)),
+    `Usage: projects show|go <project-no|name>
+       projects list --tag <tag> --sort date, projects search <text>
+eg: projects show 1, projects go ${PROJECTS[PROJECTS.length - 1].slug}`
+  ])
+}
+
+export const portfolioCommands = [
+  {
+    name: 'about',
+    description: `about ${OWNER_NAME}`,
+    handler: async (args, context) => {
+      const { terminal, stdout } = context
+      // The photo goes above the text when both fit on the screen with the prompt
+      const photoRows = terminal.rows - ABOUT_TEXT.split('\n').length - 2
+      if (!PHOTO_URL || !stdout.isTTY || photoRows < ABOUT_PHOTO_MIN_ROWS) return ABOUT_TEXT
+      try {
+        const photo = await drawPicture('about', PHOTO_URL, { name: 'photo', width: ABOUT_PHOTO_COLUMNS, height: photoRows }, context)
+        return `${photo}\n${ABOUT_TEXT}`
+      } catch (error) {
+        // The text is what matters; a photo that cannot be drawn is left out
+        return ABOUT_TEXT
+      }
+    }
+  },
+  {
+    name: 'education',
+    description: 'my education background',
+    handler: () => EDUCATION_TEXT
+  },
+  {
+    name: 'email',
+    description: 'send an email to me',
+    details: 'Print my email address, or write me a message right here with `email compose`.',
+    subcommands: {
+      compose: {
+        description: 'write me a message with the contact form',
+        handler: (args, context) => composeMessage('email compose', context)
+      }
+    },
+    handler: () => EMAIL_ADDRESS
+  },
+  GITHUB_URL && {
+    name: 'github',
+    description: 'view my GitHub profile',
+    handler: () => `GitHub: ${GITHUB_URL}`
+  },
+  WEBSITE_URL && {
+    name: 'gui',
+    description: 'go to my portfolio in GUI',
+    // Not listed until the GUI version is live
+    hidden: true,
+    handler: () => {
+      window.open(WEBSITE_URL, '_blank')
+      return 'Opening GUI version...'
+    }
+  },
+  projectsCommand,
+  {
+    name: 'socials',
+    description: 'check out my social accounts',
+    subcommands: {
+      go: createGoSubcommand('Social', 'socials', SOCIALS)
+    },
+    examples: [{ command: `socials go ${SOCIALS[0].slug}`, description: `open my ${SOCIALS[0].name} profile` }],
+    handler: () => SOCIALS_TEXT
+  }
+].filter(Boolean)
+
+export default portfolioCommands
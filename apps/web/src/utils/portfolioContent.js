@@ -0,0 +1,136 @@
+import { parseContentPack } from './contentPack'
+
+/**
+ * Portfolio content shared by the terminal commands and the virtual filesystem
+ * Everything comes from one content pack, so `about` and `cat ~/about.txt` never disagree
+ * and another person's portfolio is one edited file away.
+ */
+
+// The content pack: src/content/portfolio.md, or a portfolio.json or portfolio.yaml instead
+const CONTENT_FILES = import.meta.glob('../content/portfolio.{md,json,yaml,yml}', {
+  query: '?raw',
+  import: 'default',
+  eager: true
+})
+
+/**
+ * Read the content pack bundled with the app
+ * @returns {PortfolioContent} Content pack
+ * @throws {ContentError} If there is not exactly one pack, or it does not match the schema
+ */
+const loadPortfolioContent = () => {
+  const paths = Object.keys(CONTENT_FILES)
+  if (paths.length !== 1) {
+    throw new Error(`Expected one content pack in src/content, found ${paths.length === 0 ? 'none' : paths.join(', ')}`)
+  }
+  const [path] = paths
+  return parseContentPack(CONTENT_FILES[path], path.split('/').pop())
+}
+
+export const CONTENT = loadPortfolioContent()
+
+export const OWNER_NAME = CONTENT.owner.name
+
+export const HOME_DIRECTORY = `/home/${CONTENT.owner.username}`
+
+export const EMAIL_ADDRESS = CONTENT.owner.email
+
+export const GITHUB_URL = CONTENT.owner.github || null
+
+export const WEBSITE_URL = CONTENT.owner.website || null
+
+export const RESUME_URL = CONTENT.owner.resume || null
+
+export const PHOTO_URL = CONTENT.owner.photo || null
+
+export const ABOUT_TEXT = CONTENT.about.endsWith('\n') ? CONTENT.about : `${CONTENT.about}\n`
+
+export const EDUCATION = CONTENT.education.entries
+
+// Descriptions are kept as the lines they were written in
+export const PROJECTS = CONTENT.projects.entries.map(project => ({
+  ...project,
+  description: project.description.trimEnd().split('\n')
+}))
+
+export const SOCIALS = CONTENT.socials.entries
+
+/**
+ * Format a single education entry
+ * @param {Object} entry - Entry from EDUCATION
+ * @returns {string} Two-line description
+ */
+export const formatEducationEntry = (entry) => `${entry.title}
+${entry.institution} | ${entry.period}`
+
+/**
+ * Format when a project ran
+ * @param {Object} project - Entry from PROJECTS
+ * @returns {string} '2024-03 – 2024-09', '2024 – present' (no end date), or '' (no dates)
+ */
+export const formatProjectDates = (project) => {
+  if (!project.started) return project.ended || ''
+  return `${project.started} – ${project.ended || 'present'}`
+}
+
+/**
+ * List a project's links, its source first
+ * @param {Object} project - Entry from PROJECTS
+ * @returns {Array<{label: string, url: string}>} Links
+ */
+export const getProjectLinks = (project) => [{ label: 'Source', url: project.url }, ...(project.links || [])]
+
+/**
+ * Format the detail page for a project file in ~/projects
+ * @param {Object} project - Entry from PROJECTS
+ * @returns {string} Project details
+ */
+export const formatProjectFile = (project) => {
+  const facts = [
+    project.role && `Role: ${project.role}`,
+    project.started && `Dates: ${formatProjectDates(project)}`,
+    project.stack && `Stack: ${project.stack.join(', ')}`,
+    project.tags && `Tags: ${project.tags.join(', ')}`
+  ].filter(Boolean)
+
+  return [
+    `# ${project.name}`,
+    project.description.map(line => line.trim()).join('\n'),
+    facts.join('\n'),
+    project.details && project.details.trimEnd(),
+    getProjectLinks(project).map(link => `${link.label}: ${link.url}`).join('\n'),
+    project.screenshots && ['Screenshots:', ...project.screenshots.map(url => `- ${url}`)].join('\n')
+  ].filter(Boolean).join('\n\n') + '\n'
+}
+
+/**
+ * Format a numbered list of social links
+ * @returns {string} Social links, one per line
+ */
+export const formatSocialsList = () => {
+  const width = Math.max(...SOCIALS.map(social => social.name.length))
+  return SOCIALS
+    .map((social, i) => `${i + 1}. ${social.name.padEnd(width)} - ${social.url}`)
+    .join('\n')
+}
+
+/**
+ * Put a section's intro and outro around its entries
+ * @param {ContentSection} section - Section from the content pack
+ * @param {string[]} blocks - Formatted entries and anything else between intro and outro
+ * @returns {string} Section text, blocks separated by blank lines
+ */
+export const formatSection = (section, blocks) => [section.intro, ...blocks, section.outro]
+  .filter(Boolean)
+  .map(block => block.trimEnd())
+  .join('\n\n')
+
+export const EDUCATION_TEXT = formatSection(CONTENT.education, [
+  EDUCATION.map(formatEducationEntry).join('\n\n')
+])
+
+export const SOCIALS_TEXT = formatSection(CONTENT.socials, [
+  formatSocialsList(),
+  `Usage: socials go <social-no|name>
+eg: socials go 1, socials go ${SOCIALS[0].slug}`
+])
@@ -0,0 +1,92 @@
+import { preferencesClient } from '@antec/api-client'
+import { PREFERENCES_CONSTANTS } from '@antec/shared'
+
+/**
+ * Local storage for guest preferences
+ * Preferences live in localStorage, so they survive reloads and are shared by every tab
+ */
+export class LocalPreferencesStorage {
+  constructor(storageKey = PREFERENCES_CONSTANTS.LOCAL_STORAGE_KEY) {
+    this.storageKey = storageKey
+  }
+
+  /**
+   * Read the stored preferences
+   * @returns {Object} Stored preferences
+   */
+  readAll() {
+    try {
+      const data = localStorage.getItem(this.storageKey)
+      const preferences = data ? JSON.parse(data) : {}
+      return preferences && typeof preferences === 'object' && !Array.isArray(preferences) ? preferences : {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  /**
+   * Load the stored preferences
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async load() {
+    return this.readAll()
+  }
+
+  /**
+   * Change some preferences; null removes a preference so its default applies
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<Object>} All preferences after the change
+   */
+  async save(changes) {
+    const preferences = { ...this.readAll(), ...changes }
+    Object.keys(preferences)
+      .filter(key => preferences[key] === null)
+      .forEach(key => delete preferences[key])
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(preferences))
+    } catch (error) {
+      console.warn('Failed to store preferences:', error)
+    }
+    return preferences
+  }
+}
+
+/**
+ * Account storage for signed-in users, backed by the /api/preferences endpoints
+ */
+export class AccountPreferencesStorage {
+  constructor(client = preferencesClient) {
+    this.client = client
+  }
+
+  /**
+   * Load the user's preferences
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async load() {
+    const response = await this.client.getPreferences()
+    return response.preferences || {}
+  }
+
+  /**
+   * Change some preferences; null restores a preference's default
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<Object>} All preferences after the change
+   */
+  async save(changes) {
+    const response = await this.client.updatePreferences(changes)
+    return response.preferences || {}
+  }
+}
+
+/**
+ * Create the preferences storage for the current authentication state
+ * @param {boolean} isAuthenticated - Whether a user is signed in
+ * @returns {LocalPreferencesStorage|AccountPreferencesStorage} Storage instance
+ */
+export const createPreferencesStorage = (isAuthenticated) => {
+  return isAuthenticated ? new AccountPreferencesStorage() : new LocalPreferencesStorage()
+}
+
+export default createPreferencesStorage
@@ -1,15 +1,157 @@
 import { TERMINAL_CONSTANTS } from '@antec/shared'
+import { colorSpecToSgr, getDisplayWidth, stripAnsi } from './ansi'
+
+/**
+ * Prompt template used until the user sets PS1 or saves a template: user@antec:~$
+ */
+export const DEFAULT_PROMPT_TEMPLATE = '\\c{username}\\u@\\h\\c{reset}:\\c{path}\\w\\c{reset}\\c{symbol}\\$\\c{reset} '
+
+/**
+ * Ready-made templates for the `prompt` command
+ */
+export const PROMPT_PRESETS = {
+  default: { template: DEFAULT_PROMPT_TEMPLATE, description: 'user@antec:~$ in the terminal colors' },
+  plain: { template: '\\u@\\h:\\w\\$ ', description: 'the classic bash prompt, without colors' },
+  minimal: { template: '\\c{path}\\W\\c{reset} \\c{status}❯\\c{reset} ', description: 'directory name, arrow colored by the last exit status' },
+  status: { template: '\\c{status}[\\?]\\c{reset} \\c{username}\\u\\c{reset}:\\c{path}\\w\\c{reset}\\$ ', description: 'last exit status before the usual prompt' },
+  clock: { template: '\\c{245}[\\t]\\c{reset} \\c{username}\\u@\\h\\c{reset}:\\c{path}\\w\\c{reset}\\$ ', description: 'the time each command was started' },
+  twoline: { template: '\\c{bold,#9b7cff}\\u\\c{reset} in \\c{bold,#06b6d4}\\w\\c{reset} at \\A\\n\\c{status}❯\\c{reset} ', description: 'details on one line, commands on the next' }
+}
+
+// Colors \c{status} switches between
+const STATUS_COLORS = { success: '\x1b[32m', failure: '\x1b[31m' }
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const pad = (number) => String(number).padStart(2, '0')
+const hours12 = (date) => pad(date.getHours() % 12 || 12)
+
+// Backslash escapes, as in bash's PS1
+const PROMPT_ESCAPES = {
+  u: ({ user }) => user,
+  h: ({ host }) => host,
+  H: ({ host }) => host,
+  w: ({ cwd }) => cwd,
+  W: ({ cwd }) => (cwd === '/' ? cwd : cwd.slice(cwd.lastIndexOf('/') + 1)),
+  t: ({ date }) => `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+  T: ({ date }) => `${hours12(date)}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`,
+  '@': ({ date }) => `${hours12(date)}:${pad(date.getMinutes())} ${date.getHours() < 12 ? 'AM' : 'PM'}`,
+  A: ({ date }) => `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+  d: ({ date }) => `${DAY_NAMES[date.getDay()]} ${MONTH_NAMES[date.getMonth()]} ${pad(date.getDate())}`,
+  '?': ({ status }) => String(status),
+  $: () => '$',
+  s: () => 'antec',
+  n: () => '\n',
+  e: () => '\x1b',
+  '\\': () => '\\',
+  // Bash needs \[ and \] around escape sequences to measure the prompt; widths are
+  // measured without escape sequences here, so they are accepted and dropped
+  '[': () => '',
+  ']': () => ''
+}
+
+/**
+ * Error raised for a prompt template that uses an unknown escape or color
+ */
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PromptTemplateError'
+  }
+}
+
+/**
+ * Expand a PS1-style prompt template
+ * Besides bash's escapes (\u \h \w \W \t \T \@ \A \d \$ \n \e \033 \\), \? is the
+ * last exit status and \c{spec} switches color: a prompt color (username, host, path,
+ * symbol, status), or a spec understood by colorSpecToSgr (styles, color names, 256-color
+ * indexes, #rrggbb truecolor, bg: backgrounds).
+ * @param {string} template - Prompt template
+ * @param {Object} values - user, host, cwd, status, date and colors (prompt color sequences)
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.strict - Throw a PromptTemplateError for unknown escapes and
+ *   colors instead of printing them as typed
+ * @returns {string} Prompt text with ANSI colors
+ */
+export const renderPromptTemplate = (template, values, { strict = false } = {}) => {
+  let output = ''
+
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i]
+    if (char !== '\\' || i + 1 >= template.length) {
+      output += char
+      continue
+    }
+
+    const next = template[i + 1]
+    if (next === 'c' && template[i + 2] === '{') {
+      const end = template.indexOf('}', i + 3)
+      const spec = end === -1 ? null : template.slice(i + 3, end)
+      const sequence = spec === null
+        ? null
+        : Object.prototype.hasOwnProperty.call(values.colors, spec) ? values.colors[spec] : colorSpecToSgr(spec)
+      if (sequence === null) {
+        if (strict) {
+          throw new PromptTemplateError(spec === null ? "unterminated \\c{: missing '}'" : `unknown color '${spec}'`)
+        }
+        output += char
+        continue
+      }
+      output += sequence
+      i = end
+      continue
+    }
+
+    if (template.startsWith('033', i + 1)) {
+      output += '\x1b'
+      i += 3
+      continue
+    }
+
+    if (Object.prototype.hasOwnProperty.call(PROMPT_ESCAPES, next)) {
+      output += PROMPT_ESCAPES[next](values)
+    } else if (strict) {
+      throw new PromptTemplateError(`unknown escape '\\${next}'`)
+    } else {
+      output += char + next
+    }
+    i++
+  }
+
+  return output
+}
 
 /**
  * PromptManager - Manages terminal prompt display and updates based on authentication state
- * Handles dynamic prompt updates, username display, and guest vs authenticated user prompts
+ * The prompt is rendered from a PS1-style template (see renderPromptTemplate), so the user
+ * and working directory shown follow the auth state and `cd`.
  */
 export class PromptManager {
-  constructor(terminal, authGetter) {
+  /**
+   * @param {Object} terminal - xterm.js terminal instance
+   * @param {Function|Object} authGetter - Returns the latest auth context
+   * @param {Function} cwdGetter - Returns the display path of the working directory
+   * @param {Object} options - Prompt options
+   * @param {Function} options.getTemplate - Returns the template to use, or null for the default
+   * @param {Function} options.getExitStatus - Returns the last exit status, for \? and \c{status}
+   * @param {Object} options.lineEditor - LineEditor whose line is kept when the prompt is redrawn
+   * @param {Function} options.isBusy - Returns true while a command runs; the prompt is not
+   *   redrawn then, since a fresh one follows the command
+   */
+  constructor(terminal, authGetter, cwdGetter = null, options = {}) {
     this.terminal = terminal
     // authGetter should be a function that returns the latest auth context
     this.getAuth = typeof authGetter === 'function' ? authGetter : () => authGetter
+    // cwdGetter should be a function that returns the display path of the working directory
+    this.getWorkingDirectory = typeof cwdGetter === 'function' ? cwdGetter : () => '~'
+    this.getTemplate = options.getTemplate || (() => null)
+    this.getExitStatus = options.getExitStatus || (() => 0)
+    this.lineEditor = options.lineEditor || null
+    this.isBusy = options.isBusy || (() => false)
     this.currentPrompt = null
+    // The prompt last written to the terminal, needed to erase it
+    this.displayedPrompt = null
     this.promptColors = {
       username: '\x1b[38;2;155;124;255m', // Purple color for username
       host: '\x1b[38;2;155;124;255m',     // Purple color for host
@@ -19,25 +161,43 @@ export class PromptManager {
     }
   }
 
+  /**
+   * Get the template the prompt is rendered from
+   * @returns {string} PS1-style template
+   */
+  getActiveTemplate() {
+    const template = this.getTemplate()
+    return template === null || template === undefined ? DEFAULT_PROMPT_TEMPLATE : template
+  }
+
+  /**
+   * Render a prompt template with the current user, directory and exit status
+   * @param {string} template - PS1-style template
+   * @param {Object} options - Options for renderPromptTemplate ({ strict })
+   * @returns {string} Prompt text with colors
+   */
+  renderTemplate(template, options = {}) {
+    const status = this.getExitStatus()
+    return renderPromptTemplate(template, {
+      user: this.getDisplayUsername(),
+      host: 'antec',
+      cwd: this.getWorkingDirectory(),
+      status,
+      date: new Date(),
+      colors: {
+        ...this.promptColors,
+        status: status === 0 ? STATUS_COLORS.success : STATUS_COLORS.failure
+      }
+    }, options)
+  }
+
   /**
    * Get the current prompt text based on authentication state
    * @returns {string} Formatted prompt text with colors
    */
   getCurrentPrompt() {
-    const { username, host, path, symbol, reset } = this.promptColors
-    const auth = this.getAuth()
-
-    if (auth && auth.isAuthenticated && auth.user) {
-      // Authenticated user prompt: username@antec:~$
-      const userPrompt = `${username}${auth.user.username}@antec${reset}:${path}~${reset}${symbol}$${reset} `
-      this.currentPrompt = userPrompt
-      return userPrompt
-    } else {
-      // Guest user prompt: guest@antec:~$
-      const guestPrompt = `${host}guest@antec${reset}:${path}~${reset}${symbol}$${reset} `
-      this.currentPrompt = guestPrompt
-      return guestPrompt
-    }
+    this.currentPrompt = this.renderTemplate(this.getActiveTemplate())
+    return this.currentPrompt
   }
 
   /**
@@ -48,6 +208,7 @@ export class PromptManager {
     if (!this.terminal) return
     
     const prompt = this.getCurrentPrompt()
+    this.displayedPrompt = prompt
     
     if (newLine) {
       this.terminal.write('\r\n' + prompt)
@@ -56,6 +217,32 @@ export class PromptManager {
     }
   }
 
+  /**
+   * Measure the prompt on screen at the current terminal width
+   * @returns {{rowsAbove: number, lastLineRows: number, column: number}} Rows the prompt
+   *   takes up above the row input starts on, how many of them belong to its last line
+   *   (when that line wraps), and the column input starts at
+   */
+  measurePrompt() {
+    const cols = this.terminal.cols
+    const lines = (this.displayedPrompt || '').split('\n')
+    const lastWidth = getDisplayWidth(lines.pop())
+    const lastLineRows = Math.floor(lastWidth / cols)
+    const rowsAbove = lines.reduce((rows, line) => rows + Math.max(Math.ceil(getDisplayWidth(line) / cols), 1), lastLineRows)
+    return { rowsAbove, lastLineRows, column: lastWidth % cols }
+  }
+
+  /**
+   * Write the last line of the displayed prompt again, after something (such as the reverse
+   * search prompt) replaced it; the cursor must be where input starts, at column 0
+   */
+  showInputLine() {
+    if (!this.terminal || this.displayedPrompt === null) return
+    const { lastLineRows } = this.measurePrompt()
+    const lastLine = this.displayedPrompt.slice(this.displayedPrompt.lastIndexOf('\n') + 1)
+    this.terminal.write(`${lastLineRows > 0 ? `\x1b[${lastLineRows}A` : ''}\r\x1b[J${lastLine}`)
+  }
+
   /**
    * Update the prompt based on current authentication state and optionally display it
    * This method should be called when authentication state changes
@@ -65,14 +252,9 @@ export class PromptManager {
     // Get the new prompt text
     const newPrompt = this.getCurrentPrompt()
     
-    // Only update if the prompt has actually changed
-    if (newPrompt !== this.currentPrompt) {
-      this.currentPrompt = newPrompt
-      
-      // Optionally display the prompt immediately
-      if (display) {
-        this.showPrompt()
-      }
+    // Only redraw if the prompt on screen is out of date
+    if (display && this.displayedPrompt !== null && newPrompt !== this.displayedPrompt) {
+      this.refreshPrompt()
     }
   }
 
@@ -102,25 +284,31 @@ export class PromptManager {
    * @returns {string} Plain text prompt
    */
   getPlainPrompt() {
-    const auth = this.getAuth()
-    if (auth && auth.isAuthenticated && auth.user) {
-      return `${auth.user.username}@antec:~$ `
-    }
-    return 'guest@antec:~$ '
+    return stripAnsi(this.getCurrentPrompt())
   }
 
   /**
-   * Clear the current line and show the updated prompt
+   * Replace the prompt on screen with an up-to-date one, keeping the line being typed
    * Useful for refreshing the prompt after authentication state changes
    */
   refreshPrompt() {
     if (!this.terminal) return
-    
-    // Clear current line and move cursor to beginning
-    this.terminal.write('\r\x1b[K')
-    
-    // Show the updated prompt
+    // A running command shows a fresh prompt when it finishes
+    if (this.isBusy()) return
+
+    if (!this.lineEditor || this.displayedPrompt === null) {
+      // Clear current line and move cursor to beginning
+      this.terminal.write('\r\x1b[K')
+      this.showPrompt()
+      return
+    }
+
+    // Erase every row of the old prompt (it may span several lines) and the input after it
+    const { rowsAbove } = this.measurePrompt()
+    this.lineEditor.erase()
+    this.terminal.write(`${rowsAbove > 0 ? `\x1b[${rowsAbove}A` : ''}\r\x1b[J`)
     this.showPrompt()
+    this.lineEditor.reprint(this.measurePrompt().column)
   }
 
   /**
@@ -187,18 +375,15 @@ export class PromptManager {
   initialize() {
     this.updatePrompt()
   }
+
+  /**
+   * Get the prompt template and colors, and the prompt they currently produce
+   * @returns {Object} Prompt configuration
+   */
   getPromptConfig() {
     return {
-      authenticated: {
-        template: '{username}@antec:~$ ',
-        colors: this.promptColors,
-        username: this.getDisplayUsername()
-      },
-      guest: {
-        template: 'guest@antec:~$ ',
-        colors: this.promptColors,
-        username: 'guest'
-      },
+      template: this.getActiveTemplate(),
+      colors: this.promptColors,
       current: {
         isAuthenticated: this.isAuthenticatedPrompt(),
         username: this.getDisplayUsername(),
@@ -236,10 +421,12 @@ export class PromptManager {
  * Create a new PromptManager instance
  * @param {Object} terminal - xterm.js terminal instance
  * @param {Object} authContext - Authentication context
+ * @param {Function} cwdGetter - Returns the working directory to display in the prompt
+ * @param {Object} options - Template, exit status, line editor and busy state (see PromptManager)
  * @returns {PromptManager} New PromptManager instance
  */
-export const createPromptManager = (terminal, authContext) => {
-  return new PromptManager(terminal, authContext)
+export const createPromptManager = (terminal, authContext, cwdGetter = null, options = {}) => {
+  return new PromptManager(terminal, authContext, cwdGetter, options)
 }
 
 export default PromptManager
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+import { PdfError, formatPdfText, loadPdfText } from './pdfText'
+import { RESUME_URL } from './portfolioContent'
+
+/**
+ * Resume command: read the resume PDF in the terminal, or download it
+ */
+
+const RESUME_FILE_NAME = 'resume.pdf'
+
+/**
+ * Read the resume's text
+ * @param {string} command - Command name used in error messages
+ * @returns {Promise<PdfText>} Lines of each page
+ * @throws {CommandError} If the PDF cannot be downloaded or read
+ */
+const readResume = async (command) => {
+  try {
+    return await loadPdfText(RESUME_URL)
+  } catch (error) {
+    if (!(error instanceof PdfError)) throw error
+    throw new CommandError(`${command}: cannot read ${RESUME_FILE_NAME}: ${error.message}`)
+  }
+}
+
+const resume = {
+  name: 'resume',
+  aliases: ['cv'],
+  description: 'read my resume',
+  usage: 'resume [--raw]',
+  options: [{ flag: '--raw', description: 'print the plain text, without the pager or colors (-r)' }],
+  details: [
+    "Show the text of my resume in the pager, with section headings highlighted and a rule",
+    'where each page starts. The PDF is read in your browser the first time you ask for it.',
+    '',
+    'When the output is piped or redirected, or with --raw, the plain text is printed instead.',
+    "`cat ~/resume.pdf` prints it too, and `less ~/resume.pdf` pages it like `resume` does."
+  ].join('\n'),
+  subcommands: {
+    download: {
+      description: 'save the PDF to your computer',
+      handler: () => {
+        const link = document.createElement('a')
+        link.href = RESUME_URL
+        link.download = RESUME_FILE_NAME
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+        return `Downloading ${RESUME_FILE_NAME}...`
+      }
+    }
+  },
+  examples: [
+    { command: 'resume', description: 'read my resume' },
+    { command: 'resume --raw | grep -i react', description: 'find a word in it' },
+    { command: 'resume download', description: 'save the PDF' }
+  ],
+  handler: async (args, { stdout, shell }) => {
+    const { flags, operands } = parseOptions('resume', args, { flags: 'r', long: { raw: 'r' } })
+    if (operands.length > 0) {
+      throw new CommandError('Usage: resume [--raw] | resume download', EXIT_STATUS.USAGE)
+    }
+
+    const pdf = await readResume('resume')
+    if (flags.has('r') || !stdout.isTTY || !shell || !shell.page) {
+      stdout.write(formatPdfText(pdf, { highlight: false }))
+    } else {
+      await shell.page(formatPdfText(pdf), { title: RESUME_FILE_NAME })
+    }
+    return null
+  }
+}
+
+export const resumeCommands = RESUME_URL ? [resume] : []
+
+export default resumeCommands
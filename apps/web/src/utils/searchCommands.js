@@ -0,0 +1,54 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+
+/**
+ * Search command: find text in the terminal's scrollback from the command line
+ */
+
+export const search = {
+  name: 'search',
+  description: 'find text in the terminal output',
+  usage: 'search [-c] [-r] <term...>',
+  options: [
+    { flag: '-c', description: 'match upper and lower case exactly' },
+    { flag: '-r', description: 'treat the term as a regular expression' }
+  ],
+  args: [{ name: 'term', description: 'text to find; several words are searched as one phrase', required: true, variadic: true }],
+  details: [
+    'Jump to the last match above the command line, highlight every match and open the',
+    'search bar with the term, where Enter goes to the match above and Shift+Enter to the',
+    'one below. Escape closes the bar.',
+    '',
+    'Ctrl+Shift+F opens the search bar at any time. In the bar, Alt+C toggles case',
+    'sensitivity and Alt+R regular expressions.'
+  ].join('\n'),
+  examples: [
+    { command: 'search react', description: 'find "react" in everything printed so far' },
+    { command: "search -r 'v\\d+\\.\\d+'", description: 'find version numbers' }
+  ],
+  handler: async (args, { shell }) => {
+    const { flags, operands } = parseOptions('search', args, { flags: 'cr' })
+    if (operands.length === 0) {
+      throw new CommandError('Usage: search [-c] [-r] <term...>', EXIT_STATUS.USAGE)
+    }
+
+    const term = operands.join(' ')
+    if (flags.has('r')) {
+      try {
+        new RegExp(term)
+      } catch (error) {
+        throw new CommandError(`search: invalid regular expression: ${term}`, EXIT_STATUS.USAGE)
+      }
+    }
+
+    const found = await shell.search(term, { caseSensitive: flags.has('c'), regex: flags.has('r') })
+    if (!found) {
+      throw new CommandError(`search: no matches for '${term}'`)
+    }
+    return null
+  }
+}
+
+export const searchCommands = [search]
+
+export default searchCommands
@@ -0,0 +1,109 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { SettingsError, TERMINAL_SETTINGS, findSetting, formatSettingValue } from './terminalSettings'
+
+/**
+ * Appearance settings command: font, line height, cursor, scrollback, ligatures and images
+ */
+
+// Tab completion for setting names, and for the values of settings with a fixed set
+const completeSettingName = () => TERMINAL_SETTINGS.map(setting => setting.name)
+const completeSettingValue = (prefix, { args }) => {
+  const setting = findSetting(args[0] || '')
+  if (!setting) return []
+  if (setting.type === 'boolean') return ['on', 'off']
+  return setting.values || []
+}
+
+/**
+ * Run a settings change, reporting invalid settings and values as command errors
+ * @param {Function} change - Function that may throw a SettingsError
+ * @returns {*} What the function returns
+ */
+const applySettingsChange = (change) => {
+  try {
+    return change()
+  } catch (error) {
+    if (error instanceof SettingsError) {
+      throw new CommandError(`settings: ${error.message}`, EXIT_STATUS.USAGE)
+    }
+    throw error
+  }
+}
+
+/**
+ * List settings with their values, marking the ones left at their default
+ * @param {Object} settings - TerminalSettings instance
+ * @param {Object[]} specs - Settings to list, from TERMINAL_SETTINGS
+ * @returns {string} One setting per line
+ */
+const formatSettings = (settings, specs) => {
+  const nameWidth = Math.max(...specs.map(setting => setting.name.length))
+  const values = specs.map(setting => formatSettingValue(setting, settings.get(setting.key)))
+  const valueWidth = Math.max(...values.map(value => value.length))
+
+  return specs.map((setting, index) => {
+    const marker = settings.isChanged(setting.key) ? '' : ' (default)'
+    return `${setting.name.padEnd(nameWidth)}  ${values[index].padEnd(valueWidth)}  \x1b[90m${setting.description}${marker}\x1b[0m`
+  }).join('\n')
+}
+
+export const settingsCommand = {
+  name: 'settings',
+  aliases: ['set'],
+  description: 'change the font, cursor and scrollback',
+  usage: 'settings [name [value]]',
+  args: [
+    { name: 'name', description: 'setting to show or change', complete: completeSettingName },
+    { name: 'value', description: 'new value; the rest of the line for font-family', variadic: true, complete: completeSettingValue }
+  ],
+  details: [
+    'Without arguments, list every setting with its value. With a name, show that setting;',
+    'with a name and a value, change it. Settings are saved in this browser as a guest and',
+    'in your account when logged in.',
+    '',
+    'Ctrl + and Ctrl - make the text bigger and smaller, and Ctrl 0 resets its size.',
+    'Ligatures need a font that has them, such as Fira Code or JetBrains Mono.'
+  ].join('\n'),
+  examples: [
+    { command: 'settings font-size 16', description: 'make the text bigger' },
+    { command: 'settings cursor-style bar', description: 'use a thin cursor' },
+    { command: "settings font-family 'Fira Code', monospace", description: 'change the font' },
+    { command: 'settings ligatures on', description: 'draw -> and != as ligatures' }
+  ],
+  subcommands: {
+    reset: {
+      description: 'go back to the default value of a setting, or of every setting',
+      args: [{ name: 'name', description: 'setting to reset (default: all of them)', complete: completeSettingName }],
+      handler: (args, { settings }) => {
+        if (args.length === 0) {
+          settings.reset()
+          return 'Every setting is back to its default'
+        }
+        const setting = applySettingsChange(() => settings.requireSetting(args[0]))
+        settings.reset(setting.key)
+        return `${setting.name} reset to ${formatSettingValue(setting, settings.get(setting.key))}`
+      }
+    }
+  },
+  handler: (args, { settings }) => {
+    if (args.length === 0) {
+      return formatSettings(settings, TERMINAL_SETTINGS)
+    }
+
+    const [name, ...words] = args
+    const setting = applySettingsChange(() => settings.requireSetting(name))
+    if (words.length === 0) {
+      return formatSettings(settings, [setting])
+    }
+    if (words.length > 1 && setting.type !== 'string') {
+      throw new CommandError(`Usage: settings ${setting.name} <value>`, EXIT_STATUS.USAGE)
+    }
+
+    const value = applySettingsChange(() => settings.set(setting.key, words.join(' ')))
+    return `${setting.name} set to ${formatSettingValue(setting, value)}`
+  }
+}
+
+export const settingsCommands = [settingsCommand]
+
+export default settingsCommands
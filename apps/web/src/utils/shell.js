@@ -0,0 +1,154 @@
+import { stripAnsi } from './ansi'
+import { expandCommand } from './commandParser'
+
+/**
+ * Shell execution helpers shared by the terminal command processor
+ */
+
+/**
+ * Exit statuses used by terminal commands, matching bash conventions
+ */
+export const EXIT_STATUS = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_FOUND: 127,
+  INTERRUPTED: 130
+}
+
+/**
+ * Error thrown by a command handler to report failure with an exit status
+ * The message may be null when the handler has already written its errors to stderr
+ */
+export class CommandError extends Error {
+  constructor(message, status = EXIT_STATUS.FAILURE) {
+    super(message || '')
+    this.name = 'CommandError'
+    this.status = status
+  }
+}
+
+/**
+ * Error raised for a redirect that cannot be made, before the command runs
+ * Like file system errors, it names the target the user typed in `path`.
+ */
+export class RedirectError extends Error {
+  constructor(message, path) {
+    super(message)
+    this.name = 'RedirectError'
+    this.path = path
+  }
+}
+
+/**
+ * Decide whether a command in a list should run, given the connector before it
+ * @param {string|null} operator - ';', '&&', '||' or null for the first command
+ * @param {number} lastStatus - Exit status of the previous command
+ * @returns {boolean} True if the command should run
+ */
+export const shouldRunCommand = (operator, lastStatus) => {
+  if (operator === '&&') return lastStatus === EXIT_STATUS.SUCCESS
+  if (operator === '||') return lastStatus !== EXIT_STATUS.SUCCESS
+  return true
+}
+
+/**
+ * Create an output stream for a command
+ * @param {Function} onWrite - Optional sink; when omitted, writes are buffered
+ * @param {boolean} isTTY - Whether the output ends up on the terminal (not in a pipe or file)
+ * @returns {{write: Function, read: Function, isTTY: boolean}} Stream with write(text) and read()
+ */
+export const createOutputStream = (onWrite = null, isTTY = false) => {
+  let buffer = ''
+  return {
+    isTTY,
+    write(text) {
+      if (onWrite) {
+        onWrite(text)
+      } else {
+        buffer += text
+      }
+    },
+    read() {
+      return buffer
+    }
+  }
+}
+
+/**
+ * Check that every redirect target can be written, before the command runs
+ * Mirrors bash, which opens redirect targets before executing the command
+ * @param {Array<{type: string, target: string|null, word: string}>} redirects - Redirects of a
+ *   command; a null target did not expand to a single file name
+ * @param {Object} fileSystem - VirtualFileSystem instance
+ * @throws {RedirectError|FileSystemError} If a target cannot be written
+ */
+export const openRedirects = (redirects, fileSystem) => {
+  redirects.forEach(({ target, word }) => {
+    if (target === null) throw new RedirectError('ambiguous redirect', word)
+    fileSystem.assertWritable(target)
+  })
+}
+
+/**
+ * Write a command's output to its redirect targets
+ * Every target is created (or truncated for '>'), and the last one receives the output.
+ * Escape sequences are stripped so saved files contain plain text.
+ * @param {Array<{type: string, target: string}>} redirects - Redirects of a command
+ * @param {string} output - Buffered stdout of the command
+ * @param {Object} fileSystem - VirtualFileSystem instance
+ * @returns {Promise<void>} Resolves once every target is saved
+ * @throws {FileSystemError} If a target cannot be written or saved
+ */
+export const writeRedirects = async (redirects, output, fileSystem) => {
+  for (const [index, { type, target }] of redirects.entries()) {
+    const content = index === redirects.length - 1 ? stripAnsi(output) : ''
+    if (type === '>>') {
+      await fileSystem.appendFile(target, content)
+    } else {
+      await fileSystem.writeFile(target, content)
+    }
+  }
+}
+
+/**
+ * Run a pipeline, feeding each command's stdout into the next command's stdin
+ * @param {Array<{argv: string[], redirects: Array}>} pipeline - Commands in the pipeline
+ * @param {Function} runCommand - Runs one command as runCommand(command, stdin, isLast) and
+ *   resolves to { status, stdout }; isLast is true for the command whose output is shown
+ * @returns {Promise<{status: number, stdout: string}>} Status and output of the last command
+ */
+export const runPipeline = async (pipeline, runCommand) => {
+  let stdin = null
+  let result = { status: EXIT_STATUS.SUCCESS, stdout: '' }
+
+  for (const [index, command] of pipeline.entries()) {
+    result = await runCommand(command, stdin, index === pipeline.length - 1)
+    stdin = result.stdout
+  }
+
+  return result
+}
+
+/**
+ * Run a parsed command list, honouring ';', '&&' and '||'
+ * Each pipeline finishes before the next starts, so interactive commands such as
+ * 'antec login' can be chained like any other command. Its variables are expanded just
+ * before it runs, so `export X=1; echo $X` and `false; echo $?` see what came before; the
+ * environment's $? must follow the status of each pipeline as it finishes.
+ * @param {Array<{pipeline: Array, operator: string|null}>} commandList - Output of parseCommandLine
+ * @param {Function} runPipelineEntry - Runs one pipeline of expanded commands
+ *   ({ argv, redirects }) and resolves to its exit status
+ * @param {Object} environment - Shell environment the variables come from
+ * @returns {Promise<number>} Status of the last pipeline that ran
+ */
+export const runCommandList = async (commandList, runPipelineEntry, environment = null) => {
+  let status = EXIT_STATUS.SUCCESS
+
+  for (const { pipeline, operator } of commandList) {
+    if (!shouldRunCommand(operator, status)) continue
+    status = await runPipelineEntry(pipeline.map(command => expandCommand(command, environment)))
+  }
+
+  return status
+}
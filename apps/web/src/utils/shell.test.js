@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { expandCommand, parseCommandLine } from './commandParser'
+import { createShellEnvironment } from './shellEnvironment'
+import { EXIT_STATUS, RedirectError, openRedirects, runCommandList, runPipeline } from './shell'
+
+/**
+ * A small shell: `export`, `true`, `false` and `echo`, with $? following each pipeline the
+ * way the terminal keeps it
+ */
+const createShell = () => {
+  let lastStatus = EXIT_STATUS.SUCCESS
+  const environment = createShellEnvironment({ '?': () => lastStatus })
+  const ran = []
+
+  const runCommand = async ({ argv }) => {
+    ran.push(argv)
+    const [name, ...args] = argv
+    if (name === 'export') {
+      args.forEach(assignment => {
+        const [variable, ...value] = assignment.split('=')
+        environment.setVariable(variable, value.join('='))
+      })
+      return { status: EXIT_STATUS.SUCCESS, stdout: '' }
+    }
+    if (name === 'false') return { status: EXIT_STATUS.FAILURE, stdout: '' }
+    return { status: EXIT_STATUS.SUCCESS, stdout: name === 'echo' ? `${args.join(' ')}\n` : '' }
+  }
+
+  const run = async (line) => {
+    const commandList = parseCommandLine(line, { environment })
+    return runCommandList(commandList, async (pipeline) => {
+      const result = await runPipeline(pipeline, runCommand)
+      lastStatus = result.status
+      return result.status
+    }, environment)
+  }
+
+  return { environment, ran, run }
+}
+
+describe('runCommandList', () => {
+  let shell
+
+  beforeEach(() => {
+    shell = createShell()
+    shell.environment.setVariable('X', 'old')
+  })
+
+  it('expands variables after earlier commands separated by ; have run', async () => {
+    await shell.run('export X=new; echo $X')
+    expect(shell.ran[1]).toEqual(['echo', 'new'])
+  })
+
+  it('expands variables after earlier commands joined by && have run', async () => {
+    await shell.run('export X=new && echo "$X and ${X}"')
+    expect(shell.ran[1]).toEqual(['echo', 'new and new'])
+  })
+
+  it('expands variables after earlier commands joined by || have failed', async () => {
+    await shell.run('false || echo $X $?')
+    expect(shell.ran[1]).toEqual(['echo', 'old', '1'])
+  })
+
+  it('gives $? the status of the pipeline before', async () => {
+    await shell.run('false; echo $?; echo $?')
+    expect(shell.ran.slice(1)).toEqual([['echo', '1'], ['echo', '0']])
+  })
+
+  it('keeps $? from the last pipeline that ran when one is skipped', async () => {
+    await shell.run('false && echo skipped; echo $?')
+    expect(shell.ran).toEqual([['false'], ['echo', '1']])
+  })
+
+  it('expands a whole pipeline before any of it runs', async () => {
+    await shell.run('false; export X=new | echo $X $?')
+    expect(shell.ran[2]).toEqual(['echo', 'old', '1'])
+  })
+
+  it('returns the status of the last pipeline that ran', async () => {
+    expect(await shell.run('true && false')).toBe(EXIT_STATUS.FAILURE)
+    expect(await shell.run('false || true')).toBe(EXIT_STATUS.SUCCESS)
+  })
+})
+
+describe('openRedirects', () => {
+  it('refuses a target that did not expand to a single file name', () => {
+    const environment = createShellEnvironment()
+    environment.setVariable('F', 'a b')
+    const [{ pipeline: [command] }] = parseCommandLine('echo hi > $F', { environment })
+    const { redirects } = expandCommand(command, environment)
+
+    expect(() => openRedirects(redirects, { assertWritable: () => {} }))
+      .toThrow(new RedirectError('ambiguous redirect', '$F'))
+  })
+})
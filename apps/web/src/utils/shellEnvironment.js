@@ -0,0 +1,140 @@
+/**
+ * Variables every shell starts with; the user may change or unset them
+ */
+export const DEFAULT_VARIABLES = {
+  SHELL: '/bin/antec',
+  TERM: 'xterm-256color',
+  LANG: 'en_US.UTF-8'
+}
+
+/**
+ * ShellEnvironment - Variables and aliases of the terminal shell
+ * Exported variables and aliases last until the page is reloaded or the user changes.
+ * Built-in variables (USER, HOME, PWD, $? ...) are computed on every read and are read-only.
+ */
+export class ShellEnvironment {
+  constructor(builtins = {}) {
+    // Built-in variables: name → function returning the current value
+    this.builtins = builtins
+    this.variables = new Map(Object.entries(DEFAULT_VARIABLES))
+    this.aliases = new Map()
+  }
+
+  /**
+   * Forget every exported variable and alias, as when a new shell starts
+   */
+  reset() {
+    this.variables = new Map(Object.entries(DEFAULT_VARIABLES))
+    this.aliases.clear()
+  }
+
+  /**
+   * Check whether a variable is built in and so cannot be changed
+   * @param {string} name - Variable name
+   * @returns {boolean} True for built-in variables
+   */
+  isReadOnly(name) {
+    return Object.prototype.hasOwnProperty.call(this.builtins, name)
+  }
+
+  /**
+   * Get the value of a variable
+   * @param {string} name - Variable name, or '?' for the last exit status
+   * @returns {string|null} Value, or null if the variable is not set
+   */
+  getVariable(name) {
+    if (this.isReadOnly(name)) {
+      return String(this.builtins[name]())
+    }
+    return this.variables.has(name) ? this.variables.get(name) : null
+  }
+
+  /**
+   * Set a variable
+   * @param {string} name - Variable name
+   * @param {string} value - New value
+   * @returns {boolean} False if the variable is read-only
+   */
+  setVariable(name, value) {
+    if (this.isReadOnly(name)) return false
+    this.variables.set(name, value)
+    return true
+  }
+
+  /**
+   * Remove a variable
+   * @param {string} name - Variable name
+   * @returns {boolean} False if the variable is read-only
+   */
+  unsetVariable(name) {
+    if (this.isReadOnly(name)) return false
+    this.variables.delete(name)
+    return true
+  }
+
+  /**
+   * List every variable, built-in ones included
+   * @returns {Array<{name: string, value: string}>} Variables sorted by name
+   */
+  getVariables() {
+    const names = new Set([
+      // $? is a special parameter, not an environment variable
+      ...Object.keys(this.builtins).filter(name => name !== '?'),
+      ...this.variables.keys()
+    ])
+    return [...names].sort().map(name => ({ name, value: this.getVariable(name) }))
+  }
+
+  /**
+   * Get the replacement text of an alias
+   * @param {string} name - Alias name
+   * @returns {string|null} Alias value, or null if there is no such alias
+   */
+  getAlias(name) {
+    return this.aliases.has(name) ? this.aliases.get(name) : null
+  }
+
+  /**
+   * Define or replace an alias
+   * @param {string} name - Alias name
+   * @param {string} value - Text that replaces the name at the start of a command
+   */
+  setAlias(name, value) {
+    this.aliases.set(name, value)
+  }
+
+  /**
+   * Remove an alias
+   * @param {string} name - Alias name
+   * @returns {boolean} True if the alias existed
+   */
+  removeAlias(name) {
+    return this.aliases.delete(name)
+  }
+
+  /**
+   * Remove every alias
+   */
+  clearAliases() {
+    this.aliases.clear()
+  }
+
+  /**
+   * List every alias
+   * @returns {Array<{name: string, value: string}>} Aliases sorted by name
+   */
+  getAliases() {
+    return [...this.aliases.keys()].sort().map(name => ({ name, value: this.aliases.get(name) }))
+  }
+}
+
+/**
+ * Create a shell environment
+ * @param {Object} builtins - Read-only variables: name → function returning the current value
+ * @returns {ShellEnvironment} Shell environment instance
+ */
+export const createShellEnvironment = (builtins = {}) => {
+  return new ShellEnvironment(builtins)
+}
+
+export default ShellEnvironment
@@ -0,0 +1,297 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { showManual } from './commandRegistry'
+import { PROMPT_PRESETS } from './promptManager'
+
+/**
+ * Terminal and session commands: help, manuals, history, the prompt and the current user
+ */
+
+const HELP_FOOTER = `Pipes  => projects | grep Health, history | tail -5, history | less
+Chains => cmd1 ; cmd2, cmd1 && cmd2, cmd1 || cmd2
+Redirects => socials > links.txt, echo note >> links.txt
+Aliases => alias ll='ls -la'
+Variables => export NAME=value, echo $NAME
+Prompt => prompt list, prompt set minimal
+Settings => settings font-size 16, Ctrl + / Ctrl - to zoom
+Tabs => tab new, split -v, split -h, exit, Alt + Shift + t
+~/.antecrc => runs at startup, put aliases and settings there
+
+man <command> or <command> --help => manual for a command
+Tab or Ctrl + i => autocompletes the command
+Up Arrow => go back to previous command
+Ctrl + r => search the command history
+Ctrl + Shift + f or search <term> => find text in the terminal output
+!! / !n / !prefix / ^old^new => reuse earlier commands
+Ctrl + l => clear the terminal`
+
+// Where the prompt template in use comes from, as shown by `prompt show`
+const PROMPT_SOURCES = {
+  variable: 'from $PS1',
+  saved: 'saved',
+  default: 'default'
+}
+
+/**
+ * Quote a prompt template so it can be pasted back into a command
+ * @param {string} template - Prompt template
+ * @returns {string} Template in single quotes
+ */
+const quoteTemplate = (template) => `'${template.replace(/'/g, "'\\''")}'`
+
+/**
+ * Turn a preset name into its template; anything else is taken as a template
+ * @param {string[]} args - Words given on the command line
+ * @returns {string} Prompt template
+ */
+const resolvePromptTemplate = (args) => {
+  const text = args.join(' ')
+  return Object.prototype.hasOwnProperty.call(PROMPT_PRESETS, text) ? PROMPT_PRESETS[text].template : text
+}
+
+/**
+ * Render a template, turning template errors into a usage error
+ * @param {Object} shell - Shell actions from the command context
+ * @param {string} template - Prompt template
+ * @returns {string} Rendered prompt
+ */
+const renderPromptStrictly = (shell, template) => {
+  try {
+    return shell.renderPrompt(template, { strict: true })
+  } catch (error) {
+    throw new CommandError(`prompt: ${error.message}`, EXIT_STATUS.USAGE)
+  }
+}
+
+/**
+ * Describe the prompt in use: its template, where it comes from and what it looks like
+ * @param {Object} shell - Shell actions from the command context
+ * @returns {string} Description
+ */
+const describePrompt = (shell) => {
+  const { template, source } = shell.getPrompt()
+  return `${quoteTemplate(template)} (${PROMPT_SOURCES[source]})\n${shell.renderPrompt(template)}\x1b[0m`
+}
+
+// Tab completion for template arguments
+const completePromptPreset = () => Object.keys(PROMPT_PRESETS)
+
+/**
+ * Generate the help listing from the registered commands
+ * @param {Object} registry - CommandRegistry instance
+ * @returns {string} Help text
+ */
+export const formatHelp = (registry) => {
+  const general = registry.list()
+    .filter(command => command.category !== 'auth')
+    .map(command => `${command.name.padEnd(12)} - ${command.description}`)
+
+  const auth = registry.list({ category: 'auth' })
+    .flatMap(command => Object.entries(command.subcommands || {})
+      .map(([name, subcommand]) => `${`${command.name} ${name}`.padEnd(15)} - ${subcommand.description}`))
+
+  return [
+    general.join('\n'),
+    ...(auth.length > 0 ? [`Authentication Commands:\n${auth.join('\n')}`] : []),
+    HELP_FOOTER
+  ].join('\n\n')
+}
+
+export const systemCommands = [
+  {
+    name: 'help',
+    description: 'check available commands',
+    details: 'List every command with a one-line description, followed by keyboard shortcuts.\nUse man <command> for the full manual of a command.',
+    handler: (args, { registry, authHandler }) => {
+      let helpText = formatHelp(registry)
+
+      // Add authentication status indicator
+      if (authHandler && authHandler.isAuthProcessing()) {
+        helpText += `\n\n\x1b[33m⚠ Authentication in progress - some commands are disabled\x1b[0m`
+        helpText += `\nCtrl + C => cancel current authentication operation`
+      }
+
+      return helpText
+    }
+  },
+  {
+    name: 'man',
+    description: 'show the manual for a command',
+    details: 'Show the manual page of a command in the pager: what it does, how to call it and\nexamples. Use j/k or the arrow keys to scroll, space and b to page, q to quit.\nWhen the output is piped or redirected, the manual is printed instead.',
+    args: [
+      {
+        name: 'command',
+        description: 'command to describe',
+        required: true,
+        complete: (prefix, { registry }) => registry.list().map(command => command.name)
+      },
+      {
+        name: 'subcommand',
+        description: "one of the command's subcommands",
+        complete: (prefix, { registry, args }) => Object.keys((registry.get(args[0]) || {}).subcommands || {})
+      }
+    ],
+    examples: [
+      { command: 'man ls', description: 'read the manual for ls' },
+      { command: 'man themes set', description: 'read the manual for a subcommand' },
+      { command: 'grep --help | grep -- -i', description: 'look up a single option' }
+    ],
+    handler: (args, context) => {
+      const resolved = context.registry.resolve(args)
+      if (!resolved || resolved.args.length > 0) {
+        throw new CommandError(`No manual entry for ${args.join(' ')}`)
+      }
+      return showManual(resolved.path, resolved.definition, context)
+    }
+  },
+  {
+    name: 'clear',
+    aliases: ['cls'],
+    description: 'clear the terminal',
+    handler: (args, { terminal }) => {
+      terminal.clear()
+    }
+  },
+  {
+    name: 'welcome',
+    description: 'show the welcome banner',
+    hidden: true,
+    handler: (args, { shell }) => {
+      shell.showWelcome()
+    }
+  },
+  {
+    name: 'echo',
+    description: 'print out anything',
+    examples: [{ command: 'echo hello world > note.txt', description: 'write a line into a new file' }],
+    args: [{ name: 'text', description: 'words to print', variadic: true }],
+    handler: (args) => args.join(' ')
+  },
+  {
+    name: 'history',
+    description: 'view command history',
+    usage: 'history [-c] [N]',
+    options: [{ flag: '-c', description: 'clear the history' }],
+    args: [{ name: 'N', description: 'only list the last N entries', type: 'integer' }],
+    details: 'List the commands entered so far, oldest first, numbered for !n. The history\nis saved in this browser as a guest and in your account when logged in.\nLines starting with a space are not saved.',
+    examples: [
+      { command: 'history 10', description: 'show the last ten commands' },
+      { command: 'history | grep projects', description: 'find earlier project commands' },
+      { command: '!3', description: 'run command number 3 again' }
+    ],
+    handler: (args, { history }) => {
+      if (args.includes('-c')) {
+        history.clear()
+        return null
+      }
+
+      const count = args.length > 0 ? parseInt(args[0], 10) : null
+      if (count !== null && count < 0) {
+        throw new CommandError(`history: ${args[0]}: invalid option`, EXIT_STATUS.USAGE)
+      }
+      if (history.size === 0) {
+        return 'No commands in history.'
+      }
+      return history.list(count)
+        .map(({ number, line }) => `${String(number).padStart(5)}  ${line}`)
+        .join('\n')
+    }
+  },
+  {
+    name: 'prompt',
+    description: 'preview, change and save the prompt',
+    details: [
+      'Change the prompt with a PS1-style template, or pick a ready-made one from',
+      "'prompt list'. 'prompt set' saves it in this browser as a guest and in your",
+      'account when logged in; export PS1=... in ~/.antecrc overrides it. Quote',
+      'templates so the shell keeps their backslashes.',
+      '',
+      'Escapes:',
+      '  \\u user   \\h host   \\w directory   \\W its last part   \\$ the $ sign',
+      '  \\t 24-hour time   \\T 12-hour time   \\@ time with am/pm   \\A hours:minutes',
+      '  \\d date   \\? last exit status   \\n new line   \\e or \\033 escape   \\\\ backslash',
+      '',
+      'Colors, with \\c{...}:',
+      '  username, host, path, symbol   the default prompt colors',
+      '  status                         green after success, red after a failure',
+      '  red, brightblue, ...           the 16 terminal colors',
+      '  0 to 255                       256-color palette',
+      '  #9b7cff                        truecolor',
+      '  bold, dim, italic, underline   styles; reset ends colors and styles',
+      '  bg:...                         a background color, e.g. bg:236',
+      'Combine them with commas, as in \\c{bold,#9b7cff}.'
+    ].join('\n'),
+    examples: [
+      { command: "prompt preview '\\c{status}[\\?] \\c{214}\\u\\c{reset}:\\w\\$ '", description: 'try a template' },
+      { command: 'prompt set minimal', description: 'use a ready-made prompt and save it' },
+      { command: "export PS1='\\t \\W> '", description: 'change the prompt for this session only' },
+      { command: 'prompt reset', description: 'go back to the default prompt' }
+    ],
+    subcommands: {
+      show: {
+        description: 'show the current template and what it looks like',
+        handler: (args, { shell }) => describePrompt(shell)
+      },
+      list: {
+        description: 'list the ready-made prompts',
+        handler: (args, { shell }) => Object.entries(PROMPT_PRESETS)
+          .map(([name, preset]) => `${name.padEnd(9)} ${preset.description}\n${shell.renderPrompt(preset.template)}\x1b[0m\n`)
+          .join('\n')
+      },
+      preview: {
+        description: 'show what a template or ready-made prompt looks like',
+        args: [{ name: 'template', description: "template, or a name from 'prompt list'", required: true, complete: completePromptPreset }],
+        handler: (args, { shell }) => `${renderPromptStrictly(shell, resolvePromptTemplate(args))}\x1b[0m`
+      },
+      set: {
+        description: 'use a template or ready-made prompt and save it',
+        args: [{ name: 'template', description: "template, or a name from 'prompt list'", required: true, complete: completePromptPreset }],
+        handler: async (args, { shell, env }) => {
+          const template = resolvePromptTemplate(args)
+          renderPromptStrictly(shell, template)
+          // A PS1 set earlier in the session would hide the saved template
+          env.unsetVariable('PS1')
+          try {
+            await shell.savePreferences({ prompt: template })
+          } catch (error) {
+            throw new CommandError(`prompt: the prompt is set for this session but could not be saved: ${error.message}`)
+          }
+          return null
+        }
+      },
+      reset: {
+        description: 'go back to the default prompt',
+        handler: async (args, { shell, env }) => {
+          env.unsetVariable('PS1')
+          try {
+            await shell.savePreferences({ prompt: null })
+          } catch (error) {
+            throw new CommandError(`prompt: the prompt is reset for this session but could not be saved: ${error.message}`)
+          }
+          return null
+        }
+      }
+    },
+    handler: (args, { shell }) => {
+      if (args.length > 0) {
+        throw new CommandError(`prompt: unknown command '${args[0]}'. See 'prompt --help'.`, EXIT_STATUS.USAGE)
+      }
+      return describePrompt(shell)
+    }
+  },
+  {
+    name: 'whoami',
+    description: 'about current user',
+    handler: (args, { auth }) => {
+      // The context carries the freshest auth info (avoids stale closures / timing races)
+      try {
+        const user = auth && (auth.getCurrentUser ? auth.getCurrentUser() : auth.user)
+        if (user && user.username) return user.username
+      } catch (e) {
+        // ignore and fallback
+      }
+      return 'guest'
+    }
+  }
+]
+
+export default systemCommands
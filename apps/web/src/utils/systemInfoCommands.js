@@ -0,0 +1,174 @@
+import { statusClient } from '@antec/api-client'
+import { getDisplayWidth } from './ansi'
+import { ANTEC_LOGO, ANTEC_VERSION, LOGO_STYLE } from './logo'
+
+/**
+ * System summary command: the logo next to facts about the session, neofetch style
+ */
+
+const KEY_STYLE = '\x1b[1;38;2;155;124;255m'
+const RESET = '\x1b[0m'
+
+// Backend states and the colors they are shown in
+const BACKEND_STYLES = {
+  ok: '\x1b[32m',
+  degraded: '\x1b[33m',
+  offline: '\x1b[31m'
+}
+
+// Longest the backend gets to answer before it is reported offline, in milliseconds
+const STATUS_TIMEOUT = 3000
+
+// Spaces between the logo and the facts when they are side by side
+const LOGO_GAP = 3
+
+// Browsers by user agent token, most specific first (Edge and Opera also claim Chrome)
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /OPR\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\// }
+]
+
+// Operating systems by user agent token; iOS and Android before macOS and Linux
+const PLATFORMS = [
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+]
+
+/**
+ * Name the browser from its user agent string
+ * @param {string} userAgent - navigator.userAgent
+ * @returns {string} e.g. 'Firefox 131', or 'unknown'
+ */
+export const describeBrowser = (userAgent) => {
+  for (const { name, pattern } of BROWSERS) {
+    const match = pattern.exec(userAgent)
+    if (match) return `${name} ${match[1]}`
+  }
+  return 'unknown'
+}
+
+/**
+ * Name the operating system from a user agent string
+ * @param {string} userAgent - navigator.userAgent
+ * @returns {string} e.g. 'macOS', or 'unknown'
+ */
+export const describePlatform = (userAgent) => {
+  const platform = PLATFORMS.find(({ pattern }) => pattern.test(userAgent))
+  return platform ? platform.name : 'unknown'
+}
+
+/**
+ * Format a duration the way uptime does
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. '2 days, 3 hours, 1 min' or '42 secs'
+ */
+export const formatUptime = (seconds) => {
+  const units = [['day', 86400], ['hour', 3600], ['min', 60]]
+  let rest = Math.floor(seconds)
+  const parts = units.map(([name, size]) => {
+    const count = Math.floor(rest / size)
+    rest -= count * size
+    return count > 0 ? `${count} ${name}${count === 1 ? '' : 's'}` : null
+  }).filter(Boolean)
+  return parts.length > 0 ? parts.join(', ') : `${rest} sec${rest === 1 ? '' : 's'}`
+}
+
+/**
+ * Ask the backend how it is doing
+ * @returns {Promise<string>} Colored status, e.g. 'ok (v1.0.0, database connected)'
+ */
+const describeBackend = async () => {
+  try {
+    const status = await statusClient.getStatus({ signal: AbortSignal.timeout(STATUS_TIMEOUT) })
+    const style = BACKEND_STYLES[status.status] || BACKEND_STYLES.degraded
+    return `${style}${status.status}${RESET} (v${status.version}, database ${status.database})`
+  } catch (error) {
+    return `${BACKEND_STYLES.offline}offline${RESET}`
+  }
+}
+
+/**
+ * Rows of color swatches in the terminal's palette, normal colors then bright ones
+ * @returns {string[]} Two lines
+ */
+const formatSwatches = () => [40, 100].map(base => (
+  Array.from({ length: 8 }, (_, index) => `\x1b[${base + index}m   `).join('') + RESET
+))
+
+/**
+ * Put the logo and the facts side by side when the terminal is wide enough, else one
+ * above the other; terminals narrower than the logo get the facts alone
+ * @param {string[]} logo - Logo lines, uncolored
+ * @param {string[]} panel - Lines of facts
+ * @param {number} columns - Terminal width
+ * @returns {string} Lines joined with newlines
+ */
+export const layoutSummary = (logo, panel, columns) => {
+  const logoWidth = Math.max(...logo.map(getDisplayWidth))
+  const panelWidth = Math.max(...panel.map(getDisplayWidth))
+  const colored = logo.map(line => `${LOGO_STYLE}${line}${RESET}`)
+
+  if (columns >= logoWidth + LOGO_GAP + panelWidth) {
+    const height = Math.max(logo.length, panel.length)
+    return Array.from({ length: height }, (_, index) => {
+      const left = index < logo.length ? colored[index] : ''
+      const padding = ' '.repeat(logoWidth + LOGO_GAP - (index < logo.length ? getDisplayWidth(logo[index]) : 0))
+      return panel[index] ? `${left}${padding}${panel[index]}` : left.trimEnd()
+    }).join('\n')
+  }
+  if (columns >= logoWidth) {
+    return [...colored, '', ...panel].join('\n')
+  }
+  return panel.join('\n')
+}
+
+const neofetch = {
+  name: 'neofetch',
+  aliases: ['sysinfo'],
+  description: 'show a summary of this terminal and the backend',
+  details: [
+    'Show the ANTEC logo next to who you are, the theme, the terminal size, your browser,',
+    'how long ago the terminal started, how many commands you have run, and whether the',
+    'backend is up and which version it runs.',
+    '',
+    'Narrow terminals show the logo above the summary, or leave it out.'
+  ].join('\n'),
+  handler: async (args, { auth, themes, terminal, shell }) => {
+    const user = auth && auth.isAuthenticated && auth.user ? auth.user : null
+    const name = user ? user.username : 'guest'
+    const userAgent = typeof navigator === 'undefined' ? '' : navigator.userAgent
+    const title = `${KEY_STYLE}${name}${RESET}@${KEY_STYLE}antec${RESET}`
+
+    const facts = [
+      ['OS', describePlatform(userAgent)],
+      ['Browser', describeBrowser(userAgent)],
+      ['Terminal', `ANTEC ${ANTEC_VERSION}`],
+      ['Size', `${terminal.cols}x${terminal.rows}`],
+      ['Theme', themes.getCurrentThemeName()],
+      ['Uptime', formatUptime((Date.now() - performance.timeOrigin) / 1000)],
+      ['Commands', String(shell.getCommandsRun())],
+      ['Auth', user ? `signed in as ${user.username}` : 'guest session'],
+      ['Backend', await describeBackend()]
+    ]
+
+    const panel = [
+      title,
+      '-'.repeat(getDisplayWidth(`${name}@antec`)),
+      ...facts.map(([key, value]) => `${KEY_STYLE}${key}${RESET}: ${value}`),
+      '',
+      ...formatSwatches()
+    ]
+    return layoutSummary(ANTEC_LOGO.split('\n'), panel, terminal.cols)
+  }
+}
+
+export const systemInfoCommands = [neofetch]
+
+export default systemInfoCommands
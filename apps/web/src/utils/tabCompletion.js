@@ -0,0 +1,142 @@
+import { getCompletionContext } from './commandParser'
+import { getDisplayWidth } from './ansi'
+
+// Characters that need a backslash in an unquoted word ('~' only matters at the start of a
+// path, which completion never inserts)
+const UNQUOTED_SPECIAL_CHARACTERS = /[\s'"\\;&|<>()$`#!*?]/g
+
+// Characters that need a backslash inside double quotes
+const DOUBLE_QUOTED_SPECIAL_CHARACTERS = /["\\$`]/g
+
+/**
+ * Escape completed text so the parser reads it back unchanged
+ * @param {string} text - Text to insert
+ * @param {string|null} quote - Quote left open in the word being completed, if any
+ * @returns {string} Escaped text
+ */
+export const escapeCompletion = (text, quote = null) => {
+  if (quote === "'") return text.replace(/'/g, "'\\''")
+  if (quote === '"') return text.replace(DOUBLE_QUOTED_SPECIAL_CHARACTERS, '\\$&')
+  return text.replace(UNQUOTED_SPECIAL_CHARACTERS, '\\$&')
+}
+
+/**
+ * Find the longest prefix shared by every word
+ * @param {string[]} words - Words to compare
+ * @returns {string} Common prefix
+ */
+export const findCommonPrefix = (words) => {
+  if (words.length === 0) return ''
+  let prefix = words[0]
+  for (const word of words.slice(1)) {
+    while (!word.startsWith(prefix)) {
+      prefix = prefix.slice(0, -1)
+    }
+  }
+  return prefix
+}
+
+/**
+ * Lay out items in columns that fit the terminal, filled top to bottom like `ls`
+ * @param {string[]} items - Items to list
+ * @param {number} width - Terminal width in columns
+ * @returns {string} Rows joined with newlines
+ */
+export const formatColumns = (items, width) => {
+  if (items.length === 0) return ''
+
+  const columnWidth = Math.max(...items.map(getDisplayWidth)) + 2
+  // The last column needs no gap after it
+  const columns = Math.max(1, Math.floor((width + 2) / columnWidth))
+  const rows = Math.ceil(items.length / columns)
+
+  const lines = []
+  for (let row = 0; row < rows; row++) {
+    let line = ''
+    for (let column = 0; column < columns; column++) {
+      const item = items[column * rows + row]
+      if (item === undefined) break
+      line += item + ' '.repeat(columnWidth - getDisplayWidth(item))
+    }
+    lines.push(line.trimEnd())
+  }
+  return lines.join('\n')
+}
+
+/**
+ * TabCompleter - Completes the word before the cursor, bash style
+ * A unique match is inserted in full, several matches are completed up to their common
+ * prefix, and pressing Tab again without progress lists them.
+ */
+export class TabCompleter {
+  constructor(registry) {
+    this.registry = registry
+    // Line text after the last Tab that did not finish a completion
+    this.pendingText = null
+  }
+
+  /**
+   * Forget the previous Tab press, so the next one does not list candidates
+   */
+  reset() {
+    this.pendingText = null
+  }
+
+  /**
+   * Complete the command line up to the cursor
+   * @param {string} text - Command line up to the cursor
+   * @param {Object} context - Context for argument completers (fs, env, shell, auth)
+   * @returns {{insert: string, listing: string[]|null}} Text to insert at the cursor, and the
+   *   candidates to list when Tab was pressed twice without progress
+   */
+  complete(text, context) {
+    const { words, current, quote, redirect } = getCompletionContext(text)
+    let candidates = redirect
+      ? context.fs.completePath(current)
+      : this.registry.complete([...words, current], context)
+
+    // Aliases complete like command names
+    if (!redirect && words.length === 0 && context.env) {
+      const aliases = context.env.getAliases()
+        .map(alias => alias.name)
+        .filter(name => name.startsWith(current) && !candidates.includes(name))
+      candidates = [...candidates, ...aliases].sort()
+    }
+
+    const repeated = this.pendingText === text
+    this.pendingText = null
+
+    if (candidates.length === 1) {
+      const [match] = candidates
+      // Directories stay open for the next path segment
+      const ending = match.endsWith('/') ? '' : `${quote || ''} `
+      return { insert: escapeCompletion(match.slice(current.length), quote) + ending, listing: null }
+    }
+
+    const common = findCommonPrefix(candidates)
+    if (common.length > current.length) {
+      const insert = escapeCompletion(common.slice(current.length), quote)
+      this.pendingText = text + insert
+      return { insert, listing: null }
+    }
+
+    this.pendingText = text
+    if (!repeated || candidates.length === 0) {
+      return { insert: '', listing: null }
+    }
+    // Paths are listed by their last segment, as bash does
+    const directoryLength = current.lastIndexOf('/') + 1
+    return { insert: '', listing: candidates.map(candidate => candidate.slice(directoryLength)) }
+  }
+}
+
+/**
+ * Create a tab completer
+ * @param {Object} registry - CommandRegistry instance
+ * @returns {TabCompleter} Tab completer instance
+ */
+export const createTabCompleter = (registry) => {
+  return new TabCompleter(registry)
+}
+
+export default TabCompleter
@@ -0,0 +1,270 @@
+import { SearchAddon } from '@xterm/addon-search'
+import { formatHexColor, parseColor } from './themes'
+
+// Matches highlighted at most; past this the count is shown as "1000+"
+const HIGHLIGHT_LIMIT = 1000
+
+/**
+ * Mix two colors
+ * @param {string} base - Color to start from
+ * @param {string} tint - Color to mix in
+ * @param {number} amount - Share of the tint, from 0 to 1
+ * @returns {string} #rrggbb color, as search decorations require
+ */
+const mixColors = (base, tint, amount) => {
+  const from = parseColor(base)
+  const to = parseColor(tint)
+  const mix = (channel) => from[channel] + (to[channel] - from[channel]) * amount
+  return formatHexColor({ red: mix('red'), green: mix('green'), blue: mix('blue') })
+}
+
+/**
+ * Check that a search term is a valid regular expression
+ * @param {string} query - Search term
+ * @returns {string|null} Error message, or null if the term is valid
+ */
+const checkRegex = (query) => {
+  try {
+    new RegExp(query)
+    return null
+  } catch (error) {
+    return 'invalid regular expression'
+  }
+}
+
+/**
+ * TerminalSearch - Find text in the terminal and its scrollback (Ctrl+Shift+F)
+ * Wraps xterm.js's search addon with the state the search bar shows: the query, the case
+ * and regex toggles, the position of the active match and the number of matches. Searches
+ * start at the bottom of the scrollback, so findPrevious() goes up to older output.
+ */
+export class TerminalSearch {
+  constructor(terminal) {
+    this.terminal = terminal
+    this.addon = new SearchAddon({ highlightLimit: HIGHLIGHT_LIMIT })
+    terminal.loadAddon(this.addon)
+    this.query = ''
+    this.caseSensitive = false
+    this.regex = false
+    this.resultIndex = -1
+    this.resultCount = 0
+    this.error = null
+    this.decorations = null
+    this.changeListeners = new Set()
+
+    this.addon.onDidChangeResults(({ resultIndex, resultCount }) => {
+      this.resultIndex = resultIndex
+      this.resultCount = resultCount
+      this.notifyChange()
+    })
+  }
+
+  /**
+   * Add a listener for changes to the query, toggles or matches
+   * @param {Function} listener - Called as listener(state) with getState()
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  notifyChange() {
+    const state = this.getState()
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(state)
+      } catch (error) {
+        console.warn('Search listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Get what the search bar shows
+   * @returns {{query: string, caseSensitive: boolean, regex: boolean, resultIndex: number,
+   *   resultCount: number, limitReached: boolean, error: string|null}} Search state;
+   *   resultIndex is -1 when no match is active
+   */
+  getState() {
+    return {
+      query: this.query,
+      caseSensitive: this.caseSensitive,
+      regex: this.regex,
+      resultIndex: this.resultIndex,
+      resultCount: this.resultCount,
+      limitReached: this.resultCount >= HIGHLIGHT_LIMIT,
+      error: this.error
+    }
+  }
+
+  /**
+   * Color the matches to suit a theme
+   * @param {Object} theme - Complete theme palette
+   */
+  setTheme(theme) {
+    this.decorations = {
+      matchBackground: mixColors(theme.background, theme.yellow, 0.35),
+      matchBorder: mixColors(theme.background, theme.yellow, 0.6),
+      matchOverviewRuler: mixColors(theme.background, theme.yellow, 0.6),
+      activeMatchBackground: mixColors(theme.background, theme.brightYellow, 0.6),
+      activeMatchBorder: mixColors(theme.background, theme.brightYellow, 1),
+      activeMatchColorOverviewRuler: mixColors(theme.background, theme.brightYellow, 1)
+    }
+    // Recolor the matches on screen
+    if (this.resultCount > 0) {
+      this.addon.clearDecorations()
+      this.find(this.query, true)
+    }
+  }
+
+  /**
+   * Search options for the addon
+   * @param {boolean} incremental - Whether the active match may grow to fit a longer query
+   * @returns {Object} Addon search options
+   */
+  getSearchOptions(incremental = false) {
+    return {
+      caseSensitive: this.caseSensitive,
+      regex: this.regex,
+      incremental,
+      ...(this.decorations ? { decorations: this.decorations } : {})
+    }
+  }
+
+  /**
+   * Change the query, keeping the active match when it still matches (search as you type)
+   * @param {string} query - New search term
+   */
+  setQuery(query) {
+    this.query = query
+    this.find(query, true)
+  }
+
+  /**
+   * Turn case sensitivity or regular expressions on or off and search again
+   * @param {Object} options - Toggles to change
+   * @param {boolean} [options.caseSensitive] - Match upper and lower case exactly
+   * @param {boolean} [options.regex] - Treat the query as a regular expression
+   */
+  setOptions({ caseSensitive = this.caseSensitive, regex = this.regex }) {
+    this.caseSensitive = caseSensitive
+    this.regex = regex
+    // The addon only highlights again for a new term, so forget the old one
+    this.addon.clearDecorations()
+    this.find(this.query, true)
+  }
+
+  /**
+   * Go to the match below the active one, wrapping around at the bottom
+   * @returns {boolean} True if there is a match
+   */
+  findNext() {
+    return this.find(this.query, false, 'next')
+  }
+
+  /**
+   * Go to the match above the active one, wrapping around at the top
+   * @returns {boolean} True if there is a match
+   */
+  findPrevious() {
+    return this.find(this.query, false, 'previous')
+  }
+
+  /**
+   * Search for a term and highlight the matches
+   * @param {string} query - Search term
+   * @param {boolean} incremental - Whether to keep the active match if it still matches
+   * @param {string} direction - 'previous' to search upwards, 'next' downwards
+   * @returns {boolean} True if there is a match
+   */
+  find(query, incremental, direction = 'previous') {
+    this.error = this.regex && query ? checkRegex(query) : null
+    if (!query || this.error) {
+      this.addon.clearDecorations()
+      this.terminal.clearSelection()
+      this.resultIndex = -1
+      this.resultCount = 0
+      this.notifyChange()
+      return false
+    }
+
+    const options = this.getSearchOptions(incremental)
+    const found = direction === 'next'
+      ? this.addon.findNext(query, options)
+      : this.addon.findPrevious(query, options)
+    // Without decorations the addon does not report results
+    if (!this.decorations) {
+      this.resultIndex = -1
+      this.resultCount = found ? 1 : 0
+      this.notifyChange()
+    }
+    return found
+  }
+
+  /**
+   * Search upwards from above the command line that is running, so the `search` command
+   * does not find itself; the cursor is on the row below that command line
+   * @param {string} query - Search term
+   * @param {Object} options - Toggles, as for setOptions()
+   * @returns {Promise<boolean>} True if there is a match above the command line
+   */
+  async findAboveCommandLine(query, options) {
+    // Wait for the command line to reach the buffer
+    await new Promise(resolve => this.terminal.write('', resolve))
+    const buffer = this.terminal.buffer.active
+    let row = buffer.baseY + buffer.cursorY - 1
+    while (row > 0 && buffer.getLine(row).isWrapped) {
+      row--
+    }
+
+    this.query = query
+    this.caseSensitive = Boolean(options.caseSensitive)
+    this.regex = Boolean(options.regex)
+    // The addon searches upwards from the selection; start from the end of the row above
+    this.addon.clearDecorations()
+    if (row > 0) {
+      this.terminal.select(this.terminal.cols - 1, row - 1, 1)
+      const found = this.find(query, false)
+      const position = this.terminal.getSelectionPosition()
+      // With nothing above, the addon wraps around to the command line itself
+      if (found && position && position.start.y < row) {
+        return true
+      }
+    }
+
+    this.clear()
+    this.terminal.clearSelection()
+    this.notifyChange()
+    return false
+  }
+
+  /**
+   * Remove the highlights, e.g. when the search bar closes; the active match stays selected
+   */
+  clear() {
+    this.addon.clearDecorations()
+    this.resultIndex = -1
+    this.resultCount = 0
+  }
+}
+
+/**
+ * Create a terminal search and load its addon into the terminal
+ * @param {Object} terminal - xterm.js Terminal instance
+ * @returns {TerminalSearch} Terminal search instance
+ */
+export const createTerminalSearch = (terminal) => {
+  return new TerminalSearch(terminal)
+}
+
+export default TerminalSearch
@@ -0,0 +1,342 @@
+/**
+ * @typedef {Object} SettingSpec
+ * @property {string} key - Name in the saved preferences and, except for ligatures and
+ *   inline images, the xterm.js option it sets
+ * @property {string} name - Name used by the `settings` command
+ * @property {string} type - 'integer', 'number', 'boolean', 'choice' or 'string'
+ * @property {*} defaultValue - Value used until the user changes it
+ * @property {string} description - What the setting changes
+ * @property {number} [min] - Smallest allowed value of numbers
+ * @property {number} [max] - Largest allowed value of numbers
+ * @property {string[]} [values] - Allowed values of choices
+ */
+
+/**
+ * Terminal appearance settings, in the order `settings` lists them
+ * @type {SettingSpec[]}
+ */
+export const TERMINAL_SETTINGS = [
+  {
+    key: 'fontSize',
+    name: 'font-size',
+    type: 'integer',
+    min: 8,
+    max: 32,
+    defaultValue: 14,
+    description: 'text size in pixels; Ctrl + and Ctrl - zoom, Ctrl 0 resets'
+  },
+  {
+    key: 'fontFamily',
+    name: 'font-family',
+    type: 'string',
+    defaultValue: '"JetBrains Mono", "Fira Code", monospace',
+    description: 'fonts to use, as a CSS font-family list'
+  },
+  {
+    key: 'lineHeight',
+    name: 'line-height',
+    type: 'number',
+    min: 1,
+    max: 2,
+    defaultValue: 1.4,
+    description: 'line height as a multiple of the font size'
+  },
+  {
+    key: 'cursorStyle',
+    name: 'cursor-style',
+    type: 'choice',
+    values: ['block', 'underline', 'bar'],
+    defaultValue: 'block',
+    description: 'shape of the cursor'
+  },
+  {
+    key: 'cursorBlink',
+    name: 'cursor-blink',
+    type: 'boolean',
+    defaultValue: true,
+    description: 'whether the cursor blinks'
+  },
+  {
+    key: 'scrollback',
+    name: 'scrollback',
+    type: 'integer',
+    min: 0,
+    max: 10000,
+    defaultValue: 1000,
+    description: 'lines kept above the screen'
+  },
+  {
+    key: 'ligatures',
+    name: 'ligatures',
+    type: 'boolean',
+    defaultValue: false,
+    description: 'join character sequences such as -> and != into ligatures'
+  },
+  {
+    key: 'inlineImages',
+    name: 'inline-images',
+    type: 'boolean',
+    defaultValue: true,
+    description: 'draw pictures at full resolution; off draws them with colored blocks'
+  }
+]
+
+// Settings that are not xterm.js options and need their own handling
+const NON_TERMINAL_OPTIONS = ['ligatures', 'inlineImages']
+
+// Words accepted for boolean settings
+const BOOLEAN_WORDS = {
+  on: true, true: true, yes: true, 1: true,
+  off: false, false: false, no: false, 0: false
+}
+
+// Longest font-family list accepted
+const MAX_STRING_LENGTH = 200
+
+/**
+ * Error raised for an unknown setting or an invalid value
+ */
+export class SettingsError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SettingsError'
+  }
+}
+
+/**
+ * Find a setting by its command name or preference key
+ * @param {string} name - e.g. 'font-size' or 'fontSize'
+ * @returns {SettingSpec|null} Setting, or null if there is none
+ */
+export const findSetting = (name) => {
+  return TERMINAL_SETTINGS.find(setting => setting.name === name || setting.key === name) || null
+}
+
+/**
+ * Turn a value as typed into the value of a setting
+ * @param {SettingSpec} setting - Setting to change
+ * @param {string} text - Value as typed
+ * @returns {*} Parsed value
+ * @throws {SettingsError} If the value is not allowed
+ */
+export const parseSettingValue = (setting, text) => {
+  const value = text.trim()
+  switch (setting.type) {
+    case 'integer':
+    case 'number': {
+      const pattern = setting.type === 'integer' ? /^\d+$/ : /^\d+(\.\d+)?$/
+      const number = Number(value)
+      if (!pattern.test(value) || number < setting.min || number > setting.max) {
+        const kind = setting.type === 'integer' ? 'a whole number' : 'a number'
+        throw new SettingsError(`${setting.name} must be ${kind} from ${setting.min} to ${setting.max}`)
+      }
+      return number
+    }
+    case 'boolean': {
+      const word = value.toLowerCase()
+      if (!Object.prototype.hasOwnProperty.call(BOOLEAN_WORDS, word)) {
+        throw new SettingsError(`${setting.name} must be on or off`)
+      }
+      return BOOLEAN_WORDS[word]
+    }
+    case 'choice':
+      if (!setting.values.includes(value)) {
+        throw new SettingsError(`${setting.name} must be one of: ${setting.values.join(', ')}`)
+      }
+      return value
+    default:
+      if (value === '' || value.length > MAX_STRING_LENGTH) {
+        throw new SettingsError(`${setting.name} must be 1 to ${MAX_STRING_LENGTH} characters long`)
+      }
+      return value
+  }
+}
+
+/**
+ * Show a setting's value the way it is typed
+ * @param {SettingSpec} setting - Setting
+ * @param {*} value - Value
+ * @returns {string} Value as text
+ */
+export const formatSettingValue = (setting, value) => {
+  if (setting.type === 'boolean') return value ? 'on' : 'off'
+  return String(value)
+}
+
+/**
+ * TerminalSettings - Font, cursor and scrollback settings of the terminal
+ * Settings changed from the terminal are reported to change listeners so they can be
+ * applied and saved; restore() loads saved ones without reporting.
+ */
+export class TerminalSettings {
+  constructor() {
+    // Values the user changed, keyed by setting key; the rest use their defaults
+    this.values = new Map()
+    this.changeListeners = new Set()
+  }
+
+  /**
+   * Add a listener for changes made from the terminal
+   * @param {Function} listener - Called as listener(changes) with the preferences to save,
+   *   { settings }
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  notifyChange() {
+    const changes = { settings: this.getChangedValues() }
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(changes)
+      } catch (error) {
+        console.warn('Settings listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Get a setting, failing if there is no such setting
+   * @param {string} name - Command name or key of the setting
+   * @returns {SettingSpec} Setting
+   */
+  requireSetting(name) {
+    const setting = findSetting(name)
+    if (!setting) {
+      throw new SettingsError(`unknown setting '${name}'`)
+    }
+    return setting
+  }
+
+  /**
+   * Get the value of a setting
+   * @param {string} name - Command name or key of the setting
+   * @returns {*} Current value
+   */
+  get(name) {
+    const setting = this.requireSetting(name)
+    return this.values.has(setting.key) ? this.values.get(setting.key) : setting.defaultValue
+  }
+
+  /**
+   * Check whether a setting has been changed from its default
+   * @param {string} name - Command name or key of the setting
+   * @returns {boolean} True if the user changed it
+   */
+  isChanged(name) {
+    return this.values.has(this.requireSetting(name).key)
+  }
+
+  /**
+   * Change a setting
+   * @param {string} name - Command name or key of the setting
+   * @param {string} text - New value as typed
+   * @returns {*} Parsed value
+   * @throws {SettingsError} If the setting or value is invalid
+   */
+  set(name, text) {
+    const setting = this.requireSetting(name)
+    const value = parseSettingValue(setting, text)
+    this.storeValue(setting, value)
+    this.notifyChange()
+    return value
+  }
+
+  /**
+   * Make the font bigger or smaller, within the allowed sizes
+   * @param {number} step - Pixels to add; negative to zoom out
+   * @returns {number} New font size
+   */
+  zoom(step) {
+    const setting = this.requireSetting('fontSize')
+    const size = Math.min(Math.max(this.get('fontSize') + step, setting.min), setting.max)
+    this.storeValue(setting, size)
+    this.notifyChange()
+    return size
+  }
+
+  /**
+   * Go back to the default value of one setting, or of all of them
+   * @param {string|null} name - Command name or key of the setting; null for all
+   */
+  reset(name = null) {
+    if (name === null) {
+      this.values.clear()
+    } else {
+      this.values.delete(this.requireSetting(name).key)
+    }
+    this.notifyChange()
+  }
+
+  /**
+   * Store a value, dropping it when it is the default
+   * @param {SettingSpec} setting - Setting
+   * @param {*} value - Valid value
+   */
+  storeValue(setting, value) {
+    if (value === setting.defaultValue) {
+      this.values.delete(setting.key)
+    } else {
+      this.values.set(setting.key, value)
+    }
+  }
+
+  /**
+   * Values that differ from their defaults, as saved in the preferences
+   * @returns {Object} Values keyed by setting key
+   */
+  getChangedValues() {
+    return Object.fromEntries(TERMINAL_SETTINGS
+      .filter(setting => this.values.has(setting.key))
+      .map(setting => [setting.key, this.values.get(setting.key)]))
+  }
+
+  /**
+   * Options to create or update the xterm.js terminal with
+   * @returns {Object} xterm.js options
+   */
+  getTerminalOptions() {
+    return Object.fromEntries(TERMINAL_SETTINGS
+      .filter(setting => !NON_TERMINAL_OPTIONS.includes(setting.key))
+      .map(setting => [setting.key, this.get(setting.key)]))
+  }
+
+  /**
+   * Load saved values without notifying listeners, e.g. when another user signs in
+   * Unknown settings and invalid values are skipped.
+   * @param {Object|null} values - Saved values keyed by setting key
+   */
+  restore(values) {
+    this.values.clear()
+    Object.entries(values || {}).forEach(([key, value]) => {
+      const setting = findSetting(key)
+      if (!setting || setting.key !== key) return
+      try {
+        this.storeValue(setting, parseSettingValue(setting, String(value)))
+      } catch (error) {
+        console.warn(`Skipping saved setting '${key}':`, error.message)
+      }
+    })
+  }
+}
+
+/**
+ * Create terminal settings with every setting at its default
+ * @returns {TerminalSettings} Terminal settings instance
+ */
+export const createTerminalSettings = () => {
+  return new TerminalSettings()
+}
+
+export default TerminalSettings
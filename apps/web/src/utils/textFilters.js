@@ -0,0 +1,346 @@
+import { stripAnsi, highlightMatches } from './ansi'
+import { CommandError, EXIT_STATUS } from './shell'
+
+/**
+ * Text filters for terminal pipelines (grep, head, tail, wc, sort, uniq)
+ * Each filter reads from its file operands or, when none are given, from stdin.
+ * Matching, sorting and counting use the visible text, so colored output filters correctly.
+ */
+
+/**
+ * Split text into lines, ignoring the final newline
+ * @param {string|null} text - Text to split
+ * @returns {string[]} Lines
+ */
+export const splitLines = (text) => {
+  if (!text) return []
+  const trimmed = text.endsWith('\n') ? text.slice(0, -1) : text
+  return trimmed.split('\n')
+}
+
+/**
+ * Join lines for output; an empty result produces no output at all
+ * @param {string[]} lines - Lines to join
+ * @returns {string|null} Joined text, or null when there are no lines
+ */
+export const joinLines = (lines) => (lines.length > 0 ? lines.join('\n') : null)
+
+/**
+ * Parse short options the way getopt does (-abc, -n 5, -n5, --)
+ * Long options (--sort date, --sort=date, --reverse) are spelled-out names for option letters.
+ * @param {string} command - Command name used in error messages
+ * @param {string[]} args - Arguments to parse
+ * @param {Object} spec - Allowed options
+ * @param {string} spec.flags - Boolean option letters
+ * @param {string} spec.values - Option letters that take a value
+ * @param {Object<string, string>} spec.long - Option letters keyed by long option name
+ * @returns {{flags: Set<string>, values: Object, operands: string[]}} Parsed options
+ */
+export const parseOptions = (command, args, { flags = '', values = '', long = {} } = {}) => {
+  const result = { flags: new Set(), values: {}, operands: [] }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (arg === '--') {
+      result.operands.push(...args.slice(i + 1))
+      break
+    }
+
+    if (arg.startsWith('--')) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s)
+      const option = long[name]
+      if (!option) {
+        throw new CommandError(`${command}: unrecognized option '--${name}'`, EXIT_STATUS.USAGE)
+      }
+      if (values.includes(option)) {
+        const value = inline !== undefined ? inline : args[++i]
+        if (value === undefined) {
+          throw new CommandError(`${command}: option '--${name}' requires an argument`, EXIT_STATUS.USAGE)
+        }
+        result.values[option] = value
+      } else if (inline !== undefined) {
+        throw new CommandError(`${command}: option '--${name}' doesn't allow an argument`, EXIT_STATUS.USAGE)
+      } else {
+        result.flags.add(option)
+      }
+      continue
+    }
+
+    // head/tail style numeric shorthand: -5 means -n 5
+    if (/^-\d+$/.test(arg) && values.includes('n')) {
+      result.values.n = arg.slice(1)
+      continue
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      result.operands.push(arg)
+      continue
+    }
+
+    for (let j = 1; j < arg.length; j++) {
+      const option = arg[j]
+      if (values.includes(option)) {
+        const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i]
+        if (value === undefined) {
+          throw new CommandError(`${command}: option requires an argument -- '${option}'`, EXIT_STATUS.USAGE)
+        }
+        result.values[option] = value
+        break
+      }
+      if (!flags.includes(option)) {
+        throw new CommandError(`${command}: invalid option -- '${option}'`, EXIT_STATUS.USAGE)
+      }
+      result.flags.add(option)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Collect the input of a filter from its file operands or stdin
+ * @param {string} command - Command name used in error messages
+ * @param {string[]} operands - File operands ('-' means stdin)
+ * @param {Object} io - Command I/O ({ stdin, stderr, readFile })
+ * @returns {{sources: Array<{name: string, text: string}>, failed: boolean}} Inputs
+ */
+const readInputs = (command, operands, io) => {
+  if (operands.length === 0) {
+    return { sources: [{ name: '(standard input)', text: io.stdin || '' }], failed: false }
+  }
+
+  const sources = []
+  let failed = false
+  operands.forEach(name => {
+    if (name === '-') {
+      sources.push({ name: '(standard input)', text: io.stdin || '' })
+      return
+    }
+    try {
+      sources.push({ name, text: io.readFile(name) })
+    } catch (error) {
+      io.stderr.write(`${command}: ${name}: ${error.message}\n`)
+      failed = true
+    }
+  })
+
+  return { sources, failed }
+}
+
+/**
+ * Emit a filter's output lines and report its exit status
+ * A non-zero status is raised as a message-less CommandError after the output is written
+ * @param {Object} io - Command I/O
+ * @param {string[]} lines - Output lines
+ * @param {number} status - Exit status
+ * @returns {string|null} Output for a successful filter
+ */
+const finishFilter = (io, lines, status = EXIT_STATUS.SUCCESS) => {
+  if (status === EXIT_STATUS.SUCCESS) {
+    return joinLines(lines)
+  }
+  if (lines.length > 0) {
+    io.stdout.write(lines.join('\n') + '\n')
+  }
+  throw new CommandError(null, status)
+}
+
+const parseCount = (command, value, fallback) => {
+  if (value === undefined) return fallback
+  if (!/^[+-]?\d+$/.test(value)) {
+    throw new CommandError(`${command}: invalid number of lines: '${value}'`, EXIT_STATUS.USAGE)
+  }
+  return parseInt(value, 10)
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * grep - print lines matching a pattern
+ * Options: -i ignore case, -v invert, -n line numbers, -c count, -w whole words, -F fixed string
+ */
+export const grep = (args, io) => {
+  const { flags, operands } = parseOptions('grep', args, { flags: 'ivncwF' })
+  if (operands.length === 0) {
+    throw new CommandError('Usage: grep [-ivncwF] <pattern> [file...]', EXIT_STATUS.USAGE)
+  }
+
+  const [pattern, ...files] = operands
+  let source = flags.has('F') ? escapeRegExp(pattern) : pattern
+  if (flags.has('w')) source = `\\b(?:${source})\\b`
+
+  let regex
+  try {
+    regex = new RegExp(source, flags.has('i') ? 'i' : '')
+  } catch (error) {
+    throw new CommandError(`grep: invalid regular expression: ${pattern}`, EXIT_STATUS.USAGE)
+  }
+
+  const { sources, failed } = readInputs('grep', files, io)
+  const showNames = sources.length > 1
+  const output = []
+  let matched = false
+
+  sources.forEach(({ name, text }) => {
+    let count = 0
+    splitLines(text).forEach((line, index) => {
+      const isMatch = regex.test(stripAnsi(line)) !== flags.has('v')
+      if (!isMatch) return
+      count++
+      matched = true
+      if (flags.has('c')) return
+
+      const prefix = `${showNames ? `\x1b[35m${name}\x1b[0m:` : ''}${flags.has('n') ? `\x1b[32m${index + 1}\x1b[0m:` : ''}`
+      output.push(prefix + (flags.has('v') ? line : highlightMatches(line, regex)))
+    })
+    if (flags.has('c')) {
+      output.push(showNames ? `${name}:${count}` : String(count))
+    }
+  })
+
+  if (failed) return finishFilter(io, output, EXIT_STATUS.USAGE)
+  return finishFilter(io, output, matched ? EXIT_STATUS.SUCCESS : EXIT_STATUS.FAILURE)
+}
+
+/**
+ * Shared implementation of head and tail
+ * @param {string} command - 'head' or 'tail'
+ * @param {Function} select - Picks lines given (lines, count, fromStart)
+ */
+const createLineSelector = (command, select) => (args, io) => {
+  const { values, operands } = parseOptions(command, args, { values: 'n' })
+  const raw = values.n
+  const count = parseCount(command, raw, 10)
+  const fromStart = typeof raw === 'string' && raw.startsWith('+')
+  const { sources, failed } = readInputs(command, operands, io)
+
+  const output = []
+  sources.forEach(({ name, text }, index) => {
+    if (sources.length > 1) {
+      if (index > 0) output.push('')
+      output.push(`==> ${name} <==`)
+    }
+    output.push(...select(splitLines(text), count, fromStart))
+  })
+
+  return finishFilter(io, output, failed ? EXIT_STATUS.FAILURE : EXIT_STATUS.SUCCESS)
+}
+
+/**
+ * head - print the first lines of the input (-n N, -N, or -n -N for all but the last N)
+ */
+export const head = createLineSelector('head', (lines, count) => (
+  count >= 0 ? lines.slice(0, count) : lines.slice(0, Math.max(lines.length + count, 0))
+))
+
+/**
+ * tail - print the last lines of the input (-n N, -N, or -n +N to start from line N)
+ */
+export const tail = createLineSelector('tail', (lines, count, fromStart) => {
+  if (fromStart) return lines.slice(Math.max(count - 1, 0))
+  const amount = Math.abs(count)
+  return amount === 0 ? [] : lines.slice(-amount)
+})
+
+/**
+ * wc - count lines, words and characters
+ * Options: -l lines, -w words, -c bytes, -m characters
+ */
+export const wc = (args, io) => {
+  const { flags, operands } = parseOptions('wc', args, { flags: 'lwcm' })
+  const selected = ['l', 'w', 'c', 'm'].filter(flag => flags.has(flag))
+  const columns = selected.length > 0 ? selected : ['l', 'w', 'c']
+  const { sources, failed } = readInputs('wc', operands, io)
+  const encoder = new TextEncoder()
+
+  const counts = sources.map(({ name, text }) => {
+    const plain = stripAnsi(text)
+    return {
+      name: operands.length > 0 ? name : '',
+      l: (plain.match(/\n/g) || []).length,
+      w: plain.split(/\s+/).filter(Boolean).length,
+      c: encoder.encode(plain).length,
+      m: [...plain].length
+    }
+  })
+
+  if (counts.length > 1) {
+    counts.push(columns.reduce((total, column) => {
+      total[column] = counts.reduce((sum, entry) => sum + entry[column], 0)
+      return total
+    }, { name: 'total' }))
+  }
+
+  const width = Math.max(...counts.flatMap(entry => columns.map(column => String(entry[column]).length)))
+  const output = counts.map(entry => {
+    const numbers = columns.map(column => String(entry[column]).padStart(columns.length > 1 ? width : 0))
+    return [...numbers, entry.name].filter(Boolean).join(' ')
+  })
+
+  return finishFilter(io, output, failed ? EXIT_STATUS.FAILURE : EXIT_STATUS.SUCCESS)
+}
+
+/**
+ * sort - sort lines of the input
+ * Options: -r reverse, -n numeric, -u unique, -f ignore case
+ */
+export const sort = (args, io) => {
+  const { flags, operands } = parseOptions('sort', args, { flags: 'rnuf' })
+  const { sources, failed } = readInputs('sort', operands, io)
+  const keyOf = (line) => {
+    const plain = stripAnsi(line)
+    return flags.has('f') ? plain.toLowerCase() : plain
+  }
+
+  const compare = (a, b) => {
+    if (flags.has('n')) {
+      const difference = (parseFloat(keyOf(a)) || 0) - (parseFloat(keyOf(b)) || 0)
+      if (difference !== 0) return difference
+    }
+    const keyA = keyOf(a)
+    const keyB = keyOf(b)
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0
+  }
+
+  let lines = sources.flatMap(({ text }) => splitLines(text)).sort(compare)
+  if (flags.has('r')) lines.reverse()
+  if (flags.has('u')) {
+    lines = lines.filter((line, i) => i === 0 || compare(lines[i - 1], line) !== 0)
+  }
+
+  return finishFilter(io, lines, failed ? EXIT_STATUS.USAGE : EXIT_STATUS.SUCCESS)
+}
+
+/**
+ * uniq - collapse adjacent duplicate lines
+ * Options: -c prefix counts, -d only duplicated, -u only unique, -i ignore case
+ */
+export const uniq = (args, io) => {
+  const { flags, operands } = parseOptions('uniq', args, { flags: 'cdui' })
+  const { sources, failed } = readInputs('uniq', operands.slice(0, 1), io)
+  const keyOf = (line) => {
+    const plain = stripAnsi(line)
+    return flags.has('i') ? plain.toLowerCase() : plain
+  }
+
+  const groups = []
+  sources.flatMap(({ text }) => splitLines(text)).forEach(line => {
+    const last = groups[groups.length - 1]
+    if (last && keyOf(last.line) === keyOf(line)) {
+      last.count++
+    } else {
+      groups.push({ line, count: 1 })
+    }
+  })
+
+  const output = groups
+    .filter(({ count }) => (!flags.has('d') || count > 1) && (!flags.has('u') || count === 1))
+    .map(({ line, count }) => (flags.has('c') ? `${String(count).padStart(7)} ${line}` : line))
+
+  return finishFilter(io, output, failed ? EXIT_STATUS.FAILURE : EXIT_STATUS.SUCCESS)
+}
+
+export const TEXT_FILTERS = { grep, head, tail, wc, sort, uniq }
+
+export default TEXT_FILTERS
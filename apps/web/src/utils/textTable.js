@@ -0,0 +1,176 @@
+import { getCharWidth, getDisplayWidth, splitGraphemes } from './ansi'
+
+/**
+ * Aligned text tables that fit the terminal width
+ * Columns are as wide as their widest cell. When the table is too wide, wrapping columns
+ * give up width first, down to their minimum, and then optional columns are left out.
+ */
+
+// Spaces between columns
+const COLUMN_GAP = 2
+
+// Narrowest a wrapping column gets before optional columns are dropped
+const DEFAULT_MIN_WIDTH = 12
+
+const HEADER_STYLE = '\x1b[1m'
+const RULE_STYLE = '\x1b[90m'
+const RESET = '\x1b[0m'
+
+/**
+ * @typedef {Object} TableColumn
+ * @property {string} [header] - Column heading
+ * @property {string} [align] - 'left' (default) or 'right'
+ * @property {boolean} [wrap] - Wrap the column's text at word breaks when space is short
+ * @property {number} [minWidth] - Narrowest a wrapping column may get
+ * @property {number} [drop] - Optional columns are left out of narrow tables, highest first
+ * @property {string} [style] - SGR sequence the column's cells are drawn in
+ */
+
+/**
+ * Break plain text into lines no wider than a width, at spaces where possible
+ * Newlines in the text are kept; words wider than the width are split.
+ * @param {string} text - Plain text
+ * @param {number} width - Line width in columns
+ * @returns {string[]} Lines, at least one
+ */
+export const wrapText = (text, width) => {
+  const lines = []
+  text.split('\n').forEach(paragraph => {
+    let line = ''
+    paragraph.split(/ +/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word
+      if (getDisplayWidth(candidate) <= width) {
+        line = candidate
+        return
+      }
+      if (line) lines.push(line)
+      line = ''
+      // A word that doesn't fit on a line of its own is split where it reaches the edge
+      let lineWidth = 0
+      splitGraphemes(word).forEach(grapheme => {
+        const graphemeWidth = getCharWidth(grapheme)
+        if (lineWidth + graphemeWidth > width && line) {
+          lines.push(line)
+          line = ''
+          lineWidth = 0
+        }
+        line += grapheme
+        lineWidth += graphemeWidth
+      })
+    })
+    lines.push(line)
+  })
+  return lines
+}
+
+/**
+ * Pad text to a width
+ * @param {string} text - Text that may contain escape sequences
+ * @param {number} width - Width in columns
+ * @param {string} align - 'left' or 'right'
+ * @returns {string} Padded text
+ */
+const pad = (text, width, align) => {
+  const padding = ' '.repeat(Math.max(0, width - getDisplayWidth(text)))
+  return align === 'right' ? padding + text : text + padding
+}
+
+/**
+ * Work out which columns to show and how wide each one is
+ * @param {TableColumn[]} columns - Column specs
+ * @param {number[]} natural - Widest cell of each column, on one line
+ * @param {number} width - Width available
+ * @returns {Array<number|null>} Width of each column; null for columns left out
+ */
+const fitColumns = (columns, natural, width) => {
+  const shown = columns.map(() => true)
+  const dropOrder = columns
+    .map((column, index) => ({ index, drop: column.drop }))
+    .filter(({ drop }) => drop !== undefined)
+    .sort((a, b) => b.drop - a.drop)
+
+  for (;;) {
+    const indexes = columns.map((column, index) => index).filter(index => shown[index])
+    const gaps = COLUMN_GAP * (indexes.length - 1)
+    const total = indexes.reduce((sum, index) => sum + natural[index], gaps)
+    const widths = columns.map((column, index) => (shown[index] ? natural[index] : null))
+    if (total <= width) return widths
+
+    // Share what the fixed columns leave between the wrapping ones; narrow columns take
+    // only what they need and leave the rest to the wider ones
+    const wrapping = indexes.filter(index => columns[index].wrap).sort((a, b) => natural[a] - natural[b])
+    let remaining = width - indexes.filter(index => !columns[index].wrap).reduce((sum, index) => sum + natural[index], gaps)
+    wrapping.forEach((index, position) => {
+      widths[index] = Math.min(natural[index], Math.floor(remaining / (wrapping.length - position)))
+      remaining -= widths[index]
+    })
+    const minimum = (index) => Math.min(columns[index].minWidth || DEFAULT_MIN_WIDTH, natural[index])
+    const fits = wrapping.length > 0 && wrapping.every(index => widths[index] >= minimum(index))
+    if (fits || dropOrder.length === 0) {
+      wrapping.forEach(index => {
+        widths[index] = Math.max(widths[index], minimum(index))
+      })
+      return widths
+    }
+    shown[dropOrder.shift().index] = false
+  }
+}
+
+/**
+ * Format rows of plain text as an aligned table
+ * @param {TableColumn[]} columns - Column specs
+ * @param {string[][]} rows - Cells of each row, plain text; a cell may hold several lines
+ * @param {Object} options
+ * @param {number} options.width - Width available, usually the terminal's columns
+ * @param {boolean} options.header - Show the column headings and a rule under them
+ * @param {Function} options.decorate - Called with each cell line (already in its column's
+ *   style) and its column index to add colors, e.g. search highlights; returns the line
+ * @returns {string} Table lines joined with newlines
+ */
+export const formatTable = (columns, rows, { width = 80, header = true, decorate = line => line } = {}) => {
+  const natural = columns.map((column, index) => Math.max(
+    header ? getDisplayWidth(column.header || '') : 0,
+    ...rows.map(row => Math.max(0, ...String(row[index] ?? '').split('\n').map(getDisplayWidth)))
+  ))
+  const widths = fitColumns(columns, natural, width)
+  const indexes = columns.map((column, index) => index).filter(index => widths[index] !== null)
+  const lastIndex = indexes[indexes.length - 1]
+
+  /**
+   * Lay out one row, which may take several lines
+   * @param {string[][]} cells - Lines of each cell
+   * @param {Function} style - Returns the styled form of a cell line, given its column index
+   * @returns {string[]} Lines of the row
+   */
+  const layoutRow = (cells, style) => {
+    const height = Math.max(...indexes.map(index => cells[index].length))
+    return Array.from({ length: height }, (_, lineIndex) => indexes.map(index => {
+      const text = cells[index][lineIndex] || ''
+      const shown = text ? style(text, index) : ''
+      // The last column needs no padding unless it is right-aligned
+      return index === lastIndex && columns[index].align !== 'right'
+        ? shown
+        : pad(shown, widths[index], columns[index].align)
+    }).join(' '.repeat(COLUMN_GAP)).trimEnd())
+  }
+
+  const lines = []
+  if (header) {
+    lines.push(...layoutRow(columns.map(column => [column.header || '']), text => `${HEADER_STYLE}${text}${RESET}`))
+    lines.push(`${RULE_STYLE}${indexes.map(index => '─'.repeat(widths[index])).join(' '.repeat(COLUMN_GAP))}${RESET}`)
+  }
+  rows.forEach(row => {
+    const cells = columns.map((column, index) => {
+      const text = String(row[index] ?? '')
+      if (widths[index] === null) return []
+      return column.wrap ? wrapText(text, widths[index]) : text.split('\n')
+    })
+    lines.push(...layoutRow(cells, (text, index) => {
+      const { style } = columns[index]
+      return decorate(style ? `${style}${text}${RESET}` : text, index)
+    }))
+  })
+  return lines.join('\n')
+}
+
+export default formatTable
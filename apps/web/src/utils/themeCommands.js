@@ -0,0 +1,318 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+import { THEME_COLOR_KEYS, ThemeError, parseColor, toThemeName } from './themes'
+import { formatThemeJson, parseThemeFile } from './themeFormats'
+import { ANSI_RESET } from './ansi'
+
+/**
+ * Theme commands: switch themes and build, import and export custom ones
+ */
+
+// File types offered by the file picker of `themes import`
+const THEME_FILE_TYPES = '.json,.itermcolors'
+
+// Tab completion for theme names
+const completeTheme = (prefix, { themes }) => themes.getThemeNames()
+const completeCustomTheme = (prefix, { themes }) => themes.getCustomThemeNames()
+
+/**
+ * Run a theme change, reporting invalid names and colors as command errors
+ * @param {string} command - Command path used in error messages
+ * @param {Function} change - Function that may throw a ThemeError
+ * @returns {*} What the function returns
+ */
+const applyThemeChange = (command, change) => {
+  try {
+    return change()
+  } catch (error) {
+    if (error instanceof ThemeError) {
+      throw new CommandError(`${command}: ${error.message}`)
+    }
+    throw error
+  }
+}
+
+/**
+ * Look up a theme, failing if it does not exist
+ * @param {string} command - Command path used in error messages
+ * @param {Object} themes - ThemeManager instance
+ * @param {string} name - Theme name
+ * @returns {Object} Palette
+ */
+const requireTheme = (command, themes, name) => {
+  const palette = themes.getTheme(name)
+  if (!palette) {
+    throw new CommandError(`${command}: theme '${name}' not found. Use 'themes' to see available themes.`)
+  }
+  return palette
+}
+
+/**
+ * Look up a custom theme, failing for missing and built-in themes
+ * @param {string} command - Command path used in error messages
+ * @param {Object} themes - ThemeManager instance
+ * @param {string} name - Theme name
+ * @returns {Object} Palette
+ */
+const requireCustomTheme = (command, themes, name) => {
+  const palette = requireTheme(command, themes, name)
+  if (themes.isBuiltIn(name)) {
+    throw new CommandError(`${command}: '${name}' is a built-in theme; copy it with 'themes create <name> ${name}'`)
+  }
+  return palette
+}
+
+/**
+ * Show every color of a theme with a swatch
+ * @param {Object} themes - ThemeManager instance
+ * @param {string} name - Theme name
+ * @param {Object} palette - Theme palette
+ * @returns {string} Palette listing
+ */
+const formatPalette = (themes, name, palette) => {
+  const labels = [themes.isBuiltIn(name) ? 'built-in' : 'custom']
+  if (themes.getCurrentThemeName() === name) labels.push('in use')
+
+  const rows = THEME_COLOR_KEYS.map(key => {
+    const { red, green, blue } = parseColor(palette[key])
+    return `  \x1b[48;2;${red};${green};${blue}m    ${ANSI_RESET}  ${key.padEnd(20)} ${palette[key]}`
+  })
+  return [`${name} (${labels.join(', ')})`, ...rows].join('\n')
+}
+
+/**
+ * Split color=value arguments into colors to change
+ * @param {string[]} assignments - Arguments as typed
+ * @returns {Object} Colors keyed by THEME_COLOR_KEYS
+ */
+const parseColorAssignments = (assignments) => {
+  const colors = {}
+  assignments.forEach(assignment => {
+    const separator = assignment.indexOf('=')
+    const key = separator === -1 ? assignment : assignment.slice(0, separator)
+    if (!THEME_COLOR_KEYS.includes(key)) {
+      throw new CommandError(`themes edit: unknown color '${key}'. Colors: ${THEME_COLOR_KEYS.join(', ')}`, EXIT_STATUS.USAGE)
+    }
+    if (separator === -1) {
+      throw new CommandError(`themes edit: expected ${key}=<color>`, EXIT_STATUS.USAGE)
+    }
+    colors[key] = assignment.slice(separator + 1)
+  })
+  return colors
+}
+
+/**
+ * Read the text of a theme file from the virtual filesystem
+ * @param {Object} fs - VirtualFileSystem instance
+ * @param {string} path - File path
+ * @returns {string} File contents
+ */
+const readThemeFile = (fs, path) => {
+  try {
+    if (fs.stat(path).binary) {
+      throw new CommandError(`themes import: ${path}: not a theme file`)
+    }
+    return fs.readFile(path)
+  } catch (error) {
+    if (error instanceof CommandError) throw error
+    throw new CommandError(`themes import: ${path}: ${error.message}`)
+  }
+}
+
+export const themes = {
+  name: 'themes',
+  description: 'switch, create and import color themes',
+  details: [
+    'Without arguments, list the themes. The theme you pick is saved in this browser as',
+    'a guest and in your account when logged in, along with your custom themes.',
+    '',
+    "Custom themes start as a copy of another theme ('themes create'), then each color can",
+    "be changed with 'themes edit'. Colors are #rgb, #rrggbb, #rrggbbaa or rgb()/rgba().",
+    "'themes import' reads JSON written by 'themes export', Windows Terminal color schemes",
+    '(a scheme, or a settings.json with "schemes") and iTerm2 .itermcolors files.'
+  ].join('\n'),
+  examples: [{ command: 'themes set ubuntu', description: 'switch to the ubuntu theme' }],
+  subcommands: {
+    set: {
+      description: 'switch to another theme',
+      args: [{ name: 'theme-name', description: "theme from 'themes'", required: true, complete: completeTheme }],
+      handler: (args, { themes }) => {
+        const themeName = args[0]
+        if (themes.setCurrentTheme(themeName)) {
+          return `Theme set to ${themeName}`
+        }
+        throw new CommandError(`Theme '${themeName}' not found. Use 'themes' to see available themes.`)
+      }
+    },
+    show: {
+      description: 'show the colors of a theme',
+      args: [{ name: 'theme-name', description: 'theme to show (default: the one in use)', complete: completeTheme }],
+      handler: (args, { themes }) => {
+        const name = args[0] || themes.getCurrentThemeName()
+        return formatPalette(themes, name, requireTheme('themes show', themes, name))
+      }
+    },
+    create: {
+      description: 'create a custom theme from a copy of another',
+      args: [
+        { name: 'name', description: 'name of the new theme', required: true },
+        { name: 'base', description: 'theme to copy (default: the one in use)', complete: completeTheme }
+      ],
+      examples: [
+        { command: 'themes create sunset ubuntu', description: 'start a theme from the ubuntu colors' }
+      ],
+      handler: (args, { themes }) => {
+        const [name, base = themes.getCurrentThemeName()] = args
+        if (themes.hasTheme(name)) {
+          throw new CommandError(`themes create: theme '${name}' already exists`)
+        }
+        const palette = requireTheme('themes create', themes, base)
+        applyThemeChange('themes create', () => themes.saveCustomTheme(name, palette))
+        return `Created theme '${name}' from '${base}'. Change its colors with 'themes edit ${name} <color>=<value>'.`
+      }
+    },
+    edit: {
+      description: 'change colors of a custom theme',
+      usage: 'themes edit <name> [color=value...]',
+      args: [
+        { name: 'name', description: 'custom theme to change', required: true, complete: completeCustomTheme },
+        { name: 'color=value', description: "colors to set; without any, list the theme's colors", variadic: true }
+      ],
+      examples: [
+        { command: 'themes edit sunset background=#1d1021 cursor=#ff9e64', description: 'change two colors' }
+      ],
+      handler: (args, { themes }) => {
+        const [name, ...assignments] = args
+        const palette = requireCustomTheme('themes edit', themes, name)
+        if (assignments.length === 0) {
+          return formatPalette(themes, name, palette)
+        }
+
+        const colors = parseColorAssignments(assignments)
+        applyThemeChange('themes edit', () => themes.saveCustomTheme(name, { ...palette, ...colors }))
+        return `Updated theme '${name}'`
+      }
+    },
+    delete: {
+      description: 'delete a custom theme',
+      args: [{ name: 'name', description: 'custom theme to delete', required: true, complete: completeCustomTheme }],
+      handler: (args, { themes }) => {
+        const [name] = args
+        requireCustomTheme('themes delete', themes, name)
+        const wasCurrent = themes.getCurrentThemeName() === name
+        themes.removeCustomTheme(name)
+        return wasCurrent
+          ? `Deleted theme '${name}'; switched back to ${themes.getCurrentThemeName()}`
+          : `Deleted theme '${name}'`
+      }
+    },
+    export: {
+      description: 'print a theme as JSON',
+      args: [{ name: 'theme-name', description: 'theme to export (default: the one in use)', complete: completeTheme }],
+      examples: [
+        { command: 'themes export sunset > sunset.json', description: 'save a theme to a file' }
+      ],
+      handler: (args, { themes }) => {
+        const name = args[0] || themes.getCurrentThemeName()
+        return formatThemeJson(name, requireTheme('themes export', themes, name))
+      }
+    },
+    import: {
+      description: 'add themes from JSON or an .itermcolors file',
+      usage: 'themes import [-f] [-n name] [file|json]',
+      options: [
+        { flag: '-f', description: 'replace custom themes with the same name' },
+        { flag: '-n name', description: 'name of the imported theme (default: the name in the file)' }
+      ],
+      args: [{
+        name: 'file|json',
+        description: 'file or JSON text to read; without it, read stdin or pick a file on your device',
+        complete: (prefix, { fs }) => fs.completePath(prefix)
+      }],
+      details: 'Colors the file leaves out are filled in: bright colors from the normal ones and\nthe cursor from the foreground. A Windows Terminal settings.json imports every\nscheme it lists.',
+      examples: [
+        { command: 'themes import', description: 'pick a .json or .itermcolors file to import' },
+        { command: 'themes import -n sunset sunset.json', description: 'import a saved theme under a name' }
+      ],
+      handler: async (args, { themes, fs, stdin, stdout, shell }) => {
+        const { flags, values, operands } = parseOptions('themes import', args, { flags: 'f', values: 'n' })
+        if (operands.length > 1) {
+          throw new CommandError('Usage: themes import [-f] [-n name] [file|json]', EXIT_STATUS.USAGE)
+        }
+
+        // Where the text comes from: inline JSON, a file, piped input or the device
+        const [source] = operands
+        let text
+        let fileName = null
+        if (source !== undefined && /^\s*[{[<]/.test(source)) {
+          text = source
+        } else if (source !== undefined) {
+          text = readThemeFile(fs, source)
+          fileName = source.split('/').pop()
+        } else if (stdin !== null) {
+          text = stdin
+        } else {
+          const file = await shell.openFile(THEME_FILE_TYPES)
+          if (!file) {
+            throw new CommandError('themes import: no file chosen')
+          }
+          text = file.text
+          fileName = file.name
+        }
+
+        const imported = applyThemeChange('themes import', () => parseThemeFile(text))
+        if (values.n !== undefined && imported.length > 1) {
+          throw new CommandError(`themes import: -n needs a file with one theme; this one has ${imported.length}`, EXIT_STATUS.USAGE)
+        }
+
+        const saved = []
+        const errors = []
+        imported.forEach(({ name: fileThemeName, colors }) => {
+          const name = values.n ||
+            toThemeName(fileThemeName || '') ||
+            toThemeName((fileName || '').replace(/\.[^.]*$/, ''))
+          if (!name) {
+            errors.push('themes import: the theme has no name; give it one with -n <name>')
+          } else if (themes.hasTheme(name) && !themes.isBuiltIn(name) && !flags.has('f')) {
+            errors.push(`themes import: theme '${name}' already exists; use -f to replace it`)
+          } else {
+            try {
+              themes.saveCustomTheme(name, colors)
+              saved.push(name)
+            } catch (error) {
+              if (!(error instanceof ThemeError)) throw error
+              errors.push(`themes import: ${name}: ${error.message}`)
+            }
+          }
+        })
+
+        if (errors.length > 0) {
+          if (saved.length > 0) {
+            stdout.write(`Imported ${saved.join(', ')}\n`)
+          }
+          throw new CommandError(errors.join('\n'))
+        }
+        return saved.length === 1
+          ? `Imported theme '${saved[0]}'. Use 'themes set ${saved[0]}' to switch to it.`
+          : `Imported ${saved.length} themes: ${saved.join(', ')}`
+      }
+    }
+  },
+  handler: (args, { themes }) => {
+    const custom = themes.getCustomThemeNames()
+    const lines = [
+      themes.getBuiltInThemeNames().join(' '),
+      ...(custom.length > 0 ? [`custom: ${custom.join(' ')}`] : []),
+      `in use: ${themes.getCurrentThemeName()}`,
+      '',
+      'Usage: themes set <theme-name>',
+      'eg: themes set ubuntu',
+      "See 'themes --help' to create, edit, import and export themes."
+    ]
+    return lines.join('\n')
+  }
+}
+
+export const themeCommands = [themes]
+
+export default themeCommands
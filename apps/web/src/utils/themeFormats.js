@@ -0,0 +1,142 @@
+import { ANSI_COLOR_KEYS, THEME_COLOR_KEYS, ThemeError, formatHexColor } from './themes'
+
+/**
+ * Reading and writing theme files
+ * Themes are exported as JSON using xterm.js color names. Imports also accept Windows
+ * Terminal color schemes (a single scheme, or settings.json with its "schemes") and iTerm2
+ * .itermcolors property lists.
+ */
+
+// Windows Terminal names for colors that xterm.js calls differently
+const WINDOWS_TERMINAL_KEYS = {
+  cursorColor: 'cursor',
+  purple: 'magenta',
+  brightPurple: 'brightMagenta'
+}
+
+// iTerm2 color names; 'Ansi 0 Color' to 'Ansi 15 Color' are the ANSI palette
+const ITERM_KEYS = {
+  'Background Color': 'background',
+  'Foreground Color': 'foreground',
+  'Cursor Color': 'cursor',
+  'Cursor Text Color': 'cursorAccent',
+  'Selection Color': 'selectionBackground',
+  ...Object.fromEntries(ANSI_COLOR_KEYS.map((key, index) => [`Ansi ${index} Color`, key]))
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+/**
+ * Replace the predefined XML entities in property list text
+ * @param {string} text - Text from the file
+ * @returns {string} Decoded text
+ */
+const decodeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+
+/**
+ * Read an iTerm2 .itermcolors file
+ * Each color is a dictionary of 'Red Component', 'Green Component' and 'Blue Component'
+ * (0 to 1) and an optional 'Alpha Component'; the color space is ignored.
+ * @param {string} text - Property list XML
+ * @returns {Object} Colors keyed by THEME_COLOR_KEYS
+ * @throws {ThemeError} If the file holds no colors
+ */
+export const parseItermColors = (text) => {
+  const colors = {}
+  const entries = text.matchAll(/<key>([^<]*)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g)
+
+  for (const [, name, body] of entries) {
+    const key = ITERM_KEYS[decodeXml(name).trim()]
+    if (!key) continue
+
+    const components = {}
+    for (const [, component, , value] of body.matchAll(/<key>([^<]*)<\/key>\s*<(real|integer|string)>([^<]*)<\/\2>/g)) {
+      components[decodeXml(component).trim()] = Number(value)
+    }
+    const channel = (color) => Math.min(Math.max(components[`${color} Component`], 0), 1)
+    if (['Red', 'Green', 'Blue'].some(color => Number.isNaN(channel(color)))) {
+      throw new ThemeError(`invalid color for ${key} in .itermcolors file`)
+    }
+
+    const alpha = components['Alpha Component'] === undefined ? 1 : channel('Alpha')
+    colors[key] = formatHexColor({
+      red: channel('Red') * 255,
+      green: channel('Green') * 255,
+      blue: channel('Blue') * 255,
+      alpha
+    })
+  }
+
+  if (Object.keys(colors).length === 0) {
+    throw new ThemeError('no colors found in .itermcolors file')
+  }
+  return colors
+}
+
+/**
+ * Read the colors of a JSON scheme, in this terminal's or Windows Terminal's names
+ * @param {Object} scheme - Parsed JSON object
+ * @returns {Object} Colors keyed by THEME_COLOR_KEYS
+ */
+const readJsonScheme = (scheme) => {
+  const colors = {}
+  Object.entries(WINDOWS_TERMINAL_KEYS).forEach(([name, key]) => {
+    if (scheme[name] !== undefined) colors[key] = scheme[name]
+  })
+  THEME_COLOR_KEYS.forEach(key => {
+    if (scheme[key] !== undefined) colors[key] = scheme[key]
+  })
+  return colors
+}
+
+/**
+ * Read the themes in a theme file
+ * @param {string} text - File contents: JSON or an .itermcolors property list
+ * @returns {Array<{name: string|null, colors: Object}>} Themes, with the name given in the
+ *   file if any; colors are not checked yet
+ * @throws {ThemeError} If the format is not recognized or the file holds no theme
+ */
+export const parseThemeFile = (text) => {
+  const source = text.trim()
+  if (source.startsWith('<')) {
+    return [{ name: null, colors: parseItermColors(source) }]
+  }
+
+  let data
+  try {
+    data = JSON.parse(source)
+  } catch (error) {
+    throw new ThemeError('unrecognized theme format: expected JSON or an .itermcolors file')
+  }
+
+  // A Windows Terminal settings.json lists its schemes; a bare array is taken the same way
+  const schemes = Array.isArray(data) ? data : (data && Array.isArray(data.schemes) ? data.schemes : [data])
+  const themes = schemes
+    .filter(scheme => scheme && typeof scheme === 'object' && !Array.isArray(scheme))
+    .map(scheme => ({
+      name: typeof scheme.name === 'string' ? scheme.name : null,
+      colors: readJsonScheme(scheme)
+    }))
+    .filter(theme => Object.keys(theme.colors).length > 0)
+
+  if (themes.length === 0) {
+    throw new ThemeError('no theme colors found in JSON')
+  }
+  return themes
+}
+
+/**
+ * Write a theme as JSON that `themes import` reads back
+ * @param {string} name - Theme name
+ * @param {Object} palette - Complete palette
+ * @returns {string} Pretty-printed JSON
+ */
+export const formatThemeJson = (name, palette) => {
+  const theme = { name }
+  THEME_COLOR_KEYS.forEach(key => {
+    theme[key] = palette[key]
+  })
+  return JSON.stringify(theme, null, 2)
+}
+
+export default parseThemeFile
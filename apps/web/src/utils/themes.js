@@ -0,0 +1,480 @@
+import { PREFERENCES_CONSTANTS } from '@antec/shared'
+
+/**
+ * Terminal color themes: the built-in palettes and the user's own
+ */
+
+// Colors a theme defines, in the order they are listed and exported
+export const THEME_COLOR_KEYS = [
+  'background', 'foreground', 'cursor', 'cursorAccent', 'selectionBackground',
+  'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+  'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+  'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+]
+
+// The 16 ANSI colors, normal then bright, in palette order
+export const ANSI_COLOR_KEYS = THEME_COLOR_KEYS.slice(5)
+
+export const DEFAULT_THEME_NAME = 'dark'
+
+// Lowercase words joined by '-' or '_', so names are easy to type and complete
+const THEME_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/
+
+/**
+ * Error raised for an invalid theme name, color or file
+ */
+export class ThemeError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ThemeError'
+  }
+}
+
+export const BUILT_IN_THEMES = {
+  dark: {
+    background: '#050508',
+    foreground: '#e4e4e7',
+    cursor: '#9B7CFF',
+    cursorAccent: '#050508',
+    selectionBackground: 'rgba(155, 124, 255, 0.3)',
+    black: '#050508',
+    red: '#ef4444',
+    green: '#22c55e',
+    yellow: '#eab308',
+    blue: '#3b82f6',
+    magenta: '#9B7CFF',
+    cyan: '#06b6d4',
+    white: '#e4e4e7',
+    brightBlack: '#71717a',
+    brightRed: '#ef4444',
+    brightGreen: '#22c55e',
+    brightYellow: '#eab308',
+    brightBlue: '#3b82f6',
+    brightMagenta: '#B18CFF',
+    brightCyan: '#06b6d4',
+    brightWhite: '#ffffff'
+  },
+  light: {
+    background: '#ffffff',
+    foreground: '#1f2937',
+    cursor: '#6366f1',
+    cursorAccent: '#ffffff',
+    selectionBackground: 'rgba(99, 102, 241, 0.3)',
+    black: '#1f2937',
+    red: '#dc2626',
+    green: '#16a34a',
+    yellow: '#ca8a04',
+    blue: '#2563eb',
+    magenta: '#6366f1',
+    cyan: '#0891b2',
+    white: '#f9fafb',
+    brightBlack: '#6b7280',
+    brightRed: '#dc2626',
+    brightGreen: '#16a34a',
+    brightYellow: '#ca8a04',
+    brightBlue: '#2563eb',
+    brightMagenta: '#7c3aed',
+    brightCyan: '#0891b2',
+    brightWhite: '#ffffff'
+  },
+  'blue-matrix': {
+    background: '#0d1117',
+    foreground: '#58a6ff',
+    cursor: '#58a6ff',
+    cursorAccent: '#0d1117',
+    selectionBackground: 'rgba(88, 166, 255, 0.3)',
+    black: '#0d1117',
+    red: '#f85149',
+    green: '#7ee787',
+    yellow: '#f2cc60',
+    blue: '#58a6ff',
+    magenta: '#bc8cff',
+    cyan: '#39c5cf',
+    white: '#b1bac4',
+    brightBlack: '#6e7681',
+    brightRed: '#f85149',
+    brightGreen: '#7ee787',
+    brightYellow: '#f2cc60',
+    brightBlue: '#58a6ff',
+    brightMagenta: '#bc8cff',
+    brightCyan: '#39c5cf',
+    brightWhite: '#ffffff'
+  },
+  espresso: {
+    background: '#2d2006',
+    foreground: '#f4f1ed',
+    cursor: '#f4f1ed',
+    cursorAccent: '#2d2006',
+    selectionBackground: 'rgba(244, 241, 237, 0.3)',
+    black: '#2d2006',
+    red: '#d25252',
+    green: '#a5c261',
+    yellow: '#ffc66d',
+    blue: '#6c98eb',
+    magenta: '#d197d9',
+    cyan: '#bed6ff',
+    white: '#f4f1ed',
+    brightBlack: '#4c4635',
+    brightRed: '#d25252',
+    brightGreen: '#a5c261',
+    brightYellow: '#ffc66d',
+    brightBlue: '#6c98eb',
+    brightMagenta: '#d197d9',
+    brightCyan: '#bed6ff',
+    brightWhite: '#f4f1ed'
+  },
+  'green-goblin': {
+    background: '#0d1b0d',
+    foreground: '#33ff33',
+    cursor: '#33ff33',
+    cursorAccent: '#0d1b0d',
+    selectionBackground: 'rgba(51, 255, 51, 0.3)',
+    black: '#0d1b0d',
+    red: '#ff3333',
+    green: '#33ff33',
+    yellow: '#ffff33',
+    blue: '#3333ff',
+    magenta: '#ff33ff',
+    cyan: '#33ffff',
+    white: '#ffffff',
+    brightBlack: '#1a331a',
+    brightRed: '#ff3333',
+    brightGreen: '#33ff33',
+    brightYellow: '#ffff33',
+    brightBlue: '#3333ff',
+    brightMagenta: '#ff33ff',
+    brightCyan: '#33ffff',
+    brightWhite: '#ffffff'
+  },
+  ubuntu: {
+    background: '#300a24',
+    foreground: '#ffffff',
+    cursor: '#ffffff',
+    cursorAccent: '#300a24',
+    selectionBackground: 'rgba(255, 255, 255, 0.3)',
+    black: '#2e3436',
+    red: '#cc0000',
+    green: '#4e9a06',
+    yellow: '#c4a000',
+    blue: '#3465a4',
+    magenta: '#75507b',
+    cyan: '#06989a',
+    white: '#d3d7cf',
+    brightBlack: '#555753',
+    brightRed: '#ef2929',
+    brightGreen: '#8ae234',
+    brightYellow: '#fce94f',
+    brightBlue: '#729fcf',
+    brightMagenta: '#ad7fa8',
+    brightCyan: '#34e2e2',
+    brightWhite: '#eeeeec'
+  }
+}
+
+/**
+ * Parse a CSS color as accepted in themes: #rgb, #rrggbb, #rrggbbaa, rgb() or rgba()
+ * @param {string} value - Color text
+ * @returns {{red: number, green: number, blue: number, alpha: number}|null} Channels (0-255,
+ *   alpha 0-1), or null if the text is not a supported color
+ */
+export const parseColor = (value) => {
+  if (typeof value !== 'string') return null
+  const text = value.trim().toLowerCase()
+
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/)
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1]
+    const [red, green, blue, alpha = 255] = digits.match(/../g).map(pair => parseInt(pair, 16))
+    return { red, green, blue, alpha: alpha / 255 }
+  }
+
+  const functional = text.match(/^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/)
+  if (functional) {
+    const [red, green, blue] = functional.slice(1, 4).map(Number)
+    const alpha = functional[4] === undefined ? 1 : Number(functional[4])
+    if ([red, green, blue].some(channel => channel > 255) || alpha > 1) return null
+    return { red, green, blue, alpha }
+  }
+  return null
+}
+
+/**
+ * Format color channels as #rrggbb, or #rrggbbaa when not opaque
+ * @param {{red: number, green: number, blue: number, alpha?: number}} color - Channels (0-255,
+ *   alpha 0-1)
+ * @returns {string} Hex color
+ */
+export const formatHexColor = ({ red, green, blue, alpha = 1 }) => {
+  const channels = [red, green, blue]
+  if (alpha < 1) channels.push(alpha * 255)
+  return `#${channels.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`
+}
+
+/**
+ * Turn a scheme or file name into a theme name, e.g. 'Solarized Dark' → 'solarized-dark'
+ * @param {string} text - Name to convert
+ * @returns {string} Theme name (may be empty)
+ */
+export const toThemeName = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9_]+/g, '-')
+  .replace(/^[-_]+|-+$/g, '')
+  .slice(0, PREFERENCES_CONSTANTS.MAX_THEME_NAME_LENGTH)
+
+/**
+ * Check that a name can be used for a theme
+ * @param {string} name - Theme name
+ * @throws {ThemeError} If the name is not valid
+ */
+export const validateThemeName = (name) => {
+  if (!THEME_NAME_PATTERN.test(name) || name.length > PREFERENCES_CONSTANTS.MAX_THEME_NAME_LENGTH) {
+    throw new ThemeError(
+      `invalid theme name '${name}': use up to ${PREFERENCES_CONSTANTS.MAX_THEME_NAME_LENGTH} lowercase letters, digits, '-' and '_'`
+    )
+  }
+}
+
+/**
+ * Fill in the colors a palette leaves out and check the ones it sets
+ * Background and foreground are required; bright colors default to their normal ones,
+ * the cursor to the foreground and other ANSI colors to the default theme's.
+ * @param {Object} colors - Colors keyed by THEME_COLOR_KEYS; other keys are ignored
+ * @returns {Object} Complete palette
+ * @throws {ThemeError} If a color is invalid or background or foreground is missing
+ */
+export const completeTheme = (colors) => {
+  const palette = {}
+  for (const key of THEME_COLOR_KEYS) {
+    if (colors[key] === undefined || colors[key] === null) continue
+    if (!parseColor(colors[key])) {
+      throw new ThemeError(`invalid color for ${key}: '${colors[key]}'`)
+    }
+    palette[key] = colors[key]
+  }
+
+  const missing = ['background', 'foreground'].filter(key => !palette[key])
+  if (missing.length > 0) {
+    throw new ThemeError(`missing ${missing.join(' and ')} color`)
+  }
+
+  const foreground = parseColor(palette.foreground)
+  const defaults = BUILT_IN_THEMES[DEFAULT_THEME_NAME]
+  return {
+    background: palette.background,
+    foreground: palette.foreground,
+    cursor: palette.cursor || palette.foreground,
+    cursorAccent: palette.cursorAccent || palette.background,
+    selectionBackground: palette.selectionBackground || formatHexColor({ ...foreground, alpha: 0.3 }),
+    ...Object.fromEntries(ANSI_COLOR_KEYS.slice(0, 8).map(key => [key, palette[key] || defaults[key]])),
+    ...Object.fromEntries(ANSI_COLOR_KEYS.slice(8).map((key, index) => [
+      key,
+      palette[key] || palette[ANSI_COLOR_KEYS[index]] || defaults[key]
+    ]))
+  }
+}
+
+/**
+ * ThemeManager - The built-in themes, the user's custom themes and the one in use
+ * Custom themes and the current theme are saved as preferences, so changes made from the
+ * terminal are reported to change listeners; restore() loads saved ones without reporting.
+ */
+export class ThemeManager {
+  constructor(builtInThemes = BUILT_IN_THEMES) {
+    this.builtInThemes = builtInThemes
+    this.customThemes = new Map()
+    this.currentName = DEFAULT_THEME_NAME
+    this.changeListeners = new Set()
+  }
+
+  /**
+   * Add a listener for changes made from the terminal
+   * @param {Function} listener - Called as listener(changes) with the preferences to save:
+   *   { theme } when another theme is chosen, { customThemes } when custom themes change
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify listeners of a change
+   * @param {Object} changes - Preferences that changed
+   */
+  notifyChange(changes) {
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(changes)
+      } catch (error) {
+        console.warn('Theme listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Check whether a theme is built in and so cannot be changed
+   * @param {string} name - Theme name
+   * @returns {boolean} True for built-in themes
+   */
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(this.builtInThemes, name)
+  }
+
+  /**
+   * Check whether a theme exists
+   * @param {string} name - Theme name
+   * @returns {boolean} True for built-in and custom themes
+   */
+  hasTheme(name) {
+    return this.isBuiltIn(name) || this.customThemes.has(name)
+  }
+
+  /**
+   * List the built-in themes followed by the custom ones
+   * @returns {string[]} Theme names
+   */
+  getThemeNames() {
+    return [...this.getBuiltInThemeNames(), ...this.getCustomThemeNames()]
+  }
+
+  /**
+   * List the built-in themes
+   * @returns {string[]} Theme names, in their built-in order
+   */
+  getBuiltInThemeNames() {
+    return Object.keys(this.builtInThemes)
+  }
+
+  /**
+   * List the custom themes
+   * @returns {string[]} Theme names, sorted
+   */
+  getCustomThemeNames() {
+    return [...this.customThemes.keys()].sort()
+  }
+
+  /**
+   * Get the palette of a theme
+   * @param {string} name - Theme name
+   * @returns {Object|null} Copy of the palette, or null if there is no such theme
+   */
+  getTheme(name) {
+    if (this.isBuiltIn(name)) return { ...this.builtInThemes[name] }
+    return this.customThemes.has(name) ? { ...this.customThemes.get(name) } : null
+  }
+
+  /**
+   * Name of the theme in use
+   * @returns {string} Theme name
+   */
+  getCurrentThemeName() {
+    return this.currentName
+  }
+
+  /**
+   * Palette of the theme in use
+   * @returns {Object} Palette
+   */
+  getCurrentTheme() {
+    return this.getTheme(this.currentName)
+  }
+
+  /**
+   * Switch to another theme
+   * @param {string} name - Theme name
+   * @returns {boolean} False if there is no such theme
+   */
+  setCurrentTheme(name) {
+    if (!this.hasTheme(name)) return false
+    this.currentName = name
+    this.notifyChange({ theme: name })
+    return true
+  }
+
+  /**
+   * Create or replace a custom theme
+   * @param {string} name - Theme name
+   * @param {Object} colors - Colors keyed by THEME_COLOR_KEYS; missing ones are filled in
+   * @returns {Object} The saved palette
+   * @throws {ThemeError} If the name or a color is invalid, the name belongs to a built-in
+   *   theme, or there are too many custom themes
+   */
+  saveCustomTheme(name, colors) {
+    validateThemeName(name)
+    if (this.isBuiltIn(name)) {
+      throw new ThemeError(`'${name}' is a built-in theme`)
+    }
+    if (!this.customThemes.has(name) && this.customThemes.size >= PREFERENCES_CONSTANTS.MAX_CUSTOM_THEMES) {
+      throw new ThemeError(`too many custom themes (at most ${PREFERENCES_CONSTANTS.MAX_CUSTOM_THEMES}); delete one first`)
+    }
+
+    const palette = completeTheme(colors)
+    this.customThemes.set(name, palette)
+    this.notifyChange({ customThemes: this.getCustomThemes() })
+    return { ...palette }
+  }
+
+  /**
+   * Delete a custom theme; if it was in use, the default theme takes over
+   * @param {string} name - Theme name
+   * @returns {boolean} False if there is no such custom theme
+   */
+  removeCustomTheme(name) {
+    if (!this.customThemes.delete(name)) return false
+
+    const changes = { customThemes: this.getCustomThemes() }
+    if (this.currentName === name) {
+      this.currentName = DEFAULT_THEME_NAME
+      changes.theme = null
+    }
+    this.notifyChange(changes)
+    return true
+  }
+
+  /**
+   * Custom themes as saved in the preferences
+   * @returns {Object<string, Object>} Palettes keyed by theme name
+   */
+  getCustomThemes() {
+    return Object.fromEntries(this.getCustomThemeNames().map(name => [name, { ...this.customThemes.get(name) }]))
+  }
+
+  /**
+   * Load saved preferences without notifying listeners, e.g. when another user signs in
+   * Invalid saved themes are skipped, and an unknown current theme falls back to the default.
+   * @param {Object} preferences - Saved preferences
+   * @param {string|null} [preferences.theme] - Name of the theme in use
+   * @param {Object<string, Object>|null} [preferences.customThemes] - Custom palettes
+   */
+  restore({ theme = null, customThemes = null } = {}) {
+    this.customThemes.clear()
+    Object.entries(customThemes || {}).forEach(([name, colors]) => {
+      try {
+        validateThemeName(name)
+        if (!this.isBuiltIn(name)) {
+          this.customThemes.set(name, completeTheme(colors || {}))
+        }
+      } catch (error) {
+        console.warn(`Skipping saved theme '${name}':`, error.message)
+      }
+    })
+    this.currentName = theme && this.hasTheme(theme) ? theme : DEFAULT_THEME_NAME
+  }
+}
+
+/**
+ * Create a theme manager
+ * @param {Object<string, Object>} builtInThemes - Built-in palettes keyed by name
+ * @returns {ThemeManager} Theme manager instance
+ */
+export const createThemeManager = (builtInThemes = BUILT_IN_THEMES) => {
+  return new ThemeManager(builtInThemes)
+}
+
+export default ThemeManager
@@ -0,0 +1,177 @@
+import { CommandError, EXIT_STATUS } from './shell'
+import { parseOptions } from './textFilters'
+import { LayoutError, getPaneIds } from './workspaceLayout'
+
+/**
+ * Tab and pane commands: open, switch, split and close the shells of the workspace
+ */
+
+/**
+ * Run a layout change, reporting the ones that are not possible as command errors
+ * @param {string} command - Command path used in error messages
+ * @param {Function} change - Function that may throw a LayoutError
+ * @returns {*} What the function returns
+ */
+const applyLayoutChange = (command, change) => {
+  try {
+    return change()
+  } catch (error) {
+    if (error instanceof LayoutError) {
+      throw new CommandError(`${command}: ${error.message}`)
+    }
+    throw error
+  }
+}
+
+/**
+ * Find a tab by its number as shown by `tab`
+ * @param {string} command - Command path used in error messages
+ * @param {Object} layout - WorkspaceLayout instance
+ * @param {string} number - Tab number, from 1
+ * @returns {Object} Tab
+ */
+const requireTabNumber = (command, layout, number) => {
+  const { tabs } = layout.getState()
+  if (!/^\d+$/.test(number)) {
+    throw new CommandError(`${command}: '${number}' is not a tab number`, EXIT_STATUS.USAGE)
+  }
+  const tab = tabs[Number(number) - 1]
+  if (!tab) {
+    throw new CommandError(`${command}: no tab ${number}; there ${tabs.length === 1 ? 'is 1 tab' : `are ${tabs.length} tabs`}`)
+  }
+  return tab
+}
+
+/**
+ * List the tabs, marking the one shown and the one this pane is in
+ * @param {Object} layout - WorkspaceLayout instance
+ * @param {string} paneId - Pane the command runs in
+ * @returns {string} One tab per line
+ */
+const formatTabs = (layout, paneId) => {
+  const { tabs, activeTabId } = layout.getState()
+  return tabs.map((tab, index) => {
+    const marker = tab.id === activeTabId ? '*' : ' '
+    const panes = getPaneIds(tab.root)
+    const count = panes.length === 1 ? '1 pane' : `${panes.length} panes`
+    const here = panes.includes(paneId) ? ' (this one)' : ''
+    return `${marker} ${index + 1}  ${layout.getTabTitle(tab)}  \x1b[90m${count}${here}\x1b[0m`
+  }).join('\n')
+}
+
+export const tab = {
+  name: 'tab',
+  aliases: ['tabs'],
+  description: 'open, switch and close tabs',
+  usage: 'tab [number]',
+  args: [{ name: 'number', description: 'tab to show, from 1' }],
+  details: [
+    'Without arguments, list the tabs; * marks the one shown. Every tab starts with one',
+    'pane running its own shell, with its own working directory and running command. Files,',
+    'history, themes and the login are shared by all of them.',
+    '',
+    'Alt+Shift+T opens a tab, Alt+1 to Alt+9 show a tab and Alt+Shift+[ and Alt+Shift+]',
+    'the previous and next one.'
+  ].join('\n'),
+  examples: [
+    { command: 'tab new logs', description: "open a tab called 'logs'" },
+    { command: 'tab 2', description: 'show the second tab' }
+  ],
+  subcommands: {
+    new: {
+      description: 'open a tab and show it',
+      args: [{ name: 'title', description: 'tab title (default: "Tab n")', variadic: true }],
+      handler: (args, { layout }) => {
+        const opened = applyLayoutChange('tab new', () => layout.openTab(args.join(' ') || null))
+        return `Opened ${layout.getTabTitle(opened)}`
+      }
+    },
+    close: {
+      description: 'close a tab and every shell in it',
+      args: [{ name: 'number', description: 'tab to close (default: this one)' }],
+      handler: (args, { layout, shell }) => {
+        const closing = args.length > 0
+          ? requireTabNumber('tab close', layout, args[0])
+          : layout.requireTabOfPane(shell.paneId)
+        layout.closeTab(closing.id)
+        return null
+      }
+    },
+    next: {
+      description: 'show the next tab',
+      handler: (args, { layout }) => {
+        layout.cycleTab(1)
+        return null
+      }
+    },
+    prev: {
+      description: 'show the previous tab',
+      handler: (args, { layout }) => {
+        layout.cycleTab(-1)
+        return null
+      }
+    },
+    rename: {
+      description: 'give this tab a title',
+      args: [{ name: 'title', description: 'new title; none to go back to "Tab n"', variadic: true }],
+      handler: (args, { layout, shell }) => {
+        const renaming = layout.requireTabOfPane(shell.paneId)
+        layout.renameTab(renaming.id, args.join(' '))
+        return `Tab renamed to ${layout.getTabTitle(layout.requireTab(renaming.id))}`
+      }
+    }
+  },
+  handler: (args, { layout, shell }) => {
+    if (args.length === 0) {
+      return formatTabs(layout, shell.paneId)
+    }
+    if (args.length > 1) {
+      throw new CommandError('Usage: tab [number]', EXIT_STATUS.USAGE)
+    }
+    layout.selectTab(requireTabNumber('tab', layout, args[0]).id)
+    return null
+  }
+}
+
+export const split = {
+  name: 'split',
+  description: 'split this pane in two, each half running its own shell',
+  usage: 'split [-v|-h]',
+  options: [
+    { flag: '-v', description: 'put the new pane beside this one (the default)' },
+    { flag: '-h', description: 'put the new pane below this one' }
+  ],
+  details: [
+    'The new pane starts in the home directory and takes the keyboard. A tab holds up to',
+    "four panes; 'exit' or Alt+Shift+W closes one.",
+    '',
+    'Alt+Shift+= splits side by side and Alt+Shift+- one above the other. Alt+Shift and an',
+    'arrow key move to the pane that way.'
+  ].join('\n'),
+  examples: [
+    { command: 'split -v', description: 'open a shell on the right' },
+    { command: 'split -h', description: 'open a shell below' }
+  ],
+  handler: (args, { shell }) => {
+    const { flags, operands } = parseOptions('split', args, { flags: 'vh' })
+    if (operands.length > 0 || (flags.has('v') && flags.has('h'))) {
+      throw new CommandError('Usage: split [-v|-h]', EXIT_STATUS.USAGE)
+    }
+    applyLayoutChange('split', () => shell.splitPane(flags.has('h') ? 'horizontal' : 'vertical'))
+    return null
+  }
+}
+
+export const exit = {
+  name: 'exit',
+  description: 'close this pane',
+  details: 'The other half of the split takes its place. Closing the only pane of a tab closes the tab; closing the last tab opens a fresh one.',
+  handler: (args, { layout, shell }) => {
+    layout.closePane(shell.paneId)
+    return null
+  }
+}
+
+export const workspaceCommands = [tab, split, exit]
+
+export default workspaceCommands
@@ -0,0 +1,396 @@
+/**
+ * @typedef {Object} PaneNode
+ * @property {'pane'} type
+ * @property {string} id - Pane id; each pane runs its own shell
+ */
+
+/**
+ * @typedef {Object} SplitNode
+ * @property {'split'} type
+ * @property {string} direction - 'vertical' puts the two halves side by side,
+ *   'horizontal' one above the other
+ * @property {Array<PaneNode|SplitNode>} children - The two halves
+ */
+
+/**
+ * @typedef {Object} Tab
+ * @property {string} id - Tab id
+ * @property {string|null} title - Title given with `tab rename`, or null for "Tab n"
+ * @property {PaneNode|SplitNode} root - How the tab is split into panes
+ * @property {string} activePaneId - Pane that has the keyboard in this tab
+ */
+
+// Alt+1 to Alt+9 reach every tab
+export const MAX_TABS = 9
+
+// Panes in one tab; beyond this they get too small to use
+export const MAX_PANES_PER_TAB = 4
+
+export const SPLIT_DIRECTIONS = ['vertical', 'horizontal']
+
+/**
+ * Error raised for layout changes that are not possible
+ */
+export class LayoutError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'LayoutError'
+  }
+}
+
+/**
+ * List the pane ids of a layout tree, left to right and top to bottom
+ * @param {PaneNode|SplitNode} node - Layout tree
+ * @returns {string[]} Pane ids
+ */
+export const getPaneIds = (node) => {
+  if (node.type === 'pane') return [node.id]
+  return node.children.flatMap(getPaneIds)
+}
+
+/**
+ * Work out where each pane of a layout tree goes, as fractions of the tab's area
+ * Splits share their area equally between their two halves.
+ * @param {PaneNode|SplitNode} node - Layout tree
+ * @param {Object} area - Area of the node ({left, top, width, height}); the whole tab by default
+ * @returns {Array<{id: string, left: number, top: number, width: number, height: number}>}
+ *   One rectangle per pane
+ */
+export const getPaneRects = (node, area = { left: 0, top: 0, width: 1, height: 1 }) => {
+  if (node.type === 'pane') return [{ id: node.id, ...area }]
+
+  const [first, second] = node.children
+  if (node.direction === 'vertical') {
+    const width = area.width / 2
+    return [
+      ...getPaneRects(first, { ...area, width }),
+      ...getPaneRects(second, { ...area, left: area.left + width, width })
+    ]
+  }
+  const height = area.height / 2
+  return [
+    ...getPaneRects(first, { ...area, height }),
+    ...getPaneRects(second, { ...area, top: area.top + height, height })
+  ]
+}
+
+/**
+ * Replace a pane of a layout tree, copying only the nodes on the way to it
+ * @param {PaneNode|SplitNode} node - Layout tree
+ * @param {string} paneId - Pane to replace
+ * @param {Function} replace - Called with the pane; returns its replacement, or null to remove
+ *   it (its sibling then takes the whole split)
+ * @returns {PaneNode|SplitNode|null} New tree, or null if it is empty
+ */
+const replacePane = (node, paneId, replace) => {
+  if (node.type === 'pane') {
+    return node.id === paneId ? replace(node) : node
+  }
+
+  const children = node.children.map(child => replacePane(child, paneId, replace))
+  if (children.every((child, index) => child === node.children[index])) return node
+  const remaining = children.filter(child => child !== null)
+  return remaining.length === 1 ? remaining[0] : { ...node, children: remaining }
+}
+
+/**
+ * WorkspaceLayout - Tabs, and the panes each tab is split into
+ * Every pane runs its own shell; the layout only decides which panes exist, where they go
+ * and which one has the keyboard. Changes are reported to change listeners, with a new
+ * state object each time, so React can render it.
+ */
+export class WorkspaceLayout {
+  constructor() {
+    this.tabs = []
+    this.activeTabId = null
+    // Every pane of every tab, in the order they were opened
+    this.paneIds = []
+    this.nextId = 1
+    this.changeListeners = new Set()
+    this.openTab()
+  }
+
+  /**
+   * Add a listener for layout changes
+   * @param {Function} listener - Called as listener(state) with getState()
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener)
+  }
+
+  /**
+   * Remove a change listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener)
+  }
+
+  /**
+   * Notify listeners of a change
+   */
+  notifyChange() {
+    const state = this.getState()
+    this.changeListeners.forEach(listener => {
+      try {
+        listener(state)
+      } catch (error) {
+        console.warn('Layout listener error:', error)
+      }
+    })
+  }
+
+  /**
+   * Get the tabs, which one is shown and every pane in the order they were opened (an order
+   * that never changes, so panes can be rendered without being moved around)
+   * @returns {{tabs: Tab[], activeTabId: string, paneIds: string[]}} Layout state
+   */
+  getState() {
+    return { tabs: this.tabs, activeTabId: this.activeTabId, paneIds: this.paneIds }
+  }
+
+  /**
+   * Create an id for a new tab or pane
+   * @param {string} kind - 'tab' or 'pane'
+   * @returns {string} Unique id
+   */
+  createId(kind) {
+    return `${kind}-${this.nextId++}`
+  }
+
+  /**
+   * Replace a tab with an updated copy
+   * @param {string} tabId - Tab to change
+   * @param {Object} changes - Tab properties to change
+   */
+  updateTab(tabId, changes) {
+    this.tabs = this.tabs.map(tab => (tab.id === tabId ? { ...tab, ...changes } : tab))
+  }
+
+  /**
+   * Find a tab by id, failing if it does not exist
+   * @param {string} tabId - Tab id
+   * @returns {Tab} Tab
+   */
+  requireTab(tabId) {
+    const tab = this.tabs.find(candidate => candidate.id === tabId)
+    if (!tab) {
+      throw new LayoutError(`no such tab '${tabId}'`)
+    }
+    return tab
+  }
+
+  /**
+   * Find the tab a pane is in
+   * @param {string} paneId - Pane id
+   * @returns {Tab} Tab
+   */
+  requireTabOfPane(paneId) {
+    const tab = this.tabs.find(candidate => getPaneIds(candidate.root).includes(paneId))
+    if (!tab) {
+      throw new LayoutError(`no such pane '${paneId}'`)
+    }
+    return tab
+  }
+
+  /**
+   * Get the tab that is shown
+   * @returns {Tab} Active tab
+   */
+  getActiveTab() {
+    return this.requireTab(this.activeTabId)
+  }
+
+  /**
+   * Get the pane that has the keyboard
+   * @returns {string} Pane id
+   */
+  getActivePaneId() {
+    return this.getActiveTab().activePaneId
+  }
+
+  /**
+   * Name a tab for display: its title, or "Tab n"
+   * @param {Tab} tab - Tab
+   * @returns {string} Display name
+   */
+  getTabTitle(tab) {
+    return tab.title || `Tab ${this.tabs.indexOf(tab) + 1}`
+  }
+
+  /**
+   * Open a tab with a single pane and show it
+   * @param {string|null} title - Tab title; null for "Tab n"
+   * @returns {Tab} New tab
+   * @throws {LayoutError} If there are already MAX_TABS tabs
+   */
+  openTab(title = null) {
+    if (this.tabs.length >= MAX_TABS) {
+      throw new LayoutError(`there can be at most ${MAX_TABS} tabs`)
+    }
+    const paneId = this.createId('pane')
+    const tab = { id: this.createId('tab'), title, root: { type: 'pane', id: paneId }, activePaneId: paneId }
+    this.tabs = [...this.tabs, tab]
+    this.paneIds = [...this.paneIds, paneId]
+    this.activeTabId = tab.id
+    this.notifyChange()
+    return tab
+  }
+
+  /**
+   * Close a tab and every pane in it; closing the last tab opens a fresh one
+   * @param {string} tabId - Tab to close
+   */
+  closeTab(tabId) {
+    const closing = this.requireTab(tabId)
+    const index = this.tabs.indexOf(closing)
+    const closedPaneIds = getPaneIds(closing.root)
+    this.tabs = this.tabs.filter(tab => tab.id !== tabId)
+    this.paneIds = this.paneIds.filter(id => !closedPaneIds.includes(id))
+    if (this.tabs.length === 0) {
+      this.openTab()
+      return
+    }
+    if (this.activeTabId === tabId) {
+      this.activeTabId = this.tabs[Math.min(index, this.tabs.length - 1)].id
+    }
+    this.notifyChange()
+  }
+
+  /**
+   * Show a tab
+   * @param {string} tabId - Tab to show
+   */
+  selectTab(tabId) {
+    this.requireTab(tabId)
+    if (this.activeTabId === tabId) return
+    this.activeTabId = tabId
+    this.notifyChange()
+  }
+
+  /**
+   * Show the tab before or after the active one, wrapping around
+   * @param {number} step - 1 for the next tab, -1 for the previous one
+   */
+  cycleTab(step) {
+    const index = this.tabs.indexOf(this.getActiveTab())
+    const count = this.tabs.length
+    this.selectTab(this.tabs[(index + step + count) % count].id)
+  }
+
+  /**
+   * Give a tab a title
+   * @param {string} tabId - Tab to rename
+   * @param {string|null} title - New title; null or empty for "Tab n"
+   */
+  renameTab(tabId, title) {
+    this.requireTab(tabId)
+    this.updateTab(tabId, { title: title || null })
+    this.notifyChange()
+  }
+
+  /**
+   * Split a pane in two; the new half gets a new pane, which takes the keyboard
+   * @param {string} paneId - Pane to split
+   * @param {string} direction - 'vertical' (side by side) or 'horizontal' (stacked)
+   * @returns {string} Id of the new pane
+   * @throws {LayoutError} If the tab already has MAX_PANES_PER_TAB panes
+   */
+  split(paneId, direction) {
+    if (!SPLIT_DIRECTIONS.includes(direction)) {
+      throw new LayoutError(`unknown split direction '${direction}'`)
+    }
+    const tab = this.requireTabOfPane(paneId)
+    if (getPaneIds(tab.root).length >= MAX_PANES_PER_TAB) {
+      throw new LayoutError(`a tab can have at most ${MAX_PANES_PER_TAB} panes`)
+    }
+
+    const newPaneId = this.createId('pane')
+    const root = replacePane(tab.root, paneId, pane => ({
+      type: 'split',
+      direction,
+      children: [pane, { type: 'pane', id: newPaneId }]
+    }))
+    this.updateTab(tab.id, { root, activePaneId: newPaneId })
+    this.paneIds = [...this.paneIds, newPaneId]
+    this.activeTabId = tab.id
+    this.notifyChange()
+    return newPaneId
+  }
+
+  /**
+   * Close a pane; the other half of its split takes its place. Closing the only pane of a
+   * tab closes the tab.
+   * @param {string} paneId - Pane to close
+   */
+  closePane(paneId) {
+    const tab = this.requireTabOfPane(paneId)
+    const root = replacePane(tab.root, paneId, () => null)
+    if (root === null) {
+      this.closeTab(tab.id)
+      return
+    }
+
+    // The keyboard goes to the pane that took the closed one's place
+    const remaining = getPaneIds(root)
+    const index = getPaneIds(tab.root).indexOf(paneId)
+    const activePaneId = tab.activePaneId === paneId
+      ? remaining[Math.min(index, remaining.length - 1)]
+      : tab.activePaneId
+    this.updateTab(tab.id, { root, activePaneId })
+    this.paneIds = this.paneIds.filter(id => id !== paneId)
+    this.notifyChange()
+  }
+
+  /**
+   * Give a pane the keyboard, showing its tab
+   * @param {string} paneId - Pane to focus
+   */
+  focusPane(paneId) {
+    const tab = this.requireTabOfPane(paneId)
+    if (tab.activePaneId === paneId && this.activeTabId === tab.id) return
+    this.updateTab(tab.id, { activePaneId: paneId })
+    this.activeTabId = tab.id
+    this.notifyChange()
+  }
+
+  /**
+   * Move the keyboard to the nearest pane in a direction
+   * @param {string} paneId - Pane to move from
+   * @param {string} direction - 'left', 'right', 'up' or 'down'
+   * @returns {boolean} True if there was a pane that way
+   */
+  focusNeighbour(paneId, direction) {
+    const rects = getPaneRects(this.requireTabOfPane(paneId).root)
+    const from = rects.find(rect => rect.id === paneId)
+    const horizontal = direction === 'left' || direction === 'right'
+    const center = (rect) => (horizontal ? rect.top + rect.height / 2 : rect.left + rect.width / 2)
+    const overlaps = (rect) => (horizontal
+      ? rect.top < from.top + from.height && rect.top + rect.height > from.top
+      : rect.left < from.left + from.width && rect.left + rect.width > from.left)
+    const touches = {
+      left: (rect) => rect.left + rect.width === from.left,
+      right: (rect) => rect.left === from.left + from.width,
+      up: (rect) => rect.top + rect.height === from.top,
+      down: (rect) => rect.top === from.top + from.height
+    }[direction]
+
+    // Of the panes along that edge, take the one closest to the middle of this one
+    const [target] = rects
+      .filter(rect => rect.id !== paneId && touches(rect) && overlaps(rect))
+      .sort((a, b) => Math.abs(center(a) - center(from)) - Math.abs(center(b) - center(from)))
+    if (!target) return false
+    this.focusPane(target.id)
+    return true
+  }
+}
+
+/**
+ * Create a layout with one tab holding one pane
+ * @returns {WorkspaceLayout} Workspace layout instance
+ */
+export const createWorkspaceLayout = () => {
+  return new WorkspaceLayout()
+}
+
+export default WorkspaceLayout
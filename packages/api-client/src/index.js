@@ -177,6 +177,29 @@ class APIClient {
     })
   }
 
+  /**
+   * PUT request
+   * @param {string} endpoint 
+   * @param {any} data 
+   * @param {RequestInit} options 
+   */
+  async put(endpoint, data, options = {}) {
+    return this.request(endpoint, {
+      ...options,
+      method: 'PUT',
+      body: JSON.stringify(data)
+    })
+  }
+
+  /**
+   * DELETE request
+   * @param {string} endpoint 
+   * @param {RequestInit} options 
+   */
+  async delete(endpoint, options = {}) {
+    return this.request(endpoint, { ...options, method: 'DELETE' })
+  }
+
   /**
    * Get stored authentication token
    * @returns {string|null}
@@ -474,6 +497,181 @@ export class AuthClient extends APIClient {
   }
 }
 
-// Export singleton instance and class
+/**
+ * User files API client - stores redirected terminal output under the user's account
+ */
+export class FilesClient extends APIClient {
+  /**
+   * List all files saved by the current user
+   * @returns {Promise<{success: boolean, files: import('@antec/shared').UserFile[]}>}
+   */
+  async listFiles() {
+    return this.get(API_ENDPOINTS.FILES.LIST)
+  }
+
+  /**
+   * Create or overwrite a file
+   * @param {string} path - Absolute file path
+   * @param {string} content - File contents
+   * @returns {Promise<{success: boolean, file: import('@antec/shared').UserFile}>}
+   */
+  async saveFile(path, content) {
+    return this.put(API_ENDPOINTS.FILES.SAVE, { path, content })
+  }
+
+  /**
+   * Delete a file
+   * @param {string} path - Absolute file path
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async deleteFile(path) {
+    return this.delete(`${API_ENDPOINTS.FILES.DELETE}?path=${encodeURIComponent(path)}`)
+  }
+}
+
+/**
+ * Command history API client - keeps the user's history in sync across devices
+ */
+export class HistoryClient extends APIClient {
+  /**
+   * Get the user's command history, oldest first, and how many entries the backend keeps
+   * @returns {Promise<{success: boolean, entries: import('@antec/shared').HistoryEntry[], maxEntries: number}>}
+   */
+  async getHistory() {
+    return this.get(API_ENDPOINTS.HISTORY.LIST)
+  }
+
+  /**
+   * Merge new entries into the stored history
+   * @param {import('@antec/shared').HistoryEntry[]} entries - Entries to add
+   * @returns {Promise<{success: boolean, entries: import('@antec/shared').HistoryEntry[], maxEntries: number}>}
+   */
+  async appendHistory(entries) {
+    return this.post(API_ENDPOINTS.HISTORY.APPEND, { entries })
+  }
+
+  /**
+   * Delete the stored history
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async clearHistory() {
+    return this.delete(API_ENDPOINTS.HISTORY.CLEAR)
+  }
+}
+
+/**
+ * Preferences API client - terminal settings that follow the user across devices
+ */
+export class PreferencesClient extends APIClient {
+  /**
+   * Get the user's preferences
+   * @returns {Promise<{success: boolean, preferences: import('@antec/shared').UserPreferences}>}
+   */
+  async getPreferences() {
+    return this.get(API_ENDPOINTS.PREFERENCES.GET)
+  }
+
+  /**
+   * Change some preferences; null restores a preference's default
+   * @param {import('@antec/shared').UserPreferences} changes - Preferences to change
+   * @returns {Promise<{success: boolean, preferences: import('@antec/shared').UserPreferences}>}
+   */
+  async updatePreferences(changes) {
+    return this.put(API_ENDPOINTS.PREFERENCES.UPDATE, changes)
+  }
+}
+
+/**
+ * Status API client - whether the backend and its database are up
+ */
+export class StatusClient extends APIClient {
+  /**
+   * Get the backend's version, uptime and database state
+   * @param {RequestInit} options - e.g. an AbortSignal to give up after a while
+   * @returns {Promise<import('@antec/shared').ServerStatus>}
+   */
+  async getStatus(options = {}) {
+    return this.get(API_ENDPOINTS.STATUS, options)
+  }
+}
+
+/**
+ * Messages API client - sends the site owner a message from the contact form, and lets
+ * the owner work through them
+ */
+export class MessagesClient extends APIClient {
+  /**
+   * Send a message; it is stored and mailed to the owner
+   * @param {import('@antec/shared').ContactMessage} message - Name, reply-to address, subject and body
+   * @returns {Promise<{success: boolean, message: string, receipt: import('@antec/shared').MessageReceipt}>}
+   */
+  async sendMessage(message) {
+    return this.post(API_ENDPOINTS.MESSAGES.SEND, message)
+  }
+
+  /**
+   * List a page of messages, newest first (owner only)
+   * @param {Object} options
+   * @param {number} [options.page] - Page number, from 1
+   * @param {number} [options.limit] - Messages per page
+   * @param {string} [options.folder] - 'inbox', 'unread', 'archived' or 'all'
+   * @param {string} [options.search] - Text the name, address, subject or body contains
+   * @returns {Promise<{success: boolean} & import('@antec/shared').InboxPage>}
+   */
+  async listMessages({ page, limit, folder, search } = {}) {
+    const params = new URLSearchParams()
+    if (page) params.set('page', page)
+    if (limit) params.set('limit', limit)
+    if (folder) params.set('folder', folder)
+    if (search) params.set('q', search)
+    const query = params.toString()
+    return this.get(query ? `${API_ENDPOINTS.MESSAGES.LIST}?${query}` : API_ENDPOINTS.MESSAGES.LIST)
+  }
+
+  /**
+   * Get a message and mark it read (owner only)
+   * @param {string} id - Message id
+   * @returns {Promise<{success: boolean, message: import('@antec/shared').InboxMessage}>}
+   */
+  async getMessage(id) {
+    return this.get(API_ENDPOINTS.MESSAGES.ITEM(id))
+  }
+
+  /**
+   * Mark a message read or unread, or archive it (owner only)
+   * @param {string} id - Message id
+   * @param {{read?: boolean, archived?: boolean}} changes - Flags to change
+   * @returns {Promise<{success: boolean, message: import('@antec/shared').InboxMessage}>}
+   */
+  async updateMessage(id, changes) {
+    return this.put(API_ENDPOINTS.MESSAGES.ITEM(id), changes)
+  }
+
+  /**
+   * Mail a reply to whoever wrote a message (owner only)
+   * @param {string} id - Message id
+   * @param {string} body - Text of the reply
+   * @returns {Promise<{success: boolean, message: import('@antec/shared').InboxMessage}>}
+   */
+  async replyToMessage(id, body) {
+    return this.post(API_ENDPOINTS.MESSAGES.REPLY(id), { body })
+  }
+
+  /**
+   * Delete a message for good (owner only)
+   * @param {string} id - Message id
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async deleteMessage(id) {
+    return this.delete(API_ENDPOINTS.MESSAGES.ITEM(id))
+  }
+}
+
+// Export singleton instances and classes
 export const authClient = new AuthClient()
+export const filesClient = new FilesClient()
+export const historyClient = new HistoryClient()
+export const preferencesClient = new PreferencesClient()
+export const statusClient = new StatusClient()
+export const messagesClient = new MessagesClient()
 export default authClient
\ No newline at end of file
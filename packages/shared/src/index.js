@@ -26,6 +26,7 @@ export const AUTH_CONSTANTS = {
  * @property {Date} createdAt - Account creation timestamp
  * @property {Date} updatedAt - Last account update timestamp
  * @property {Date} [lastLogin] - Last successful login timestamp
+ * @property {string} [role] - 'user', or 'admin' for accounts that read the contact messages
  */
 
 /**
@@ -57,6 +58,106 @@ export const AUTH_CONSTANTS = {
  * @property {any} [value] - The invalid value that was provided
  */
 
+/**
+ * @typedef {Object} UserFile
+ * @property {string} path - Absolute path of the file in the terminal's virtual filesystem
+ * @property {string} content - File contents (plain text)
+ * @property {Date} [updatedAt] - Last modification timestamp
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} line - Command line as entered
+ * @property {string} timestamp - When the line was entered (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} UserPreferences
+ * @property {string|null} [prompt] - PS1-style prompt template (null for the default prompt)
+ * @property {string|null} [theme] - Name of the terminal theme (null for the default theme)
+ * @property {Object<string, Object>|null} [customThemes] - The user's own themes: palettes of
+ *   xterm.js colors keyed by theme name
+ * @property {Object|null} [settings] - Terminal settings changed from their defaults, e.g.
+ *   { fontSize: 16, cursorStyle: 'bar', ligatures: true }
+ */
+
+/**
+ * @typedef {Object} ServerStatus
+ * @property {boolean} success - Always true
+ * @property {string} status - 'ok', or 'degraded' while the database is not connected
+ * @property {string} version - Version of the API
+ * @property {number} uptime - Seconds since the API started
+ * @property {string} database - 'connected', 'connecting', 'disconnecting' or 'disconnected'
+ * @property {string} timestamp - ISO 8601 time of the report
+ */
+
+/**
+ * @typedef {Object} ContactMessage
+ * @property {string} name - Who the message is from
+ * @property {string} replyTo - Email address to answer to
+ * @property {string} subject - Subject line
+ * @property {string} body - Message text, possibly several lines
+ */
+
+/**
+ * @typedef {Object} MessageReceipt
+ * @property {string} id - Id of the stored message
+ * @property {string} subject - Subject line
+ * @property {boolean} delivered - Whether the mail transport took the message
+ * @property {string} createdAt - When the message was received (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} InboxMessage
+ * @property {string} id - Id of the stored message
+ * @property {string} name - Who the message is from
+ * @property {string} replyTo - Email address to answer to
+ * @property {string} subject - Subject line
+ * @property {string} preview - Start of the body on one line
+ * @property {boolean} read - Whether the owner has opened it
+ * @property {boolean} archived - Whether it was moved out of the inbox
+ * @property {boolean} replied - Whether the owner has answered it
+ * @property {string} createdAt - When the message was received (ISO 8601)
+ * @property {string} [body] - Message text, when the message is read
+ * @property {Array<{body: string, sentAt: string}>} [replies] - The owner's answers, when
+ *   the message is read
+ */
+
+/**
+ * @typedef {Object} InboxPage
+ * @property {InboxMessage[]} messages - Messages on the page, newest first
+ * @property {number} unread - Unread messages in the inbox, whatever the page or search
+ * @property {{page: number, limit: number, total: number, pages: number}} pagination - Where
+ *   the page is among the matching messages
+ */
+
+/**
+ * @typedef {Object} PortfolioContent
+ * @property {Object} owner - Whose portfolio it is
+ * @property {string} owner.name - Full name, e.g. 'Antik Mondal'
+ * @property {string} owner.username - Login name; the home directory is /home/<username>
+ * @property {string} owner.email - Address shown by `email`
+ * @property {string} [owner.github] - GitHub profile URL shown by `github`
+ * @property {string} [owner.website] - Graphical portfolio opened by `gui`
+ * @property {string} [owner.resume] - Path or URL of the resume PDF
+ * @property {string} [owner.photo] - Path or URL of a picture of the owner, shown by `photo`
+ *   and `about`
+ * @property {string} about - Text of `about` and ~/about.txt
+ * @property {ContentSection} education - Entries have slug, title, institution and period
+ * @property {ContentSection} projects - Entries have slug, name, description and url, and
+ *   optionally details (a longer description), stack, tags, role, started and ended dates,
+ *   more links ({label, url}) and screenshots (image URLs)
+ * @property {ContentSection} socials - Entries have slug, name and url
+ */
+
+/**
+ * @typedef {Object} ContentSection
+ * @property {string} [intro] - Text shown above the entries
+ * @property {string} [outro] - Text shown below the entries
+ * @property {Object[]} entries - Entries, in the order they are listed; each has a slug
+ *   (lowercase words joined by '-') used for its file name and by `go`
+ */
+
 /**
  * @typedef {Object} JWTPayload
  * @property {string} userId - User's unique identifier
@@ -187,6 +288,236 @@ export const validateLoginRequest = (data) => {
   }
 }
 
+// Messages sent to the site owner with the terminal's contact form
+// Control characters would end up in mail headers and in the owner's terminal; the
+// message itself may still hold line breaks and tabs
+const CONTROL_CHARACTER_PATTERN = /[\x00-\x1f\x7f-\x9f]/
+const BODY_CONTROL_CHARACTER_PATTERN = /[\x00-\x08\x0b-\x1f\x7f-\x9f]/
+// Characters that would make a name read as more than one address
+const ADDRESS_CHARACTER_PATTERN = /[,<>"]/
+
+export const validateContactMessage = (data) => {
+  const errors = []
+  const name = (data.name || '').trim()
+  const replyTo = (data.replyTo || '').trim()
+  const subject = (data.subject || '').trim()
+  const body = data.body || ''
+
+  if (name.length === 0) {
+    errors.push({ field: 'name', message: 'Name is required' })
+  } else if (name.length > MESSAGE_CONSTANTS.MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `Name must be at most ${MESSAGE_CONSTANTS.MAX_NAME_LENGTH} characters` })
+  } else if (CONTROL_CHARACTER_PATTERN.test(name)) {
+    errors.push({ field: 'name', message: 'Name must not contain control characters' })
+  } else if (ADDRESS_CHARACTER_PATTERN.test(name)) {
+    errors.push({ field: 'name', message: 'Name must not contain , < > or "' })
+  }
+
+  if (replyTo.length === 0) {
+    errors.push({ field: 'replyTo', message: 'An address to reply to is required' })
+  } else if (!VALIDATION.email.pattern.test(replyTo)) {
+    errors.push({ field: 'replyTo', message: VALIDATION.email.message })
+  }
+
+  if (subject.length === 0) {
+    errors.push({ field: 'subject', message: 'Subject is required' })
+  } else if (subject.length > MESSAGE_CONSTANTS.MAX_SUBJECT_LENGTH) {
+    errors.push({ field: 'subject', message: `Subject must be at most ${MESSAGE_CONSTANTS.MAX_SUBJECT_LENGTH} characters` })
+  } else if (CONTROL_CHARACTER_PATTERN.test(subject)) {
+    errors.push({ field: 'subject', message: 'Subject must not contain control characters' })
+  }
+
+  if (body.trim().length === 0) {
+    errors.push({ field: 'body', message: 'Message is required' })
+  } else if (body.length > MESSAGE_CONSTANTS.MAX_BODY_LENGTH) {
+    errors.push({ field: 'body', message: `Message must be at most ${MESSAGE_CONSTANTS.MAX_BODY_LENGTH} characters` })
+  } else if (BODY_CONTROL_CHARACTER_PATTERN.test(body)) {
+    errors.push({ field: 'body', message: 'Message must not contain control characters other than line breaks and tabs' })
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+// Portfolio content pack: the person and the sections the terminal shows (see PortfolioContent)
+const URL_PATTERN = /^(https?:\/\/|mailto:)\S+$/
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/
+// A year, a month or a day: 2024, 2024-03 or 2024-03-15
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/
+
+const contentText = (required = false) => ({ type: 'string', required })
+const contentUrl = (required = false) => ({
+  type: 'string',
+  required,
+  pattern: URL_PATTERN,
+  message: 'Must be an http(s) or mailto: URL'
+})
+const contentDate = () => ({
+  type: 'string',
+  pattern: DATE_PATTERN,
+  message: "Must be a date like '2024', '2024-03' or '2024-03-15' (in quotes in YAML)"
+})
+const contentList = (items) => ({ type: 'array', items })
+const contentSection = (entry) => ({
+  type: 'object',
+  required: true,
+  properties: {
+    intro: contentText(),
+    outro: contentText(),
+    entries: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      uniqueBy: 'slug',
+      items: {
+        type: 'object',
+        properties: {
+          slug: {
+            type: 'string',
+            required: true,
+            pattern: SLUG_PATTERN,
+            message: "Slugs are lowercase letters and digits in words joined by '-'"
+          },
+          ...entry
+        }
+      }
+    }
+  }
+})
+
+export const PORTFOLIO_CONTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    owner: {
+      type: 'object',
+      required: true,
+      properties: {
+        name: contentText(true),
+        username: {
+          type: 'string',
+          required: true,
+          pattern: /^[a-z_][a-z0-9_-]{0,31}$/,
+          message: 'Must be a lowercase login name, e.g. antik'
+        },
+        email: { type: 'string', required: true, pattern: VALIDATION.email.pattern, message: VALIDATION.email.message },
+        github: contentUrl(),
+        website: contentUrl(),
+        resume: contentText(),
+        photo: contentText()
+      }
+    },
+    about: contentText(true),
+    education: contentSection({
+      title: contentText(true),
+      institution: contentText(true),
+      period: contentText(true)
+    }),
+    projects: contentSection({
+      name: contentText(true),
+      description: contentText(true),
+      url: contentUrl(true),
+      details: contentText(),
+      stack: contentList(contentText(true)),
+      tags: contentList({
+        type: 'string',
+        required: true,
+        pattern: SLUG_PATTERN,
+        message: "Tags are lowercase letters and digits in words joined by '-'"
+      }),
+      role: contentText(),
+      started: contentDate(),
+      ended: contentDate(),
+      links: contentList({
+        type: 'object',
+        properties: { label: contentText(true), url: contentUrl(true) }
+      }),
+      screenshots: contentList(contentText(true))
+    }),
+    socials: contentSection({
+      name: contentText(true),
+      url: contentUrl(true)
+    })
+  }
+}
+
+/**
+ * Check a value against a schema like PORTFOLIO_CONTENT_SCHEMA
+ * @param {any} value - Value to check
+ * @param {Object} schema - Expected type, fields, pattern, ...
+ * @param {string} field - Path of the value, e.g. 'projects.entries[2].url'
+ * @returns {ValidationError[]} Problems found; empty if the value matches
+ */
+export const validateSchema = (value, schema, field = '') => {
+  const at = (key) => (field ? `${field}.${key}` : key)
+  const actual = Array.isArray(value) ? 'array' : typeof value
+  if (actual !== schema.type || value === null) {
+    if (schema.message && schema.type === 'string') return [{ field, message: schema.message, value }]
+    const expected = { array: 'a list', object: 'an object', string: 'text' }[schema.type] || `a ${schema.type}`
+    return [{ field: field || '(root)', message: `Must be ${expected}`, value }]
+  }
+
+  if (schema.type === 'string') {
+    if (schema.required && value.trim().length === 0) {
+      return [{ field, message: 'Must not be empty', value }]
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return [{ field, message: schema.message || 'Invalid format', value }]
+    }
+    return []
+  }
+
+  if (schema.type === 'array') {
+    const errors = []
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ field, message: `Must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}` })
+    }
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${field}[${index}]`)))
+    if (schema.uniqueBy) {
+      const seen = new Set()
+      value.forEach((item, index) => {
+        const key = item && item[schema.uniqueBy]
+        if (seen.has(key)) {
+          errors.push({ field: `${field}[${index}].${schema.uniqueBy}`, message: `Duplicate ${schema.uniqueBy}`, value: key })
+        }
+        seen.add(key)
+      })
+    }
+    return errors
+  }
+
+  if (schema.type === 'object') {
+    const errors = []
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      if (value[key] === undefined || value[key] === null) {
+        if (property.required) errors.push({ field: at(key), message: 'Is required' })
+        return
+      }
+      errors.push(...validateSchema(value[key], property, at(key)))
+    })
+    Object.keys(value)
+      .filter(key => !Object.prototype.hasOwnProperty.call(schema.properties, key))
+      .forEach(key => errors.push({ field: at(key), message: 'Unknown field' }))
+    return errors
+  }
+
+  return []
+}
+
+/**
+ * Check a portfolio content pack against PORTFOLIO_CONTENT_SCHEMA
+ * @param {PortfolioContent} content - Parsed content pack
+ * @returns {{isValid: boolean, errors: ValidationError[]}} Validation result
+ */
+export const validatePortfolioContent = (content) => {
+  const errors = validateSchema(content, PORTFOLIO_CONTENT_SCHEMA)
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
 // Terminal related constants
 export const TERMINAL_CONSTANTS = {
   GUEST_PROMPT: 'guest@antec:~$',
@@ -246,9 +577,69 @@ export const API_ENDPOINTS = {
     LOGIN: '/auth/login',
     LOGOUT: '/auth/logout',
     ME: '/auth/me'
+  },
+  FILES: {
+    LIST: '/files',
+    SAVE: '/files',
+    DELETE: '/files'
+  },
+  HISTORY: {
+    LIST: '/history',
+    APPEND: '/history',
+    CLEAR: '/history'
+  },
+  PREFERENCES: {
+    GET: '/preferences',
+    UPDATE: '/preferences'
+  },
+  STATUS: '/status',
+  MESSAGES: {
+    SEND: '/messages',
+    // Owner only: GET lists; GET, PUT and DELETE on /messages/:id, POST /messages/:id/reply
+    LIST: '/messages',
+    ITEM: (id) => `/messages/${encodeURIComponent(id)}`,
+    REPLY: (id) => `/messages/${encodeURIComponent(id)}/reply`
   }
 }
 
+// User file constants (redirected command output saved in the virtual filesystem)
+export const FILE_CONSTANTS = {
+  SESSION_STORAGE_KEY: 'antec_scratch_files',
+  // Guest files that outlive the tab, such as the startup script
+  LOCAL_STORAGE_KEY: 'antec_saved_files',
+  STARTUP_SCRIPT_NAME: '.antecrc',
+  MAX_PATH_LENGTH: 512,
+  MAX_CONTENT_LENGTH: 64 * 1024,
+  MAX_FILES_PER_USER: 100
+}
+
+// Command history constants (kept in localStorage for guests, in the account for users)
+export const HISTORY_CONSTANTS = {
+  LOCAL_STORAGE_KEY: 'antec_command_history',
+  // Entries kept for guests; for users, the backend says how many it keeps
+  MAX_ENTRIES: 500,
+  MAX_LINE_LENGTH: 4096
+}
+
+// Terminal preferences (kept in localStorage for guests, in the account for users)
+export const PREFERENCES_CONSTANTS = {
+  LOCAL_STORAGE_KEY: 'antec_preferences',
+  MAX_PROMPT_LENGTH: 1024,
+  MAX_THEME_NAME_LENGTH: 32,
+  MAX_CUSTOM_THEMES: 20
+}
+
+// Messages to the site owner (the backend enforces the same limits)
+export const MESSAGE_CONSTANTS = {
+  MAX_NAME_LENGTH: 100,
+  MAX_SUBJECT_LENGTH: 150,
+  MAX_BODY_LENGTH: 5000,
+  // Inbox listings
+  PAGE_SIZE: 10,
+  MAX_PAGE_SIZE: 50,
+  FOLDERS: ['inbox', 'unread', 'archived', 'all']
+}
+
 // HTTP status codes for consistent error handling
 export const HTTP_STATUS = {
   OK: 200,